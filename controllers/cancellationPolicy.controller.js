@@ -0,0 +1,44 @@
+/**
+ * ════════════════════════════════════════════════════════════════════════════════
+ * CANCELLATION POLICY CONTROLLER - Per-club late cancellation rules
+ * ════════════════════════════════════════════════════════════════════════════════
+ */
+
+export default function CancellationPolicyController(cancellationPolicyService) {
+
+  /**
+   * GET /cancellation-policies/:clubId
+   */
+  const findByClub = async (req, res) => {
+    try {
+      const policy = await cancellationPolicyService.getPolicy(req.params.clubId);
+      return res.status(200).json(policy);
+    } catch (error) {
+      console.error('[CancellationPolicyController] FindByClub error:', error.message);
+      return res.status(500).json({ error: 'Failed to fetch cancellation policy' });
+    }
+  };
+
+  /**
+   * PUT /cancellation-policies/:clubId (admin)
+   * Body: { allow_late_cancellation?, late_refund_percent? }
+   */
+  const upsert = async (req, res) => {
+    try {
+      const policy = await cancellationPolicyService.upsertPolicy(req.params.clubId, req.body);
+      return res.status(200).json(policy);
+    } catch (error) {
+      console.error('[CancellationPolicyController] Upsert error:', error.message);
+
+      if (error.message?.includes('Invalid')) {
+        return res.status(400).json({ error: error.message, code: 'VALIDATION_ERROR' });
+      }
+      return res.status(500).json({ error: 'Failed to save cancellation policy' });
+    }
+  };
+
+  return {
+    findByClub,
+    upsert,
+  };
+}
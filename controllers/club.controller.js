@@ -0,0 +1,120 @@
+/**
+ * ════════════════════════════════════════════════════════════════════════════════
+ * CLUB CONTROLLER - Clubs, their terrains and availability
+ * ════════════════════════════════════════════════════════════════════════════════
+ */
+
+export default function ClubController(clubService) {
+
+  /**
+   * GET /clubs
+   */
+  const findAll = async (req, res) => {
+    try {
+      const clubs = await clubService.findAll();
+      return res.status(200).json(clubs);
+    } catch (error) {
+      console.error('[ClubController] FindAll error:', error.message);
+      return res.status(500).json({ error: 'Failed to fetch clubs' });
+    }
+  };
+
+  /**
+   * GET /clubs/:id
+   */
+  const findById = async (req, res) => {
+    try {
+      const club = await clubService.findById(req.params.id);
+      if (!club) {
+        return res.status(404).json({ error: 'Club not found' });
+      }
+      return res.status(200).json(club);
+    } catch (error) {
+      console.error('[ClubController] FindById error:', error.message);
+      return res.status(500).json({ error: 'Failed to fetch club' });
+    }
+  };
+
+  /**
+   * POST /clubs (admin)
+   */
+  const create = async (req, res) => {
+    try {
+      const club = await clubService.create(req.body);
+      return res.status(201).json(club);
+    } catch (error) {
+      console.error('[ClubController] Create error:', error.message);
+
+      if (error.message?.includes('Invalid') || error.message?.includes('required')) {
+        return res.status(400).json({ error: error.message, code: 'VALIDATION_ERROR' });
+      }
+      return res.status(500).json({ error: 'Failed to create club' });
+    }
+  };
+
+  /**
+   * PUT /clubs/:id (admin)
+   */
+  const update = async (req, res) => {
+    try {
+      const club = await clubService.update(req.params.id, req.body);
+      return res.status(200).json(club);
+    } catch (error) {
+      console.error('[ClubController] Update error:', error.message);
+
+      if (error.message === 'Club not found') {
+        return res.status(404).json({ error: error.message });
+      }
+      if (error.message?.includes('Invalid')) {
+        return res.status(400).json({ error: error.message, code: 'VALIDATION_ERROR' });
+      }
+      return res.status(500).json({ error: 'Failed to update club' });
+    }
+  };
+
+  /**
+   * GET /clubs/:id/terrains
+   */
+  const getTerrains = async (req, res) => {
+    try {
+      const terrains = await clubService.getTerrains(req.params.id);
+      return res.status(200).json(terrains);
+    } catch (error) {
+      console.error('[ClubController] GetTerrains error:', error.message);
+
+      if (error.message === 'Club not found') {
+        return res.status(404).json({ error: error.message });
+      }
+      return res.status(500).json({ error: 'Failed to fetch terrains' });
+    }
+  };
+
+  /**
+   * GET /clubs/:id/availability?date=YYYY-MM-DD
+   */
+  const getAvailability = async (req, res) => {
+    try {
+      const availability = await clubService.getAvailability(req.params.id, req.query.date);
+      return res.status(200).json(availability);
+    } catch (error) {
+      console.error('[ClubController] GetAvailability error:', error.message);
+
+      if (error.message === 'Club not found') {
+        return res.status(404).json({ error: error.message });
+      }
+      if (error.message?.includes('required')) {
+        return res.status(400).json({ error: error.message });
+      }
+      return res.status(500).json({ error: 'Failed to fetch availability' });
+    }
+  };
+
+  return {
+    findAll,
+    findById,
+    create,
+    update,
+    getTerrains,
+    getAvailability,
+  };
+}
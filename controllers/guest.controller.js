@@ -0,0 +1,87 @@
+/**
+ * ════════════════════════════════════════════════════════════════════════════════
+ * GUEST CONTROLLER - Players without an account in a private match
+ * ════════════════════════════════════════════════════════════════════════════════
+ */
+
+export default function GuestController(guestService) {
+
+  const isAdmin = (req) => req.user?.role === 'admin';
+
+  // Service errors carry statusCode / code; lookups failing throw "... not found"
+  const sendError = (res, error, fallback) => {
+    if (error.message?.includes('not found')) {
+      return res.status(404).json({ error: error.message });
+    }
+    if ([400, 403, 409].includes(error.statusCode)) {
+      const body = { error: error.message, code: error.code };
+      if (error.code === 'INSUFFICIENT_BALANCE') {
+        body.currentBalance = error.currentBalance;
+        body.required = error.required;
+      }
+      return res.status(error.statusCode).json(body);
+    }
+    return res.status(500).json({ error: fallback });
+  };
+
+  /**
+   * POST /guests/reservation/:reservationId (creator or admin)
+   * Body: { guest_name, guest_phone?, team, paid_by?: 'creator' | 'on_site' }
+   */
+  const add = async (req, res) => {
+    try {
+      const participant = await guestService.add(req.params.reservationId, req.user.id, req.body, { isAdmin: isAdmin(req) });
+      return res.status(201).json(participant);
+    } catch (error) {
+      console.error('[GuestController] Add error:', error.message);
+      return sendError(res, error, 'Failed to add guest');
+    }
+  };
+
+  /**
+   * DELETE /guests/:participantId (creator or admin)
+   */
+  const remove = async (req, res) => {
+    try {
+      await guestService.remove(req.params.participantId, req.user.id, { isAdmin: isAdmin(req) });
+      return res.status(204).send();
+    } catch (error) {
+      console.error('[GuestController] Remove error:', error.message);
+      return sendError(res, error, 'Failed to remove guest');
+    }
+  };
+
+  /**
+   * GET /guests/claimable?code=XXXX
+   */
+  const findClaimable = async (req, res) => {
+    try {
+      const participants = await guestService.findClaimable(req.user.id, { code: req.query.code });
+      return res.status(200).json(participants);
+    } catch (error) {
+      console.error('[GuestController] FindClaimable error:', error.message);
+      return sendError(res, error, 'Failed to fetch guest participations');
+    }
+  };
+
+  /**
+   * POST /guests/claim
+   * Body: { code }
+   */
+  const claim = async (req, res) => {
+    try {
+      const result = await guestService.claim(req.user.id, req.body);
+      return res.status(200).json(result);
+    } catch (error) {
+      console.error('[GuestController] Claim error:', error.message);
+      return sendError(res, error, 'Failed to claim guest participations');
+    }
+  };
+
+  return {
+    add,
+    remove,
+    findClaimable,
+    claim,
+  };
+}
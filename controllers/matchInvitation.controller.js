@@ -0,0 +1,117 @@
+/**
+ * ════════════════════════════════════════════════════════════════════════════════
+ * MATCH INVITATION CONTROLLER - Invite players into a private match
+ * ════════════════════════════════════════════════════════════════════════════════
+ */
+
+export default function MatchInvitationController(matchInvitationService) {
+
+  // Service errors carry statusCode / code; lookups failing throw "... not found"
+  const sendError = (res, error, fallback) => {
+    if (error.message?.includes('not found')) {
+      return res.status(404).json({ error: error.message });
+    }
+    if ([400, 403, 409].includes(error.statusCode)) {
+      const body = { error: error.message, code: error.code };
+      if (error.code === 'INSUFFICIENT_BALANCE') {
+        body.currentBalance = error.currentBalance;
+        body.required = error.required;
+      }
+      return res.status(error.statusCode).json(body);
+    }
+    return res.status(500).json({ error: fallback });
+  };
+
+  /**
+   * POST /invitations/reservation/:reservationId
+   * Body: { invitations: [{ team, id_utilisateur | email | phone }], expires_at? }
+   */
+  const invite = async (req, res) => {
+    try {
+      const invitations = await matchInvitationService.invite(req.params.reservationId, req.user.id, req.body);
+      return res.status(201).json(invitations);
+    } catch (error) {
+      console.error('[InvitationController] Invite error:', error.message);
+      return sendError(res, error, 'Failed to send invitations');
+    }
+  };
+
+  /**
+   * GET /invitations/me
+   */
+  const findMine = async (req, res) => {
+    try {
+      const invitations = await matchInvitationService.findMine(req.user.id);
+      return res.status(200).json(invitations);
+    } catch (error) {
+      console.error('[InvitationController] FindMine error:', error.message);
+      return sendError(res, error, 'Failed to fetch invitations');
+    }
+  };
+
+  /**
+   * GET /invitations/reservation/:reservationId (creator)
+   */
+  const findByReservation = async (req, res) => {
+    try {
+      const invitations = await matchInvitationService.findByReservation(req.params.reservationId, req.user.id);
+      return res.status(200).json(invitations);
+    } catch (error) {
+      console.error('[InvitationController] FindByReservation error:', error.message);
+      return sendError(res, error, 'Failed to fetch invitations');
+    }
+  };
+
+  /**
+   * POST /invitations/:id/accept
+   * Body: { typepaiement? } (1 = crédit, 2 = sur place)
+   */
+  const accept = async (req, res) => {
+    try {
+      const result = await matchInvitationService.accept(req.params.id, req.user.id, req.body);
+      return res.status(201).json({
+        success: true,
+        message: 'Vous avez rejoint le match avec succès',
+        ...result
+      });
+    } catch (error) {
+      console.error('[InvitationController] Accept error:', error.message);
+      return sendError(res, error, 'Failed to accept invitation');
+    }
+  };
+
+  /**
+   * POST /invitations/:id/decline
+   */
+  const decline = async (req, res) => {
+    try {
+      const invitation = await matchInvitationService.decline(req.params.id, req.user.id);
+      return res.status(200).json(invitation);
+    } catch (error) {
+      console.error('[InvitationController] Decline error:', error.message);
+      return sendError(res, error, 'Failed to decline invitation');
+    }
+  };
+
+  /**
+   * DELETE /invitations/:id (inviter)
+   */
+  const cancel = async (req, res) => {
+    try {
+      const invitation = await matchInvitationService.cancel(req.params.id, req.user.id);
+      return res.status(200).json(invitation);
+    } catch (error) {
+      console.error('[InvitationController] Cancel error:', error.message);
+      return sendError(res, error, 'Failed to cancel invitation');
+    }
+  };
+
+  return {
+    invite,
+    findMine,
+    findByReservation,
+    accept,
+    decline,
+    cancel,
+  };
+}
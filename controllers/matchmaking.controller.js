@@ -0,0 +1,88 @@
+/**
+ * ════════════════════════════════════════════════════════════════════════════════
+ * MATCHMAKING CONTROLLER - Queue for solo players
+ * ════════════════════════════════════════════════════════════════════════════════
+ */
+
+export default function MatchmakingController(matchmakingService) {
+
+  /**
+   * POST /matchmaking
+   * Body: { date, window_start, window_end, id_club?, terrain_ids?, min_level?, max_level? }
+   */
+  const submit = async (req, res) => {
+    try {
+      const request = await matchmakingService.submit({
+        ...req.body,
+        id_utilisateur: req.user.id
+      });
+      return res.status(201).json(request);
+    } catch (error) {
+      console.error('[MatchmakingController] Submit error:', error.message);
+
+      if (error.statusCode === 400) {
+        return res.status(400).json({ error: error.message, code: error.code });
+      }
+      if (error.statusCode === 409) {
+        return res.status(409).json({ error: error.message, code: error.code });
+      }
+      if (error.message === 'Club not found') {
+        return res.status(404).json({ error: error.message });
+      }
+      return res.status(500).json({ error: 'Failed to join matchmaking' });
+    }
+  };
+
+  /**
+   * GET /matchmaking/me
+   */
+  const findMine = async (req, res) => {
+    try {
+      const requests = await matchmakingService.findByUserId(req.user.id);
+      return res.status(200).json(requests);
+    } catch (error) {
+      console.error('[MatchmakingController] FindMine error:', error.message);
+      return res.status(500).json({ error: 'Failed to fetch matchmaking requests' });
+    }
+  };
+
+  /**
+   * DELETE /matchmaking/:id
+   */
+  const cancel = async (req, res) => {
+    try {
+      const request = await matchmakingService.cancel(req.params.id, req.user.id);
+      return res.status(200).json(request);
+    } catch (error) {
+      console.error('[MatchmakingController] Cancel error:', error.message);
+
+      if (error.message === 'Matchmaking request not found') {
+        return res.status(404).json({ error: error.message });
+      }
+      if (error.statusCode === 409) {
+        return res.status(409).json({ error: error.message });
+      }
+      return res.status(500).json({ error: 'Failed to cancel matchmaking request' });
+    }
+  };
+
+  /**
+   * POST /matchmaking/run (admin)
+   */
+  const run = async (req, res) => {
+    try {
+      const matches = await matchmakingService.runMatcher();
+      return res.status(200).json({ matches });
+    } catch (error) {
+      console.error('[MatchmakingController] Run error:', error.message);
+      return res.status(500).json({ error: 'Failed to run matchmaking' });
+    }
+  };
+
+  return {
+    submit,
+    findMine,
+    cancel,
+    run,
+  };
+}
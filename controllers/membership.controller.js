@@ -4,6 +4,8 @@
  * ════════════════════════════════════════════════════════════════════════════════
  */
 
+import { DEFAULT_CLUB_ID } from '../utils/club.js';
+
 export default function MembershipController(membershipService) {
 
     /**
@@ -12,13 +14,13 @@ export default function MembershipController(membershipService) {
      */
     const purchase = async (req, res) => {
         try {
-            const { userId, membershipType, paymentMethod } = req.body;
+            const { userId, membershipType, paymentMethod, clubId } = req.body;
 
             if (!userId || !membershipType || !paymentMethod) {
                 return res.status(400).json({ error: 'Missing required fields' });
             }
 
-            const result = await membershipService.purchaseMembership(userId, membershipType, paymentMethod);
+            const result = await membershipService.purchaseMembership(userId, membershipType, paymentMethod, clubId ?? DEFAULT_CLUB_ID);
             return res.status(200).json(result);
 
         } catch (error) {
@@ -37,6 +39,9 @@ export default function MembershipController(membershipService) {
             if (error.message === 'Insufficient credit balance') {
                 return res.status(400).json({ error: error.message });
             }
+            if (error.message === 'Club not found') {
+                return res.status(404).json({ error: error.message });
+            }
             return res.status(500).json({ error: error.message || 'Purchase failed' });
         }
     };
@@ -192,10 +197,10 @@ export default function MembershipController(membershipService) {
             // Let's modify service to expose it or just use checkMembershipExpiry which now returns limitReached.
 
             // Actually, checkMembershipExpiry is the best way because it handles all logic.
-            // We pass clubId=1 as default if not provided, since membership is usually per club but often global in simple implementation.
-            // Or assume clubId=1 for now.
+            // Memberships are per club: ?clubId=, defaulting to the historical single club.
+            const clubId = req.query.clubId ?? DEFAULT_CLUB_ID;
 
-            const status = await membershipService.checkMembershipExpiry(userId, 1, date);
+            const status = await membershipService.checkMembershipExpiry(userId, clubId, date);
 
             return res.status(200).json({
                 ...status,
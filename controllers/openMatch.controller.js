@@ -0,0 +1,36 @@
+/**
+ * ════════════════════════════════════════════════════════════════════════════════
+ * OPEN MATCH CONTROLLER - Search open matches to join
+ * ════════════════════════════════════════════════════════════════════════════════
+ */
+
+export default function OpenMatchController(openMatchService) {
+
+  /**
+   * GET /open-matches
+   * Query: from, to (YYYY-MM-DD), terrainId, clubId, ratingWindow, gender,
+   *        mode (competitive | friendly), team (free positions, "0,2"),
+   *        minPrice, maxPrice,
+   *        sort (start | fit), page, limit
+   */
+  const search = async (req, res) => {
+    try {
+      const result = await openMatchService.search(req.user.id, req.query);
+      return res.status(200).json(result);
+    } catch (error) {
+      console.error('[OpenMatchController] Search error:', error.message);
+
+      if (error.statusCode === 400) {
+        return res.status(400).json({ error: error.message, code: 'VALIDATION_ERROR' });
+      }
+      if (error.message === 'User not found') {
+        return res.status(404).json({ error: error.message });
+      }
+      return res.status(500).json({ error: 'Failed to search open matches' });
+    }
+  };
+
+  return {
+    search,
+  };
+}
@@ -1,6 +1,10 @@
 // controllers/participant.controller.js
+import { checkPlayerEligibility } from '../utils/openMatchRules.js';
+import JoinPaymentService from '../services/joinPayment.service.js';
+
 export default function ParticipantController(models) {
   const Participant = models.participant;
+  const joinPaymentService = JoinPaymentService(models);
 
 
   const create = async (req, res) => {
@@ -51,6 +55,27 @@ export default function ParticipantController(models) {
           takenSlot: teamIndex
         });
       }
+      // ✅ Check if the position is held for an invited player
+      const heldInvitation = models.match_invitation
+        ? await models.match_invitation.findOne({
+          where: {
+            id_reservation,
+            team: teamIndex,
+            status: 0,
+            expires_at: { [models.Sequelize.Op.gt]: new Date() }
+          },
+          transaction: t,
+          lock: t.LOCK.UPDATE
+        })
+        : null;
+      if (heldInvitation && Number(heldInvitation.id_invitee) !== Number(id_utilisateur)) {
+        await t.rollback();
+        return res.status(400).json({
+          error: `Désolé, cette position (${teamIndex + 1}) est réservée pour un joueur invité. Veuillez choisir une autre position.`,
+          code: "SLOT_HELD",
+          takenSlot: teamIndex
+        });
+      }
       // ✅ Count participants for this reservation
       const currentParticipantsCount = await Participant.count({
         where: { id_reservation },
@@ -65,8 +90,8 @@ export default function ParticipantController(models) {
           maxPlayers: 4
         });
       }
-      // ✅ Rating range validation for open matches (typer === 2)
-      // Fetch reservation and user note to validate if the joiner meets the required range
+      // ✅ Open-match constraints (typer === 2): level range and gender restriction
+      // Fetch reservation and user to validate if the joiner is eligible
       const reservation = await models.reservation.findByPk(id_reservation, { transaction: t, lock: t.LOCK.UPDATE });
       if (!reservation) {
         await t.rollback();
@@ -75,34 +100,29 @@ export default function ParticipantController(models) {
       // Only enforce for open matches
       const typerVal = Number(reservation?.typer ?? 0);
       if (typerVal === 2) {
-        const minFloat = Number(reservation?.min);
-        const maxFloat = Number(reservation?.max);
-        if (Number.isFinite(minFloat) && Number.isFinite(maxFloat)) {
-          // Fetch the user's rating
-          const user = await models.utilisateur.findByPk(id_utilisateur, { transaction: t, lock: t.LOCK.UPDATE });
-          if (!user) {
-            await t.rollback();
-            return res.status(404).json({ error: "Utilisateur not found" });
-          }
-          const userNote = Number(user?.note ?? 0);
+        const user = await models.utilisateur.findByPk(id_utilisateur, { transaction: t, lock: t.LOCK.UPDATE });
+        if (!user) {
+          await t.rollback();
+          return res.status(404).json({ error: "Utilisateur not found" });
+        }
 
-          if (userNote < minFloat || userNote > maxFloat) {
-            console.log(`[ParticipantController] LEVEL VALIDATION FAILED: userNote=${userNote}, requiredRange=[${minFloat}..${maxFloat}]`);
-            // Non-blocking informational response: no charge, no participant created
-            await t.rollback();
-            return res.status(200).json({
-              success: false,
-              info: true,
-              canJoin: false,
-              message: `Votre niveau ${userNote.toFixed(1)} est en dehors de la plage requise [${minFloat.toFixed(1)} .. ${maxFloat.toFixed(1)}] pour ce match.`,
-              code: "LEVEL_OUT_OF_RANGE",
-              currentPlayers: currentParticipantsCount,
-              maxPlayers: 4,
-              spotsRemaining: Math.max(0, 4 - currentParticipantsCount)
-            });
-          }
-          console.log(`[ParticipantController] LEVEL VALIDATION PASSED: userNote=${userNote}, requiredRange=[${minFloat}..${maxFloat}]`);
+        const ineligibility = checkPlayerEligibility(reservation, user);
+        if (ineligibility) {
+          console.log(`[ParticipantController] ELIGIBILITY FAILED (${ineligibility.code}): user=${id_utilisateur}, note=${user.note}, gender=${user.gender}, range=[${reservation.min}..${reservation.max}], gender_restriction=${reservation.gender_restriction}`);
+          // Non-blocking informational response: no charge, no participant created
+          await t.rollback();
+          return res.status(200).json({
+            success: false,
+            info: true,
+            canJoin: false,
+            message: ineligibility.message,
+            code: ineligibility.code,
+            currentPlayers: currentParticipantsCount,
+            maxPlayers: 4,
+            spotsRemaining: Math.max(0, 4 - currentParticipantsCount)
+          });
         }
+        console.log(`[ParticipantController] ELIGIBILITY PASSED: user=${id_utilisateur}, note=${user.note}, range=[${reservation.min}..${reservation.max}]`);
       }
 
       // ════════════════════════════════════════════════════════════════════════
@@ -159,209 +179,32 @@ export default function ParticipantController(models) {
 
       } else {
         // ═══════════════════════════════════════════════════════════════════════
-        // 💰 NON-CREATOR: Process payment for joining user
+        // 💰 NON-CREATOR: Process payment for joining user (JoinPaymentService)
         // ═══════════════════════════════════════════════════════════════════════
-
         console.log(`[ParticipantController] Checking payment for user ${id_utilisateur} joining reservation ${id_reservation}`);
 
-        // ───────────────────────────────────────────────────────────────────────
-        // STEP 1: Check if user already has an ACTIVE payment for this reservation
-        // ───────────────────────────────────────────────────────────────────────
-
-        // Find ALL transactions (debits AND refunds) for this user + reservation
-        const transactions = await models.credit_transaction.findAll({
-          where: {
-            id_utilisateur: id_utilisateur,
-            type: {
-              [models.Sequelize.Op.or]: [
-                // Debit patterns (negative amounts)
-                { [models.Sequelize.Op.like]: `debit:join:R${id_reservation}:U${id_utilisateur}%` },
-                { [models.Sequelize.Op.like]: `debit:reservation:R${id_reservation}:U${id_utilisateur}%` },
-
-                // Refund patterns (positive amounts)
-                { [models.Sequelize.Op.like]: `refund:cancel:R${id_reservation}%` },
-                { [models.Sequelize.Op.like]: `refund:override:R${id_reservation}%` },
-                { [models.Sequelize.Op.like]: `refund:match_override:R${id_reservation}%` },
-                { [models.Sequelize.Op.like]: `refund:autocancel:R${id_reservation}:U${id_utilisateur}%` }
-              ]
-            }
-          },
-          transaction: t
-        });
-
-        // Calculate NET balance: sum of all debits (negative) and refunds (positive)
-        const netPaid = transactions.reduce((sum, tx) => sum + Number(tx.nombre), 0);
-
-        console.log(`[ParticipantController] Payment status for user ${id_utilisateur}:`, {
-          transactionCount: transactions.length,
-          netPaid: netPaid,
-          isCurrentlyPaid: netPaid < -0.01
-        });
-
-        // ───────────────────────────────────────────────────────────────────────
-        // STEP 2: Determine if payment is needed
-        // ───────────────────────────────────────────────────────────────────────
-
-        const isCurrentlyPaid = netPaid < -0.01; // User has net negative balance = already paid
-
-        if (isCurrentlyPaid) {
-          // ✅ SKIP: User already paid and has NOT been fully refunded
-          console.log(`[ParticipantController] ✅ User ${id_utilisateur} already paid (net: ${netPaid})`);
-
-        } else if (finalTypePaiement === 2) {
-          // ✅ SKIP: On-site payment selected
-          console.log(`[ParticipantController] ✅ On-site payment selected (typepaiement=2)`);
-
-        } else {
-          // ───────────────────────────────────────────────────────────────────────
-          // 💳 CHARGE: User needs to pay with credit (WITH MEMBERSHIP LOGIC)
-          // ───────────────────────────────────────────────────────────────────────
-
-          console.log(`[ParticipantController] 💳 Processing credit payment for user ${id_utilisateur}`);
-
-          // Get slot price
-          const plage = reservation.id_plage_horaire
-            ? await models.plage_horaire.findByPk(reservation.id_plage_horaire, {
-              transaction: t,
-              lock: t.LOCK.UPDATE
-            })
-            : null;
-
-          const slotPrice = (() => {
-            const p = Number(plage?.price ?? reservation?.prix_total ?? 0);
-            return Number.isFinite(p) && p > 0 ? p : 0;
-          })();
-
-          // 🆕 CHECK IF CREATOR PAID FOR ALL
-          const isCreatorPaid = Number(reservation?.ispayed ?? 0) === 1;
-          if (isCreatorPaid) {
-            console.log(`[ParticipantController] ✨ Reservation ${reservation.id} is PREPAID by creator. Joining is FREE.`);
-          }
-
-
-          // 👑 MEMBERSHIP LOGIC 👑
-          const membership = await models.membership.findOne({
-            where: {
-              id_user: id_utilisateur,
-              dateend: { [models.Sequelize.Op.gte]: new Date() } // Active only
-            },
-            transaction: t
-          });
-
-          let membershipType = Number(membership?.typemmbership ?? 0);
-          let membershipDiscount = 0;
-          let isFree = false;
-          let limitReached = false;
-
-          if (membershipType === 4 && reservation.date) {
-            // Check daily limit for Infinity
-            try {
-              // Count participations for this user on this date
-              const count = await models.participant.count({
-                where: {
-                  id_utilisateur: id_utilisateur
-                },
-                include: [{
-                  model: models.reservation,
-                  as: 'reservation',
-                  where: {
-                    date: reservation.date,
-                    isCancel: 0
-                  }
-                }],
-                transaction: t
-              });
-
-              if (count > 0) {
-                console.log(`[ParticipantController] 👑 User ${id_utilisateur} (Infinity) already has ${count} match(es) on ${reservation.date}. Daily limit reached.`);
-                limitReached = true;
-                membershipType = 0; // Downgrade to normal
-              }
-            } catch (e) {
-              console.error('[ParticipantController] Error checking daily limit:', e);
-            }
-          }
-
-          if (membershipType === 4) { // Infinity
-            isFree = true;
-            console.log(`[ParticipantController] 👑 User ${id_utilisateur} has INFINITY membership - Join is FREE`);
-          } else if (membershipType === 2 || membershipType === 3) { // Gold/Platinum
-            membershipDiscount = 300;
-            console.log(`[ParticipantController] 👑 User ${id_utilisateur} has Gold/Platinum - Discount: ${membershipDiscount} DA`);
-          }
-
-          if (limitReached) {
-            console.log(`[ParticipantController] ℹ️ Membership daily limit applied. User treated as Normal.`);
-          }
-
-          // Calculate final price
-          let finalPrice = slotPrice;
-
-          if (isCreatorPaid) {
-            finalPrice = 0;
-          } else if (isFree) {
-            finalPrice = 0;
-          } else {
-            finalPrice = slotPrice - membershipDiscount;
-            if (finalPrice < 0) finalPrice = 0;
-          }
-
-          console.log(`[ParticipantController] Price calculation: Base=${slotPrice}, Discount=${membershipDiscount}, Prepaid=${isCreatorPaid}, Final=${finalPrice}`);
-
-          if (finalPrice > 0) {
-            // Lock user for balance operations
-            const joiner = await models.utilisateur.findByPk(id_utilisateur, {
-              transaction: t,
-              lock: t.LOCK.UPDATE
-            });
-
-            if (!joiner) {
-              await t.rollback();
-              return res.status(404).json({ error: "Utilisateur not found" });
-            }
-
-            const currentBalance = Number(joiner.credit_balance ?? 0);
-
-            console.log(`[ParticipantController] Balance check:`, {
-              currentBalance,
-              required: finalPrice,
-              sufficient: currentBalance >= finalPrice
-            });
-
-            // Check sufficient balance
-            if (!Number.isFinite(currentBalance) || currentBalance < finalPrice) {
-              await t.rollback();
-              return res.status(400).json({
-                error: "Solde de crédit insuffisant",
-                code: "INSUFFICIENT_BALANCE",
-                currentBalance: currentBalance,
-                required: finalPrice
-              });
-            }
-
-            // Deduct balance
-            const newBalance = currentBalance - finalPrice;
-            await joiner.update({ credit_balance: newBalance }, { transaction: t });
-
-            // Generate unique transaction ID to allow re-joining
-            const uniqueTxId = Date.now().toString();
-
-            // Record payment transaction
-            await models.credit_transaction.create({
-              id_utilisateur: id_utilisateur,
-              nombre: -finalPrice,
-              type: `debit:join:R${id_reservation}:U${id_utilisateur}:T${teamIndex}:${uniqueTxId}`,
-              date_creation: new Date()
-            }, { transaction: t });
-
-            console.log(`[ParticipantController] ✅ Charged ${finalPrice} credits:`, {
-              oldBalance: currentBalance,
-              newBalance: newBalance,
-              transactionId: `debit:join:R${id_reservation}:U${id_utilisateur}:T${teamIndex}:${uniqueTxId}`
+        try {
+          await joinPaymentService.chargeJoiningPlayer({
+            reservation,
+            userId: id_utilisateur,
+            teamIndex,
+            typepaiement: finalTypePaiement
+          }, t);
+        } catch (paymentError) {
+          if (paymentError.code === 'INSUFFICIENT_BALANCE') {
+            await t.rollback();
+            return res.status(400).json({
+              error: paymentError.message,
+              code: paymentError.code,
+              currentBalance: paymentError.currentBalance,
+              required: paymentError.required
             });
-          } else {
-            console.log(`[ParticipantController] ✅ Join is FREE (Infinity or covered by discount). No charge.`);
           }
+          if (paymentError.message === 'Utilisateur not found') {
+            await t.rollback();
+            return res.status(404).json({ error: "Utilisateur not found" });
+          }
+          throw paymentError;
         }
       }
 
@@ -391,6 +234,15 @@ export default function ParticipantController(models) {
 
       const result = await Participant.create(participantData, { transaction: t });
 
+      // Invitee joining their own held position: the invitation is answered
+      if (heldInvitation) {
+        await heldInvitation.update({
+          status: 1,
+          id_participant: result.id,
+          date_modif: new Date()
+        }, { transaction: t });
+      }
+
       const updatedCount = await Participant.count({ where: { id_reservation }, transaction: t });
 
       console.log(`[ParticipantController] Participant created successfully. Current count: ${updatedCount}`);
@@ -702,6 +554,14 @@ export default function ParticipantController(models) {
         return res.status(404).json({ error: "Participant not found" });
       }
 
+      // A replacement request of the leaving player is void
+      if (models.replacement_request) {
+        await models.replacement_request.update({ status: 2, date_modif: new Date() }, {
+          where: { id_reservation: reservationId, id_leaver: participant.id_utilisateur, status: 0 },
+          transaction: t
+        });
+      }
+
       // Check remaining participants count
       const remainingCount = await Participant.count({
         where: { id_reservation: reservationId },
@@ -3,6 +3,7 @@
 // ════════════════════════════════════════════════════════════════════════════════
 
 import * as service from '../services/plageHoraire.service.js';
+import PricingService from '../services/pricing.service.js';
 
 export const createPlageHoraire = async (req, res) => {
   try {
@@ -197,11 +198,14 @@ export const getAvailableSlots = async (req, res) => {
     
     // Filter only available slots
     const availableSlots = result.filter(slot => slot.disponible === true);
+
+    // Show the price the user would pay if booking now (pricing rules applied)
+    const pricedSlots = await PricingService(req.models).priceSlots(availableSlots, date);
     
     res.status(200).json({
       success: true,
-      count: availableSlots.length,
-      data: availableSlots
+      count: pricedSlots.length,
+      data: pricedSlots
     });
   } catch (err) {
     res.status(500).json({ 
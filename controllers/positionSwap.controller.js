@@ -0,0 +1,107 @@
+/**
+ * ════════════════════════════════════════════════════════════════════════════════
+ * POSITION SWAP CONTROLLER - Move to a free position or swap with a participant
+ * ════════════════════════════════════════════════════════════════════════════════
+ */
+
+export default function PositionSwapController(positionSwapService) {
+
+  const sendError = (res, error, fallback) => {
+    if (error.message?.includes('not found')) {
+      return res.status(404).json({ error: error.message });
+    }
+    if ([400, 409].includes(error.statusCode)) {
+      return res.status(error.statusCode).json({ error: error.message, code: error.code });
+    }
+    return res.status(500).json({ error: fallback });
+  };
+
+  /**
+   * POST /position-swaps/move
+   * Body: { id_reservation, team }
+   */
+  const move = async (req, res) => {
+    try {
+      const participant = await positionSwapService.move(req.body.id_reservation, req.user.id, req.body.team);
+      return res.status(200).json(participant);
+    } catch (error) {
+      console.error('[PositionSwapController] Move error:', error.message);
+      return sendError(res, error, 'Failed to change position');
+    }
+  };
+
+  /**
+   * POST /position-swaps
+   * Body: { id_reservation, id_participant | team }
+   */
+  const requestSwap = async (req, res) => {
+    try {
+      const swapRequest = await positionSwapService.requestSwap(req.body.id_reservation, req.user.id, req.body);
+      return res.status(201).json(swapRequest);
+    } catch (error) {
+      console.error('[PositionSwapController] RequestSwap error:', error.message);
+      return sendError(res, error, 'Failed to request position swap');
+    }
+  };
+
+  /**
+   * GET /position-swaps/reservation/:reservationId
+   */
+  const findPendingByReservation = async (req, res) => {
+    try {
+      const requests = await positionSwapService.findPendingByReservation(req.params.reservationId);
+      return res.status(200).json(requests);
+    } catch (error) {
+      console.error('[PositionSwapController] FindPending error:', error.message);
+      return res.status(500).json({ error: 'Failed to fetch swap requests' });
+    }
+  };
+
+  /**
+   * POST /position-swaps/:id/accept
+   */
+  const accept = async (req, res) => {
+    try {
+      const swapRequest = await positionSwapService.respond(req.params.id, req.user.id, true);
+      return res.status(200).json(swapRequest);
+    } catch (error) {
+      console.error('[PositionSwapController] Accept error:', error.message);
+      return sendError(res, error, 'Failed to accept position swap');
+    }
+  };
+
+  /**
+   * POST /position-swaps/:id/decline
+   */
+  const decline = async (req, res) => {
+    try {
+      const swapRequest = await positionSwapService.respond(req.params.id, req.user.id, false);
+      return res.status(200).json(swapRequest);
+    } catch (error) {
+      console.error('[PositionSwapController] Decline error:', error.message);
+      return sendError(res, error, 'Failed to decline position swap');
+    }
+  };
+
+  /**
+   * DELETE /position-swaps/:id (requester)
+   */
+  const cancel = async (req, res) => {
+    try {
+      const swapRequest = await positionSwapService.cancel(req.params.id, req.user.id);
+      return res.status(200).json(swapRequest);
+    } catch (error) {
+      console.error('[PositionSwapController] Cancel error:', error.message);
+      return sendError(res, error, 'Failed to cancel position swap');
+    }
+  };
+
+  return {
+    move,
+    requestSwap,
+    findPendingByReservation,
+    accept,
+    decline,
+    cancel,
+  };
+}
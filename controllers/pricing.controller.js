@@ -0,0 +1,120 @@
+/**
+ * ════════════════════════════════════════════════════════════════════════════════
+ * PRICING CONTROLLER - Dynamic pricing rules per terrain or club
+ * ════════════════════════════════════════════════════════════════════════════════
+ */
+
+export default function PricingController(pricingService) {
+
+  /**
+   * GET /pricing-rules/terrain/:terrainId
+   */
+  const findByTerrain = async (req, res) => {
+    try {
+      const rules = await pricingService.findByTerrain(req.params.terrainId);
+      return res.status(200).json(rules);
+    } catch (error) {
+      console.error('[PricingController] FindByTerrain error:', error.message);
+      return res.status(500).json({ error: 'Failed to fetch pricing rules' });
+    }
+  };
+
+  /**
+   * GET /pricing-rules/club/:clubId
+   * Club-wide rules (applied to every terrain of the club)
+   */
+  const findByClub = async (req, res) => {
+    try {
+      const rules = await pricingService.findByClub(req.params.clubId);
+      return res.status(200).json(rules);
+    } catch (error) {
+      console.error('[PricingController] FindByClub error:', error.message);
+      return res.status(500).json({ error: 'Failed to fetch pricing rules' });
+    }
+  };
+
+  /**
+   * GET /pricing-rules/quote/:plageHoraireId/:date
+   * Price of a slot if booked now (before membership discount)
+   */
+  const quote = async (req, res) => {
+    try {
+      const result = await pricingService.quote(req.params.plageHoraireId, req.params.date);
+      return res.status(200).json(result);
+    } catch (error) {
+      console.error('[PricingController] Quote error:', error.message);
+
+      if (error.message === 'Plage horaire not found') {
+        return res.status(404).json({ error: error.message });
+      }
+      if (error.statusCode === 400) {
+        return res.status(400).json({ error: error.message });
+      }
+      return res.status(500).json({ error: 'Failed to compute price' });
+    }
+  };
+
+  /**
+   * POST /pricing-rules (admin)
+   * Body: { id_terrain | id_club, name, rule_type, adjustment_type, adjustment_value, ...conditions }
+   */
+  const create = async (req, res) => {
+    try {
+      const rule = await pricingService.createRule(req.body);
+      return res.status(201).json(rule);
+    } catch (error) {
+      console.error('[PricingController] Create error:', error.message);
+
+      if (error.message?.includes('Invalid') || error.message?.includes('required')) {
+        return res.status(400).json({ error: error.message, code: 'VALIDATION_ERROR' });
+      }
+      return res.status(500).json({ error: 'Failed to create pricing rule' });
+    }
+  };
+
+  /**
+   * PUT /pricing-rules/:id (admin)
+   */
+  const update = async (req, res) => {
+    try {
+      const rule = await pricingService.updateRule(req.params.id, req.body);
+      return res.status(200).json(rule);
+    } catch (error) {
+      console.error('[PricingController] Update error:', error.message);
+
+      if (error.message === 'Pricing rule not found') {
+        return res.status(404).json({ error: error.message });
+      }
+      if (error.message?.includes('Invalid') || error.message?.includes('required')) {
+        return res.status(400).json({ error: error.message, code: 'VALIDATION_ERROR' });
+      }
+      return res.status(500).json({ error: 'Failed to update pricing rule' });
+    }
+  };
+
+  /**
+   * DELETE /pricing-rules/:id (admin)
+   */
+  const remove = async (req, res) => {
+    try {
+      const result = await pricingService.deleteRule(req.params.id);
+      return res.status(200).json(result);
+    } catch (error) {
+      console.error('[PricingController] Delete error:', error.message);
+
+      if (error.message === 'Pricing rule not found') {
+        return res.status(404).json({ error: error.message });
+      }
+      return res.status(500).json({ error: 'Failed to delete pricing rule' });
+    }
+  };
+
+  return {
+    findByTerrain,
+    findByClub,
+    quote,
+    create,
+    update,
+    remove,
+  };
+}
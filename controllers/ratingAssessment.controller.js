@@ -0,0 +1,74 @@
+/**
+ * ════════════════════════════════════════════════════════════════════════════════
+ * RATING ASSESSMENT CONTROLLER - Onboarding level questionnaire
+ * ════════════════════════════════════════════════════════════════════════════════
+ */
+
+export default function RatingAssessmentController(ratingAssessmentService) {
+
+  const sendError = (res, error, fallback) => {
+    if (error.message?.includes('not found')) {
+      return res.status(404).json({ error: error.message });
+    }
+    if ([400, 409].includes(error.statusCode)) {
+      return res.status(error.statusCode).json({ error: error.message, code: error.code });
+    }
+    return res.status(500).json({ error: fallback });
+  };
+
+  /**
+   * GET /rating-assessment/questions
+   */
+  const getQuestions = async (req, res) => {
+    return res.status(200).json(ratingAssessmentService.getQuestions());
+  };
+
+  /**
+   * GET /rating-assessment/me
+   * GET /rating-assessment/user/:userId (admin)
+   */
+  const findForUser = async (req, res) => {
+    try {
+      const userId = req.params.userId ?? req.user.id;
+      const result = await ratingAssessmentService.findForUser(userId);
+      return res.status(200).json(result);
+    } catch (error) {
+      console.error('[RatingAssessmentController] FindForUser error:', error.message);
+      return sendError(res, error, 'Failed to fetch rating assessment');
+    }
+  };
+
+  /**
+   * POST /rating-assessment
+   * Body: { answers: { experience, frequency, racket_sports, technique, competition } }
+   */
+  const submit = async (req, res) => {
+    try {
+      const assessment = await ratingAssessmentService.submit(req.user.id, req.body?.answers);
+      return res.status(201).json(assessment);
+    } catch (error) {
+      console.error('[RatingAssessmentController] Submit error:', error.message);
+      return sendError(res, error, 'Failed to submit rating assessment');
+    }
+  };
+
+  /**
+   * POST /rating-assessment/user/:userId/reset (admin)
+   */
+  const reset = async (req, res) => {
+    try {
+      const assessment = await ratingAssessmentService.reset(req.params.userId, req.user.id);
+      return res.status(200).json(assessment);
+    } catch (error) {
+      console.error('[RatingAssessmentController] Reset error:', error.message);
+      return sendError(res, error, 'Failed to reset rating assessment');
+    }
+  };
+
+  return {
+    getQuestions,
+    findForUser,
+    submit,
+    reset,
+  };
+}
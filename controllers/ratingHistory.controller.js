@@ -0,0 +1,98 @@
+/**
+ * ════════════════════════════════════════════════════════════════════════════════
+ * RATING HISTORY CONTROLLER - Rating timeline and per-match breakdown
+ * ════════════════════════════════════════════════════════════════════════════════
+ */
+
+export default function RatingHistoryController(ratingHistoryService, ratingJobService) {
+
+  const sendError = (res, error, fallback) => {
+    if (error.message?.includes('not found')) {
+      return res.status(404).json({ error: error.message });
+    }
+    if ([400, 409].includes(error.statusCode)) {
+      return res.status(error.statusCode).json({ error: error.message, code: error.code });
+    }
+    return res.status(500).json({ error: fallback });
+  };
+
+  /**
+   * GET /rating-history/me?limit=&before=
+   * GET /rating-history/user/:userId?limit=&before=
+   */
+  const findTimeline = async (req, res) => {
+    try {
+      const userId = req.params.userId ?? req.user.id;
+      const timeline = await ratingHistoryService.findTimeline(userId, {
+        limit: req.query.limit,
+        before: req.query.before
+      });
+      return res.status(200).json(timeline);
+    } catch (error) {
+      console.error('[RatingHistoryController] FindTimeline error:', error.message);
+      return sendError(res, error, 'Failed to fetch rating history');
+    }
+  };
+
+  /**
+   * GET /rating-history/reservation/:reservationId
+   */
+  const findByReservation = async (req, res) => {
+    try {
+      const breakdown = await ratingHistoryService.findByReservation(req.params.reservationId);
+      return res.status(200).json(breakdown);
+    } catch (error) {
+      console.error('[RatingHistoryController] FindByReservation error:', error.message);
+      return sendError(res, error, 'Failed to fetch rating breakdown');
+    }
+  };
+
+  /**
+   * POST /rating-history/recompute (admin)
+   * Body: { dry_run?: boolean } - replay every confirmed match in playing order
+   */
+  const recompute = async (req, res) => {
+    try {
+      const dryRun = req.body?.dry_run === true || req.body?.dry_run === 'true';
+      const summary = await ratingJobService.recomputeAll({ dryRun });
+      return res.status(200).json(summary);
+    } catch (error) {
+      console.error('[RatingHistoryController] Recompute error:', error.message);
+      return sendError(res, error, 'Failed to recompute ratings');
+    }
+  };
+
+  /**
+   * GET /rating-history/jobs?status=2 (admin) - failed jobs by default
+   */
+  const findJobs = async (req, res) => {
+    try {
+      const jobs = await ratingJobService.findJobs(req.query.status !== undefined ? { status: req.query.status } : {});
+      return res.status(200).json(jobs);
+    } catch (error) {
+      console.error('[RatingHistoryController] FindJobs error:', error.message);
+      return sendError(res, error, 'Failed to fetch rating jobs');
+    }
+  };
+
+  /**
+   * POST /rating-history/jobs/:id/retry (admin)
+   */
+  const retryJob = async (req, res) => {
+    try {
+      const result = await ratingJobService.retry(req.params.id);
+      return res.status(200).json(result);
+    } catch (error) {
+      console.error('[RatingHistoryController] RetryJob error:', error.message);
+      return sendError(res, error, 'Failed to retry rating job');
+    }
+  };
+
+  return {
+    findTimeline,
+    findByReservation,
+    recompute,
+    findJobs,
+    retryJob,
+  };
+}
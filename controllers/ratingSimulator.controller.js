@@ -0,0 +1,36 @@
+/**
+ * ════════════════════════════════════════════════════════════════════════════════
+ * RATING SIMULATOR CONTROLLER - Projected ratings of a hypothetical match
+ * ════════════════════════════════════════════════════════════════════════════════
+ */
+
+export default function RatingSimulatorController(ratingSimulatorService) {
+
+  /**
+   * POST /rating-simulator
+   * Body: {
+   *   players: [{ id_utilisateur } | { note, fiability }] x 4 (positions 0,1 vs 2,3),
+   *   score: { set1: {a,b}, set2: {a,b}, set3?: {a,b}, set3_mode? },
+   *   match_format?
+   * }
+   */
+  const simulate = async (req, res) => {
+    try {
+      const projection = await ratingSimulatorService.simulate(req.body ?? {});
+      return res.status(200).json(projection);
+    } catch (error) {
+      console.error('[RatingSimulatorController] Simulate error:', error.message);
+      if (error.message.includes('not found')) {
+        return res.status(404).json({ error: error.message });
+      }
+      if (error.statusCode === 400 || error.message.includes('Invalid') || error.message.includes('required')) {
+        return res.status(400).json({ error: error.message, code: error.code ?? 'VALIDATION_ERROR' });
+      }
+      return res.status(500).json({ error: 'Failed to simulate ratings' });
+    }
+  };
+
+  return {
+    simulate,
+  };
+}
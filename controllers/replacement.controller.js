@@ -0,0 +1,103 @@
+/**
+ * ════════════════════════════════════════════════════════════════════════════════
+ * REPLACEMENT CONTROLLER - Hand a match position over to another player
+ * ════════════════════════════════════════════════════════════════════════════════
+ */
+
+export default function ReplacementController(replacementService) {
+
+  // Service errors carry statusCode / code; lookups failing throw "... not found"
+  const sendError = (res, error, fallback) => {
+    if (error.message?.includes('not found')) {
+      return res.status(404).json({ error: error.message });
+    }
+    if ([400, 403, 409].includes(error.statusCode)) {
+      const body = { error: error.message, code: error.code };
+      if (error.code === 'INSUFFICIENT_BALANCE') {
+        body.currentBalance = error.currentBalance;
+        body.required = error.required;
+      }
+      return res.status(error.statusCode).json(body);
+    }
+    return res.status(500).json({ error: fallback });
+  };
+
+  /**
+   * POST /replacements/reservation/:reservationId
+   * Body: { id_nominee? } (omit to advertise the position)
+   */
+  const offer = async (req, res) => {
+    try {
+      const request = await replacementService.offer(req.params.reservationId, req.user.id, req.body);
+      return res.status(201).json(request);
+    } catch (error) {
+      console.error('[ReplacementController] Offer error:', error.message);
+      return sendError(res, error, 'Failed to request a replacement');
+    }
+  };
+
+  /**
+   * GET /replacements/available?date=YYYY-MM-DD
+   */
+  const findAvailable = async (req, res) => {
+    try {
+      const requests = await replacementService.findAvailable(req.user.id, { date: req.query.date });
+      return res.status(200).json(requests);
+    } catch (error) {
+      console.error('[ReplacementController] FindAvailable error:', error.message);
+      return sendError(res, error, 'Failed to fetch replacement requests');
+    }
+  };
+
+  /**
+   * GET /replacements/reservation/:reservationId
+   */
+  const findByReservation = async (req, res) => {
+    try {
+      const requests = await replacementService.findByReservation(req.params.reservationId);
+      return res.status(200).json(requests);
+    } catch (error) {
+      console.error('[ReplacementController] FindByReservation error:', error.message);
+      return sendError(res, error, 'Failed to fetch replacement requests');
+    }
+  };
+
+  /**
+   * POST /replacements/:id/take
+   * Body: { typepaiement? } (1 = crédit, 2 = sur place)
+   */
+  const take = async (req, res) => {
+    try {
+      const request = await replacementService.take(req.params.id, req.user.id, req.body);
+      return res.status(201).json({
+        success: true,
+        message: 'Vous avez rejoint le match avec succès',
+        request
+      });
+    } catch (error) {
+      console.error('[ReplacementController] Take error:', error.message);
+      return sendError(res, error, 'Failed to take the position');
+    }
+  };
+
+  /**
+   * DELETE /replacements/:id (leaver)
+   */
+  const cancel = async (req, res) => {
+    try {
+      const request = await replacementService.cancel(req.params.id, req.user.id);
+      return res.status(200).json(request);
+    } catch (error) {
+      console.error('[ReplacementController] Cancel error:', error.message);
+      return sendError(res, error, 'Failed to cancel replacement request');
+    }
+  };
+
+  return {
+    offer,
+    findAvailable,
+    findByReservation,
+    take,
+    cancel,
+  };
+}
@@ -5,6 +5,8 @@
  */
 
 import createMembershipHelpers from '../utils/membershipHelpers.js';
+import { getClubIdForTerrain } from '../utils/club.js';
+import { listMatchFormats } from '../utils/matchFormats.js';
 
 export default function ReservationController(reservationService, models) {
   // Initialize membership helpers if models are provided
@@ -13,6 +15,7 @@ export default function ReservationController(reservationService, models) {
   /**
    * POST /reservations
    * Creates a new reservation with race condition protection
+   * Optional body.hold_token converts a hold from POST /reservations/holds
    */
   const create = async (req, res) => {
     try {
@@ -39,14 +42,17 @@ export default function ReservationController(reservationService, models) {
 
         return res.status(409).json({
           error: error.message || 'Ce créneau horaire a déjà été réservé. Veuillez choisir un autre créneau.',
-          code: 'SLOT_ALREADY_BOOKED'
+          code: ['HOLD_EXPIRED', 'TERRAIN_CLOSED'].includes(error.code) ? error.code : 'SLOT_ALREADY_BOOKED',
+          // Full slot: the client can offer POST /api/waitlist instead
+          canJoinWaitlist: error.code === 'SLOT_FULL'
         });
       }
 
       // ════════════════════════════════════════════════════════════════════════
       // HTTP 400 BAD REQUEST - Validation errors
       // ════════════════════════════════════════════════════════════════════════
-      if (error.message?.includes('Insufficient balance') ||
+      if (error.statusCode === 400 ||
+        error.message?.includes('Insufficient balance') ||
         error.message?.includes('Rating range') ||
         error.message?.includes('borne minimale') ||
         error.message?.includes('borne maximale') ||
@@ -148,6 +154,12 @@ export default function ReservationController(reservationService, models) {
       if (error.message === 'Reservation not found') {
         return res.status(404).json({ error: error.message });
       }
+      if (error.statusCode === 400) {
+        return res.status(400).json({ error: error.message, code: error.code });
+      }
+      if (error.statusCode === 409) {
+        return res.status(409).json({ error: error.message, code: error.code, players: error.players });
+      }
       return res.status(500).json({ error: 'Failed to update reservation' });
     }
   };
@@ -193,11 +205,74 @@ export default function ReservationController(reservationService, models) {
       if (error.message?.includes('not a participant')) {
         return res.status(403).json({ error: error.message });
       }
+      if (error.statusCode === 409) {
+        return res.status(409).json({ error: error.message, code: error.code });
+      }
 
       return res.status(500).json({ error: 'Failed to cancel reservation' });
     }
   };
 
+  /**
+   * GET /reservations/:id/cancellation-quote
+   * What cancelling now would do for the current user (allowed? refund %?)
+   */
+  const getCancellationQuote = async (req, res) => {
+    try {
+      const quote = await reservationService.getCancellationQuote(req.params.id, req.user.id);
+      return res.status(200).json(quote);
+    } catch (error) {
+      console.error('[ReservationController] CancellationQuote error:', error.message);
+
+      if (error.message === 'Reservation not found') {
+        return res.status(404).json({ error: error.message });
+      }
+      return res.status(500).json({ error: 'Failed to compute cancellation quote' });
+    }
+  };
+
+  /**
+   * GET /reservations/:id/teams/suggestion
+   * Team split of a full match minimizing the rating gap
+   */
+  const suggestTeams = async (req, res) => {
+    try {
+      const suggestion = await reservationService.suggestTeams(req.params.id);
+      return res.status(200).json(suggestion);
+    } catch (error) {
+      console.error('[ReservationController] SuggestTeams error:', error.message);
+
+      if (error.message === 'Reservation not found') {
+        return res.status(404).json({ error: error.message });
+      }
+      if (error.statusCode === 409) {
+        return res.status(409).json({ error: error.message, code: error.code });
+      }
+      return res.status(500).json({ error: 'Failed to suggest teams' });
+    }
+  };
+
+  /**
+   * POST /reservations/:id/teams/apply
+   * Creator only: reassign participant.team to the suggested split
+   */
+  const applyTeamSuggestion = async (req, res) => {
+    try {
+      const result = await reservationService.applyTeamSuggestion(req.params.id, req.user.id);
+      return res.status(200).json(result);
+    } catch (error) {
+      console.error('[ReservationController] ApplyTeamSuggestion error:', error.message);
+
+      if (error.message === 'Reservation not found') {
+        return res.status(404).json({ error: error.message });
+      }
+      if (error.statusCode === 403 || error.statusCode === 409) {
+        return res.status(error.statusCode).json({ error: error.message, code: error.code });
+      }
+      return res.status(500).json({ error: 'Failed to apply team suggestion' });
+    }
+  };
+
   /**
    * POST /reservations/process-refunds
    * Admin endpoint to process batch refunds
@@ -212,8 +287,17 @@ export default function ReservationController(reservationService, models) {
     }
   };
 
+  // Club from the route: either given directly or resolved from the terrain
+  const resolveClubId = async ({ clubId, terrainId }) => {
+    if (terrainId) {
+      return await getClubIdForTerrain(models, terrainId);
+    }
+    return clubId;
+  };
+
   /**
    * GET /reservations/date-range/:userId/:clubId
+   * GET /reservations/date-range/:userId/terrain/:terrainId
    * Get available date range for user based on membership
    */
   const getDateRange = async (req, res) => {
@@ -222,8 +306,8 @@ export default function ReservationController(reservationService, models) {
         return res.status(500).json({ error: 'Membership helpers not initialized' });
       }
 
-      const { userId, clubId } = req.params;
-      const dateRange = await membershipHelpers.getAvailableDateRange(userId, clubId);
+      const clubId = await resolveClubId(req.params);
+      const dateRange = await membershipHelpers.getAvailableDateRange(req.params.userId, clubId);
       return res.status(200).json(dateRange);
     } catch (error) {
       console.error('[ReservationController] GetDateRange error:', error.message);
@@ -233,6 +317,7 @@ export default function ReservationController(reservationService, models) {
 
   /**
    * GET /reservations/can-create-open/:userId/:clubId
+   * GET /reservations/can-create-open/:userId/terrain/:terrainId
    * Check if user can create open match based on membership
    */
   const canCreateOpenMatch = async (req, res) => {
@@ -241,8 +326,8 @@ export default function ReservationController(reservationService, models) {
         return res.status(500).json({ error: 'Membership helpers not initialized' });
       }
 
-      const { userId, clubId } = req.params;
-      const permission = await membershipHelpers.canCreateOpenMatch(userId, clubId);
+      const clubId = await resolveClubId(req.params);
+      const permission = await membershipHelpers.canCreateOpenMatch(req.params.userId, clubId);
       return res.status(200).json(permission);
     } catch (error) {
       console.error('[ReservationController] CanCreateOpenMatch error:', error.message);
@@ -255,6 +340,14 @@ export default function ReservationController(reservationService, models) {
   // SCORE MANAGEMENT (NEW)
   // ════════════════════════════════════════════════════════════════════════════
 
+  /**
+   * GET /reservations/match-formats
+   * Formats a match can be played in (reservation.match_format)
+   */
+  const findMatchFormats = async (req, res) => {
+    return res.status(200).json(listMatchFormats());
+  };
+
   /**
    * PUT /reservations/:id/score
    */
@@ -271,6 +364,9 @@ export default function ReservationController(reservationService, models) {
     } catch (error) {
       console.error('[ReservationController] UpdateScore error:', error.message);
 
+      if (error.statusCode === 409) {
+        return res.status(409).json({ error: error.message, code: error.code });
+      }
       if (error.message.includes('not found')) {
         return res.status(404).json({ error: error.message });
       }
@@ -285,6 +381,93 @@ export default function ReservationController(reservationService, models) {
     }
   };
 
+  // Dispute endpoints: service errors carry statusCode / code
+  const sendScoreError = (res, error, fallback) => {
+    if (error.message?.includes('not found')) {
+      return res.status(404).json({ error: error.message });
+    }
+    if ([403, 409].includes(error.statusCode)) {
+      return res.status(error.statusCode).json({ error: error.message, code: error.code });
+    }
+    if (error.message?.includes('Invalid') || error.message?.includes('required')) {
+      return res.status(400).json({ error: error.message });
+    }
+    return res.status(500).json({ error: fallback });
+  };
+
+  /**
+   * GET /reservations/:id/score/dispute
+   * Submissions, votes per score and status
+   */
+  const getScoreDispute = async (req, res) => {
+    try {
+      const dispute = await reservationService.getScoreDispute(req.params.id);
+      return res.status(200).json(dispute);
+    } catch (error) {
+      console.error('[ReservationController] GetScoreDispute error:', error.message);
+      return sendScoreError(res, error, 'Failed to fetch score dispute');
+    }
+  };
+
+  /**
+   * GET /reservations/:id/score/submissions
+   * History of the proposed scores, the accepted one flagged
+   */
+  const findScoreSubmissions = async (req, res) => {
+    try {
+      const history = await reservationService.findScoreSubmissions(req.params.id);
+      return res.status(200).json(history);
+    } catch (error) {
+      console.error('[ReservationController] FindScoreSubmissions error:', error.message);
+      return sendScoreError(res, error, 'Failed to fetch score submissions');
+    }
+  };
+
+  /**
+   * POST /reservations/:id/score/votes
+   * Body: { submission_id }
+   */
+  const voteScore = async (req, res) => {
+    try {
+      if (!req.body?.submission_id) {
+        return res.status(400).json({ error: 'submission_id is required' });
+      }
+      const result = await reservationService.voteScore(req.params.id, req.user.id, req.body.submission_id);
+      return res.status(200).json(result);
+    } catch (error) {
+      console.error('[ReservationController] VoteScore error:', error.message);
+      return sendScoreError(res, error, 'Failed to vote');
+    }
+  };
+
+  /**
+   * GET /reservations/score-disputes?clubId= (admin)
+   * Disputes escalated to the club
+   */
+  const findEscalatedDisputes = async (req, res) => {
+    try {
+      const queue = await reservationService.findEscalatedDisputes({ clubId: req.query.clubId });
+      return res.status(200).json(queue);
+    } catch (error) {
+      console.error('[ReservationController] FindEscalatedDisputes error:', error.message);
+      return sendScoreError(res, error, 'Failed to fetch score disputes');
+    }
+  };
+
+  /**
+   * POST /reservations/:id/score/resolve (admin)
+   * Body: { submission_id } or { set1, set2, set3?, set3_mode? }
+   */
+  const resolveScoreDispute = async (req, res) => {
+    try {
+      const result = await reservationService.resolveScoreDispute(req.params.id, req.user.id, req.body);
+      return res.status(200).json(result);
+    } catch (error) {
+      console.error('[ReservationController] ResolveScoreDispute error:', error.message);
+      return sendScoreError(res, error, 'Failed to resolve score dispute');
+    }
+  };
+
   /**
    * POST /reservations/finalize-pending-scores
    */
@@ -301,7 +484,7 @@ export default function ReservationController(reservationService, models) {
   /**
    * POST /reservations/validate-cancellation
    * Validate if user can cancel based on membership timing rules
-   * Body: { userId, clubId, matchDate, matchTime }
+   * Body: { userId, clubId | terrainId, matchDate, matchTime }
    */
   const validateCancellation = async (req, res) => {
     try {
@@ -309,12 +492,14 @@ export default function ReservationController(reservationService, models) {
         return res.status(500).json({ error: 'Membership helpers not initialized' });
       }
 
-      const { userId, clubId, matchDate, matchTime } = req.body;
+      const { userId, matchDate, matchTime } = req.body;
 
-      if (!userId || !clubId || !matchDate) {
-        return res.status(400).json({ error: 'userId, clubId, and matchDate are required' });
+      if (!userId || !(req.body.clubId || req.body.terrainId) || !matchDate) {
+        return res.status(400).json({ error: 'userId, clubId (or terrainId), and matchDate are required' });
       }
 
+      const clubId = await resolveClubId(req.body);
+
       const validation = await membershipHelpers.validateCancellationTiming(
         userId,
         clubId,
@@ -339,11 +524,20 @@ export default function ReservationController(reservationService, models) {
     update,
     remove,
     cancel,
+    getCancellationQuote,
+    suggestTeams,
+    applyTeamSuggestion,
     processRefunds,
     getDateRange,
     canCreateOpenMatch,
     validateCancellation,
     updateScore,
     finalizePendingScores,
+    findMatchFormats,
+    getScoreDispute,
+    findScoreSubmissions,
+    voteScore,
+    findEscalatedDisputes,
+    resolveScoreDispute,
   };
 }
\ No newline at end of file
@@ -0,0 +1,135 @@
+/**
+ * ════════════════════════════════════════════════════════════════════════════════
+ * RESERVATION SERIES CONTROLLER - Recurring weekly bookings
+ * ════════════════════════════════════════════════════════════════════════════════
+ */
+
+export default function ReservationSeriesController(seriesService) {
+
+  /**
+   * POST /reservations/series
+   * Body: { id_plage_horaire, start_date, frequency, end_date | occurrences, typer, ... }
+   */
+  const create = async (req, res) => {
+    try {
+      const data = {
+        ...req.body,
+        id_utilisateur: req.user.id
+      };
+
+      const result = await seriesService.createSeries(data);
+      return res.status(201).json(result);
+
+    } catch (error) {
+      console.error('[ReservationSeriesController] Create error:', error.message);
+
+      if (error.statusCode === 409) {
+        return res.status(409).json({
+          error: error.message,
+          code: 'SERIES_UNAVAILABLE',
+          conflicts: error.conflicts || []
+        });
+      }
+
+      if (error.message?.includes('required') ||
+        error.message?.includes('Invalid') ||
+        error.message?.includes('Solde insuffisant') ||
+        error.message?.includes('not found')) {
+        return res.status(400).json({
+          error: error.message,
+          code: 'VALIDATION_ERROR'
+        });
+      }
+
+      return res.status(500).json({
+        error: 'Une erreur est survenue lors de la création de l\'abonnement.',
+        code: 'INTERNAL_ERROR'
+      });
+    }
+  };
+
+  /**
+   * GET /reservations/series/me
+   */
+  const findMine = async (req, res) => {
+    try {
+      const series = await seriesService.findByUserId(req.user.id);
+      return res.status(200).json(series);
+    } catch (error) {
+      console.error('[ReservationSeriesController] FindMine error:', error.message);
+      return res.status(500).json({ error: 'Failed to fetch series' });
+    }
+  };
+
+  /**
+   * GET /reservations/series/:id
+   */
+  const findById = async (req, res) => {
+    try {
+      const series = await seriesService.findById(req.params.id);
+      if (!series) {
+        return res.status(404).json({ error: 'Series not found' });
+      }
+      return res.status(200).json(series);
+    } catch (error) {
+      console.error('[ReservationSeriesController] FindById error:', error.message);
+      return res.status(500).json({ error: 'Failed to fetch series' });
+    }
+  };
+
+  /**
+   * PUT /reservations/series/:id/occurrences/:reservationId/cancel
+   */
+  const cancelOccurrence = async (req, res) => {
+    try {
+      const userId = req.user.id;
+      const reservation = await seriesService.cancelOccurrence(req.params.id, req.params.reservationId, userId);
+      return res.status(200).json(reservation);
+    } catch (error) {
+      console.error('[ReservationSeriesController] CancelOccurrence error:', error.message);
+
+      if (error.message === 'Reservation not found') {
+        return res.status(404).json({ error: error.message });
+      }
+      if (error.message?.includes('not a participant')) {
+        return res.status(403).json({ error: error.message });
+      }
+      if (error.statusCode === 409) {
+        return res.status(409).json({ error: error.message });
+      }
+
+      return res.status(500).json({ error: 'Failed to cancel reservation' });
+    }
+  };
+
+  /**
+   * PUT /reservations/series/:id/cancel
+   * Cancels every remaining occurrence of the series
+   */
+  const cancelSeries = async (req, res) => {
+    try {
+      const userId = req.user.id;
+      const result = await seriesService.cancelSeries(req.params.id, userId);
+      return res.status(200).json(result);
+    } catch (error) {
+      console.error('[ReservationSeriesController] CancelSeries error:', error.message);
+
+      if (error.message === 'Series not found') {
+        return res.status(404).json({ error: error.message });
+      }
+      if (error.statusCode === 403) {
+        return res.status(403).json({ error: error.message });
+      }
+
+      return res.status(500).json({ error: 'Failed to cancel series' });
+    }
+  };
+
+  return {
+    create,
+    findMine,
+    findById,
+    cancelOccurrence,
+    cancelSeries,
+  };
+}
@@ -0,0 +1,74 @@
+/**
+ * ════════════════════════════════════════════════════════════════════════════════
+ * SLOT HOLD CONTROLLER - Temporary holds during checkout
+ * ════════════════════════════════════════════════════════════════════════════════
+ */
+
+export default function SlotHoldController(slotHoldService) {
+
+  /**
+   * POST /reservations/holds
+   * Body: { id_plage_horaire, date }
+   * Returns the hold token to send as `hold_token` with POST /reservations
+   */
+  const create = async (req, res) => {
+    try {
+      const hold = await slotHoldService.createHold({
+        id_plage_horaire: req.body.id_plage_horaire,
+        date: req.body.date,
+        id_utilisateur: req.user.id
+      });
+      return res.status(201).json(hold);
+    } catch (error) {
+      console.error('[SlotHoldController] Create error:', error.message);
+
+      if (error.statusCode === 409) {
+        return res.status(409).json({ error: error.message, code: error.code, canJoinWaitlist: error.code === 'SLOT_FULL' });
+      }
+      if (error.message?.includes('required') || error.message?.includes('not found')) {
+        return res.status(400).json({ error: error.message, code: 'VALIDATION_ERROR' });
+      }
+      return res.status(500).json({ error: 'Failed to hold slot' });
+    }
+  };
+
+  /**
+   * GET /reservations/holds/:token
+   */
+  const findOne = async (req, res) => {
+    try {
+      const hold = await slotHoldService.getHold(req.params.token, req.user.id);
+      return res.status(200).json(hold);
+    } catch (error) {
+      console.error('[SlotHoldController] FindOne error:', error.message);
+
+      if (error.message === 'Hold not found') {
+        return res.status(404).json({ error: error.message });
+      }
+      return res.status(500).json({ error: 'Failed to fetch hold' });
+    }
+  };
+
+  /**
+   * DELETE /reservations/holds/:token
+   */
+  const release = async (req, res) => {
+    try {
+      const hold = await slotHoldService.releaseHold(req.params.token, req.user.id);
+      return res.status(200).json(hold);
+    } catch (error) {
+      console.error('[SlotHoldController] Release error:', error.message);
+
+      if (error.message === 'Hold not found') {
+        return res.status(404).json({ error: error.message });
+      }
+      return res.status(500).json({ error: 'Failed to release hold' });
+    }
+  };
+
+  return {
+    create,
+    findOne,
+    release,
+  };
+}
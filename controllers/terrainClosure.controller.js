@@ -0,0 +1,70 @@
+/**
+ * ════════════════════════════════════════════════════════════════════════════════
+ * TERRAIN CLOSURE CONTROLLER - Court closures and maintenance blackouts
+ * ════════════════════════════════════════════════════════════════════════════════
+ */
+
+export default function TerrainClosureController(terrainClosureService) {
+
+  /**
+   * POST /terrain-closures (admin)
+   * Body: { id_terrain, start_at, end_at, reason }
+   */
+  const create = async (req, res) => {
+    try {
+      const result = await terrainClosureService.createClosure({
+        ...req.body,
+        created_by: req.user?.id
+      });
+      return res.status(201).json(result);
+    } catch (error) {
+      console.error('[TerrainClosureController] Create error:', error.message);
+
+      if (error.message === 'Terrain not found') {
+        return res.status(404).json({ error: error.message });
+      }
+      if (error.message?.includes('Invalid') || error.message?.includes('required')) {
+        return res.status(400).json({ error: error.message, code: 'VALIDATION_ERROR' });
+      }
+      return res.status(500).json({ error: 'Failed to close terrain' });
+    }
+  };
+
+  /**
+   * GET /terrain-closures/terrain/:terrainId?includePast=true
+   */
+  const findByTerrain = async (req, res) => {
+    try {
+      const closures = await terrainClosureService.findByTerrain(req.params.terrainId, {
+        includePast: req.query.includePast === 'true'
+      });
+      return res.status(200).json(closures);
+    } catch (error) {
+      console.error('[TerrainClosureController] FindByTerrain error:', error.message);
+      return res.status(500).json({ error: 'Failed to fetch closures' });
+    }
+  };
+
+  /**
+   * DELETE /terrain-closures/:id (admin)
+   */
+  const lift = async (req, res) => {
+    try {
+      const closure = await terrainClosureService.liftClosure(req.params.id);
+      return res.status(200).json(closure);
+    } catch (error) {
+      console.error('[TerrainClosureController] Lift error:', error.message);
+
+      if (error.message === 'Closure not found') {
+        return res.status(404).json({ error: error.message });
+      }
+      return res.status(500).json({ error: 'Failed to lift closure' });
+    }
+  };
+
+  return {
+    create,
+    findByTerrain,
+    lift,
+  };
+}
@@ -0,0 +1,75 @@
+/**
+ * ════════════════════════════════════════════════════════════════════════════════
+ * TERRAIN SCHEDULE CONTROLLER - Opening-hours templates and slot generation
+ * ════════════════════════════════════════════════════════════════════════════════
+ */
+
+export default function TerrainScheduleController(terrainScheduleService) {
+
+  /**
+   * GET /terrain-schedules/:terrainId
+   */
+  const findByTerrain = async (req, res) => {
+    try {
+      const schedule = await terrainScheduleService.getSchedule(req.params.terrainId);
+      if (!schedule) {
+        return res.status(404).json({ error: 'Schedule not found' });
+      }
+      return res.status(200).json(schedule);
+    } catch (error) {
+      console.error('[TerrainScheduleController] FindByTerrain error:', error.message);
+      return res.status(500).json({ error: 'Failed to fetch schedule' });
+    }
+  };
+
+  /**
+   * PUT /terrain-schedules/:terrainId (admin)
+   * Body: { open_time, close_time, slot_duration_minutes, default_price, capacity, closed_days, days_ahead, active }
+   */
+  const upsert = async (req, res) => {
+    try {
+      const schedule = await terrainScheduleService.upsertSchedule(req.params.terrainId, req.body);
+      return res.status(200).json(schedule);
+    } catch (error) {
+      console.error('[TerrainScheduleController] Upsert error:', error.message);
+
+      if (error.message === 'Terrain not found') {
+        return res.status(404).json({ error: error.message });
+      }
+      if (error.message?.includes('Invalid') || error.message?.includes('required')) {
+        return res.status(400).json({ error: error.message, code: 'VALIDATION_ERROR' });
+      }
+      return res.status(500).json({ error: 'Failed to save schedule' });
+    }
+  };
+
+  /**
+   * POST /terrain-schedules/:terrainId/generate (admin)
+   * Body: { days?, sync? }
+   */
+  const generate = async (req, res) => {
+    try {
+      const summary = await terrainScheduleService.generateSlots(req.params.terrainId, {
+        days: req.body?.days,
+        sync: req.body?.sync === true
+      });
+      return res.status(200).json(summary);
+    } catch (error) {
+      console.error('[TerrainScheduleController] Generate error:', error.message);
+
+      if (error.message === 'Schedule not found') {
+        return res.status(404).json({ error: error.message });
+      }
+      if (error.message?.includes('Invalid')) {
+        return res.status(400).json({ error: error.message, code: 'VALIDATION_ERROR' });
+      }
+      return res.status(500).json({ error: 'Failed to generate slots' });
+    }
+  };
+
+  return {
+    findByTerrain,
+    upsert,
+    generate,
+  };
+}
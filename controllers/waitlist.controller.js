@@ -0,0 +1,107 @@
+/**
+ * ════════════════════════════════════════════════════════════════════════════════
+ * WAITLIST CONTROLLER - Queue for full slots
+ * ════════════════════════════════════════════════════════════════════════════════
+ */
+
+export default function WaitlistController(waitlistService) {
+
+  /**
+   * POST /waitlist
+   * Body: { id_plage_horaire, date }
+   */
+  const join = async (req, res) => {
+    try {
+      const entry = await waitlistService.join({
+        ...req.body,
+        id_utilisateur: req.user.id
+      });
+      return res.status(201).json(entry);
+    } catch (error) {
+      console.error('[WaitlistController] Join error:', error.message);
+
+      if (error.statusCode === 409) {
+        return res.status(409).json({ error: error.message, code: 'ALREADY_WAITING' });
+      }
+      if (error.message?.includes('required') || error.message?.includes('not found')) {
+        return res.status(400).json({ error: error.message, code: 'VALIDATION_ERROR' });
+      }
+      return res.status(500).json({ error: 'Failed to join waitlist' });
+    }
+  };
+
+  /**
+   * GET /waitlist/me
+   */
+  const findMine = async (req, res) => {
+    try {
+      const entries = await waitlistService.findByUserId(req.user.id);
+      return res.status(200).json(entries);
+    } catch (error) {
+      console.error('[WaitlistController] FindMine error:', error.message);
+      return res.status(500).json({ error: 'Failed to fetch waitlist' });
+    }
+  };
+
+  /**
+   * GET /waitlist/slot/:plageHoraireId/:date
+   */
+  const getQueue = async (req, res) => {
+    try {
+      const entries = await waitlistService.getQueue(req.params.plageHoraireId, req.params.date);
+      return res.status(200).json(entries);
+    } catch (error) {
+      console.error('[WaitlistController] GetQueue error:', error.message);
+      return res.status(500).json({ error: 'Failed to fetch waitlist' });
+    }
+  };
+
+  /**
+   * DELETE /waitlist/:id
+   */
+  const leave = async (req, res) => {
+    try {
+      const entry = await waitlistService.leave(req.params.id, req.user.id);
+      return res.status(200).json(entry);
+    } catch (error) {
+      console.error('[WaitlistController] Leave error:', error.message);
+
+      if (error.message === 'Waitlist entry not found') {
+        return res.status(404).json({ error: error.message });
+      }
+      return res.status(500).json({ error: 'Failed to leave waitlist' });
+    }
+  };
+
+  /**
+   * POST /waitlist/:id/confirm
+   * Body: same payment fields as POST /reservations (typer, typepaiement, ...)
+   */
+  const confirm = async (req, res) => {
+    try {
+      const reservation = await waitlistService.confirm(req.params.id, req.user.id, req.body);
+      return res.status(201).json(reservation);
+    } catch (error) {
+      console.error('[WaitlistController] Confirm error:', error.message);
+
+      if (error.message === 'Waitlist entry not found') {
+        return res.status(404).json({ error: error.message });
+      }
+      if (error.statusCode === 409) {
+        return res.status(409).json({ error: error.message, code: 'OFFER_UNAVAILABLE' });
+      }
+      if (error.message?.includes('Solde insuffisant') || error.message?.includes('Rating range')) {
+        return res.status(400).json({ error: error.message, code: 'VALIDATION_ERROR' });
+      }
+      return res.status(500).json({ error: 'Failed to confirm waitlist offer' });
+    }
+  };
+
+  return {
+    join,
+    findMine,
+    getQueue,
+    leave,
+    confirm,
+  };
+}
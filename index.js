@@ -3,6 +3,7 @@ import 'dotenv/config';
 import express from 'express';
 import cors from 'cors';
 import { Sequelize } from 'sequelize';
+import pg from 'pg';
 import initModels from './models/init-models.js';
 import fs from 'fs';
 import path from 'path';
@@ -27,8 +28,41 @@ import matchRoutes from './routes/matchRoutes.js';
 import reservationUtilisateurRoutes from './routes/reservationUtilisateur.routes.js';
 import createVerificationEmailRoutes from './routes/emailVerification.route.js';
 import createMembershipRoutes from './routes/membership.routes.js'; // ✅ NEW: Membership routes
+import createReservationSeriesRoutes from './routes/reservationSeries.routes.js';
+import WaitlistService from './services/waitlist.service.js';
+import createWaitlistRoutes from './routes/waitlist.routes.js';
+import SlotHoldService from './services/slotHold.service.js';
+import createSlotHoldRoutes from './routes/slotHold.routes.js';
+import createCancellationPolicyRoutes from './routes/cancellationPolicy.routes.js';
+import createPricingRoutes from './routes/pricing.routes.js';
+import TerrainScheduleService from './services/terrainSchedule.service.js';
+import createTerrainScheduleRoutes from './routes/terrainSchedule.routes.js';
+import createTerrainClosureRoutes from './routes/terrainClosure.routes.js';
+import createClubRoutes from './routes/club.routes.js';
+import createOpenMatchRoutes from './routes/openMatch.routes.js';
+import MatchmakingService from './services/matchmaking.service.js';
+import createMatchmakingRoutes from './routes/matchmaking.routes.js';
+import MatchInvitationService from './services/matchInvitation.service.js';
+import createMatchInvitationRoutes from './routes/matchInvitation.routes.js';
+import createPositionSwapRoutes from './routes/positionSwap.routes.js';
+import ReplacementService from './services/replacement.service.js';
+import createReplacementRoutes from './routes/replacement.routes.js';
+import GuestService from './services/guest.service.js';
+import createGuestRoutes from './routes/guest.routes.js';
+import RatingHistoryService from './services/ratingHistory.service.js';
+import RatingDecayService from './services/ratingDecay.service.js';
+import RatingJobService from './services/ratingJob.service.js';
+import RatingSimulatorService from './services/ratingSimulator.service.js';
+import createRatingSimulatorRoutes from './routes/ratingSimulator.routes.js';
+import createRatingHistoryRoutes from './routes/ratingHistory.routes.js';
+import RatingAssessmentService from './services/ratingAssessment.service.js';
+import createRatingAssessmentRoutes from './routes/ratingAssessment.routes.js';
+import { DB_TIMEZONE, registerTimestampParser } from './utils/timezone.js';
 import { addNotification, getNotificationsForUser, markNotificationRead, markAllNotificationsRead, deleteNotification, deleteAllNotifications, setNotificationModels } from './utils/notificationBus.js';
 
+// TIMESTAMP columns hold DB_TIMEZONE wall-clock values, not server-local ones
+registerTimestampParser(pg.types);
+
 // Initialize Sequelize
 const sequelize = new Sequelize(
   process.env.DB_NAME,
@@ -39,7 +73,9 @@ const sequelize = new Sequelize(
     port: process.env.DB_PORT,
     dialect: 'postgres',
     logging: false,
-    timezone: '+01:00', // Africa/Algiers timezone (CET/UTC+1)
+    // Offset TIMESTAMP columns are written in; read back with the same offset
+    // (registerTimestampParser) so the server's own timezone never matters
+    timezone: DB_TIMEZONE,
     dialectOptions: {
       useUTC: false, // Don't use UTC for TIME fields
     },
@@ -55,6 +91,21 @@ setNotificationModels(models);
 // ✅ ADD ASSOCIATIONS HERE - After models are initialized
 console.log('🔗 Setting up model associations...');
 
+// Terrain belongs to Club
+if (models.terrain && models.club) {
+  models.terrain.belongsTo(models.club, {
+    foreignKey: 'id_club',
+    as: 'club'
+  });
+
+  models.club.hasMany(models.terrain, {
+    foreignKey: 'id_club',
+    as: 'terrains'
+  });
+
+  console.log('✅ Terrain <-> Club association created');
+}
+
 // PlageHoraire belongs to Terrain
 if (models.plage_horaire && models.terrain) {
   models.plage_horaire.belongsTo(models.terrain, {
@@ -156,6 +207,168 @@ if (models.reservation && models.plage_horaire) {
   console.log('✅ Reservation <-> PlageHoraire association created');
 }
 
+// Recurring reservation series -> occurrences
+if (models.reservation_series && models.reservation) {
+  models.reservation_series.hasMany(models.reservation, {
+    foreignKey: 'id_series',
+    as: 'occurrences'
+  });
+
+  models.reservation.belongsTo(models.reservation_series, {
+    foreignKey: 'id_series',
+    as: 'series'
+  });
+
+  console.log('✅ ReservationSeries <-> Reservation association created');
+}
+
+// Waitlist entries -> slot and user
+if (models.waitlist_entry) {
+  models.waitlist_entry.belongsTo(models.plage_horaire, {
+    foreignKey: 'id_plage_horaire',
+    as: 'plage_horaire'
+  });
+
+  models.waitlist_entry.belongsTo(models.utilisateur, {
+    foreignKey: 'id_utilisateur',
+    as: 'utilisateur'
+  });
+
+  console.log('✅ WaitlistEntry associations created');
+}
+
+// Matchmaking requests -> player and booked match
+if (models.matchmaking_request) {
+  models.matchmaking_request.belongsTo(models.utilisateur, {
+    foreignKey: 'id_utilisateur',
+    as: 'utilisateur'
+  });
+
+  models.matchmaking_request.belongsTo(models.reservation, {
+    foreignKey: 'id_reservation',
+    as: 'reservation'
+  });
+
+  console.log('✅ MatchmakingRequest associations created');
+}
+
+// Invitations -> private match, inviter and invitee
+if (models.match_invitation) {
+  models.match_invitation.belongsTo(models.reservation, {
+    foreignKey: 'id_reservation',
+    as: 'reservation'
+  });
+
+  models.match_invitation.belongsTo(models.utilisateur, {
+    foreignKey: 'id_inviter',
+    as: 'inviter'
+  });
+
+  models.match_invitation.belongsTo(models.utilisateur, {
+    foreignKey: 'id_invitee',
+    as: 'invitee'
+  });
+
+  models.reservation.hasMany(models.match_invitation, {
+    foreignKey: 'id_reservation',
+    as: 'invitations'
+  });
+
+  console.log('✅ MatchInvitation associations created');
+}
+
+// Replacement requests -> match, leaving player
+if (models.replacement_request) {
+  models.replacement_request.belongsTo(models.reservation, {
+    foreignKey: 'id_reservation',
+    as: 'reservation'
+  });
+
+  models.replacement_request.belongsTo(models.utilisateur, {
+    foreignKey: 'id_leaver',
+    as: 'leaver'
+  });
+
+  console.log('✅ ReplacementRequest associations created');
+}
+
+// Score submissions -> match, author; votes -> submission
+if (models.score_submission) {
+  models.score_submission.belongsTo(models.reservation, {
+    foreignKey: 'id_reservation',
+    as: 'reservation'
+  });
+
+  models.score_submission.belongsTo(models.utilisateur, {
+    foreignKey: 'id_submitter',
+    as: 'submitter'
+  });
+
+  models.reservation.belongsTo(models.score_submission, {
+    foreignKey: 'id_score_submission',
+    as: 'acceptedScore'
+  });
+
+  if (models.score_vote) {
+    models.score_vote.belongsTo(models.score_submission, {
+      foreignKey: 'id_submission',
+      as: 'submission'
+    });
+  }
+
+  console.log('✅ ScoreSubmission associations created');
+}
+
+// Rating history -> player, match
+if (models.rating_history) {
+  models.rating_history.belongsTo(models.utilisateur, {
+    foreignKey: 'id_utilisateur',
+    as: 'utilisateur'
+  });
+
+  models.rating_history.belongsTo(models.reservation, {
+    foreignKey: 'id_reservation',
+    as: 'reservation'
+  });
+
+  console.log('✅ RatingHistory associations created');
+}
+
+// Rating jobs -> match
+if (models.rating_job) {
+  models.rating_job.belongsTo(models.reservation, {
+    foreignKey: 'id_reservation',
+    as: 'reservation'
+  });
+
+  console.log('✅ RatingJob associations created');
+}
+
+// Onboarding assessments -> player, admin who reset it
+if (models.rating_assessment) {
+  models.rating_assessment.belongsTo(models.utilisateur, {
+    foreignKey: 'id_utilisateur',
+    as: 'utilisateur'
+  });
+
+  models.rating_assessment.belongsTo(models.utilisateur, {
+    foreignKey: 'id_reset_by',
+    as: 'resetBy'
+  });
+
+  console.log('✅ RatingAssessment associations created');
+}
+
+// Checkout holds -> slot
+if (models.slot_hold && models.plage_horaire) {
+  models.slot_hold.belongsTo(models.plage_horaire, {
+    foreignKey: 'id_plage_horaire',
+    as: 'plage_horaire'
+  });
+
+  console.log('✅ SlotHold -> PlageHoraire association created');
+}
+
 // Add Sequelize instance to models for use in routes (for Op operators)
 models.Sequelize = Sequelize;
 models.sequelize = sequelize;
@@ -163,6 +376,43 @@ models.sequelize = sequelize;
 const reservationService = ReservationService(models);
 const reservationController = ReservationController(reservationService, models); // Pass models for membership helpers
 
+// Waitlist: offer freed capacity to the next player in line
+const waitlistService = WaitlistService(models, reservationService);
+reservationService.onCapacityFreed(waitlistService.offerNext);
+
+// Checkout holds: capacity reserved between slot selection and payment
+const slotHoldService = SlotHoldService(models, reservationService);
+
+// Solo players grouped by four into balanced matches
+const matchmakingService = MatchmakingService(models, reservationService);
+
+// Private match invitations: positions held until the invitee answers
+const matchInvitationService = MatchInvitationService(models);
+
+// Leaving players handing their position over to a replacement
+const replacementService = ReplacementService(models, reservationService);
+
+// Guest players (no account) recorded into private matches
+const guestService = GuestService(models, reservationService);
+
+// Reliability erosion of inactive players (daily)
+const ratingDecayService = RatingDecayService(models);
+
+// Rating timeline of a player / rating changes of a match
+const ratingHistoryService = RatingHistoryService(models, ratingDecayService);
+
+// Durable queue of ratings to apply (retries, admin recompute)
+const ratingJobService = RatingJobService(models);
+
+// "What if" ratings of a hypothetical match (nothing written)
+const ratingSimulatorService = RatingSimulatorService(models);
+
+// Provisional level of new players (onboarding questionnaire)
+const ratingAssessmentService = RatingAssessmentService(models);
+
+// Opening-hours templates -> generated plage_horaire rows
+const terrainScheduleService = TerrainScheduleService(models);
+
 
 // Create Express app
 const app = express();
@@ -298,6 +548,7 @@ app.get('/api/reservation-utilisateur/code/:code', (req, res) => {
 
 app.use('/api/utilisateurs', createUtilisateurRoutes(models)); // login/register handled inside
 app.use('/api/terrains', createTerrainRoutes(models)); // public terrain info
+app.use('/api/clubs', createClubRoutes(models)); // public club info, admin writes inside
 app.use('/api/email', createVerificationEmailRoutes(models)); // email verification
 
 // 🔒 PROTECTED ROUTES (authentication required)
@@ -307,8 +558,25 @@ app.use('/api/disponibilites', authenticateToken, createDisponibiliteTerrainRout
 app.use('/api/plage-horaire', authenticateToken, createPlageHoraireRoutes(models));
 app.use('/api/notes', authenticateToken, createNoteUtilisateurRoutes(models));
 app.use('/api/participants', authenticateToken, createParticipantRoutes(models));
+// Must be mounted BEFORE /api/reservations so '/series' and '/holds' are not captured by '/:id'
+app.use('/api/reservations/series', authenticateToken, createReservationSeriesRoutes(models, reservationService));
+app.use('/api/reservations/holds', authenticateToken, createSlotHoldRoutes(slotHoldService));
 app.use('/api/reservations', authenticateToken, reservationRoutes(reservationController, null)); // notificationController is optional
 app.use('/api/matches', authenticateToken, matchRoutes(models));
+app.use('/api/open-matches', authenticateToken, createOpenMatchRoutes(models));
+app.use('/api/waitlist', authenticateToken, createWaitlistRoutes(waitlistService));
+app.use('/api/matchmaking', authenticateToken, createMatchmakingRoutes(matchmakingService));
+app.use('/api/invitations', authenticateToken, createMatchInvitationRoutes(matchInvitationService));
+app.use('/api/position-swaps', authenticateToken, createPositionSwapRoutes(models));
+app.use('/api/replacements', authenticateToken, createReplacementRoutes(replacementService));
+app.use('/api/guests', authenticateToken, createGuestRoutes(guestService));
+app.use('/api/rating-history', authenticateToken, createRatingHistoryRoutes(ratingHistoryService, ratingJobService));
+app.use('/api/rating-simulator', authenticateToken, createRatingSimulatorRoutes(ratingSimulatorService));
+app.use('/api/rating-assessment', authenticateToken, createRatingAssessmentRoutes(ratingAssessmentService));
+app.use('/api/cancellation-policies', authenticateToken, createCancellationPolicyRoutes(models));
+app.use('/api/pricing-rules', authenticateToken, createPricingRoutes(models));
+app.use('/api/terrain-schedules', authenticateToken, createTerrainScheduleRoutes(terrainScheduleService));
+app.use('/api/terrain-closures', authenticateToken, createTerrainClosureRoutes(models, reservationService));
 
 // 🔒 PROTECTED ROUTES for reservation-utilisateur operations
 app.use('/api/reservation-utilisateur', authenticateToken, reservationUtilisateurRoutes(models));
@@ -497,8 +765,69 @@ const PORT = process.env.PORT || 3001;
         } catch (err) {
           console.error('[Scheduler] Refund processing error:', err?.message);
         }
+        try {
+          await waitlistService.expireOffers();
+        } catch (err) {
+          console.error('[Scheduler] Waitlist expiry error:', err?.message);
+        }
+        try {
+          await slotHoldService.expireHolds();
+        } catch (err) {
+          console.error('[Scheduler] Slot hold expiry error:', err?.message);
+        }
+        try {
+          await matchInvitationService.expireInvitations();
+        } catch (err) {
+          console.error('[Scheduler] Invitation expiry error:', err?.message);
+        }
+        try {
+          await replacementService.expireRequests();
+        } catch (err) {
+          console.error('[Scheduler] Replacement expiry error:', err?.message);
+        }
+        try {
+          await reservationService.escalateScoreDisputes();
+        } catch (err) {
+          console.error('[Scheduler] Score dispute escalation error:', err?.message);
+        }
+        try {
+          await ratingJobService.processJobs();
+        } catch (err) {
+          console.error('[Scheduler] Rating jobs error:', err?.message);
+        }
+        try {
+          await matchmakingService.runMatcher();
+        } catch (err) {
+          console.error('[Scheduler] Matchmaking error:', err?.message);
+        }
       }, intervalMs);
       console.log(`⏱️ Refund scheduler started (interval=${intervalMs}ms)`);
+
+      // Slot generator: keep every terrain schedule materialized N days ahead
+      const generateSlots = async () => {
+        try {
+          await terrainScheduleService.generateAll();
+        } catch (err) {
+          console.error('[Scheduler] Slot generation error:', err?.message);
+        }
+      };
+      const slotGenerationMs = Number(process.env.SLOT_GENERATION_INTERVAL_MS || 24 * 60 * 60 * 1000);
+      generateSlots();
+      setInterval(generateSlots, slotGenerationMs);
+      console.log(`⏱️ Slot generator started (interval=${slotGenerationMs}ms)`);
+
+      // Rating decay: lower the fiability of players inactive for too long
+      const decayRatings = async () => {
+        try {
+          await ratingDecayService.processInactivity();
+        } catch (err) {
+          console.error('[Scheduler] Rating decay error:', err?.message);
+        }
+      };
+      const ratingDecayMs = Number(process.env.RATING_DECAY_INTERVAL_MS || 24 * 60 * 60 * 1000);
+      decayRatings();
+      setInterval(decayRatings, ratingDecayMs);
+      console.log(`⏱️ Rating decay started (interval=${ratingDecayMs}ms)`);
     });
   } catch (err) {
     console.error('❌ Server startup failed:', err.message);
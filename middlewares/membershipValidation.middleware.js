@@ -5,6 +5,7 @@
  */
 
 import MembershipService from '../services/membership.service.js';
+import { getClubIdForTerrain } from '../utils/club.js';
 
 export default function createMembershipMiddleware(models) {
     const membershipService = MembershipService(models);
@@ -73,8 +74,8 @@ export default function createMembershipMiddleware(models) {
                 return next(); // Skip if no user/terrain provided
             }
 
-            // Use id_terrain as clubId (assuming terrain belongs to a club)
-            const membershipData = await membershipService.checkMembershipExpiry(id_utilisateur, id_terrain);
+            const clubId = await getClubIdForTerrain(models, id_terrain);
+            const membershipData = await membershipService.checkMembershipExpiry(id_utilisateur, clubId);
 
             let finalPrice = Number(prix_total || 0);
 
@@ -0,0 +1,24 @@
+-- ═══════════════════════════════════════════════════════════════════════════════
+-- Open-match constraints stored on the reservation
+-- (level range min / max is added by add_open_match_search.sql)
+-- ═══════════════════════════════════════════════════════════════════════════════
+
+ALTER TABLE reservation ADD COLUMN IF NOT EXISTS gender_restriction INTEGER;
+ALTER TABLE reservation ADD COLUMN IF NOT EXISTS match_mode TEXT DEFAULT 'competitive';
+ALTER TABLE reservation ADD COLUMN IF NOT EXISTS side_preference TEXT;
+
+ALTER TABLE reservation DROP CONSTRAINT IF EXISTS chk_reservation_match_mode;
+ALTER TABLE reservation ADD CONSTRAINT chk_reservation_match_mode
+  CHECK (match_mode IS NULL OR match_mode IN ('competitive', 'friendly'));
+
+ALTER TABLE reservation DROP CONSTRAINT IF EXISTS chk_reservation_side_preference;
+ALTER TABLE reservation ADD CONSTRAINT chk_reservation_side_preference
+  CHECK (side_preference IS NULL OR side_preference IN ('left', 'right'));
+
+ALTER TABLE reservation DROP CONSTRAINT IF EXISTS chk_reservation_level_range;
+ALTER TABLE reservation ADD CONSTRAINT chk_reservation_level_range
+  CHECK (min IS NULL OR max IS NULL OR min <= max);
+
+COMMENT ON COLUMN reservation.gender_restriction IS 'Open match: required utilisateur.gender of joiners, NULL = mixed';
+COMMENT ON COLUMN reservation.match_mode IS 'Open match: competitive | friendly';
+COMMENT ON COLUMN reservation.side_preference IS 'Open match: creator preferred side, left | right';
@@ -0,0 +1,16 @@
+-- ═══════════════════════════════════════════════════════════════════════════════
+-- Open-match search: level range of the match and supporting indexes
+-- ═══════════════════════════════════════════════════════════════════════════════
+
+ALTER TABLE reservation ADD COLUMN IF NOT EXISTS min DOUBLE PRECISION;
+ALTER TABLE reservation ADD COLUMN IF NOT EXISTS max DOUBLE PRECISION;
+
+-- Only open, active matches are searched
+CREATE INDEX IF NOT EXISTS idx_reservation_open_date
+  ON reservation(date, id_terrain)
+  WHERE typer = 2 AND COALESCE("isCancel", 0) = 0;
+
+CREATE INDEX IF NOT EXISTS idx_participant_reservation_team ON participant(id_reservation, team);
+
+COMMENT ON COLUMN reservation.min IS 'Open match: lowest player note accepted';
+COMMENT ON COLUMN reservation.max IS 'Open match: highest player note accepted';
@@ -0,0 +1,29 @@
+-- ═══════════════════════════════════════════════════════════════════════════════
+-- Guest participants: players without an account, recorded by name / phone
+-- ═══════════════════════════════════════════════════════════════════════════════
+
+ALTER TABLE participant ALTER COLUMN id_utilisateur DROP NOT NULL;
+
+ALTER TABLE participant ADD COLUMN IF NOT EXISTS guest_name TEXT;
+ALTER TABLE participant ADD COLUMN IF NOT EXISTS guest_phone TEXT;
+ALTER TABLE participant ADD COLUMN IF NOT EXISTS guest_claim_code TEXT;
+ALTER TABLE participant ADD COLUMN IF NOT EXISTS id_added_by BIGINT REFERENCES utilisateur(id) ON DELETE SET NULL;
+ALTER TABLE participant ADD COLUMN IF NOT EXISTS guest_claimed_at TIMESTAMP;
+
+ALTER TABLE participant DROP CONSTRAINT IF EXISTS chk_participant_user_or_guest;
+ALTER TABLE participant ADD CONSTRAINT chk_participant_user_or_guest
+  CHECK (id_utilisateur IS NOT NULL OR guest_name IS NOT NULL);
+
+CREATE UNIQUE INDEX IF NOT EXISTS uniq_participant_guest_claim_code
+ON participant (guest_claim_code)
+WHERE guest_claim_code IS NOT NULL;
+
+CREATE INDEX IF NOT EXISTS idx_participant_guest_phone
+ON participant (guest_phone)
+WHERE id_utilisateur IS NULL;
+
+COMMENT ON COLUMN participant.id_utilisateur IS 'NULL for a guest until they sign up and claim the participation';
+COMMENT ON COLUMN participant.guest_name IS 'Guest: name given by the creator / the club';
+COMMENT ON COLUMN participant.guest_claim_code IS 'Guest: code handed to the guest to claim this match once registered';
+COMMENT ON COLUMN participant.id_added_by IS 'Guest: creator or admin who recorded them';
+COMMENT ON COLUMN participant.guest_claimed_at IS 'Guest: when the participation was attached to an account';
@@ -0,0 +1,11 @@
+-- ═══════════════════════════════════════════════════════════════════════════════
+-- Rating decay: inactivity steps recorded in rating_history (source 'decay')
+-- ═══════════════════════════════════════════════════════════════════════════════
+
+-- Last activity of each player (scheduler) without reading the decay rows
+CREATE INDEX IF NOT EXISTS idx_rating_history_activity
+ON rating_history(id_utilisateur, date_creation DESC)
+WHERE source <> 'decay';
+
+COMMENT ON COLUMN rating_history.source IS 'match = confirmed match, assessment = onboarding questionnaire, decay = inactivity step (fiability lowered, note moved toward the mean)';
+COMMENT ON COLUMN rating_history.inputs IS 'Values the formula used: X, W, resultFactor, pointsConceded, teammate / opponents ratings and reliabilities (match); answers and points (assessment); step, inactiveDays, fiabilityLoss, minFiability, noteShare, mean (decay)';
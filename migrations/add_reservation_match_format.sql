@@ -0,0 +1,17 @@
+-- ═══════════════════════════════════════════════════════════════════════════════
+-- Match format of a reservation (sets / games / timed), see utils/matchFormats.js
+-- ═══════════════════════════════════════════════════════════════════════════════
+
+ALTER TABLE reservation ADD COLUMN IF NOT EXISTS match_format TEXT NOT NULL DEFAULT 'standard';
+ALTER TABLE reservation ADD COLUMN IF NOT EXISTS golden_point INTEGER NOT NULL DEFAULT 0;
+
+ALTER TABLE reservation DROP CONSTRAINT IF EXISTS chk_reservation_match_format;
+ALTER TABLE reservation ADD CONSTRAINT chk_reservation_match_format
+  CHECK (match_format IN ('standard', 'one_set', 'pro_set_9', 'short_sets_4', 'timed_90'));
+
+-- One-set and timed formats have no second set
+ALTER TABLE score_submission ALTER COLUMN set2_a DROP NOT NULL;
+ALTER TABLE score_submission ALTER COLUMN set2_b DROP NOT NULL;
+
+COMMENT ON COLUMN reservation.match_format IS 'standard (2 sets of 6) | one_set | pro_set_9 | short_sets_4 | timed_90';
+COMMENT ON COLUMN reservation.golden_point IS '1 = no advantage, deciding point at deuce (display only)';
@@ -0,0 +1,63 @@
+-- ═══════════════════════════════════════════════════════════════════════════════
+-- Score submissions: status of each proposal, reservation -> accepted submission
+-- ═══════════════════════════════════════════════════════════════════════════════
+
+ALTER TABLE score_submission ADD COLUMN IF NOT EXISTS status INTEGER NOT NULL DEFAULT 0;
+
+ALTER TABLE score_submission DROP CONSTRAINT IF EXISTS chk_score_submission_status;
+ALTER TABLE score_submission ADD CONSTRAINT chk_score_submission_status
+  CHECK (status IN (0, 1, 2, 3));
+
+ALTER TABLE reservation ADD COLUMN IF NOT EXISTS id_score_submission BIGINT
+  REFERENCES score_submission(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_score_submission_pending
+ON score_submission (id_reservation, status)
+WHERE status = 0;
+
+-- Backfill: scores entered before the history existed become one submission
+INSERT INTO score_submission (
+  id_reservation, id_submitter, source, status,
+  set1_a, set1_b, set2_a, set2_b, set3_a, set3_b,
+  supertiebreak, teamwin, date_creation
+)
+SELECT r.id, r.last_score_submitter, 'player',
+  CASE WHEN r.score_status IN (1, 2) THEN 1 ELSE 0 END,
+  r."Set1A", r."Set1B", r."Set2A", r."Set2B", r."Set3A", r."Set3B",
+  COALESCE(r.supertiebreak, 0), r.teamwin, COALESCE(r.last_score_update, CURRENT_TIMESTAMP)
+FROM reservation r
+WHERE r.score_status IS NOT NULL
+  AND r."Set1A" IS NOT NULL AND r."Set1B" IS NOT NULL
+  AND r."Set2A" IS NOT NULL AND r."Set2B" IS NOT NULL
+  AND r.teamwin IN (1, 2)
+  AND NOT EXISTS (SELECT 1 FROM score_submission s WHERE s.id_reservation = r.id);
+
+-- Confirmed scores point at the latest submission matching the columns
+UPDATE reservation r
+SET id_score_submission = s.id
+FROM (
+  SELECT DISTINCT ON (s.id_reservation) s.id, s.id_reservation
+  FROM score_submission s
+  JOIN reservation r2 ON r2.id = s.id_reservation
+  WHERE s.set1_a = r2."Set1A" AND s.set1_b = r2."Set1B"
+    AND s.set2_a = r2."Set2A" AND s.set2_b = r2."Set2B"
+    AND s.set3_a IS NOT DISTINCT FROM r2."Set3A" AND s.set3_b IS NOT DISTINCT FROM r2."Set3B"
+    AND s.teamwin = r2.teamwin
+  ORDER BY s.id_reservation, s.id DESC
+) s
+WHERE s.id_reservation = r.id
+  AND r.score_status IN (1, 2)
+  AND r.id_score_submission IS NULL;
+
+UPDATE score_submission s
+SET status = 1
+FROM reservation r
+WHERE r.id_score_submission = s.id AND s.status = 0;
+
+UPDATE score_submission s
+SET status = 3
+FROM reservation r
+WHERE r.id = s.id_reservation AND r.score_status IN (1, 2) AND s.status = 0;
+
+COMMENT ON COLUMN score_submission.status IS '0=pending, 1=accepted (same score as the final one), 2=superseded by a newer proposal of its author, 3=rejected (another score was accepted)';
+COMMENT ON COLUMN reservation.id_score_submission IS 'Submission the confirmed score comes from (NULL while pending or disputed)';
@@ -0,0 +1,17 @@
+-- ═══════════════════════════════════════════════════════════════════════════════
+-- Per-club cancellation policy (late cancellations and partial refunds)
+-- ═══════════════════════════════════════════════════════════════════════════════
+
+CREATE TABLE IF NOT EXISTS cancellation_policy (
+  id BIGSERIAL PRIMARY KEY,
+  id_club BIGINT NOT NULL UNIQUE,
+  allow_late_cancellation BOOLEAN NOT NULL DEFAULT FALSE,
+  late_refund_percent INTEGER NOT NULL DEFAULT 0 CHECK (late_refund_percent BETWEEN 0 AND 100),
+  date_creation TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  date_modif TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+COMMENT ON TABLE cancellation_policy IS 'What happens when a player cancels inside their membership cancellation window (cancellationHours)';
+COMMENT ON COLUMN cancellation_policy.id_club IS 'Club/Terrain ID - same key as membership.id_club';
+COMMENT ON COLUMN cancellation_policy.allow_late_cancellation IS 'FALSE = cancellation refused inside the window';
+COMMENT ON COLUMN cancellation_policy.late_refund_percent IS 'Share of the amount paid refunded inside the window (0..100)';
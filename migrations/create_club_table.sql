@@ -0,0 +1,92 @@
+-- ═══════════════════════════════════════════════════════════════════════════════
+-- Multi-club model: a club owns terrains, memberships, policies and pricing
+-- Until now a terrain id was used as the club id (membership.id_club,
+-- cancellation_policy.id_club). This migration introduces the club table and
+-- moves those rows to the club owning the terrain.
+-- ═══════════════════════════════════════════════════════════════════════════════
+
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS club (
+  id BIGSERIAL PRIMARY KEY,
+  name TEXT NOT NULL,
+  address TEXT,
+  wilaya TEXT,
+  timezone TEXT NOT NULL DEFAULT 'Africa/Algiers',
+  opening_hours JSONB,
+  phone TEXT,
+  email TEXT,
+  logo_url TEXT,
+  date_creation TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  date_modif TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Default club: every existing terrain belongs to it (memberships were bought with id_club = 1)
+INSERT INTO club (id, name) VALUES (1, 'Club principal') ON CONFLICT (id) DO NOTHING;
+SELECT setval(pg_get_serial_sequence('club', 'id'), GREATEST((SELECT MAX(id) FROM club), 1));
+
+-- ───────────────────────────────────────────────────────────────────────────────
+-- Terrains
+-- ───────────────────────────────────────────────────────────────────────────────
+ALTER TABLE terrain ADD COLUMN IF NOT EXISTS id_club BIGINT REFERENCES club(id);
+UPDATE terrain SET id_club = 1 WHERE id_club IS NULL;
+ALTER TABLE terrain ALTER COLUMN id_club SET NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_terrain_club ON terrain(id_club);
+
+-- ───────────────────────────────────────────────────────────────────────────────
+-- Memberships: id_club held a terrain id -> map to that terrain's club
+-- Keep the latest membership when several terrains map to the same club
+-- ───────────────────────────────────────────────────────────────────────────────
+WITH mapped AS (
+  SELECT m.id,
+         ROW_NUMBER() OVER (
+           PARTITION BY m.id_user, COALESCE(t.id_club, 1)
+           ORDER BY m.dateend DESC, m.id DESC
+         ) AS rn
+  FROM membership m
+  LEFT JOIN terrain t ON t.id = m.id_club
+)
+DELETE FROM membership WHERE id IN (SELECT id FROM mapped WHERE rn > 1);
+
+UPDATE membership m
+SET id_club = COALESCE((SELECT t.id_club FROM terrain t WHERE t.id = m.id_club), 1);
+
+ALTER TABLE membership DROP CONSTRAINT IF EXISTS fk_membership_club;
+ALTER TABLE membership ADD CONSTRAINT fk_membership_club FOREIGN KEY (id_club) REFERENCES club(id);
+
+-- ───────────────────────────────────────────────────────────────────────────────
+-- Cancellation policies: same mapping (one policy per club)
+-- ───────────────────────────────────────────────────────────────────────────────
+WITH mapped AS (
+  SELECT p.id,
+         ROW_NUMBER() OVER (
+           PARTITION BY COALESCE(t.id_club, 1)
+           ORDER BY p.date_modif DESC, p.id DESC
+         ) AS rn
+  FROM cancellation_policy p
+  LEFT JOIN terrain t ON t.id = p.id_club
+)
+DELETE FROM cancellation_policy WHERE id IN (SELECT id FROM mapped WHERE rn > 1);
+
+UPDATE cancellation_policy p
+SET id_club = COALESCE((SELECT t.id_club FROM terrain t WHERE t.id = p.id_club), 1);
+
+ALTER TABLE cancellation_policy DROP CONSTRAINT IF EXISTS fk_cancellation_policy_club;
+ALTER TABLE cancellation_policy ADD CONSTRAINT fk_cancellation_policy_club FOREIGN KEY (id_club) REFERENCES club(id);
+
+-- ───────────────────────────────────────────────────────────────────────────────
+-- Pricing rules: a rule targets one terrain or every terrain of a club
+-- ───────────────────────────────────────────────────────────────────────────────
+ALTER TABLE pricing_rule ALTER COLUMN id_terrain DROP NOT NULL;
+ALTER TABLE pricing_rule ADD COLUMN IF NOT EXISTS id_club BIGINT REFERENCES club(id) ON DELETE CASCADE;
+ALTER TABLE pricing_rule DROP CONSTRAINT IF EXISTS chk_pricing_rule_scope;
+ALTER TABLE pricing_rule ADD CONSTRAINT chk_pricing_rule_scope CHECK (id_terrain IS NOT NULL OR id_club IS NOT NULL);
+CREATE INDEX IF NOT EXISTS idx_pricing_rule_club ON pricing_rule(id_club, active);
+
+COMMENT ON TABLE club IS 'Padel club owning terrains; memberships, policies and pricing are scoped to it';
+COMMENT ON COLUMN club.timezone IS 'IANA time zone of the club (local match times)';
+COMMENT ON COLUMN club.opening_hours IS '{"0": {"open": "08:00", "close": "23:00"}, ...} - 0 = Sunday, missing day = closed';
+COMMENT ON COLUMN membership.id_club IS 'Club where the membership is valid';
+COMMENT ON COLUMN pricing_rule.id_club IS 'Club-wide rule when id_terrain is NULL';
+
+COMMIT;
@@ -0,0 +1,33 @@
+-- ═══════════════════════════════════════════════════════════════════════════════
+-- Direct invitations to private matches (typer = 1)
+-- ═══════════════════════════════════════════════════════════════════════════════
+
+CREATE TABLE IF NOT EXISTS match_invitation (
+  id BIGSERIAL PRIMARY KEY,
+  id_reservation BIGINT NOT NULL REFERENCES reservation(id) ON DELETE CASCADE,
+  id_inviter BIGINT NOT NULL REFERENCES utilisateur(id) ON DELETE CASCADE,
+  id_invitee BIGINT REFERENCES utilisateur(id) ON DELETE CASCADE,
+  contact_email TEXT,
+  contact_phone TEXT,
+  team INTEGER NOT NULL CHECK (team BETWEEN 0 AND 3),
+  status INTEGER NOT NULL DEFAULT 0 CHECK (status BETWEEN 0 AND 4),
+  expires_at TIMESTAMP NOT NULL,
+  id_participant BIGINT REFERENCES participant(id) ON DELETE SET NULL,
+  date_creation TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  date_modif TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  CHECK (id_invitee IS NOT NULL OR contact_email IS NOT NULL OR contact_phone IS NOT NULL)
+);
+
+CREATE INDEX IF NOT EXISTS idx_match_invitation_reservation ON match_invitation(id_reservation, status);
+CREATE INDEX IF NOT EXISTS idx_match_invitation_invitee ON match_invitation(id_invitee, status);
+CREATE INDEX IF NOT EXISTS idx_match_invitation_contact_email ON match_invitation(LOWER(contact_email)) WHERE id_invitee IS NULL;
+CREATE INDEX IF NOT EXISTS idx_match_invitation_contact_phone ON match_invitation(contact_phone) WHERE id_invitee IS NULL;
+
+-- A position is held by one pending invitation at a time
+CREATE UNIQUE INDEX IF NOT EXISTS uniq_match_invitation_pending_team
+ON match_invitation (id_reservation, team)
+WHERE status = 0;
+
+COMMENT ON TABLE match_invitation IS 'Players invited by the creator of a private match into a given position';
+COMMENT ON COLUMN match_invitation.status IS '0=pending, 1=accepted, 2=declined, 3=expired, 4=cancelled';
+COMMENT ON COLUMN match_invitation.expires_at IS 'The position is held for the invitee until then';
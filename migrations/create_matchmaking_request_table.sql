@@ -0,0 +1,35 @@
+-- ═══════════════════════════════════════════════════════════════════════════════
+-- Matchmaking queue for solo players
+-- ═══════════════════════════════════════════════════════════════════════════════
+
+CREATE TABLE IF NOT EXISTS matchmaking_request (
+  id BIGSERIAL PRIMARY KEY,
+  id_utilisateur BIGINT NOT NULL REFERENCES utilisateur(id) ON DELETE CASCADE,
+  id_club BIGINT NOT NULL REFERENCES club(id),
+  date DATE NOT NULL,
+  window_start TEXT NOT NULL CHECK (window_start ~ '^\d{2}:\d{2}$'),
+  window_end TEXT NOT NULL CHECK (window_end ~ '^\d{2}:\d{2}$'),
+  terrain_ids BIGINT[],
+  min_level DOUBLE PRECISION,
+  max_level DOUBLE PRECISION,
+  status INTEGER NOT NULL DEFAULT 0 CHECK (status BETWEEN 0 AND 3),
+  id_reservation BIGINT REFERENCES reservation(id) ON DELETE SET NULL,
+  team INTEGER CHECK (team BETWEEN 0 AND 3),
+  date_creation TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  date_modif TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  CHECK (window_start < window_end),
+  CHECK (min_level IS NULL OR max_level IS NULL OR min_level <= max_level)
+);
+
+CREATE INDEX IF NOT EXISTS idx_matchmaking_club_date_status ON matchmaking_request(id_club, date, status);
+CREATE INDEX IF NOT EXISTS idx_matchmaking_utilisateur ON matchmaking_request(id_utilisateur);
+
+-- One search at a time per player and day
+CREATE UNIQUE INDEX IF NOT EXISTS uniq_matchmaking_active_request
+ON matchmaking_request (id_utilisateur, date)
+WHERE status = 0;
+
+COMMENT ON TABLE matchmaking_request IS 'Solo players waiting to be grouped by four into a balanced match';
+COMMENT ON COLUMN matchmaking_request.status IS '0=searching, 1=matched, 2=cancelled, 3=expired';
+COMMENT ON COLUMN matchmaking_request.terrain_ids IS 'Preferred terrains of the club, NULL = any';
+COMMENT ON COLUMN matchmaking_request.team IS 'participant.team assigned by the matcher (0,1 = team A, 2,3 = team B)';
@@ -0,0 +1,27 @@
+-- ═══════════════════════════════════════════════════════════════════════════════
+-- Position swaps between the participants of a match
+-- ═══════════════════════════════════════════════════════════════════════════════
+
+CREATE TABLE IF NOT EXISTS position_swap_request (
+  id BIGSERIAL PRIMARY KEY,
+  id_reservation BIGINT NOT NULL REFERENCES reservation(id) ON DELETE CASCADE,
+  id_requester BIGINT NOT NULL REFERENCES participant(id) ON DELETE CASCADE,
+  id_target BIGINT NOT NULL REFERENCES participant(id) ON DELETE CASCADE,
+  requester_team INTEGER NOT NULL CHECK (requester_team BETWEEN 0 AND 3),
+  target_team INTEGER NOT NULL CHECK (target_team BETWEEN 0 AND 3),
+  status INTEGER NOT NULL DEFAULT 0 CHECK (status BETWEEN 0 AND 4),
+  expires_at TIMESTAMP NOT NULL,
+  date_creation TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  date_modif TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  CHECK (id_requester <> id_target)
+);
+
+CREATE INDEX IF NOT EXISTS idx_position_swap_reservation ON position_swap_request(id_reservation, status);
+
+-- One pending request per pair of participants
+CREATE UNIQUE INDEX IF NOT EXISTS uniq_position_swap_pending
+ON position_swap_request (id_requester, id_target)
+WHERE status = 0;
+
+COMMENT ON TABLE position_swap_request IS 'A participant asking another one to exchange positions (participant.team); payments are not touched';
+COMMENT ON COLUMN position_swap_request.status IS '0=pending, 1=accepted, 2=declined, 3=expired, 4=cancelled';
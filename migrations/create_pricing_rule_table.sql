@@ -0,0 +1,35 @@
+-- ═══════════════════════════════════════════════════════════════════════════════
+-- Dynamic pricing rules per terrain + price stored on the reservation
+-- ═══════════════════════════════════════════════════════════════════════════════
+
+CREATE TABLE IF NOT EXISTS pricing_rule (
+  id BIGSERIAL PRIMARY KEY,
+  id_terrain BIGINT NOT NULL REFERENCES terrain(id) ON DELETE CASCADE,
+  name TEXT NOT NULL,
+  rule_type TEXT NOT NULL CHECK (rule_type IN ('weekday', 'weekend', 'peak', 'holiday', 'last_minute', 'early_bird')),
+  adjustment_type TEXT NOT NULL DEFAULT 'percent' CHECK (adjustment_type IN ('set', 'percent')),
+  adjustment_value DOUBLE PRECISION NOT NULL,
+  days_of_week INTEGER[],
+  start_hour TIME,
+  end_hour TIME,
+  date_from DATE,
+  date_to DATE,
+  min_hours_before INTEGER,
+  max_hours_before INTEGER,
+  priority INTEGER NOT NULL DEFAULT 0,
+  active BOOLEAN NOT NULL DEFAULT TRUE,
+  date_creation TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  date_modif TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_pricing_rule_terrain ON pricing_rule(id_terrain, active);
+
+-- Price per player actually charged at booking time (refunds and joins use it)
+ALTER TABLE reservation ADD COLUMN IF NOT EXISTS prix_unitaire DOUBLE PRECISION;
+
+COMMENT ON TABLE pricing_rule IS 'Price adjustments applied to plage_horaire.price when a reservation is made';
+COMMENT ON COLUMN pricing_rule.adjustment_type IS 'set = replace the price with adjustment_value, percent = apply +/- adjustment_value %';
+COMMENT ON COLUMN pricing_rule.days_of_week IS '0 = Sunday ... 6 = Saturday (match date)';
+COMMENT ON COLUMN pricing_rule.min_hours_before IS 'Early bird: booked at least N hours before the match';
+COMMENT ON COLUMN pricing_rule.max_hours_before IS 'Last minute: booked at most N hours before the match';
+COMMENT ON COLUMN reservation.prix_unitaire IS 'Price per player computed by pricing_rule at booking time';
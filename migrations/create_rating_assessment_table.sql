@@ -0,0 +1,26 @@
+-- ═══════════════════════════════════════════════════════════════════════════════
+-- Onboarding level assessment: answers and provisional rating of a new player
+-- ═══════════════════════════════════════════════════════════════════════════════
+
+CREATE TABLE IF NOT EXISTS rating_assessment (
+  id BIGSERIAL PRIMARY KEY,
+  id_utilisateur BIGINT NOT NULL REFERENCES utilisateur(id) ON DELETE CASCADE,
+  answers JSONB NOT NULL,
+  computed_note DOUBLE PRECISION NOT NULL,
+  computed_fiability INTEGER NOT NULL,
+  note_before DOUBLE PRECISION,
+  fiability_before INTEGER,
+  status INTEGER NOT NULL DEFAULT 0 CHECK (status IN (0, 1)),
+  id_reset_by BIGINT REFERENCES utilisateur(id) ON DELETE SET NULL,
+  reset_at TIMESTAMP,
+  date_creation TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Once per account: a new assessment needs the current one reset by an admin
+CREATE UNIQUE INDEX IF NOT EXISTS uniq_rating_assessment_active
+ON rating_assessment (id_utilisateur)
+WHERE status = 0;
+
+COMMENT ON TABLE rating_assessment IS 'Onboarding questionnaire (utils/levelAssessment.js) and the provisional note / fiability it gave';
+COMMENT ON COLUMN rating_assessment.status IS '0=active, 1=reset by an admin (the player may take it again)';
+COMMENT ON COLUMN rating_history.source IS 'match = confirmed match, assessment = onboarding questionnaire';
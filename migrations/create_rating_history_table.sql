@@ -0,0 +1,25 @@
+-- ═══════════════════════════════════════════════════════════════════════════════
+-- Rating history: one row per player and rating change (confirmed match, ...)
+-- ═══════════════════════════════════════════════════════════════════════════════
+
+CREATE TABLE IF NOT EXISTS rating_history (
+  id BIGSERIAL PRIMARY KEY,
+  id_utilisateur BIGINT NOT NULL REFERENCES utilisateur(id) ON DELETE CASCADE,
+  id_reservation BIGINT REFERENCES reservation(id) ON DELETE SET NULL,
+  source TEXT NOT NULL DEFAULT 'match',
+  team INTEGER CHECK (team IS NULL OR team BETWEEN 0 AND 3),
+  is_winner BOOLEAN,
+  note_before DOUBLE PRECISION,
+  note_after DOUBLE PRECISION,
+  fiability_before INTEGER,
+  fiability_after INTEGER,
+  inputs JSONB,
+  date_creation TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_rating_history_user ON rating_history(id_utilisateur, date_creation DESC, id DESC);
+CREATE INDEX IF NOT EXISTS idx_rating_history_reservation ON rating_history(id_reservation) WHERE id_reservation IS NOT NULL;
+
+COMMENT ON TABLE rating_history IS 'Every change of utilisateur.note / fiability with the values before and after';
+COMMENT ON COLUMN rating_history.source IS 'match = confirmed match (updatePlayerRatings)';
+COMMENT ON COLUMN rating_history.inputs IS 'Values the formula used: X, W, resultFactor, pointsConceded, teammate / opponents ratings and reliabilities';
@@ -0,0 +1,37 @@
+-- ═══════════════════════════════════════════════════════════════════════════════
+-- Rating jobs: ratings of a confirmed match applied once, retried on failure
+-- ═══════════════════════════════════════════════════════════════════════════════
+
+CREATE TABLE IF NOT EXISTS rating_job (
+  id BIGSERIAL PRIMARY KEY,
+  id_reservation BIGINT NOT NULL REFERENCES reservation(id) ON DELETE CASCADE,
+  status INTEGER NOT NULL DEFAULT 0 CHECK (status IN (0, 1, 2, 3)),
+  attempts INTEGER NOT NULL DEFAULT 0,
+  last_error TEXT,
+  next_attempt_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  applied_at TIMESTAMP,
+  date_creation TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  date_modif TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- One job per match: a second confirmation cannot rate it twice
+CREATE UNIQUE INDEX IF NOT EXISTS uniq_rating_job_reservation ON rating_job(id_reservation);
+
+CREATE INDEX IF NOT EXISTS idx_rating_job_pending
+ON rating_job (next_attempt_at)
+WHERE status = 0;
+
+-- One match row per player and match in the rating history
+CREATE UNIQUE INDEX IF NOT EXISTS uniq_rating_history_match_user
+ON rating_history (id_reservation, id_utilisateur)
+WHERE source = 'match';
+
+-- Matches confirmed before the queue existed were rated already
+INSERT INTO rating_job (id_reservation, status, attempts, applied_at)
+SELECT r.id, 1, 1, COALESCE(r.last_score_update, CURRENT_TIMESTAMP)
+FROM reservation r
+WHERE r.score_status IN (1, 2)
+ON CONFLICT (id_reservation) DO NOTHING;
+
+COMMENT ON TABLE rating_job IS 'Ratings due for a confirmed match, enqueued with the confirmation';
+COMMENT ON COLUMN rating_job.status IS '0=pending, 1=applied, 2=failed (gave up, admin retry), 3=skipped (nothing to rate)';
@@ -0,0 +1,32 @@
+-- ═══════════════════════════════════════════════════════════════════════════════
+-- Replacement requests: a player leaving a match hands their position over
+-- ═══════════════════════════════════════════════════════════════════════════════
+
+CREATE TABLE IF NOT EXISTS replacement_request (
+  id BIGSERIAL PRIMARY KEY,
+  id_reservation BIGINT NOT NULL REFERENCES reservation(id) ON DELETE CASCADE,
+  id_leaver BIGINT NOT NULL REFERENCES utilisateur(id) ON DELETE CASCADE,
+  team INTEGER NOT NULL CHECK (team BETWEEN 0 AND 3),
+  id_nominee BIGINT REFERENCES utilisateur(id) ON DELETE SET NULL,
+  status INTEGER NOT NULL DEFAULT 0 CHECK (status BETWEEN 0 AND 3),
+  cutoff_at TIMESTAMP NOT NULL,
+  id_replacement BIGINT REFERENCES utilisateur(id) ON DELETE SET NULL,
+  amount_charged NUMERIC NOT NULL DEFAULT 0,
+  amount_refunded NUMERIC NOT NULL DEFAULT 0,
+  date_creation TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  date_modif TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  CHECK (id_nominee IS NULL OR id_nominee <> id_leaver)
+);
+
+CREATE INDEX IF NOT EXISTS idx_replacement_request_reservation ON replacement_request(id_reservation, status);
+CREATE INDEX IF NOT EXISTS idx_replacement_request_open ON replacement_request(cutoff_at) WHERE status = 0;
+
+-- One open request per player and match
+CREATE UNIQUE INDEX IF NOT EXISTS uniq_replacement_request_open
+ON replacement_request (id_reservation, id_leaver)
+WHERE status = 0;
+
+COMMENT ON TABLE replacement_request IS 'A participant looking for someone to take their position; they stay in the match until replaced or the cutoff';
+COMMENT ON COLUMN replacement_request.id_nominee IS 'Only this player may take the position; NULL = advertised to everyone';
+COMMENT ON COLUMN replacement_request.status IS '0=open, 1=filled, 2=cancelled, 3=expired (regular leave applied)';
+COMMENT ON COLUMN replacement_request.amount_refunded IS 'Credited back to the leaver, never more than the replacement paid';
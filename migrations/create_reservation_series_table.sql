@@ -0,0 +1,28 @@
+-- ═══════════════════════════════════════════════════════════════════════════════
+-- Recurring reservations ("abonnement de créneau")
+-- ═══════════════════════════════════════════════════════════════════════════════
+
+CREATE TABLE IF NOT EXISTS reservation_series (
+  id BIGSERIAL PRIMARY KEY,
+  id_utilisateur BIGINT NOT NULL REFERENCES utilisateur(id) ON DELETE CASCADE,
+  id_terrain BIGINT NOT NULL REFERENCES terrain(id),
+  id_plage_horaire BIGINT NOT NULL REFERENCES plage_horaire(id),
+  interval_weeks INTEGER NOT NULL DEFAULT 1 CHECK (interval_weeks IN (1, 2)),
+  start_date DATE NOT NULL,
+  end_date DATE,
+  occurrences INTEGER,
+  typer BIGINT DEFAULT 1,
+  "isCancel" INTEGER DEFAULT 0,
+  date_creation TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  date_modif TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_reservation_series_utilisateur ON reservation_series(id_utilisateur);
+
+-- Link each occurrence to its series
+ALTER TABLE reservation ADD COLUMN IF NOT EXISTS id_series BIGINT REFERENCES reservation_series(id) ON DELETE SET NULL;
+CREATE INDEX IF NOT EXISTS idx_reservation_series ON reservation(id_series);
+
+COMMENT ON TABLE reservation_series IS 'Recurring weekly/bi-weekly bookings of the same court and hour';
+COMMENT ON COLUMN reservation_series.id_plage_horaire IS 'Reference slot: occurrences book the slot with the same start/end time on each date';
+COMMENT ON COLUMN reservation_series.interval_weeks IS '1 = weekly, 2 = bi-weekly';
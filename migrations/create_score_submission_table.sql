@@ -0,0 +1,43 @@
+-- ═══════════════════════════════════════════════════════════════════════════════
+-- Score submissions (audit history) and dispute votes
+-- ═══════════════════════════════════════════════════════════════════════════════
+
+CREATE TABLE IF NOT EXISTS score_submission (
+  id BIGSERIAL PRIMARY KEY,
+  id_reservation BIGINT NOT NULL REFERENCES reservation(id) ON DELETE CASCADE,
+  id_submitter BIGINT REFERENCES utilisateur(id) ON DELETE SET NULL,
+  source TEXT NOT NULL DEFAULT 'player' CHECK (source IN ('player', 'admin')),
+  set1_a INTEGER NOT NULL,
+  set1_b INTEGER NOT NULL,
+  set2_a INTEGER NOT NULL,
+  set2_b INTEGER NOT NULL,
+  set3_a INTEGER,
+  set3_b INTEGER,
+  supertiebreak INTEGER NOT NULL DEFAULT 0,
+  teamwin INTEGER NOT NULL CHECK (teamwin IN (1, 2)),
+  date_creation TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_score_submission_reservation ON score_submission(id_reservation, id);
+
+CREATE TABLE IF NOT EXISTS score_vote (
+  id BIGSERIAL PRIMARY KEY,
+  id_reservation BIGINT NOT NULL REFERENCES reservation(id) ON DELETE CASCADE,
+  id_utilisateur BIGINT NOT NULL REFERENCES utilisateur(id) ON DELETE CASCADE,
+  id_submission BIGINT NOT NULL REFERENCES score_submission(id) ON DELETE CASCADE,
+  date_creation TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  date_modif TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- One vote per player and match (a new vote replaces the previous one)
+CREATE UNIQUE INDEX IF NOT EXISTS uniq_score_vote_reservation_user
+ON score_vote (id_reservation, id_utilisateur);
+
+CREATE INDEX IF NOT EXISTS idx_reservation_score_disputes
+ON reservation (score_status, last_score_update)
+WHERE score_status IN (3, 4);
+
+COMMENT ON TABLE score_submission IS 'Every score proposed for a match, never overwritten; the reservation Set columns hold the proposal in force / the final score';
+COMMENT ON COLUMN score_submission.source IS 'player = updateScore, admin = score imposed to close a dispute';
+COMMENT ON TABLE score_vote IS 'Players of a disputed match (score_status = 3) backing one of the submissions';
+COMMENT ON COLUMN reservation.score_status IS 'NULL=no score, 0=pending, 1=confirmed, 2=confirmed automatically, 3=conflict (players vote), 4=escalated to the club';
@@ -0,0 +1,24 @@
+-- ═══════════════════════════════════════════════════════════════════════════════
+-- Temporary slot holds during checkout
+-- ═══════════════════════════════════════════════════════════════════════════════
+
+CREATE TABLE IF NOT EXISTS slot_hold (
+  id BIGSERIAL PRIMARY KEY,
+  token TEXT NOT NULL UNIQUE,
+  id_utilisateur BIGINT NOT NULL REFERENCES utilisateur(id) ON DELETE CASCADE,
+  id_plage_horaire BIGINT NOT NULL REFERENCES plage_horaire(id) ON DELETE CASCADE,
+  date DATE NOT NULL,
+  expires_at TIMESTAMP NOT NULL,
+  status INTEGER NOT NULL DEFAULT 0 CHECK (status BETWEEN 0 AND 3),
+  id_reservation BIGINT REFERENCES reservation(id) ON DELETE SET NULL,
+  date_creation TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_slot_hold_slot_date ON slot_hold(id_plage_horaire, date, status);
+
+-- Waitlist offers are backed by a hold
+ALTER TABLE waitlist_entry ADD COLUMN IF NOT EXISTS hold_token TEXT;
+
+COMMENT ON TABLE slot_hold IS 'Capacity reserved for a few minutes between slot selection and payment';
+COMMENT ON COLUMN slot_hold.status IS '0=active, 1=converted, 2=released, 3=expired';
+COMMENT ON COLUMN waitlist_entry.hold_token IS 'slot_hold.token holding the place while the offer is pending';
@@ -0,0 +1,21 @@
+-- ═══════════════════════════════════════════════════════════════════════════════
+-- Court closures and maintenance blackouts
+-- ═══════════════════════════════════════════════════════════════════════════════
+
+CREATE TABLE IF NOT EXISTS terrain_closure (
+  id BIGSERIAL PRIMARY KEY,
+  id_terrain BIGINT NOT NULL REFERENCES terrain(id) ON DELETE CASCADE,
+  start_at TIMESTAMP NOT NULL,
+  end_at TIMESTAMP NOT NULL,
+  reason TEXT NOT NULL,
+  created_by BIGINT REFERENCES utilisateur(id) ON DELETE SET NULL,
+  active BOOLEAN NOT NULL DEFAULT TRUE,
+  date_creation TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  date_modif TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  CHECK (end_at > start_at)
+);
+
+CREATE INDEX IF NOT EXISTS idx_terrain_closure_range ON terrain_closure(id_terrain, start_at, end_at);
+
+COMMENT ON TABLE terrain_closure IS 'Terrain unavailable over a time range: slots hidden, bookings blocked, existing reservations cancelled and refunded';
+COMMENT ON COLUMN terrain_closure.active IS 'FALSE once the closure is lifted (cancelled reservations are not restored)';
@@ -0,0 +1,25 @@
+-- ═══════════════════════════════════════════════════════════════════════════════
+-- Opening-hours template per terrain (source of generated plage_horaire rows)
+-- ═══════════════════════════════════════════════════════════════════════════════
+
+CREATE TABLE IF NOT EXISTS terrain_schedule (
+  id BIGSERIAL PRIMARY KEY,
+  id_terrain BIGINT NOT NULL UNIQUE REFERENCES terrain(id) ON DELETE CASCADE,
+  open_time TIME NOT NULL,
+  close_time TIME NOT NULL,
+  slot_duration_minutes INTEGER NOT NULL DEFAULT 90 CHECK (slot_duration_minutes > 0),
+  default_price DOUBLE PRECISION NOT NULL CHECK (default_price >= 0),
+  capacity INTEGER NOT NULL DEFAULT 1 CHECK (capacity >= 1),
+  closed_days INTEGER[],
+  days_ahead INTEGER NOT NULL DEFAULT 14 CHECK (days_ahead BETWEEN 1 AND 90),
+  active BOOLEAN NOT NULL DEFAULT TRUE,
+  date_creation TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  date_modif TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Generated slots are matched on (terrain, start, end): keep that lookup fast
+CREATE INDEX IF NOT EXISTS idx_plage_horaire_terrain_start ON plage_horaire(terrain_id, start_time, end_time);
+
+COMMENT ON TABLE terrain_schedule IS 'Opening hours template used to generate plage_horaire rows N days ahead';
+COMMENT ON COLUMN terrain_schedule.close_time IS 'A close_time <= open_time means the terrain closes after midnight';
+COMMENT ON COLUMN terrain_schedule.closed_days IS '0 = Sunday ... 6 = Saturday';
@@ -0,0 +1,28 @@
+-- ═══════════════════════════════════════════════════════════════════════════════
+-- Waitlist for full slots (per terrain, plage_horaire and date)
+-- ═══════════════════════════════════════════════════════════════════════════════
+
+CREATE TABLE IF NOT EXISTS waitlist_entry (
+  id BIGSERIAL PRIMARY KEY,
+  id_utilisateur BIGINT NOT NULL REFERENCES utilisateur(id) ON DELETE CASCADE,
+  id_terrain BIGINT NOT NULL REFERENCES terrain(id),
+  id_plage_horaire BIGINT NOT NULL REFERENCES plage_horaire(id) ON DELETE CASCADE,
+  date DATE NOT NULL,
+  status INTEGER NOT NULL DEFAULT 0 CHECK (status BETWEEN 0 AND 4),
+  offer_expires_at TIMESTAMP,
+  id_reservation BIGINT REFERENCES reservation(id) ON DELETE SET NULL,
+  date_creation TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  date_modif TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_waitlist_slot_date ON waitlist_entry(id_plage_horaire, date, status);
+CREATE INDEX IF NOT EXISTS idx_waitlist_utilisateur ON waitlist_entry(id_utilisateur);
+
+-- A player can only be queued once per slot and date
+CREATE UNIQUE INDEX IF NOT EXISTS uniq_waitlist_active_entry
+ON waitlist_entry (id_utilisateur, id_plage_horaire, date)
+WHERE status IN (0, 1);
+
+COMMENT ON TABLE waitlist_entry IS 'Players queued for a full slot; the first in line is offered the slot when capacity frees up';
+COMMENT ON COLUMN waitlist_entry.status IS '0=waiting, 1=offered, 2=booked, 3=expired, 4=cancelled';
+COMMENT ON COLUMN waitlist_entry.offer_expires_at IS 'End of the hold while status=1; the offer then passes to the next in line';
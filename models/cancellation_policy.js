@@ -0,0 +1,64 @@
+import { Sequelize, DataTypes } from 'sequelize';
+
+export default function (sequelize) {
+  return sequelize.define('cancellation_policy', {
+    id: {
+      autoIncrement: true,
+      type: DataTypes.BIGINT,
+      allowNull: false,
+      primaryKey: true
+    },
+    id_club: {
+      type: DataTypes.BIGINT,
+      allowNull: false,
+      unique: true,
+      references: {
+        model: 'club',
+        key: 'id'
+      }
+    },
+    // Allow cancelling inside the membership cancellation window
+    allow_late_cancellation: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false
+    },
+    // Share of the amount paid that is refunded inside the window (0..100)
+    late_refund_percent: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    },
+    date_creation: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+    },
+    date_modif: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+    }
+  }, {
+    sequelize,
+    tableName: 'cancellation_policy',
+    schema: 'public',
+    timestamps: false,
+    indexes: [
+      {
+        name: "cancellation_policy_pkey",
+        unique: true,
+        fields: [
+          { name: "id" },
+        ]
+      },
+      {
+        name: "uniq_cancellation_policy_club",
+        unique: true,
+        fields: [
+          { name: "id_club" },
+        ]
+      },
+    ]
+  });
+};
@@ -0,0 +1,71 @@
+import { Sequelize, DataTypes } from 'sequelize';
+
+export default function (sequelize) {
+  return sequelize.define('club', {
+    id: {
+      autoIncrement: true,
+      type: DataTypes.BIGINT,
+      allowNull: false,
+      primaryKey: true
+    },
+    name: {
+      type: DataTypes.TEXT,
+      allowNull: false
+    },
+    address: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    wilaya: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    // IANA zone used for the club's local times (e.g. "Africa/Algiers")
+    timezone: {
+      type: DataTypes.TEXT,
+      allowNull: false,
+      defaultValue: 'Africa/Algiers'
+    },
+    // { "0": { "open": "08:00", "close": "23:00" }, ... } - 0 = Sunday, missing day = closed
+    opening_hours: {
+      type: DataTypes.JSONB,
+      allowNull: true
+    },
+    phone: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    email: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    logo_url: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    date_creation: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+    },
+    date_modif: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+    }
+  }, {
+    sequelize,
+    tableName: 'club',
+    schema: 'public',
+    timestamps: false,
+    indexes: [
+      {
+        name: "club_pkey",
+        unique: true,
+        fields: [
+          { name: "id" },
+        ]
+      },
+    ]
+  });
+};
@@ -14,9 +14,25 @@ import _plage_horaire from './plage_horaire.js';
 import _verification_email from './verification_email.js';
 import _notification from './notification.js'; // ✅ NEW: Notification model
 import _membership from './membership.js'; // ✅ NEW: Membership model
+import _reservation_series from './reservation_series.js';
+import _waitlist_entry from './waitlist_entry.js';
+import _slot_hold from './slot_hold.js';
+import _cancellation_policy from './cancellation_policy.js';
+import _pricing_rule from './pricing_rule.js';
+import _terrain_schedule from './terrain_schedule.js';
+import _terrain_closure from './terrain_closure.js';
 // import _score_reservation from './score_reservation.js'; // DISABLED - table doesn't exist
 // import _score_vote from './score_vote.js'; // DISABLED - file doesn't exist
-// import _club from './club.js'; // DISABLED - file doesn't exist
+import _club from './club.js';
+import _matchmaking_request from './matchmaking_request.js';
+import _match_invitation from './match_invitation.js';
+import _position_swap_request from './position_swap_request.js';
+import _replacement_request from './replacement_request.js';
+import _score_submission from './score_submission.js';
+import _score_vote from './score_vote.js';
+import _rating_history from './rating_history.js';
+import _rating_job from './rating_job.js';
+import _rating_assessment from './rating_assessment.js';
 
 function initModels(sequelize) {
   const credit_transaction = _credit_transaction(sequelize, DataTypes);
@@ -31,9 +47,25 @@ function initModels(sequelize) {
   const verification_email = _verification_email(sequelize, DataTypes);
   const notification = _notification.init(sequelize, DataTypes); // ✅ NEW: Initialize notification
   const membership = _membership(sequelize, DataTypes); // ✅ NEW: Initialize membership
+  const reservation_series = _reservation_series(sequelize, DataTypes);
+  const waitlist_entry = _waitlist_entry(sequelize, DataTypes);
+  const slot_hold = _slot_hold(sequelize, DataTypes);
+  const cancellation_policy = _cancellation_policy(sequelize, DataTypes);
+  const pricing_rule = _pricing_rule(sequelize, DataTypes);
+  const terrain_schedule = _terrain_schedule(sequelize, DataTypes);
+  const terrain_closure = _terrain_closure(sequelize, DataTypes);
   // const score_reservation = _score_reservation(sequelize, DataTypes); // DISABLED
   // const score_vote = _score_vote(sequelize, DataTypes); // DISABLED - file doesn't exist
-  // const club = _club(sequelize, DataTypes); // DISABLED - file doesn't exist
+  const club = _club(sequelize, DataTypes);
+  const matchmaking_request = _matchmaking_request(sequelize, DataTypes);
+  const match_invitation = _match_invitation(sequelize, DataTypes);
+  const position_swap_request = _position_swap_request(sequelize, DataTypes);
+  const replacement_request = _replacement_request(sequelize, DataTypes);
+  const score_submission = _score_submission(sequelize, DataTypes);
+  const score_vote = _score_vote(sequelize, DataTypes);
+  const rating_history = _rating_history(sequelize, DataTypes);
+  const rating_job = _rating_job(sequelize, DataTypes);
+  const rating_assessment = _rating_assessment(sequelize, DataTypes);
 
   return {
     credit_transaction,
@@ -48,9 +80,25 @@ function initModels(sequelize) {
     verification_email,
     notification, // ✅ NEW: Export notification model
     membership, // ✅ NEW: Export membership model
+    reservation_series,
+    waitlist_entry,
+    slot_hold,
+    cancellation_policy,
+    pricing_rule,
+    terrain_schedule,
+    terrain_closure,
     // score_reservation, // DISABLED
     // score_vote, // DISABLED - file doesn't exist
-    // club, // DISABLED - file doesn't exist
+    club,
+    matchmaking_request,
+    match_invitation,
+    position_swap_request,
+    replacement_request,
+    score_submission,
+    score_vote,
+    rating_history,
+    rating_job,
+    rating_assessment,
   };
 }
 
@@ -0,0 +1,110 @@
+import { Sequelize, DataTypes } from 'sequelize';
+
+export default function (sequelize) {
+  return sequelize.define('match_invitation', {
+    id: {
+      autoIncrement: true,
+      type: DataTypes.BIGINT,
+      allowNull: false,
+      primaryKey: true
+    },
+    id_reservation: {
+      type: DataTypes.BIGINT,
+      allowNull: false,
+      references: {
+        model: 'reservation',
+        key: 'id'
+      }
+    },
+    id_inviter: {
+      type: DataTypes.BIGINT,
+      allowNull: false,
+      references: {
+        model: 'utilisateur',
+        key: 'id'
+      }
+    },
+    // Null while the contact has no account (matched later by email / phone)
+    id_invitee: {
+      type: DataTypes.BIGINT,
+      allowNull: true,
+      references: {
+        model: 'utilisateur',
+        key: 'id'
+      }
+    },
+    contact_email: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    contact_phone: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    // participant.team held for the invitee until expires_at
+    team: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      validate: {
+        min: 0,
+        max: 3
+      }
+    },
+    // 0 = pending, 1 = accepted, 2 = declined, 3 = expired, 4 = cancelled
+    status: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    },
+    expires_at: {
+      type: DataTypes.DATE,
+      allowNull: false
+    },
+    id_participant: {
+      type: DataTypes.BIGINT,
+      allowNull: true,
+      references: {
+        model: 'participant',
+        key: 'id'
+      }
+    },
+    date_creation: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+    },
+    date_modif: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+    }
+  }, {
+    sequelize,
+    tableName: 'match_invitation',
+    schema: 'public',
+    timestamps: false,
+    indexes: [
+      {
+        name: "match_invitation_pkey",
+        unique: true,
+        fields: [
+          { name: "id" },
+        ]
+      },
+      {
+        name: "idx_match_invitation_reservation",
+        fields: [
+          { name: "id_reservation" },
+          { name: "status" },
+        ]
+      },
+      {
+        name: "idx_match_invitation_invitee",
+        fields: [
+          { name: "id_invitee" },
+          { name: "status" },
+        ]
+      },
+    ]
+  });
+};
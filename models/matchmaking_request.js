@@ -0,0 +1,112 @@
+import { Sequelize, DataTypes } from 'sequelize';
+
+export default function (sequelize) {
+  return sequelize.define('matchmaking_request', {
+    id: {
+      autoIncrement: true,
+      type: DataTypes.BIGINT,
+      allowNull: false,
+      primaryKey: true
+    },
+    id_utilisateur: {
+      type: DataTypes.BIGINT,
+      allowNull: false,
+      references: {
+        model: 'utilisateur',
+        key: 'id'
+      }
+    },
+    id_club: {
+      type: DataTypes.BIGINT,
+      allowNull: false,
+      references: {
+        model: 'club',
+        key: 'id'
+      }
+    },
+    date: {
+      type: DataTypes.DATEONLY,
+      allowNull: false
+    },
+    // Availability window, wall-clock time of the club ('HH:mm')
+    window_start: {
+      type: DataTypes.TEXT,
+      allowNull: false
+    },
+    window_end: {
+      type: DataTypes.TEXT,
+      allowNull: false
+    },
+    // Preferred terrains of the club; null = any terrain
+    terrain_ids: {
+      type: DataTypes.ARRAY(DataTypes.BIGINT),
+      allowNull: true
+    },
+    // Accepted level of the other players (utilisateur.note); null = no bound
+    min_level: {
+      type: DataTypes.DOUBLE,
+      allowNull: true
+    },
+    max_level: {
+      type: DataTypes.DOUBLE,
+      allowNull: true
+    },
+    // 0 = searching, 1 = matched, 2 = cancelled, 3 = expired
+    status: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    },
+    id_reservation: {
+      type: DataTypes.BIGINT,
+      allowNull: true,
+      references: {
+        model: 'reservation',
+        key: 'id'
+      }
+    },
+    // participant.team given by the matcher
+    team: {
+      type: DataTypes.INTEGER,
+      allowNull: true
+    },
+    date_creation: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+    },
+    date_modif: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+    }
+  }, {
+    sequelize,
+    tableName: 'matchmaking_request',
+    schema: 'public',
+    timestamps: false,
+    indexes: [
+      {
+        name: "matchmaking_request_pkey",
+        unique: true,
+        fields: [
+          { name: "id" },
+        ]
+      },
+      {
+        name: "idx_matchmaking_club_date_status",
+        fields: [
+          { name: "id_club" },
+          { name: "date" },
+          { name: "status" },
+        ]
+      },
+      {
+        name: "idx_matchmaking_utilisateur",
+        fields: [
+          { name: "id_utilisateur" },
+        ]
+      },
+    ]
+  });
+};
@@ -19,7 +19,11 @@ export default function (sequelize) {
         id_club: {
             type: DataTypes.BIGINT,
             allowNull: false,
-            comment: 'Club/Terrain ID - references the club where membership is valid'
+            references: {
+                model: 'club',
+                key: 'id'
+            },
+            comment: 'Club where the membership is valid'
         },
         dateend: {
             type: DataTypes.DATEONLY,
@@ -9,9 +9,10 @@ export default function (sequelize) {
       primaryKey: true
     },
 
+    // Null for a guest (no account) until they claim the participation
     id_utilisateur: {
       type: DataTypes.BIGINT,
-      allowNull: false,
+      allowNull: true,
       references: {
         model: 'utilisateur',
         key: 'id'
@@ -54,12 +55,41 @@ export default function (sequelize) {
         min: 0,
         max: 3
       }
+    },
+    // Guest players: identified by name / phone, claimed later with the code
+    guest_name: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    guest_phone: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    guest_claim_code: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    id_added_by: {
+      type: DataTypes.BIGINT,
+      allowNull: true,
+      references: {
+        model: 'utilisateur',
+        key: 'id'
+      }
+    },
+    guest_claimed_at: {
+      type: DataTypes.DATE,
+      allowNull: true
     }
   }, {
     sequelize,
     tableName: 'participant',
     schema: 'public',
     timestamps: false,
+    // The claim code is only handed out when the guest is added
+    defaultScope: {
+      attributes: { exclude: ['guest_claim_code'] }
+    },
     indexes: [
       {
         name: "idx_participant_reservation",
@@ -0,0 +1,86 @@
+import { Sequelize, DataTypes } from 'sequelize';
+
+export default function (sequelize) {
+  return sequelize.define('position_swap_request', {
+    id: {
+      autoIncrement: true,
+      type: DataTypes.BIGINT,
+      allowNull: false,
+      primaryKey: true
+    },
+    id_reservation: {
+      type: DataTypes.BIGINT,
+      allowNull: false,
+      references: {
+        model: 'reservation',
+        key: 'id'
+      }
+    },
+    id_requester: {
+      type: DataTypes.BIGINT,
+      allowNull: false,
+      references: {
+        model: 'participant',
+        key: 'id'
+      }
+    },
+    id_target: {
+      type: DataTypes.BIGINT,
+      allowNull: false,
+      references: {
+        model: 'participant',
+        key: 'id'
+      }
+    },
+    // Positions (participant.team) when the swap was requested
+    requester_team: {
+      type: DataTypes.INTEGER,
+      allowNull: false
+    },
+    target_team: {
+      type: DataTypes.INTEGER,
+      allowNull: false
+    },
+    // 0 = pending, 1 = accepted, 2 = declined, 3 = expired, 4 = cancelled
+    status: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    },
+    expires_at: {
+      type: DataTypes.DATE,
+      allowNull: false
+    },
+    date_creation: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+    },
+    date_modif: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+    }
+  }, {
+    sequelize,
+    tableName: 'position_swap_request',
+    schema: 'public',
+    timestamps: false,
+    indexes: [
+      {
+        name: "position_swap_request_pkey",
+        unique: true,
+        fields: [
+          { name: "id" },
+        ]
+      },
+      {
+        name: "idx_position_swap_reservation",
+        fields: [
+          { name: "id_reservation" },
+          { name: "status" },
+        ]
+      },
+    ]
+  });
+};
@@ -0,0 +1,130 @@
+import { Sequelize, DataTypes } from 'sequelize';
+
+export default function (sequelize) {
+  return sequelize.define('pricing_rule', {
+    id: {
+      autoIncrement: true,
+      type: DataTypes.BIGINT,
+      allowNull: false,
+      primaryKey: true
+    },
+    // Either a single terrain, or every terrain of a club (id_terrain null)
+    id_terrain: {
+      type: DataTypes.BIGINT,
+      allowNull: true,
+      references: {
+        model: 'terrain',
+        key: 'id'
+      }
+    },
+    id_club: {
+      type: DataTypes.BIGINT,
+      allowNull: true,
+      references: {
+        model: 'club',
+        key: 'id'
+      }
+    },
+    name: {
+      type: DataTypes.TEXT,
+      allowNull: false
+    },
+    // weekday | weekend | peak | holiday | last_minute | early_bird
+    rule_type: {
+      type: DataTypes.TEXT,
+      allowNull: false
+    },
+    // set = replace the price, percent = +/- adjustment_value %
+    adjustment_type: {
+      type: DataTypes.TEXT,
+      allowNull: false,
+      defaultValue: 'percent'
+    },
+    adjustment_value: {
+      type: DataTypes.DOUBLE,
+      allowNull: false
+    },
+    // ── Conditions (null = no constraint) ──
+    // 0 = Sunday ... 6 = Saturday
+    days_of_week: {
+      type: DataTypes.ARRAY(DataTypes.INTEGER),
+      allowNull: true
+    },
+    // Slot start hour window [start_hour, end_hour)
+    start_hour: {
+      type: DataTypes.TIME,
+      allowNull: true
+    },
+    end_hour: {
+      type: DataTypes.TIME,
+      allowNull: true
+    },
+    // Match date window (a single day for holidays)
+    date_from: {
+      type: DataTypes.DATEONLY,
+      allowNull: true
+    },
+    date_to: {
+      type: DataTypes.DATEONLY,
+      allowNull: true
+    },
+    // Booking lead time: early bird uses min, last minute uses max
+    min_hours_before: {
+      type: DataTypes.INTEGER,
+      allowNull: true
+    },
+    max_hours_before: {
+      type: DataTypes.INTEGER,
+      allowNull: true
+    },
+    // Rules are applied in ascending priority
+    priority: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    },
+    active: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: true
+    },
+    date_creation: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+    },
+    date_modif: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+    }
+  }, {
+    sequelize,
+    tableName: 'pricing_rule',
+    schema: 'public',
+    timestamps: false,
+    indexes: [
+      {
+        name: "pricing_rule_pkey",
+        unique: true,
+        fields: [
+          { name: "id" },
+        ]
+      },
+      {
+        name: "idx_pricing_rule_terrain",
+        fields: [
+          { name: "id_terrain" },
+          { name: "active" },
+        ]
+      },
+      {
+        name: "idx_pricing_rule_club",
+        fields: [
+          { name: "id_club" },
+          { name: "active" },
+        ]
+      },
+    ]
+  });
+};
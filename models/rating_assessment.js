@@ -0,0 +1,88 @@
+import { Sequelize, DataTypes } from 'sequelize';
+
+export default function (sequelize) {
+  return sequelize.define('rating_assessment', {
+    id: {
+      autoIncrement: true,
+      type: DataTypes.BIGINT,
+      allowNull: false,
+      primaryKey: true
+    },
+    id_utilisateur: {
+      type: DataTypes.BIGINT,
+      allowNull: false,
+      references: {
+        model: 'utilisateur',
+        key: 'id'
+      }
+    },
+    // { [question key]: answer } - see utils/levelAssessment.js
+    answers: {
+      type: DataTypes.JSONB,
+      allowNull: false
+    },
+    computed_note: {
+      type: DataTypes.DOUBLE,
+      allowNull: false
+    },
+    computed_fiability: {
+      type: DataTypes.INTEGER,
+      allowNull: false
+    },
+    note_before: {
+      type: DataTypes.DOUBLE,
+      allowNull: true
+    },
+    fiability_before: {
+      type: DataTypes.INTEGER,
+      allowNull: true
+    },
+    // 0 = active, 1 = reset by an admin
+    status: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    },
+    id_reset_by: {
+      type: DataTypes.BIGINT,
+      allowNull: true,
+      references: {
+        model: 'utilisateur',
+        key: 'id'
+      }
+    },
+    reset_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    date_creation: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+    }
+  }, {
+    sequelize,
+    tableName: 'rating_assessment',
+    schema: 'public',
+    timestamps: false,
+    indexes: [
+      {
+        name: "rating_assessment_pkey",
+        unique: true,
+        fields: [
+          { name: "id" },
+        ]
+      },
+      {
+        name: "uniq_rating_assessment_active",
+        unique: true,
+        fields: [
+          { name: "id_utilisateur" },
+        ],
+        where: {
+          status: 0
+        }
+      },
+    ]
+  });
+};
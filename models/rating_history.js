@@ -0,0 +1,109 @@
+import { Sequelize, DataTypes } from 'sequelize';
+
+export default function (sequelize) {
+  return sequelize.define('rating_history', {
+    id: {
+      autoIncrement: true,
+      type: DataTypes.BIGINT,
+      allowNull: false,
+      primaryKey: true
+    },
+    id_utilisateur: {
+      type: DataTypes.BIGINT,
+      allowNull: false,
+      references: {
+        model: 'utilisateur',
+        key: 'id'
+      }
+    },
+    // Match that changed the rating (null for changes outside a match)
+    id_reservation: {
+      type: DataTypes.BIGINT,
+      allowNull: true,
+      references: {
+        model: 'reservation',
+        key: 'id'
+      }
+    },
+    // 'match' = confirmed match, 'assessment' = onboarding questionnaire,
+    // 'decay' = inactivity step (utils/ratingDecay.js)
+    source: {
+      type: DataTypes.TEXT,
+      allowNull: false,
+      defaultValue: 'match'
+    },
+    // participant.team of the player in that match (0,1 = team A, 2,3 = team B)
+    team: {
+      type: DataTypes.INTEGER,
+      allowNull: true
+    },
+    is_winner: {
+      type: DataTypes.BOOLEAN,
+      allowNull: true
+    },
+    note_before: {
+      type: DataTypes.DOUBLE,
+      allowNull: true
+    },
+    note_after: {
+      type: DataTypes.DOUBLE,
+      allowNull: true
+    },
+    fiability_before: {
+      type: DataTypes.INTEGER,
+      allowNull: true
+    },
+    fiability_after: {
+      type: DataTypes.INTEGER,
+      allowNull: true
+    },
+    // X, W, resultFactor, pointsConceded, teammate / opponents ratings...
+    inputs: {
+      type: DataTypes.JSONB,
+      allowNull: true
+    },
+    date_creation: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+    }
+  }, {
+    sequelize,
+    tableName: 'rating_history',
+    schema: 'public',
+    timestamps: false,
+    indexes: [
+      {
+        name: "rating_history_pkey",
+        unique: true,
+        fields: [
+          { name: "id" },
+        ]
+      },
+      {
+        name: "idx_rating_history_user",
+        fields: [
+          { name: "id_utilisateur" },
+          { name: "date_creation" },
+          { name: "id" },
+        ]
+      },
+      {
+        name: "idx_rating_history_reservation",
+        fields: [
+          { name: "id_reservation" },
+        ]
+      },
+      {
+        name: "idx_rating_history_activity",
+        fields: [
+          { name: "id_utilisateur" },
+          { name: "date_creation" },
+        ],
+        where: {
+          source: { [Sequelize.Op.ne]: 'decay' }
+        }
+      },
+    ]
+  });
+};
@@ -0,0 +1,76 @@
+import { Sequelize, DataTypes } from 'sequelize';
+
+export default function (sequelize) {
+  return sequelize.define('rating_job', {
+    id: {
+      autoIncrement: true,
+      type: DataTypes.BIGINT,
+      allowNull: false,
+      primaryKey: true
+    },
+    id_reservation: {
+      type: DataTypes.BIGINT,
+      allowNull: false,
+      unique: "uniq_rating_job_reservation",
+      references: {
+        model: 'reservation',
+        key: 'id'
+      }
+    },
+    // 0 = pending, 1 = applied, 2 = failed (gave up), 3 = skipped
+    status: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    },
+    attempts: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    },
+    last_error: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    next_attempt_at: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+    },
+    applied_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    date_creation: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+    },
+    date_modif: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+    }
+  }, {
+    sequelize,
+    tableName: 'rating_job',
+    schema: 'public',
+    timestamps: false,
+    indexes: [
+      {
+        name: "rating_job_pkey",
+        unique: true,
+        fields: [
+          { name: "id" },
+        ]
+      },
+      {
+        name: "uniq_rating_job_reservation",
+        unique: true,
+        fields: [
+          { name: "id_reservation" },
+        ]
+      },
+    ]
+  });
+};
@@ -0,0 +1,101 @@
+import { Sequelize, DataTypes } from 'sequelize';
+
+export default function (sequelize) {
+  return sequelize.define('replacement_request', {
+    id: {
+      autoIncrement: true,
+      type: DataTypes.BIGINT,
+      allowNull: false,
+      primaryKey: true
+    },
+    id_reservation: {
+      type: DataTypes.BIGINT,
+      allowNull: false,
+      references: {
+        model: 'reservation',
+        key: 'id'
+      }
+    },
+    id_leaver: {
+      type: DataTypes.BIGINT,
+      allowNull: false,
+      references: {
+        model: 'utilisateur',
+        key: 'id'
+      }
+    },
+    // Position (participant.team) of the leaver when the request was opened
+    team: {
+      type: DataTypes.INTEGER,
+      allowNull: false
+    },
+    // Null = advertised: any eligible player may take the position
+    id_nominee: {
+      type: DataTypes.BIGINT,
+      allowNull: true,
+      references: {
+        model: 'utilisateur',
+        key: 'id'
+      }
+    },
+    // 0 = open, 1 = filled, 2 = cancelled, 3 = expired
+    status: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    },
+    cutoff_at: {
+      type: DataTypes.DATE,
+      allowNull: false
+    },
+    id_replacement: {
+      type: DataTypes.BIGINT,
+      allowNull: true,
+      references: {
+        model: 'utilisateur',
+        key: 'id'
+      }
+    },
+    amount_charged: {
+      type: DataTypes.DECIMAL,
+      allowNull: false,
+      defaultValue: 0
+    },
+    amount_refunded: {
+      type: DataTypes.DECIMAL,
+      allowNull: false,
+      defaultValue: 0
+    },
+    date_creation: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+    },
+    date_modif: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+    }
+  }, {
+    sequelize,
+    tableName: 'replacement_request',
+    schema: 'public',
+    timestamps: false,
+    indexes: [
+      {
+        name: "replacement_request_pkey",
+        unique: true,
+        fields: [
+          { name: "id" },
+        ]
+      },
+      {
+        name: "idx_replacement_request_reservation",
+        fields: [
+          { name: "id_reservation" },
+          { name: "status" },
+        ]
+      },
+    ]
+  });
+};
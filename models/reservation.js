@@ -55,6 +55,11 @@ export default function (sequelize) {
       type: DataTypes.DOUBLE,
       allowNull: false
     },
+    // Price per player computed by the pricing rules at booking time
+    prix_unitaire: {
+      type: DataTypes.DOUBLE,
+      allowNull: true
+    },
     date_creation: {
       type: DataTypes.DATE,
       allowNull: true,
@@ -100,6 +105,19 @@ export default function (sequelize) {
     teamwin: { type: DataTypes.INTEGER, allowNull: true },
     supertiebreak: { type: DataTypes.INTEGER, allowNull: true },
 
+    // utils/matchFormats.js: 'standard' | 'one_set' | 'pro_set_9' | 'short_sets_4' | 'timed_90'
+    match_format: {
+      type: DataTypes.TEXT,
+      allowNull: false,
+      defaultValue: 'standard'
+    },
+    // 1 = golden point (no advantage) - display only
+    golden_point: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    },
+
     score_status: {
       type: DataTypes.INTEGER,
       allowNull: true,
@@ -116,6 +134,16 @@ export default function (sequelize) {
       allowNull: true,
     },
 
+    // Accepted score_submission (set once the score is confirmed)
+    id_score_submission: {
+      type: DataTypes.BIGINT,
+      allowNull: true,
+      references: {
+        model: 'score_submission',
+        key: 'id'
+      }
+    },
+
     // Legacy fields (kept for backward compat or reference, but logic will use new fields)
     p1A: { type: DataTypes.TEXT, allowNull: true },
     p2A: { type: DataTypes.TEXT, allowNull: true },
@@ -127,6 +155,42 @@ export default function (sequelize) {
       allowNull: true,
       defaultValue: 0
     },
+
+    // Open match (typer = 2): accepted player level range (utilisateur.note)
+    min: {
+      type: DataTypes.DOUBLE,
+      allowNull: true
+    },
+    max: {
+      type: DataTypes.DOUBLE,
+      allowNull: true
+    },
+    // Open match: only players with this utilisateur.gender may join (null = mixed)
+    gender_restriction: {
+      type: DataTypes.INTEGER,
+      allowNull: true
+    },
+    // Open match: 'competitive' | 'friendly'
+    match_mode: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+      defaultValue: 'competitive'
+    },
+    // Open match: creator's preferred court side, 'left' | 'right' (null = no preference)
+    side_preference: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+
+    // Recurring booking ("abonnement de créneau") this occurrence belongs to
+    id_series: {
+      type: DataTypes.BIGINT,
+      allowNull: true,
+      references: {
+        model: 'reservation_series',
+        key: 'id'
+      }
+    },
   }, {
     sequelize,
     tableName: 'reservation',
@@ -147,6 +211,12 @@ export default function (sequelize) {
           { name: "id_utilisateur" },
         ]
       },
+      {
+        name: "idx_reservation_series",
+        fields: [
+          { name: "id_series" },
+        ]
+      },
       // Unique constraint removed to allow multiple open matches (typer=2) to coexist
       // Logic in service layer handles Private vs Open conflicts
       {
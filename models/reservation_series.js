@@ -0,0 +1,100 @@
+import { Sequelize, DataTypes } from 'sequelize';
+
+export default function (sequelize) {
+  return sequelize.define('reservation_series', {
+    id: {
+      autoIncrement: true,
+      type: DataTypes.BIGINT,
+      allowNull: false,
+      primaryKey: true
+    },
+    id_utilisateur: {
+      type: DataTypes.BIGINT,
+      allowNull: false,
+      references: {
+        model: 'utilisateur',
+        key: 'id'
+      }
+    },
+    id_terrain: {
+      type: DataTypes.BIGINT,
+      allowNull: false,
+      references: {
+        model: 'terrain',
+        key: 'id'
+      }
+    },
+    // Reference slot: every occurrence books the slot with the same start/end time
+    id_plage_horaire: {
+      type: DataTypes.BIGINT,
+      allowNull: false,
+      references: {
+        model: 'plage_horaire',
+        key: 'id'
+      }
+    },
+    interval_weeks: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 1,
+      validate: {
+        min: 1,
+        max: 2
+      },
+      comment: '1 = weekly, 2 = bi-weekly'
+    },
+    start_date: {
+      type: DataTypes.DATEONLY,
+      allowNull: false
+    },
+    end_date: {
+      type: DataTypes.DATEONLY,
+      allowNull: true
+    },
+    occurrences: {
+      type: DataTypes.INTEGER,
+      allowNull: true
+    },
+    typer: {
+      type: DataTypes.BIGINT,
+      allowNull: true,
+      defaultValue: 1
+    },
+    // 0 = active, 1 = cancelled
+    isCancel: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      defaultValue: 0
+    },
+    date_creation: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+    },
+    date_modif: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+    }
+  }, {
+    sequelize,
+    tableName: 'reservation_series',
+    schema: 'public',
+    timestamps: false,
+    indexes: [
+      {
+        name: "reservation_series_pkey",
+        unique: true,
+        fields: [
+          { name: "id" },
+        ]
+      },
+      {
+        name: "idx_reservation_series_utilisateur",
+        fields: [
+          { name: "id_utilisateur" },
+        ]
+      },
+    ]
+  });
+};
@@ -0,0 +1,82 @@
+import { Sequelize, DataTypes } from 'sequelize';
+
+export default function (sequelize) {
+  return sequelize.define('score_submission', {
+    id: {
+      autoIncrement: true,
+      type: DataTypes.BIGINT,
+      allowNull: false,
+      primaryKey: true
+    },
+    id_reservation: {
+      type: DataTypes.BIGINT,
+      allowNull: false,
+      references: {
+        model: 'reservation',
+        key: 'id'
+      }
+    },
+    id_submitter: {
+      type: DataTypes.BIGINT,
+      allowNull: true,
+      references: {
+        model: 'utilisateur',
+        key: 'id'
+      }
+    },
+    // 'player' (updateScore) or 'admin' (score imposed on a dispute)
+    source: {
+      type: DataTypes.TEXT,
+      allowNull: false,
+      defaultValue: 'player'
+    },
+    set1_a: { type: DataTypes.INTEGER, allowNull: false },
+    set1_b: { type: DataTypes.INTEGER, allowNull: false },
+    set2_a: { type: DataTypes.INTEGER, allowNull: true },
+    set2_b: { type: DataTypes.INTEGER, allowNull: true },
+    set3_a: { type: DataTypes.INTEGER, allowNull: true },
+    set3_b: { type: DataTypes.INTEGER, allowNull: true },
+    supertiebreak: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    },
+    // 1 = team A, 2 = team B
+    teamwin: {
+      type: DataTypes.INTEGER,
+      allowNull: false
+    },
+    // 0 = pending, 1 = accepted, 2 = superseded by its author, 3 = rejected
+    status: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    },
+    date_creation: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+    }
+  }, {
+    sequelize,
+    tableName: 'score_submission',
+    schema: 'public',
+    timestamps: false,
+    indexes: [
+      {
+        name: "score_submission_pkey",
+        unique: true,
+        fields: [
+          { name: "id" },
+        ]
+      },
+      {
+        name: "idx_score_submission_reservation",
+        fields: [
+          { name: "id_reservation" },
+          { name: "id" },
+        ]
+      },
+    ]
+  });
+};
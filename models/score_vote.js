@@ -0,0 +1,68 @@
+import { Sequelize, DataTypes } from 'sequelize';
+
+export default function (sequelize) {
+  return sequelize.define('score_vote', {
+    id: {
+      autoIncrement: true,
+      type: DataTypes.BIGINT,
+      allowNull: false,
+      primaryKey: true
+    },
+    id_reservation: {
+      type: DataTypes.BIGINT,
+      allowNull: false,
+      references: {
+        model: 'reservation',
+        key: 'id'
+      }
+    },
+    id_utilisateur: {
+      type: DataTypes.BIGINT,
+      allowNull: false,
+      references: {
+        model: 'utilisateur',
+        key: 'id'
+      }
+    },
+    id_submission: {
+      type: DataTypes.BIGINT,
+      allowNull: false,
+      references: {
+        model: 'score_submission',
+        key: 'id'
+      }
+    },
+    date_creation: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+    },
+    date_modif: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+    }
+  }, {
+    sequelize,
+    tableName: 'score_vote',
+    schema: 'public',
+    timestamps: false,
+    indexes: [
+      {
+        name: "score_vote_pkey",
+        unique: true,
+        fields: [
+          { name: "id" },
+        ]
+      },
+      {
+        name: "uniq_score_vote_reservation_user",
+        unique: true,
+        fields: [
+          { name: "id_reservation" },
+          { name: "id_utilisateur" },
+        ]
+      },
+    ]
+  });
+};
@@ -0,0 +1,89 @@
+import { Sequelize, DataTypes } from 'sequelize';
+
+export default function (sequelize) {
+  return sequelize.define('slot_hold', {
+    id: {
+      autoIncrement: true,
+      type: DataTypes.BIGINT,
+      allowNull: false,
+      primaryKey: true
+    },
+    token: {
+      type: DataTypes.TEXT,
+      allowNull: false,
+      unique: true
+    },
+    id_utilisateur: {
+      type: DataTypes.BIGINT,
+      allowNull: false,
+      references: {
+        model: 'utilisateur',
+        key: 'id'
+      }
+    },
+    id_plage_horaire: {
+      type: DataTypes.BIGINT,
+      allowNull: false,
+      references: {
+        model: 'plage_horaire',
+        key: 'id'
+      }
+    },
+    date: {
+      type: DataTypes.DATEONLY,
+      allowNull: false
+    },
+    expires_at: {
+      type: DataTypes.DATE,
+      allowNull: false
+    },
+    // 0 = active, 1 = converted into a reservation, 2 = released, 3 = expired
+    status: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    },
+    id_reservation: {
+      type: DataTypes.BIGINT,
+      allowNull: true,
+      references: {
+        model: 'reservation',
+        key: 'id'
+      }
+    },
+    date_creation: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+    }
+  }, {
+    sequelize,
+    tableName: 'slot_hold',
+    schema: 'public',
+    timestamps: false,
+    indexes: [
+      {
+        name: "slot_hold_pkey",
+        unique: true,
+        fields: [
+          { name: "id" },
+        ]
+      },
+      {
+        name: "idx_slot_hold_token",
+        unique: true,
+        fields: [
+          { name: "token" },
+        ]
+      },
+      {
+        name: "idx_slot_hold_slot_date",
+        fields: [
+          { name: "id_plage_horaire" },
+          { name: "date" },
+          { name: "status" },
+        ]
+      },
+    ]
+  });
+};
@@ -19,6 +19,14 @@ export default function(sequelize) {
     image_url: {
       type: DataTypes.TEXT,
       allowNull: true
+    },
+    id_club: {
+      type: DataTypes.BIGINT,
+      allowNull: false,
+      references: {
+        model: 'club',
+        key: 'id'
+      }
     }
   }, {
     sequelize,
@@ -33,6 +41,12 @@ export default function(sequelize) {
           { name: "id" },
         ]
       },
+      {
+        name: "idx_terrain_club",
+        fields: [
+          { name: "id_club" },
+        ]
+      },
     ]
   });
 };
\ No newline at end of file
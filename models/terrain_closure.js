@@ -0,0 +1,79 @@
+import { Sequelize, DataTypes } from 'sequelize';
+
+export default function (sequelize) {
+  return sequelize.define('terrain_closure', {
+    id: {
+      autoIncrement: true,
+      type: DataTypes.BIGINT,
+      allowNull: false,
+      primaryKey: true
+    },
+    id_terrain: {
+      type: DataTypes.BIGINT,
+      allowNull: false,
+      references: {
+        model: 'terrain',
+        key: 'id'
+      }
+    },
+    start_at: {
+      type: DataTypes.DATE,
+      allowNull: false
+    },
+    end_at: {
+      type: DataTypes.DATE,
+      allowNull: false
+    },
+    // Shown to players whose reservation is cancelled (tournoi, pluie, travaux...)
+    reason: {
+      type: DataTypes.TEXT,
+      allowNull: false
+    },
+    created_by: {
+      type: DataTypes.BIGINT,
+      allowNull: true,
+      references: {
+        model: 'utilisateur',
+        key: 'id'
+      }
+    },
+    // false once the closure is lifted
+    active: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: true
+    },
+    date_creation: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+    },
+    date_modif: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+    }
+  }, {
+    sequelize,
+    tableName: 'terrain_closure',
+    schema: 'public',
+    timestamps: false,
+    indexes: [
+      {
+        name: "terrain_closure_pkey",
+        unique: true,
+        fields: [
+          { name: "id" },
+        ]
+      },
+      {
+        name: "idx_terrain_closure_range",
+        fields: [
+          { name: "id_terrain" },
+          { name: "start_at" },
+          { name: "end_at" },
+        ]
+      },
+    ]
+  });
+};
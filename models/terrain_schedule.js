@@ -0,0 +1,91 @@
+import { Sequelize, DataTypes } from 'sequelize';
+
+export default function (sequelize) {
+  return sequelize.define('terrain_schedule', {
+    id: {
+      autoIncrement: true,
+      type: DataTypes.BIGINT,
+      allowNull: false,
+      primaryKey: true
+    },
+    id_terrain: {
+      type: DataTypes.BIGINT,
+      allowNull: false,
+      unique: true,
+      references: {
+        model: 'terrain',
+        key: 'id'
+      }
+    },
+    open_time: {
+      type: DataTypes.TIME,
+      allowNull: false
+    },
+    // A close_time <= open_time means the terrain closes after midnight
+    close_time: {
+      type: DataTypes.TIME,
+      allowNull: false
+    },
+    slot_duration_minutes: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 90
+    },
+    default_price: {
+      type: DataTypes.DOUBLE,
+      allowNull: false
+    },
+    capacity: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 1
+    },
+    // 0 = Sunday ... 6 = Saturday
+    closed_days: {
+      type: DataTypes.ARRAY(DataTypes.INTEGER),
+      allowNull: true
+    },
+    // How many days ahead the daily job keeps generated
+    days_ahead: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 14
+    },
+    active: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: true
+    },
+    date_creation: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+    },
+    date_modif: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+    }
+  }, {
+    sequelize,
+    tableName: 'terrain_schedule',
+    schema: 'public',
+    timestamps: false,
+    indexes: [
+      {
+        name: "terrain_schedule_pkey",
+        unique: true,
+        fields: [
+          { name: "id" },
+        ]
+      },
+      {
+        name: "uniq_terrain_schedule_terrain",
+        unique: true,
+        fields: [
+          { name: "id_terrain" },
+        ]
+      },
+    ]
+  });
+};
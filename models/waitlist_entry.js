@@ -0,0 +1,101 @@
+import { Sequelize, DataTypes } from 'sequelize';
+
+export default function (sequelize) {
+  return sequelize.define('waitlist_entry', {
+    id: {
+      autoIncrement: true,
+      type: DataTypes.BIGINT,
+      allowNull: false,
+      primaryKey: true
+    },
+    id_utilisateur: {
+      type: DataTypes.BIGINT,
+      allowNull: false,
+      references: {
+        model: 'utilisateur',
+        key: 'id'
+      }
+    },
+    id_terrain: {
+      type: DataTypes.BIGINT,
+      allowNull: false,
+      references: {
+        model: 'terrain',
+        key: 'id'
+      }
+    },
+    id_plage_horaire: {
+      type: DataTypes.BIGINT,
+      allowNull: false,
+      references: {
+        model: 'plage_horaire',
+        key: 'id'
+      }
+    },
+    date: {
+      type: DataTypes.DATEONLY,
+      allowNull: false
+    },
+    // 0 = waiting, 1 = offered, 2 = booked, 3 = expired, 4 = cancelled
+    status: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    },
+    offer_expires_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    // slot_hold.token holding the place while the offer is pending
+    hold_token: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    id_reservation: {
+      type: DataTypes.BIGINT,
+      allowNull: true,
+      references: {
+        model: 'reservation',
+        key: 'id'
+      }
+    },
+    date_creation: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+    },
+    date_modif: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+    }
+  }, {
+    sequelize,
+    tableName: 'waitlist_entry',
+    schema: 'public',
+    timestamps: false,
+    indexes: [
+      {
+        name: "waitlist_entry_pkey",
+        unique: true,
+        fields: [
+          { name: "id" },
+        ]
+      },
+      {
+        name: "idx_waitlist_slot_date",
+        fields: [
+          { name: "id_plage_horaire" },
+          { name: "date" },
+          { name: "status" },
+        ]
+      },
+      {
+        name: "idx_waitlist_utilisateur",
+        fields: [
+          { name: "id_utilisateur" },
+        ]
+      },
+    ]
+  });
+};
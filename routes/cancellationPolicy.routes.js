@@ -0,0 +1,15 @@
+// routes/cancellationPolicy.routes.js
+import express from 'express';
+import CancellationPolicyController from '../controllers/cancellationPolicy.controller.js';
+import CancellationPolicyService from '../services/cancellationPolicy.service.js';
+import { authenticateToken, requireAdmin } from '../middlewares/auth.middleware.js';
+
+export default function createCancellationPolicyRoutes(models) {
+  const router = express.Router();
+  const controller = CancellationPolicyController(CancellationPolicyService(models));
+
+  router.get('/:clubId', authenticateToken, controller.findByClub);
+  router.put('/:clubId', authenticateToken, requireAdmin, controller.upsert);
+
+  return router;
+}
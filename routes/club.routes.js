@@ -0,0 +1,21 @@
+// routes/club.routes.js
+import express from 'express';
+import ClubController from '../controllers/club.controller.js';
+import ClubService from '../services/club.service.js';
+import { authenticateToken, requireAdmin } from '../middlewares/auth.middleware.js';
+
+export default function createClubRoutes(models) {
+  const router = express.Router();
+  const controller = ClubController(ClubService(models));
+
+  // Public club info (like /api/terrains)
+  router.get('/', controller.findAll);
+  router.get('/:id', controller.findById);
+  router.get('/:id/terrains', controller.getTerrains);
+  router.get('/:id/availability', authenticateToken, controller.getAvailability);
+
+  router.post('/', authenticateToken, requireAdmin, controller.create);
+  router.put('/:id', authenticateToken, requireAdmin, controller.update);
+
+  return router;
+}
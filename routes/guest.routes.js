@@ -0,0 +1,16 @@
+// routes/guest.routes.js
+import express from 'express';
+import GuestController from '../controllers/guest.controller.js';
+import { authenticateToken } from '../middlewares/auth.middleware.js';
+
+export default function createGuestRoutes(guestService) {
+  const router = express.Router();
+  const controller = GuestController(guestService);
+
+  router.get('/claimable', authenticateToken, controller.findClaimable);
+  router.post('/claim', authenticateToken, controller.claim);
+  router.post('/reservation/:reservationId', authenticateToken, controller.add);
+  router.delete('/:participantId', authenticateToken, controller.remove);
+
+  return router;
+}
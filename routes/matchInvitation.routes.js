@@ -0,0 +1,18 @@
+// routes/matchInvitation.routes.js
+import express from 'express';
+import MatchInvitationController from '../controllers/matchInvitation.controller.js';
+import { authenticateToken } from '../middlewares/auth.middleware.js';
+
+export default function createMatchInvitationRoutes(matchInvitationService) {
+  const router = express.Router();
+  const controller = MatchInvitationController(matchInvitationService);
+
+  router.get('/me', authenticateToken, controller.findMine);
+  router.get('/reservation/:reservationId', authenticateToken, controller.findByReservation);
+  router.post('/reservation/:reservationId', authenticateToken, controller.invite);
+  router.post('/:id/accept', authenticateToken, controller.accept);
+  router.post('/:id/decline', authenticateToken, controller.decline);
+  router.delete('/:id', authenticateToken, controller.cancel);
+
+  return router;
+}
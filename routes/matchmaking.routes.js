@@ -0,0 +1,16 @@
+// routes/matchmaking.routes.js
+import express from 'express';
+import MatchmakingController from '../controllers/matchmaking.controller.js';
+import { authenticateToken, requireAdmin } from '../middlewares/auth.middleware.js';
+
+export default function createMatchmakingRoutes(matchmakingService) {
+  const router = express.Router();
+  const controller = MatchmakingController(matchmakingService);
+
+  router.post('/', authenticateToken, controller.submit);
+  router.get('/me', authenticateToken, controller.findMine);
+  router.post('/run', authenticateToken, requireAdmin, controller.run);
+  router.delete('/:id', authenticateToken, controller.cancel);
+
+  return router;
+}
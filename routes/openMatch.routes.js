@@ -0,0 +1,14 @@
+// routes/openMatch.routes.js
+import express from 'express';
+import OpenMatchController from '../controllers/openMatch.controller.js';
+import OpenMatchService from '../services/openMatch.service.js';
+import { authenticateToken } from '../middlewares/auth.middleware.js';
+
+export default function createOpenMatchRoutes(models) {
+  const router = express.Router();
+  const controller = OpenMatchController(OpenMatchService(models));
+
+  router.get('/', authenticateToken, controller.search);
+
+  return router;
+}
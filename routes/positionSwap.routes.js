@@ -0,0 +1,19 @@
+// routes/positionSwap.routes.js
+import express from 'express';
+import PositionSwapController from '../controllers/positionSwap.controller.js';
+import PositionSwapService from '../services/positionSwap.service.js';
+import { authenticateToken } from '../middlewares/auth.middleware.js';
+
+export default function createPositionSwapRoutes(models) {
+  const router = express.Router();
+  const controller = PositionSwapController(PositionSwapService(models));
+
+  router.post('/move', authenticateToken, controller.move);
+  router.post('/', authenticateToken, controller.requestSwap);
+  router.get('/reservation/:reservationId', authenticateToken, controller.findPendingByReservation);
+  router.post('/:id/accept', authenticateToken, controller.accept);
+  router.post('/:id/decline', authenticateToken, controller.decline);
+  router.delete('/:id', authenticateToken, controller.cancel);
+
+  return router;
+}
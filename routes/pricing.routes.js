@@ -0,0 +1,19 @@
+// routes/pricing.routes.js
+import express from 'express';
+import PricingController from '../controllers/pricing.controller.js';
+import PricingService from '../services/pricing.service.js';
+import { authenticateToken, requireAdmin } from '../middlewares/auth.middleware.js';
+
+export default function createPricingRoutes(models) {
+  const router = express.Router();
+  const controller = PricingController(PricingService(models));
+
+  router.get('/terrain/:terrainId', authenticateToken, controller.findByTerrain);
+  router.get('/club/:clubId', authenticateToken, controller.findByClub);
+  router.get('/quote/:plageHoraireId/:date', authenticateToken, controller.quote);
+  router.post('/', authenticateToken, requireAdmin, controller.create);
+  router.put('/:id', authenticateToken, requireAdmin, controller.update);
+  router.delete('/:id', authenticateToken, requireAdmin, controller.remove);
+
+  return router;
+}
@@ -0,0 +1,19 @@
+// routes/ratingAssessment.routes.js
+import express from 'express';
+import RatingAssessmentController from '../controllers/ratingAssessment.controller.js';
+import { authenticateToken, requireAdmin } from '../middlewares/auth.middleware.js';
+
+export default function createRatingAssessmentRoutes(ratingAssessmentService) {
+  const router = express.Router();
+  const controller = RatingAssessmentController(ratingAssessmentService);
+
+  router.get('/questions', authenticateToken, controller.getQuestions);
+  router.get('/me', authenticateToken, controller.findForUser);
+  router.post('/', authenticateToken, controller.submit);
+
+  // Admin: answers of a player, new attempt
+  router.get('/user/:userId', authenticateToken, requireAdmin, controller.findForUser);
+  router.post('/user/:userId/reset', authenticateToken, requireAdmin, controller.reset);
+
+  return router;
+}
@@ -0,0 +1,20 @@
+// routes/ratingHistory.routes.js
+import express from 'express';
+import RatingHistoryController from '../controllers/ratingHistory.controller.js';
+import { authenticateToken, requireAdmin } from '../middlewares/auth.middleware.js';
+
+export default function createRatingHistoryRoutes(ratingHistoryService, ratingJobService) {
+  const router = express.Router();
+  const controller = RatingHistoryController(ratingHistoryService, ratingJobService);
+
+  router.get('/me', authenticateToken, controller.findTimeline);
+  router.get('/user/:userId', authenticateToken, controller.findTimeline);
+  router.get('/reservation/:reservationId', authenticateToken, controller.findByReservation);
+
+  // Admin: rating queue and full recompute
+  router.get('/jobs', authenticateToken, requireAdmin, controller.findJobs);
+  router.post('/jobs/:id/retry', authenticateToken, requireAdmin, controller.retryJob);
+  router.post('/recompute', authenticateToken, requireAdmin, controller.recompute);
+
+  return router;
+}
@@ -0,0 +1,13 @@
+// routes/ratingSimulator.routes.js
+import express from 'express';
+import RatingSimulatorController from '../controllers/ratingSimulator.controller.js';
+import { authenticateToken } from '../middlewares/auth.middleware.js';
+
+export default function createRatingSimulatorRoutes(ratingSimulatorService) {
+  const router = express.Router();
+  const controller = RatingSimulatorController(ratingSimulatorService);
+
+  router.post('/', authenticateToken, controller.simulate);
+
+  return router;
+}
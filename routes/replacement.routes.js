@@ -0,0 +1,17 @@
+// routes/replacement.routes.js
+import express from 'express';
+import ReplacementController from '../controllers/replacement.controller.js';
+import { authenticateToken } from '../middlewares/auth.middleware.js';
+
+export default function createReplacementRoutes(replacementService) {
+  const router = express.Router();
+  const controller = ReplacementController(replacementService);
+
+  router.get('/available', authenticateToken, controller.findAvailable);
+  router.get('/reservation/:reservationId', authenticateToken, controller.findByReservation);
+  router.post('/reservation/:reservationId', authenticateToken, controller.offer);
+  router.post('/:id/take', authenticateToken, controller.take);
+  router.delete('/:id', authenticateToken, controller.cancel);
+
+  return router;
+}
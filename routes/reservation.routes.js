@@ -23,20 +23,32 @@ export default function reservationRoutes(reservationController, notificationCon
   });
   // router.get('/code/:code', authenticateToken, reservationController.findByCode); // DISABLED - method not implemented
   // router.get('/history/me', authenticateToken, reservationController.historyForUser); // DISABLED - method not implemented
+  router.get('/match-formats', authenticateToken, reservationController.findMatchFormats);
+  // Admin-only: score disputes escalated to the club (before '/:id')
+  router.get('/score-disputes', authenticateToken, requireAdmin, reservationController.findEscalatedDisputes);
   router.get('/:id', authenticateToken, reservationController.findById);
   router.put('/:id', authenticateToken, reservationController.update);
   router.put('/:id/cancel', authenticateToken, reservationController.cancel);
+  router.get('/:id/cancellation-quote', authenticateToken, reservationController.getCancellationQuote);
+  router.get('/:id/teams/suggestion', authenticateToken, reservationController.suggestTeams);
+  router.post('/:id/teams/apply', authenticateToken, reservationController.applyTeamSuggestion);
   router.delete('/:id', authenticateToken, reservationController.remove);
 
   // NEW: Score management routes
   router.put('/:id/score', authenticateToken, reservationController.updateScore);
   router.post('/finalize-pending-scores', authenticateToken, reservationController.finalizePendingScores);
+  router.get('/:id/score/dispute', authenticateToken, reservationController.getScoreDispute);
+  router.get('/:id/score/submissions', authenticateToken, reservationController.findScoreSubmissions);
+  router.post('/:id/score/votes', authenticateToken, reservationController.voteScore);
+  router.post('/:id/score/resolve', authenticateToken, requireAdmin, reservationController.resolveScoreDispute);
   // router.post('/:id/validate-score', authenticateToken, reservationController.validateScore); // Deprecated by updateScore
   // router.get('/:id/score-status', authenticateToken, reservationController.getScoreStatus);
 
   // NEW: Membership-based reservation endpoints
   router.get('/date-range/:userId/:clubId', authenticateToken, reservationController.getDateRange);
+  router.get('/date-range/:userId/terrain/:terrainId', authenticateToken, reservationController.getDateRange);
   router.get('/can-create-open/:userId/:clubId', authenticateToken, reservationController.canCreateOpenMatch);
+  router.get('/can-create-open/:userId/terrain/:terrainId', authenticateToken, reservationController.canCreateOpenMatch);
   router.post('/validate-cancellation', authenticateToken, reservationController.validateCancellation);
 
   return router;
@@ -0,0 +1,19 @@
+// routes/reservationSeries.routes.js
+import express from 'express';
+import ReservationSeriesService from '../services/reservationSeries.service.js';
+import ReservationSeriesController from '../controllers/reservationSeries.controller.js';
+import { authenticateToken } from '../middlewares/auth.middleware.js';
+
+export default function createReservationSeriesRoutes(models, reservationService) {
+  const router = express.Router();
+  const seriesService = ReservationSeriesService(models, reservationService);
+  const controller = ReservationSeriesController(seriesService);
+
+  router.post('/', authenticateToken, controller.create);
+  router.get('/me', authenticateToken, controller.findMine);
+  router.get('/:id', authenticateToken, controller.findById);
+  router.put('/:id/cancel', authenticateToken, controller.cancelSeries);
+  router.put('/:id/occurrences/:reservationId/cancel', authenticateToken, controller.cancelOccurrence);
+
+  return router;
+}
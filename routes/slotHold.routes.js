@@ -0,0 +1,15 @@
+// routes/slotHold.routes.js
+import express from 'express';
+import SlotHoldController from '../controllers/slotHold.controller.js';
+import { authenticateToken } from '../middlewares/auth.middleware.js';
+
+export default function createSlotHoldRoutes(slotHoldService) {
+  const router = express.Router();
+  const controller = SlotHoldController(slotHoldService);
+
+  router.post('/', authenticateToken, controller.create);
+  router.get('/:token', authenticateToken, controller.findOne);
+  router.delete('/:token', authenticateToken, controller.release);
+
+  return router;
+}
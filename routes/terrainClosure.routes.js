@@ -0,0 +1,16 @@
+// routes/terrainClosure.routes.js
+import express from 'express';
+import TerrainClosureController from '../controllers/terrainClosure.controller.js';
+import TerrainClosureService from '../services/terrainClosure.service.js';
+import { authenticateToken, requireAdmin } from '../middlewares/auth.middleware.js';
+
+export default function createTerrainClosureRoutes(models, reservationService) {
+  const router = express.Router();
+  const controller = TerrainClosureController(TerrainClosureService(models, reservationService));
+
+  router.post('/', authenticateToken, requireAdmin, controller.create);
+  router.get('/terrain/:terrainId', authenticateToken, controller.findByTerrain);
+  router.delete('/:id', authenticateToken, requireAdmin, controller.lift);
+
+  return router;
+}
@@ -0,0 +1,15 @@
+// routes/terrainSchedule.routes.js
+import express from 'express';
+import TerrainScheduleController from '../controllers/terrainSchedule.controller.js';
+import { authenticateToken, requireAdmin } from '../middlewares/auth.middleware.js';
+
+export default function createTerrainScheduleRoutes(terrainScheduleService) {
+  const router = express.Router();
+  const controller = TerrainScheduleController(terrainScheduleService);
+
+  router.get('/:terrainId', authenticateToken, controller.findByTerrain);
+  router.put('/:terrainId', authenticateToken, requireAdmin, controller.upsert);
+  router.post('/:terrainId/generate', authenticateToken, requireAdmin, controller.generate);
+
+  return router;
+}
@@ -0,0 +1,17 @@
+// routes/waitlist.routes.js
+import express from 'express';
+import WaitlistController from '../controllers/waitlist.controller.js';
+import { authenticateToken } from '../middlewares/auth.middleware.js';
+
+export default function createWaitlistRoutes(waitlistService) {
+  const router = express.Router();
+  const controller = WaitlistController(waitlistService);
+
+  router.post('/', authenticateToken, controller.join);
+  router.get('/me', authenticateToken, controller.findMine);
+  router.get('/slot/:plageHoraireId/:date', authenticateToken, controller.getQueue);
+  router.delete('/:id', authenticateToken, controller.leave);
+  router.post('/:id/confirm', authenticateToken, controller.confirm);
+
+  return router;
+}
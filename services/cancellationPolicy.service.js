@@ -0,0 +1,151 @@
+import MembershipService from './membership.service.js';
+import { getMatchStart, hoursUntil } from '../utils/matchTime.js';
+import { getClubIdForTerrain, getClubTimezone } from '../utils/club.js';
+import { toZonedISOString } from '../utils/timezone.js';
+
+/**
+ * ════════════════════════════════════════════════════════════════════════════════
+ * CANCELLATION POLICY SERVICE - When a player may cancel and how much is refunded
+ * ════════════════════════════════════════════════════════════════════════════════
+ *
+ * - The window comes from the canceller's membership tier (cancellationHours),
+ *   measured against the real match start (reservation.date + slot start hour).
+ * - Outside the window: full refund.
+ * - Inside the window: refused, or refunded at late_refund_percent when the
+ *   club allows late cancellations (cancellation_policy).
+ * - Once the match has started: always refused.
+ *
+ * ════════════════════════════════════════════════════════════════════════════════
+ */
+
+// Behaviour for clubs without a cancellation_policy row
+const DEFAULT_POLICY = {
+  allow_late_cancellation: false,
+  late_refund_percent: 0
+};
+
+export default function CancellationPolicyService(models) {
+  const membershipService = MembershipService(models);
+
+  // ════════════════════════════════════════════════════════════════════════════
+  // READ: Policy of a club (falls back to DEFAULT_POLICY)
+  // ════════════════════════════════════════════════════════════════════════════
+  const getPolicy = async (clubId, t = null) => {
+    const policy = await models.cancellation_policy.findOne({
+      where: { id_club: clubId },
+      transaction: t
+    });
+
+    if (!policy) {
+      return { id_club: Number(clubId), ...DEFAULT_POLICY, isDefault: true };
+    }
+
+    return { ...policy.toJSON(), isDefault: false };
+  };
+
+  // ════════════════════════════════════════════════════════════════════════════
+  // WRITE: Create or update the policy of a club (admin)
+  // ════════════════════════════════════════════════════════════════════════════
+  const upsertPolicy = async (clubId, data) => {
+    const updates = {};
+
+    if (data.allow_late_cancellation !== undefined) {
+      updates.allow_late_cancellation = Boolean(data.allow_late_cancellation);
+    }
+
+    if (data.late_refund_percent !== undefined) {
+      const percent = Number(data.late_refund_percent);
+      if (!Number.isInteger(percent) || percent < 0 || percent > 100) {
+        throw new Error('Invalid late_refund_percent (0..100)');
+      }
+      updates.late_refund_percent = percent;
+    }
+
+    const existing = await models.cancellation_policy.findOne({ where: { id_club: clubId } });
+
+    if (existing) {
+      await existing.update({ ...updates, date_modif: new Date() });
+      console.log(`[CancellationPolicyService] Updated policy for club ${clubId}`);
+      return existing;
+    }
+
+    const created = await models.cancellation_policy.create({
+      ...DEFAULT_POLICY,
+      ...updates,
+      id_club: clubId,
+      date_creation: new Date(),
+      date_modif: new Date()
+    });
+    console.log(`[CancellationPolicyService] Created policy for club ${clubId}`);
+    return created;
+  };
+
+  // ════════════════════════════════════════════════════════════════════════════
+  // EVALUATE: Can this user cancel this reservation now, and at what refund?
+  // ════════════════════════════════════════════════════════════════════════════
+  const evaluate = async (reservation, plage, userId, t = null) => {
+    const clubId = await getClubIdForTerrain(models, reservation.id_terrain, t);
+
+    const [membershipData, policy, timeZone] = await Promise.all([
+      membershipService.checkMembershipExpiry(userId, clubId),
+      getPolicy(clubId, t),
+      getClubTimezone(models, clubId, t)
+    ]);
+
+    const windowHours = membershipData.rules.cancellationHours;
+    const matchStart = getMatchStart(reservation.date, plage?.start_time, timeZone);
+    const hoursUntilMatch = matchStart ? hoursUntil(matchStart) : null;
+
+    const result = {
+      matchStart: matchStart ? toZonedISOString(matchStart, timeZone) : null,
+      timezone: timeZone,
+      hoursUntilMatch: hoursUntilMatch !== null ? Math.max(0, hoursUntilMatch) : null,
+      windowHours,
+      membershipType: membershipData.type,
+      insideWindow: false,
+      allowed: true,
+      refundPercent: 100,
+      reason: 'Cancellation allowed'
+    };
+
+    if (hoursUntilMatch === null) {
+      return result;
+    }
+
+    if (hoursUntilMatch <= 0) {
+      return {
+        ...result,
+        allowed: false,
+        refundPercent: 0,
+        reason: 'Annulation impossible : le match a déjà commencé.'
+      };
+    }
+
+    if (hoursUntilMatch < windowHours) {
+      if (!policy.allow_late_cancellation) {
+        return {
+          ...result,
+          insideWindow: true,
+          allowed: false,
+          refundPercent: 0,
+          reason: `Annulation non autorisée : moins de ${windowHours} heures avant le match.`
+        };
+      }
+
+      return {
+        ...result,
+        insideWindow: true,
+        refundPercent: Number(policy.late_refund_percent),
+        reason: `Annulation tardive : remboursement de ${policy.late_refund_percent}%.`
+      };
+    }
+
+    return result;
+  };
+
+  return {
+    getPolicy,
+    upsertPolicy,
+    evaluate,
+  };
+}
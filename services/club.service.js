@@ -0,0 +1,121 @@
+import { getPlageHorairesByTerrain } from './plageHoraire.service.js';
+import PricingService from './pricing.service.js';
+import { isValidTimeZone } from '../utils/timezone.js';
+
+/**
+ * ════════════════════════════════════════════════════════════════════════════════
+ * CLUB SERVICE - Clubs and the terrains they own
+ * ════════════════════════════════════════════════════════════════════════════════
+ */
+
+const EDITABLE_FIELDS = ['name', 'address', 'wilaya', 'timezone', 'opening_hours', 'phone', 'email', 'logo_url'];
+
+export default function ClubService(models) {
+  const pricingService = PricingService(models);
+
+  // ════════════════════════════════════════════════════════════════════════════
+  // VALIDATION
+  // ════════════════════════════════════════════════════════════════════════════
+  const pickFields = (data) => {
+    const values = {};
+    for (const field of EDITABLE_FIELDS) {
+      if (data[field] !== undefined) values[field] = data[field];
+    }
+
+    if (values.timezone !== undefined) {
+      if (!isValidTimeZone(values.timezone)) {
+        throw new Error(`Invalid timezone: ${values.timezone}`);
+      }
+    }
+
+    if (values.opening_hours !== undefined && values.opening_hours !== null) {
+      const hours = values.opening_hours;
+      const valid = typeof hours === 'object' && !Array.isArray(hours) &&
+        Object.entries(hours).every(([day, range]) =>
+          /^[0-6]$/.test(day) && range &&
+          /^\d{2}:\d{2}$/.test(range.open ?? '') && /^\d{2}:\d{2}$/.test(range.close ?? ''));
+      if (!valid) {
+        throw new Error('Invalid opening_hours: { "0".."6": { "open": "HH:mm", "close": "HH:mm" } }');
+      }
+    }
+
+    return values;
+  };
+
+  // ════════════════════════════════════════════════════════════════════════════
+  // CRUD
+  // ════════════════════════════════════════════════════════════════════════════
+  const findAll = async () => {
+    return await models.club.findAll({ order: [['name', 'ASC']] });
+  };
+
+  const findById = async (id) => {
+    return await models.club.findByPk(id, {
+      include: [{ model: models.terrain, as: 'terrains' }]
+    });
+  };
+
+  const create = async (data) => {
+    if (!data.name) {
+      throw new Error('name is required');
+    }
+
+    return await models.club.create({
+      ...pickFields(data),
+      date_creation: new Date(),
+      date_modif: new Date()
+    });
+  };
+
+  const update = async (id, data) => {
+    const club = await models.club.findByPk(id);
+    if (!club) throw new Error('Club not found');
+
+    await club.update({ ...pickFields(data), date_modif: new Date() });
+    return club;
+  };
+
+  // ════════════════════════════════════════════════════════════════════════════
+  // TERRAINS & AVAILABILITY
+  // ════════════════════════════════════════════════════════════════════════════
+  const getTerrains = async (clubId) => {
+    const club = await models.club.findByPk(clubId);
+    if (!club) throw new Error('Club not found');
+
+    return await models.terrain.findAll({
+      where: { id_club: clubId },
+      order: [['id', 'ASC']]
+    });
+  };
+
+  // Available slots of every terrain of the club for a date, with their price
+  const getAvailability = async (clubId, date) => {
+    if (!date) {
+      throw new Error('date is required (YYYY-MM-DD)');
+    }
+
+    const terrains = await getTerrains(clubId);
+    const results = [];
+
+    for (const terrain of terrains) {
+      const slots = await getPlageHorairesByTerrain(terrain.id, models, { date });
+      const available = slots.filter(slot => slot.disponible === true);
+
+      results.push({
+        terrain: terrain.toJSON(),
+        slots: await pricingService.priceSlots(available, date)
+      });
+    }
+
+    return results;
+  };
+
+  return {
+    findAll,
+    findById,
+    create,
+    update,
+    getTerrains,
+    getAvailability,
+  };
+}
@@ -0,0 +1,287 @@
+import crypto from 'crypto';
+import { Op } from 'sequelize';
+
+/**
+ * ════════════════════════════════════════════════════════════════════════════════
+ * GUEST SERVICE - Players without an account in a private match
+ * ════════════════════════════════════════════════════════════════════════════════
+ *
+ * - The creator of a private match (typer = 1) or an admin records a guest by
+ *   name (and optional phone) into a free position: a participant with
+ *   id_utilisateur = NULL, so the match can reach its four players.
+ * - Payment: free when the creator paid for all (ispayed); otherwise either the
+ *   creator pays the share by credit (debit:guest:..., refunded with the
+ *   match) or the guest pays on site (typepaiement = 2).
+ * - Guests are never rated (see computeMatchRatings in ratingJob.service.js).
+ * - Once registered, the guest claims the participation with the code handed
+ *   out when they were added (the phone is only a contact: it is not verified,
+ *   so it never transfers a participation); past ratings are not recomputed.
+ *
+ * ════════════════════════════════════════════════════════════════════════════════
+ */
+
+const PAID_BY = ['creator', 'on_site'];
+const MAX_PLAYERS = 4;
+
+const normalizePhone = (value) => String(value ?? '').replace(/[\s.-]/g, '') || null;
+
+const serviceError = (message, statusCode, code) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  if (code) error.code = code;
+  return error;
+};
+
+export default function GuestService(models, reservationService) {
+
+  const newClaimCode = () => crypto.randomBytes(4).toString('hex').toUpperCase();
+
+  // ════════════════════════════════════════════════════════════════════════════
+  // UTILITY: Lock a private match the actor may edit
+  // ════════════════════════════════════════════════════════════════════════════
+  const lockEditableMatch = async (reservationId, actorId, isAdmin, t) => {
+    const reservation = await models.reservation.findByPk(reservationId, {
+      transaction: t,
+      lock: t.LOCK.UPDATE
+    });
+    if (!reservation) throw new Error('Reservation not found');
+
+    if (!isAdmin && Number(reservation.id_utilisateur) !== Number(actorId)) {
+      throw serviceError('Seul le créateur du match peut gérer les invités.', 403, 'FORBIDDEN');
+    }
+    if (Number(reservation.typer) !== 1) {
+      throw serviceError('Les invités sans compte sont réservés aux matchs privés.', 409, 'NOT_PRIVATE_MATCH');
+    }
+    if (Number(reservation.isCancel) === 1) {
+      throw serviceError('Ce match est annulé.', 409, 'MATCH_CANCELLED');
+    }
+    if (reservation.score_status !== null && reservation.score_status !== undefined) {
+      throw serviceError('Le score de ce match a déjà été saisi.', 409, 'SCORE_SUBMITTED');
+    }
+
+    return reservation;
+  };
+
+  // ════════════════════════════════════════════════════════════════════════════
+  // ADD: Record a guest into a free position
+  // ════════════════════════════════════════════════════════════════════════════
+  const add = async (reservationId, actorId, { guest_name, guest_phone, team, paid_by = 'on_site' } = {}, { isAdmin = false } = {}) => {
+    const name = String(guest_name ?? '').trim();
+    if (!name) {
+      throw serviceError('guest_name is required', 400, 'VALIDATION_ERROR');
+    }
+    const teamIndex = Number(team);
+    if (!Number.isInteger(teamIndex) || teamIndex < 0 || teamIndex > 3) {
+      throw serviceError('Invalid team index. Must be 0,1,2, or 3', 400, 'VALIDATION_ERROR');
+    }
+    if (!PAID_BY.includes(paid_by)) {
+      throw serviceError(`Invalid paid_by (${PAID_BY.join(', ')})`, 400, 'VALIDATION_ERROR');
+    }
+
+    const t = await models.sequelize.transaction();
+
+    try {
+      const reservation = await lockEditableMatch(reservationId, actorId, isAdmin, t);
+
+      const participants = await models.participant.findAll({
+        where: { id_reservation: reservation.id },
+        transaction: t,
+        lock: t.LOCK.UPDATE
+      });
+      if (participants.length >= MAX_PLAYERS) {
+        throw serviceError('Désolé, ce match est complet. Maximum de 4 joueurs atteint.', 409, 'MATCH_FULL');
+      }
+      if (participants.some(p => Number(p.team) === teamIndex)) {
+        throw serviceError(`La position ${teamIndex + 1} est déjà prise.`, 409, 'SLOT_TAKEN');
+      }
+
+      const held = models.match_invitation
+        ? await models.match_invitation.findOne({
+          where: {
+            id_reservation: reservation.id,
+            team: teamIndex,
+            status: 0,
+            expires_at: { [Op.gt]: new Date() }
+          },
+          transaction: t
+        })
+        : null;
+      if (held) {
+        throw serviceError(`La position ${teamIndex + 1} est réservée pour un joueur invité.`, 409, 'SLOT_HELD');
+      }
+
+      const prepaid = Number(reservation.ispayed ?? 0) === 1;
+      const paidByCreator = !prepaid && paid_by === 'creator';
+
+      const participant = await models.participant.create({
+        id_reservation: reservation.id,
+        id_utilisateur: null,
+        est_createur: false,
+        statepaiement: prepaid || paidByCreator ? 1 : 0,
+        typepaiement: prepaid || paidByCreator ? 1 : 2,
+        team: teamIndex,
+        guest_name: name,
+        guest_phone: normalizePhone(guest_phone),
+        guest_claim_code: newClaimCode(),
+        id_added_by: actorId
+      }, { transaction: t });
+
+      let charged = 0;
+      if (paidByCreator) {
+        const price = Number(reservation.prix_unitaire ?? 0);
+        charged = Number.isFinite(price) && price > 0 ? price : 0;
+
+        if (charged > 0) {
+          const creator = await models.utilisateur.findByPk(reservation.id_utilisateur, {
+            transaction: t,
+            lock: t.LOCK.UPDATE
+          });
+          if (!creator) throw new Error('Utilisateur not found');
+
+          const currentBalance = Number(creator.credit_balance ?? 0);
+          if (!Number.isFinite(currentBalance) || currentBalance < charged) {
+            const error = serviceError('Solde de crédit insuffisant', 400, 'INSUFFICIENT_BALANCE');
+            error.currentBalance = currentBalance;
+            error.required = charged;
+            throw error;
+          }
+
+          await creator.update({ credit_balance: currentBalance - charged }, { transaction: t });
+          await models.credit_transaction.create({
+            id_utilisateur: creator.id,
+            nombre: -charged,
+            type: `debit:guest:R${reservation.id}:U${creator.id}:P${participant.id}:${Date.now()}`,
+            date_creation: new Date()
+          }, { transaction: t });
+        }
+      }
+
+      await reservation.update({ date_modif: new Date() }, { transaction: t });
+      await t.commit();
+
+      console.log(`[GuestService] Guest "${name}" added to reservation ${reservation.id} at position ${teamIndex} (${prepaid ? 'prepaid' : paid_by}, charged ${charged})`);
+      return participant;
+
+    } catch (err) {
+      if (!t.finished) await t.rollback();
+
+      if (err.name === 'SequelizeUniqueConstraintError' || err.original?.code === '23505') {
+        throw serviceError('Cette position vient d\'être prise par un autre joueur.', 409, 'SLOT_TAKEN');
+      }
+      throw err;
+    }
+  };
+
+  // ════════════════════════════════════════════════════════════════════════════
+  // REMOVE: Take a guest out (their share goes back to whoever paid it)
+  // ════════════════════════════════════════════════════════════════════════════
+  const remove = async (participantId, actorId, { isAdmin = false } = {}) => {
+    const guest = await models.participant.findByPk(participantId);
+    if (!guest || guest.id_utilisateur) throw new Error('Guest not found');
+
+    const t = await models.sequelize.transaction();
+
+    try {
+      const reservation = await lockEditableMatch(guest.id_reservation, actorId, isAdmin, t);
+
+      await reservationService.refundGuestShares(reservation.id, t, guest.id);
+      await models.participant.destroy({
+        where: { id: guest.id, id_utilisateur: null },
+        transaction: t
+      });
+      await reservation.update({ date_modif: new Date() }, { transaction: t });
+
+      await t.commit();
+      console.log(`[GuestService] Guest ${guest.id} removed from reservation ${reservation.id}`);
+      return guest;
+
+    } catch (err) {
+      if (!t.finished) await t.rollback();
+      throw err;
+    }
+  };
+
+  // ════════════════════════════════════════════════════════════════════════════
+  // CLAIM: A new account takes over its guest participations
+  // ════════════════════════════════════════════════════════════════════════════
+
+  // Unclaimed participations matching the code handed out to the guest
+  const findClaimable = async (userId, { code } = {}) => {
+    const user = await models.utilisateur.findByPk(userId);
+    if (!user) throw new Error('Utilisateur not found');
+
+    const claimCode = String(code ?? '').trim().toUpperCase();
+    if (!claimCode) {
+      throw serviceError('Le code invité est requis.', 400, 'CLAIM_CODE_REQUIRED');
+    }
+
+    return await models.participant.findAll({
+      where: { id_utilisateur: null, guest_claim_code: claimCode },
+      include: [{
+        model: models.reservation,
+        as: 'reservation',
+        include: [
+          { model: models.terrain, as: 'terrain' },
+          { model: models.plage_horaire, as: 'plage_horaire' }
+        ]
+      }],
+      order: [['id', 'ASC']]
+    });
+  };
+
+  const claim = async (userId, { code } = {}) => {
+    const candidates = await findClaimable(userId, { code });
+    if (candidates.length === 0) {
+      throw new Error('Guest not found');
+    }
+
+    const claimed = [];
+    const skipped = [];
+
+    for (const candidate of candidates) {
+      const t = await models.sequelize.transaction();
+      try {
+        const guest = await models.participant.findByPk(candidate.id, {
+          transaction: t,
+          lock: t.LOCK.UPDATE
+        });
+
+        // Already in that match under their account: keep the guest row as is
+        const alreadyIn = guest && !guest.id_utilisateur
+          ? await models.participant.findOne({
+            where: { id_reservation: guest.id_reservation, id_utilisateur: userId },
+            transaction: t
+          })
+          : null;
+
+        if (!guest || guest.id_utilisateur || alreadyIn) {
+          await t.rollback();
+          skipped.push(candidate.id);
+          continue;
+        }
+
+        await guest.update({
+          id_utilisateur: userId,
+          guest_claim_code: null,
+          guest_claimed_at: new Date()
+        }, { transaction: t });
+
+        await t.commit();
+        claimed.push(guest);
+      } catch (err) {
+        if (!t.finished) await t.rollback();
+        throw err;
+      }
+    }
+
+    console.log(`[GuestService] User ${userId} claimed ${claimed.length} guest participation(s)${skipped.length ? `, ${skipped.length} skipped` : ''}`);
+    return { claimed, skipped };
+  };
+
+  return {
+    add,
+    remove,
+    findClaimable,
+    claim,
+  };
+}
@@ -0,0 +1,190 @@
+import { Op } from 'sequelize';
+import { getClubIdForTerrain } from '../utils/club.js';
+
+/**
+ * ════════════════════════════════════════════════════════════════════════════════
+ * JOIN PAYMENT SERVICE - What a non-creator pays to take a place in a match
+ * ════════════════════════════════════════════════════════════════════════════════
+ *
+ * Shared by every way of entering a match (join by position, accepted
+ * invitation, ...), always inside the caller's transaction:
+ * - Nothing is charged when the player already paid for this reservation
+ *   (net of refunds) or pays on site (typepaiement = 2).
+ * - Otherwise the price locked at booking (prix_unitaire) is debited from the
+ *   credit balance, minus the membership discount of the terrain's club;
+ *   free when the creator paid for all or with an Infinity membership
+ *   (one match per day).
+ *
+ * ════════════════════════════════════════════════════════════════════════════════
+ */
+
+const insufficientBalance = (currentBalance, required) => {
+  const error = new Error('Solde de crédit insuffisant');
+  error.statusCode = 400;
+  error.code = 'INSUFFICIENT_BALANCE';
+  error.currentBalance = currentBalance;
+  error.required = required;
+  return error;
+};
+
+export default function JoinPaymentService(models) {
+
+  // ════════════════════════════════════════════════════════════════════════════
+  // UTILITY: Net amount already paid for the reservation (debits + refunds)
+  // ════════════════════════════════════════════════════════════════════════════
+  const findNetPaid = async (userId, reservationId, t) => {
+    const transactions = await models.credit_transaction.findAll({
+      where: {
+        id_utilisateur: userId,
+        type: {
+          [Op.or]: [
+            // Debit patterns (negative amounts)
+            { [Op.like]: `debit:join:R${reservationId}:U${userId}%` },
+            { [Op.like]: `debit:reservation:R${reservationId}:U${userId}%` },
+
+            // Refund patterns (positive amounts)
+            { [Op.like]: `refund:cancel:R${reservationId}%` },
+            { [Op.like]: `refund:override:R${reservationId}%` },
+            { [Op.like]: `refund:match_override:R${reservationId}%` },
+            { [Op.like]: `refund:autocancel:R${reservationId}:U${userId}%` },
+            { [Op.like]: `refund:replacement:R${reservationId}:U${userId}%` }
+          ]
+        }
+      },
+      transaction: t
+    });
+
+    return transactions.reduce((sum, tx) => sum + Number(tx.nombre), 0);
+  };
+
+  // ════════════════════════════════════════════════════════════════════════════
+  // UTILITY: Price for this player (membership of the terrain's club)
+  // ════════════════════════════════════════════════════════════════════════════
+  const computeJoinPrice = async (reservation, userId, t) => {
+    const plage = reservation.id_plage_horaire
+      ? await models.plage_horaire.findByPk(reservation.id_plage_horaire, {
+        transaction: t,
+        lock: t.LOCK.UPDATE
+      })
+      : null;
+
+    // Joiners pay the price computed when the match was booked
+    const slotPrice = (() => {
+      const p = Number(reservation?.prix_unitaire ?? plage?.price ?? reservation?.prix_total ?? 0);
+      return Number.isFinite(p) && p > 0 ? p : 0;
+    })();
+
+    // Creator paid for all: joining is free
+    if (Number(reservation?.ispayed ?? 0) === 1) {
+      console.log(`[JoinPayment] ✨ Reservation ${reservation.id} is PREPAID by creator. Joining is FREE.`);
+      return 0;
+    }
+
+    // 👑 MEMBERSHIP LOGIC 👑
+    const clubId = await getClubIdForTerrain(models, reservation.id_terrain, t);
+    const membership = await models.membership.findOne({
+      where: {
+        id_user: userId,
+        id_club: clubId,
+        dateend: { [Op.gte]: new Date() } // Active only
+      },
+      transaction: t
+    });
+
+    let membershipType = Number(membership?.typemmbership ?? 0);
+
+    if (membershipType === 4 && reservation.date) {
+      // Infinity: one free match per day
+      try {
+        const count = await models.participant.count({
+          where: { id_utilisateur: userId },
+          include: [{
+            model: models.reservation,
+            as: 'reservation',
+            where: { date: reservation.date, isCancel: 0 }
+          }],
+          transaction: t
+        });
+
+        if (count > 0) {
+          console.log(`[JoinPayment] 👑 User ${userId} (Infinity) already has ${count} match(es) on ${reservation.date}. Daily limit reached.`);
+          membershipType = 0; // Downgrade to normal
+        }
+      } catch (e) {
+        console.error('[JoinPayment] Error checking daily limit:', e);
+      }
+    }
+
+    if (membershipType === 4) {
+      console.log(`[JoinPayment] 👑 User ${userId} has INFINITY membership - Join is FREE`);
+      return 0;
+    }
+
+    const membershipDiscount = (membershipType === 2 || membershipType === 3) ? 300 : 0;
+    const finalPrice = Math.max(slotPrice - membershipDiscount, 0);
+
+    console.log(`[JoinPayment] Price calculation: Base=${slotPrice}, Discount=${membershipDiscount}, Final=${finalPrice}`);
+    return finalPrice;
+  };
+
+  // ════════════════════════════════════════════════════════════════════════════
+  // MAIN: Charge a player taking position `teamIndex` (caller's transaction)
+  // ════════════════════════════════════════════════════════════════════════════
+  const chargeJoiningPlayer = async ({ reservation, userId, teamIndex, typepaiement }, t) => {
+    const netPaid = await findNetPaid(userId, reservation.id, t);
+
+    // Net negative balance = already paid and not refunded
+    if (netPaid < -0.01) {
+      console.log(`[JoinPayment] ✅ User ${userId} already paid (net: ${netPaid})`);
+      return { charged: 0, reason: 'ALREADY_PAID' };
+    }
+
+    if (Number(typepaiement) === 2) {
+      console.log(`[JoinPayment] ✅ On-site payment selected (typepaiement=2)`);
+      return { charged: 0, reason: 'ON_SITE' };
+    }
+
+    const finalPrice = await computeJoinPrice(reservation, userId, t);
+    if (finalPrice <= 0) {
+      console.log(`[JoinPayment] ✅ Join is FREE (prepaid, Infinity or covered by discount). No charge.`);
+      return { charged: 0, reason: 'FREE' };
+    }
+
+    const joiner = await models.utilisateur.findByPk(userId, {
+      transaction: t,
+      lock: t.LOCK.UPDATE
+    });
+    if (!joiner) {
+      throw new Error('Utilisateur not found');
+    }
+
+    const currentBalance = Number(joiner.credit_balance ?? 0);
+    if (!Number.isFinite(currentBalance) || currentBalance < finalPrice) {
+      throw insufficientBalance(currentBalance, finalPrice);
+    }
+
+    await joiner.update({ credit_balance: currentBalance - finalPrice }, { transaction: t });
+
+    // Unique suffix so a player who left and re-joins gets a new debit
+    const transactionType = `debit:join:R${reservation.id}:U${userId}:T${teamIndex}:${Date.now()}`;
+    await models.credit_transaction.create({
+      id_utilisateur: userId,
+      nombre: -finalPrice,
+      type: transactionType,
+      date_creation: new Date()
+    }, { transaction: t });
+
+    console.log(`[JoinPayment] ✅ Charged ${finalPrice} credits:`, {
+      oldBalance: currentBalance,
+      newBalance: currentBalance - finalPrice,
+      transactionId: transactionType
+    });
+
+    return { charged: finalPrice, reason: 'CREDIT' };
+  };
+
+  return {
+    findNetPaid,
+    chargeJoiningPlayer,
+  };
+}
@@ -0,0 +1,468 @@
+import { addNotification } from '../utils/notificationBus.js';
+import { sendMatchInvitationEmail } from '../utils/sendEmail.js';
+import { Op } from 'sequelize';
+import { getMatchStart } from '../utils/matchTime.js';
+import { getTimezoneForTerrain } from '../utils/club.js';
+import { toZonedISOString, toZonedTime } from '../utils/timezone.js';
+import JoinPaymentService from './joinPayment.service.js';
+
+/**
+ * ════════════════════════════════════════════════════════════════════════════════
+ * MATCH INVITATION SERVICE - Direct invitations to private matches
+ * ════════════════════════════════════════════════════════════════════════════════
+ *
+ * Status: 0 = pending, 1 = accepted, 2 = declined, 3 = expired, 4 = cancelled
+ *
+ * - The creator of a private match (typer = 1) invites users, or email / phone
+ *   contacts, into a given position (participant.team).
+ * - The position is held for the invitee until expires_at (default
+ *   INVITATION_HOLD_HOURS, never after kick-off): nobody else can join it.
+ * - Contacts without an account get an email when possible; the invitation is
+ *   attached to their account once they sign up with that email / phone.
+ * - Accepting creates the participant and charges it like any join
+ *   (JoinPaymentService), in one transaction.
+ *
+ * ════════════════════════════════════════════════════════════════════════════════
+ */
+
+const STATUS = {
+  PENDING: 0,
+  ACCEPTED: 1,
+  DECLINED: 2,
+  EXPIRED: 3,
+  CANCELLED: 4
+};
+
+const HOLD_HOURS = Number(process.env.INVITATION_HOLD_HOURS || 24);
+const MAX_PLAYERS = 4;
+
+const normalizeEmail = (value) => String(value ?? '').trim().toLowerCase() || null;
+const normalizePhone = (value) => String(value ?? '').replace(/[\s.-]/g, '') || null;
+
+const serviceError = (message, statusCode, code) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  if (code) error.code = code;
+  return error;
+};
+
+export default function MatchInvitationService(models) {
+  const joinPaymentService = JoinPaymentService(models);
+
+  const invitationIncludes = [
+    {
+      model: models.reservation,
+      as: 'reservation',
+      include: [
+        { model: models.terrain, as: 'terrain' },
+        { model: models.plage_horaire, as: 'plage_horaire' }
+      ]
+    },
+    { model: models.utilisateur, as: 'inviter', attributes: ['id', 'nom', 'prenom'] },
+    { model: models.utilisateur, as: 'invitee', attributes: ['id', 'nom', 'prenom'] }
+  ];
+
+  // ════════════════════════════════════════════════════════════════════════════
+  // UTILITY: Kick-off of a reservation, in its club's zone
+  // ════════════════════════════════════════════════════════════════════════════
+  const getKickoff = async (reservation, t) => {
+    const plage = reservation.plage_horaire
+      ?? await models.plage_horaire.findByPk(reservation.id_plage_horaire, { transaction: t });
+    const timeZone = await getTimezoneForTerrain(models, reservation.id_terrain, t);
+    return {
+      start: plage ? getMatchStart(reservation.date, plage.start_time, timeZone) : null,
+      timeZone
+    };
+  };
+
+  // Pending invitations past their deadline free their position
+  const expireStale = async (where, t) => {
+    const expired = await models.match_invitation.findAll({
+      where: { ...where, status: STATUS.PENDING, expires_at: { [Op.lte]: new Date() } },
+      transaction: t
+    });
+
+    for (const invitation of expired) {
+      await invitation.update({ status: STATUS.EXPIRED, date_modif: new Date() }, { transaction: t });
+    }
+    return expired;
+  };
+
+  const displayName = (user) => `${user?.prenom ?? ''} ${user?.nom ?? ''}`.trim() || 'Un joueur';
+
+  const isInvitee = (invitation, user) => {
+    if (invitation.id_invitee !== null && invitation.id_invitee !== undefined) {
+      return Number(invitation.id_invitee) === Number(user.id);
+    }
+    return (invitation.contact_email && invitation.contact_email === normalizeEmail(user.email)) ||
+      (invitation.contact_phone && invitation.contact_phone === normalizePhone(user.numero_telephone));
+  };
+
+  // ════════════════════════════════════════════════════════════════════════════
+  // INVITE: Hold positions of a private match for specific players
+  // Body: { invitations: [{ team, id_utilisateur | email | phone }], expires_at? }
+  // ════════════════════════════════════════════════════════════════════════════
+  const invite = async (reservationId, inviterId, { invitations, expires_at } = {}) => {
+    if (!Array.isArray(invitations) || invitations.length === 0) {
+      throw serviceError('invitations is required (team + id_utilisateur, email or phone)', 400, 'VALIDATION_ERROR');
+    }
+
+    const t = await models.sequelize.transaction();
+    const created = [];
+
+    try {
+      const reservation = await models.reservation.findByPk(reservationId, {
+        transaction: t,
+        lock: t.LOCK.UPDATE
+      });
+      if (!reservation) throw new Error('Reservation not found');
+
+      if (Number(reservation.id_utilisateur) !== Number(inviterId)) {
+        throw serviceError('Seul le créateur du match peut inviter des joueurs.', 403);
+      }
+      if (Number(reservation.typer) !== 1) {
+        throw serviceError('Les invitations sont réservées aux matchs privés.', 400, 'VALIDATION_ERROR');
+      }
+      if (Number(reservation.isCancel) === 1) {
+        throw serviceError('Ce match est annulé.', 409, 'MATCH_CANCELLED');
+      }
+
+      const { start: kickoff, timeZone } = await getKickoff(reservation, t);
+      if (!kickoff || kickoff <= new Date()) {
+        throw serviceError('Ce match a déjà commencé.', 409, 'MATCH_STARTED');
+      }
+
+      let expiresAt = expires_at
+        ? new Date(expires_at)
+        : new Date(Date.now() + HOLD_HOURS * 60 * 60 * 1000);
+      if (isNaN(expiresAt.getTime()) || expiresAt <= new Date()) {
+        throw serviceError('Invalid expires_at: must be in the future', 400, 'VALIDATION_ERROR');
+      }
+      if (expiresAt > kickoff) expiresAt = kickoff;
+
+      await expireStale({ id_reservation: reservation.id }, t);
+
+      const participants = await models.participant.findAll({
+        where: { id_reservation: reservation.id },
+        transaction: t,
+        lock: t.LOCK.UPDATE
+      });
+      const pending = await models.match_invitation.findAll({
+        where: { id_reservation: reservation.id, status: STATUS.PENDING },
+        transaction: t
+      });
+
+      const takenTeams = new Set([
+        ...participants.map(p => Number(p.team)),
+        ...pending.map(i => Number(i.team))
+      ]);
+      const invitedUsers = new Set([
+        ...participants.map(p => Number(p.id_utilisateur)),
+        ...pending.filter(i => i.id_invitee).map(i => Number(i.id_invitee))
+      ]);
+      const invitedContacts = new Set(pending.flatMap(i => [i.contact_email, i.contact_phone]).filter(Boolean));
+
+      if (participants.length + pending.length + invitations.length > MAX_PLAYERS) {
+        throw serviceError('Désolé, ce match est complet. Maximum de 4 joueurs atteint.', 409, 'MATCH_FULL');
+      }
+
+      for (const entry of invitations) {
+        const team = Number(entry.team);
+        if (!Number.isInteger(team) || team < 0 || team > 3) {
+          throw serviceError('Invalid team index. Must be 0,1,2, or 3', 400, 'VALIDATION_ERROR');
+        }
+        if (takenTeams.has(team)) {
+          throw serviceError(`La position ${team + 1} est déjà prise ou réservée.`, 409, 'SLOT_TAKEN');
+        }
+
+        const email = normalizeEmail(entry.email);
+        const phone = normalizePhone(entry.phone);
+
+        let invitee = null;
+        if (entry.id_utilisateur) {
+          invitee = await models.utilisateur.findByPk(entry.id_utilisateur, { transaction: t });
+          if (!invitee) throw new Error('Utilisateur not found');
+        } else if (email || phone) {
+          invitee = await models.utilisateur.findOne({
+            where: {
+              [Op.or]: [
+                ...(email ? [models.sequelize.where(models.sequelize.fn('LOWER', models.sequelize.col('email')), email)] : []),
+                ...(phone ? [{ numero_telephone: phone }] : [])
+              ]
+            },
+            transaction: t
+          });
+        } else {
+          throw serviceError('Each invitation needs id_utilisateur, email or phone', 400, 'VALIDATION_ERROR');
+        }
+
+        if (invitee && invitedUsers.has(Number(invitee.id))) {
+          throw serviceError('Ce joueur participe déjà ou est déjà invité.', 409, 'ALREADY_INVITED');
+        }
+        if (!invitee && ((email && invitedContacts.has(email)) || (phone && invitedContacts.has(phone)))) {
+          throw serviceError('Ce contact est déjà invité.', 409, 'ALREADY_INVITED');
+        }
+
+        const invitation = await models.match_invitation.create({
+          id_reservation: reservation.id,
+          id_inviter: inviterId,
+          id_invitee: invitee ? invitee.id : null,
+          contact_email: invitee ? null : email,
+          contact_phone: invitee ? null : phone,
+          team,
+          status: STATUS.PENDING,
+          expires_at: expiresAt,
+          date_creation: new Date(),
+          date_modif: new Date()
+        }, { transaction: t });
+
+        takenTeams.add(team);
+        if (invitee) invitedUsers.add(Number(invitee.id));
+        if (email) invitedContacts.add(email);
+        if (phone) invitedContacts.add(phone);
+        created.push(invitation);
+      }
+
+      await t.commit();
+      console.log(`[InvitationService] ✉️ ${created.length} invitation(s) sent for reservation ${reservation.id}`);
+
+      // ── Notify after commit ──
+      const inviter = await models.utilisateur.findByPk(inviterId, { attributes: ['id', 'nom', 'prenom'] });
+      const inviterName = displayName(inviter);
+      const time = toZonedTime(kickoff, timeZone).slice(0, 5);
+      const deadline = toZonedISOString(expiresAt, timeZone).slice(0, 16).replace('T', ' ');
+
+      for (const invitation of created) {
+        if (invitation.id_invitee) {
+          await addNotification({
+            recipient_id: invitation.id_invitee,
+            reservation_id: reservation.id,
+            submitter_id: inviterId,
+            type: 'match_invitation',
+            message: `${inviterName} vous invite à un match privé le ${reservation.date} à ${time} (position ${invitation.team + 1}). Acceptez ou refusez avant le ${deadline}.`
+          });
+        } else if (invitation.contact_email) {
+          try {
+            await sendMatchInvitationEmail(invitation.contact_email, {
+              inviterName,
+              date: reservation.date,
+              time,
+              code: reservation.coder,
+              expiresAt: deadline
+            });
+          } catch (err) {
+            console.error(`[InvitationService] Failed to email invitation ${invitation.id}:`, err.message);
+          }
+        }
+      }
+
+      return created;
+
+    } catch (err) {
+      if (!t.finished) await t.rollback();
+      throw err;
+    }
+  };
+
+  // ════════════════════════════════════════════════════════════════════════════
+  // ACCEPT: Take the held position (same payment as a join)
+  // ════════════════════════════════════════════════════════════════════════════
+  const accept = async (invitationId, userId, { typepaiement } = {}) => {
+    const paymentType = typepaiement !== undefined && typepaiement !== null ? Number(typepaiement) : 1;
+    if (![1, 2].includes(paymentType)) {
+      throw serviceError('Invalid typepaiement (1 = crédit, 2 = sur place)', 400, 'VALIDATION_ERROR');
+    }
+
+    const t = await models.sequelize.transaction();
+
+    try {
+      const invitation = await models.match_invitation.findByPk(invitationId, {
+        transaction: t,
+        lock: t.LOCK.UPDATE
+      });
+      const user = await models.utilisateur.findByPk(userId, { transaction: t });
+      if (!invitation || !user || !isInvitee(invitation, user)) {
+        throw new Error('Invitation not found');
+      }
+
+      if (Number(invitation.status) !== STATUS.PENDING) {
+        throw serviceError('Cette invitation n\'est plus valable.', 409, 'INVITATION_CLOSED');
+      }
+      if (new Date(invitation.expires_at) <= new Date()) {
+        await invitation.update({ status: STATUS.EXPIRED, date_modif: new Date() }, { transaction: t });
+        await t.commit();
+        throw serviceError('Cette invitation a expiré.', 409, 'INVITATION_EXPIRED');
+      }
+
+      const reservation = await models.reservation.findByPk(invitation.id_reservation, {
+        transaction: t,
+        lock: t.LOCK.UPDATE
+      });
+      if (!reservation || Number(reservation.isCancel) === 1) {
+        throw serviceError('Ce match est annulé.', 409, 'MATCH_CANCELLED');
+      }
+
+      const existing = await models.participant.findOne({
+        where: { id_reservation: reservation.id, id_utilisateur: userId },
+        transaction: t
+      });
+      if (existing) {
+        throw serviceError('Vous avez déjà rejoint ce match', 409, 'ALREADY_JOINED');
+      }
+
+      await joinPaymentService.chargeJoiningPlayer({
+        reservation,
+        userId,
+        teamIndex: invitation.team,
+        typepaiement: paymentType
+      }, t);
+
+      const participant = await models.participant.create({
+        id_reservation: reservation.id,
+        id_utilisateur: userId,
+        est_createur: false,
+        statepaiement: 0,
+        typepaiement: paymentType,
+        team: invitation.team
+      }, { transaction: t });
+
+      await invitation.update({
+        status: STATUS.ACCEPTED,
+        id_invitee: userId,
+        id_participant: participant.id,
+        date_modif: new Date()
+      }, { transaction: t });
+
+      await t.commit();
+      console.log(`[InvitationService] ✅ Invitation ${invitation.id} accepted by user ${userId}`);
+
+      await addNotification({
+        recipient_id: invitation.id_inviter,
+        reservation_id: reservation.id,
+        submitter_id: userId,
+        type: 'match_invitation_accepted',
+        message: `${displayName(user)} a accepté votre invitation pour le match du ${reservation.date}.`
+      });
+
+      return { invitation, participant };
+
+    } catch (err) {
+      if (!t.finished) await t.rollback();
+
+      if (err.name === 'SequelizeUniqueConstraintError' || err.original?.code === '23505') {
+        throw serviceError('Cette position a été prise entre-temps.', 409, 'SLOT_TAKEN');
+      }
+      throw err;
+    }
+  };
+
+  // ════════════════════════════════════════════════════════════════════════════
+  // DECLINE / CANCEL: Free the held position
+  // ════════════════════════════════════════════════════════════════════════════
+  const decline = async (invitationId, userId) => {
+    const invitation = await models.match_invitation.findByPk(invitationId);
+    const user = await models.utilisateur.findByPk(userId);
+    if (!invitation || !user || !isInvitee(invitation, user)) {
+      throw new Error('Invitation not found');
+    }
+    if (Number(invitation.status) !== STATUS.PENDING) {
+      throw serviceError('Cette invitation n\'est plus valable.', 409, 'INVITATION_CLOSED');
+    }
+
+    await invitation.update({ status: STATUS.DECLINED, id_invitee: userId, date_modif: new Date() });
+
+    await addNotification({
+      recipient_id: invitation.id_inviter,
+      reservation_id: invitation.id_reservation,
+      submitter_id: userId,
+      type: 'match_invitation_declined',
+      message: `${displayName(user)} a décliné votre invitation. La position ${invitation.team + 1} est à nouveau libre.`
+    });
+
+    return invitation;
+  };
+
+  const cancel = async (invitationId, inviterId) => {
+    const invitation = await models.match_invitation.findByPk(invitationId);
+    if (!invitation || Number(invitation.id_inviter) !== Number(inviterId)) {
+      throw new Error('Invitation not found');
+    }
+    if (Number(invitation.status) !== STATUS.PENDING) {
+      throw serviceError('Cette invitation n\'est plus valable.', 409, 'INVITATION_CLOSED');
+    }
+
+    await invitation.update({ status: STATUS.CANCELLED, date_modif: new Date() });
+    return invitation;
+  };
+
+  // ════════════════════════════════════════════════════════════════════════════
+  // EXPIRY: Release the positions of unanswered invitations (scheduler)
+  // ════════════════════════════════════════════════════════════════════════════
+  const expireInvitations = async () => {
+    const expired = await expireStale({});
+
+    for (const invitation of expired) {
+      await addNotification({
+        recipient_id: invitation.id_inviter,
+        reservation_id: invitation.id_reservation,
+        type: 'match_invitation_expired',
+        message: `Une invitation est restée sans réponse : la position ${invitation.team + 1} de votre match est à nouveau libre.`
+      });
+    }
+
+    if (expired.length > 0) {
+      console.log(`[InvitationService] ${expired.length} invitation(s) expired`);
+    }
+    return expired.length;
+  };
+
+  // ════════════════════════════════════════════════════════════════════════════
+  // READ OPERATIONS
+  // ════════════════════════════════════════════════════════════════════════════
+  const findMine = async (userId) => {
+    const user = await models.utilisateur.findByPk(userId);
+    if (!user) throw new Error('Utilisateur not found');
+
+    // Contacts invited before they had an account
+    const contactMatches = [
+      ...(user.email ? [{ contact_email: normalizeEmail(user.email) }] : []),
+      ...(user.numero_telephone ? [{ contact_phone: normalizePhone(user.numero_telephone) }] : [])
+    ];
+    if (contactMatches.length > 0) {
+      await models.match_invitation.update(
+        { id_invitee: user.id, date_modif: new Date() },
+        { where: { id_invitee: null, [Op.or]: contactMatches } }
+      );
+    }
+
+    return await models.match_invitation.findAll({
+      where: { id_invitee: user.id, status: STATUS.PENDING, expires_at: { [Op.gt]: new Date() } },
+      include: invitationIncludes,
+      order: [['expires_at', 'ASC']]
+    });
+  };
+
+  const findByReservation = async (reservationId, userId) => {
+    const reservation = await models.reservation.findByPk(reservationId);
+    if (!reservation) throw new Error('Reservation not found');
+    if (Number(reservation.id_utilisateur) !== Number(userId)) {
+      throw serviceError('Seul le créateur du match peut voir ses invitations.', 403);
+    }
+
+    return await models.match_invitation.findAll({
+      where: { id_reservation: reservationId },
+      include: [{ model: models.utilisateur, as: 'invitee', attributes: ['id', 'nom', 'prenom'] }],
+      order: [['team', 'ASC'], ['id', 'DESC']]
+    });
+  };
+
+  return {
+    invite,
+    accept,
+    decline,
+    cancel,
+    expireInvitations,
+    findMine,
+    findByReservation,
+  };
+}
@@ -0,0 +1,475 @@
+import { addNotification } from '../utils/notificationBus.js';
+import { Op } from 'sequelize';
+import { getMatchWindow, toDateOfDay } from '../utils/matchTime.js';
+import { DEFAULT_CLUB_ID, getClubTimezone } from '../utils/club.js';
+import { toZonedTime, zonedTimeToInstant } from '../utils/timezone.js';
+import { balanceTeams, playerRating } from '../utils/teamBalancer.js';
+
+/**
+ * ════════════════════════════════════════════════════════════════════════════════
+ * MATCHMAKING SERVICE - Automatic foursomes for solo players
+ * ════════════════════════════════════════════════════════════════════════════════
+ *
+ * Status: 0 = searching, 1 = matched, 2 = cancelled, 3 = expired
+ *
+ * - A player queues with a club, a date, an availability window, optional
+ *   preferred terrains and the level range they accept for the others.
+ * - The matcher takes the oldest request, gathers the closest compatible
+ *   players (same club and date, overlapping windows, shared terrain, levels
+ *   accepted both ways; fiability breaks ties) and looks for a free slot inside
+ *   the common window.
+ * - The match is booked through ReservationService.create as a private match
+ *   (typer = 1) paid on site by each player, teams balanced by rating sum
+ *   (utils/teamBalancer.js). Everyone is notified once it is committed.
+ *
+ * ════════════════════════════════════════════════════════════════════════════════
+ */
+
+const STATUS = {
+  SEARCHING: 0,
+  MATCHED: 1,
+  CANCELLED: 2,
+  EXPIRED: 3
+};
+
+const PLAYERS_PER_MATCH = 4;
+// Shortest common window worth looking for a slot in
+const MIN_COMMON_MINUTES = Number(process.env.MATCHMAKING_MIN_WINDOW_MINUTES || 60);
+
+const PLAYER_ATTRIBUTES = ['id', 'nom', 'prenom', 'note', 'fiability', 'positionsurlecourt', 'mainprefere'];
+
+const isDateString = (value) => /^\d{4}-\d{2}-\d{2}$/.test(String(value ?? ''));
+const isTimeString = (value) => /^([01]\d|2[0-4]):[0-5]\d$/.test(String(value ?? ''));
+
+const toMinutes = (time) => {
+  const [h, m] = String(time).split(':').map(Number);
+  return h * 60 + m;
+};
+
+const validationError = (message) => {
+  const error = new Error(message);
+  error.statusCode = 400;
+  error.code = 'VALIDATION_ERROR';
+  return error;
+};
+
+const isEmpty = (value) => value === undefined || value === null || value === '';
+
+export default function MatchmakingService(models, reservationService) {
+
+  // ════════════════════════════════════════════════════════════════════════════
+  // COMPATIBILITY: Can two requests end up in the same match?
+  // ════════════════════════════════════════════════════════════════════════════
+  const acceptsLevel = (request, player) => {
+    const note = playerRating(player);
+    if (!isEmpty(request.min_level) && note < Number(request.min_level)) return false;
+    if (!isEmpty(request.max_level) && note > Number(request.max_level)) return false;
+    return true;
+  };
+
+  // Intersection of terrain preferences; null = any terrain
+  const commonTerrains = (requests) => {
+    let terrains = null;
+    for (const request of requests) {
+      if (!request.terrain_ids || request.terrain_ids.length === 0) continue;
+      const ids = request.terrain_ids.map(Number);
+      terrains = terrains === null ? ids : terrains.filter(id => ids.includes(id));
+    }
+    return terrains;
+  };
+
+  // Latest start / earliest end of the availability windows
+  const commonWindow = (requests) => {
+    const start = requests.map(r => r.window_start).sort().at(-1);
+    const end = requests.map(r => r.window_end).sort()[0];
+    return { start, end, minutes: toMinutes(end) - toMinutes(start) };
+  };
+
+  const isCompatible = (group, candidate) => {
+    for (const member of group) {
+      if (Number(member.id_utilisateur) === Number(candidate.id_utilisateur)) return false;
+      if (!acceptsLevel(member, candidate.utilisateur) || !acceptsLevel(candidate, member.utilisateur)) return false;
+    }
+
+    const requests = [...group, candidate];
+    const terrains = commonTerrains(requests);
+    if (terrains !== null && terrains.length === 0) return false;
+
+    return commonWindow(requests).minutes >= MIN_COMMON_MINUTES;
+  };
+
+  // ════════════════════════════════════════════════════════════════════════════
+  // GROUPING: Anchor + the three closest compatible players
+  // ════════════════════════════════════════════════════════════════════════════
+  const buildGroup = (anchor, pool) => {
+    const anchorNote = playerRating(anchor.utilisateur);
+
+    const candidates = pool
+      .filter(request => request.id !== anchor.id)
+      .sort((a, b) =>
+        Math.abs(playerRating(a.utilisateur) - anchorNote) - Math.abs(playerRating(b.utilisateur) - anchorNote) ||
+        Number(b.utilisateur?.fiability ?? 0) - Number(a.utilisateur?.fiability ?? 0) ||
+        Number(a.id) - Number(b.id)
+      );
+
+    const group = [anchor];
+    for (const candidate of candidates) {
+      if (group.length === PLAYERS_PER_MATCH) break;
+      if (isCompatible(group, candidate)) group.push(candidate);
+    }
+
+    return group.length === PLAYERS_PER_MATCH ? group : null;
+  };
+
+  // ════════════════════════════════════════════════════════════════════════════
+  // SLOTS: Slots of the preferred terrains fitting the common window
+  // ════════════════════════════════════════════════════════════════════════════
+  const findCandidateSlots = async (group) => {
+    const { id_club: clubId, date } = group[0];
+    const timeZone = await getClubTimezone(models, clubId);
+    const window = commonWindow(group);
+    const windowStart = zonedTimeToInstant(date, window.start, timeZone);
+    const windowEnd = zonedTimeToInstant(date, window.end, timeZone);
+    const now = new Date();
+
+    const terrainWhere = { id_club: clubId };
+    const preferred = commonTerrains(group);
+    if (preferred !== null) terrainWhere.id = { [Op.in]: preferred };
+
+    const terrains = await models.terrain.findAll({ where: terrainWhere, attributes: ['id'] });
+    if (terrains.length === 0) return [];
+
+    const plages = await models.plage_horaire.findAll({
+      where: {
+        terrain_id: { [Op.in]: terrains.map(terrain => terrain.id) },
+        start_time: { [Op.gte]: windowStart, [Op.lt]: windowEnd }
+      },
+      order: [['start_time', 'ASC'], ['id', 'ASC']]
+    });
+
+    return plages.filter((plage) => {
+      const slot = getMatchWindow(date, plage, timeZone);
+      return slot && slot.start > now && slot.end <= windowEnd;
+    });
+  };
+
+  // ════════════════════════════════════════════════════════════════════════════
+  // BOOKING: Reserve one slot for the group, teams balanced
+  // Returns null when the slot is no longer bookable (full, closed)
+  // ════════════════════════════════════════════════════════════════════════════
+  const bookGroup = async (group, plage) => {
+    const { positions, ratingA, ratingB } = balanceTeams(group.map(request => request.utilisateur));
+    const [creator, ...others] = group;
+
+    const t = await models.sequelize.transaction({
+      isolationLevel: models.Sequelize.Transaction.ISOLATION_LEVELS.READ_COMMITTED
+    });
+
+    try {
+      // A player may have cancelled since the group was built
+      const stillSearching = await models.matchmaking_request.findAll({
+        where: { id: { [Op.in]: group.map(request => request.id) }, status: STATUS.SEARCHING },
+        transaction: t,
+        lock: t.LOCK.UPDATE
+      });
+      if (stillSearching.length !== PLAYERS_PER_MATCH) {
+        await t.rollback();
+        return null;
+      }
+
+      const reservation = await reservationService.create({
+        id_utilisateur: creator.id_utilisateur,
+        id_terrain: plage.terrain_id,
+        id_plage_horaire: plage.id,
+        date: creator.date,
+        typer: 1,
+        etat: 1,
+        isCancel: 0,
+        typepaiementForCreator: 2,
+        date_creation: new Date(),
+        date_modif: new Date()
+      }, {
+        transaction: t,
+        notify: false,
+        creatorTeam: positions[creator.id_utilisateur]
+      });
+
+      for (const request of others) {
+        await models.participant.create({
+          id_reservation: reservation.id,
+          id_utilisateur: request.id_utilisateur,
+          est_createur: false,
+          statepaiement: 0,
+          typepaiement: 2,
+          team: positions[request.id_utilisateur]
+        }, { transaction: t });
+      }
+
+      // The match is complete: pending bookings of a now-full slot are cancelled
+      await reservationService.cancelExcessPendingReservations(reservation.id_plage_horaire, reservation.date, t, models);
+
+      for (const request of group) {
+        await models.matchmaking_request.update({
+          status: STATUS.MATCHED,
+          id_reservation: reservation.id,
+          team: positions[request.id_utilisateur],
+          date_modif: new Date()
+        }, {
+          where: { id: request.id },
+          transaction: t
+        });
+      }
+
+      await t.commit();
+      console.log(`[MatchmakingService] ✅ Match ${reservation.id} booked for requests [${group.map(r => r.id).join(', ')}] (team A ${ratingA.toFixed(1)} vs team B ${ratingB.toFixed(1)})`);
+
+      return reservation;
+
+    } catch (err) {
+      await t.rollback();
+      if (err.statusCode === 409) {
+        console.log(`[MatchmakingService] Slot ${plage.id} not bookable: ${err.message}`);
+        return null;
+      }
+      throw err;
+    }
+  };
+
+  const notifyGroup = async (group, reservation, plage, timeZone) => {
+    const startTime = toZonedTime(new Date(plage.start_time), timeZone).slice(0, 5);
+
+    for (const request of group) {
+      const teammates = group
+        .filter(other => other.id !== request.id)
+        .map(other => `${other.utilisateur?.prenom ?? ''} ${other.utilisateur?.nom ?? ''}`.trim())
+        .join(', ');
+
+      await addNotification({
+        recipient_id: request.id_utilisateur,
+        reservation_id: reservation.id,
+        type: 'matchmaking_matched',
+        message: `Match trouvé ! Vous jouez le ${request.date} à ${startTime} avec ${teammates}. Paiement sur place.`
+      });
+    }
+  };
+
+  // ════════════════════════════════════════════════════════════════════════════
+  // MAIN: Group the queue into matches (scheduler, after each new request)
+  // ════════════════════════════════════════════════════════════════════════════
+  const runMatcher = async () => {
+    await expireRequests();
+
+    const pending = await models.matchmaking_request.findAll({
+      where: { status: STATUS.SEARCHING },
+      include: [{ model: models.utilisateur, as: 'utilisateur', attributes: PLAYER_ATTRIBUTES }],
+      order: [['date_creation', 'ASC'], ['id', 'ASC']]
+    });
+
+    // Only requests of the same club and day can be matched together
+    const pools = new Map();
+    for (const request of pending) {
+      const key = `${request.id_club}|${request.date}`;
+      if (!pools.has(key)) pools.set(key, []);
+      pools.get(key).push(request);
+    }
+
+    const matches = [];
+
+    for (const pool of pools.values()) {
+      let remaining = [...pool];
+
+      while (remaining.length >= PLAYERS_PER_MATCH) {
+        const [anchor] = remaining;
+        const group = buildGroup(anchor, remaining);
+
+        let reservation = null;
+        let bookedPlage = null;
+
+        // A failing slot (closed terrain, missing price, DB error) only skips
+        // that slot: the group tries the next one and the other pools still run
+        if (group) {
+          let candidates = [];
+          try {
+            candidates = await findCandidateSlots(group);
+          } catch (err) {
+            console.error(`[MatchmakingService] Slot search failed for request ${anchor.id}:`, err.message);
+          }
+
+          for (const plage of candidates) {
+            try {
+              reservation = await bookGroup(group, plage);
+            } catch (err) {
+              console.error(`[MatchmakingService] Booking slot ${plage.id} failed for requests [${group.map(r => r.id).join(', ')}]:`, err.message);
+              reservation = null;
+            }
+            if (reservation) {
+              bookedPlage = plage;
+              break;
+            }
+          }
+        }
+
+        if (!reservation) {
+          // The anchor waits for the next run; give the others their turn
+          remaining = remaining.filter(request => request.id !== anchor.id);
+          continue;
+        }
+
+        const groupIds = group.map(request => request.id);
+        remaining = remaining.filter(request => !groupIds.includes(request.id));
+        matches.push({ reservationId: reservation.id, requestIds: groupIds });
+
+        try {
+          const timeZone = await getClubTimezone(models, anchor.id_club);
+          await notifyGroup(group, reservation, bookedPlage, timeZone);
+        } catch (err) {
+          console.error(`[MatchmakingService] Notification of match ${reservation.id} failed:`, err.message);
+        }
+      }
+    }
+
+    if (matches.length > 0) {
+      console.log(`[MatchmakingService] ${matches.length} match(es) created from ${pending.length} request(s)`);
+    }
+
+    return matches;
+  };
+
+  // ════════════════════════════════════════════════════════════════════════════
+  // EXPIRY: Requests for a day that is over
+  // ════════════════════════════════════════════════════════════════════════════
+  const expireRequests = async () => {
+    const [count] = await models.matchmaking_request.update({
+      status: STATUS.EXPIRED,
+      date_modif: new Date()
+    }, {
+      where: {
+        status: STATUS.SEARCHING,
+        date: { [Op.lt]: toDateOfDay(new Date()) }
+      }
+    });
+
+    if (count > 0) {
+      console.log(`[MatchmakingService] ${count} request(s) expired`);
+    }
+    return count;
+  };
+
+  // ════════════════════════════════════════════════════════════════════════════
+  // SUBMIT: Queue a solo player
+  // ════════════════════════════════════════════════════════════════════════════
+  const submit = async (data) => {
+    const clubId = Number(data.id_club ?? DEFAULT_CLUB_ID);
+
+    if (!data.id_utilisateur) throw validationError('id_utilisateur is required');
+    if (!isDateString(data.date)) throw validationError('date is required (YYYY-MM-DD)');
+    if (!isTimeString(data.window_start) || !isTimeString(data.window_end)) {
+      throw validationError('window_start and window_end are required (HH:mm)');
+    }
+    if (toMinutes(data.window_end) - toMinutes(data.window_start) < MIN_COMMON_MINUTES) {
+      throw validationError(`Invalid window: at least ${MIN_COMMON_MINUTES} minutes between window_start and window_end`);
+    }
+
+    const levels = {};
+    for (const field of ['min_level', 'max_level']) {
+      if (isEmpty(data[field])) {
+        levels[field] = null;
+        continue;
+      }
+      const value = Number(data[field]);
+      if (!Number.isFinite(value) || value < 0) throw validationError(`Invalid ${field}: a level must be a positive number`);
+      levels[field] = value;
+    }
+    if (levels.min_level !== null && levels.max_level !== null && levels.min_level > levels.max_level) {
+      throw validationError('Invalid level range: min_level must be <= max_level');
+    }
+
+    const club = await models.club.findByPk(clubId);
+    if (!club) throw new Error('Club not found');
+
+    const timeZone = await getClubTimezone(models, clubId);
+    if (data.date < toDateOfDay(new Date(), timeZone)) {
+      throw validationError('Invalid date: the day is over');
+    }
+
+    let terrainIds = null;
+    if (Array.isArray(data.terrain_ids) && data.terrain_ids.length > 0) {
+      terrainIds = [...new Set(data.terrain_ids.map(Number))];
+      const terrains = await models.terrain.count({
+        where: { id: { [Op.in]: terrainIds }, id_club: clubId }
+      });
+      if (terrains !== terrainIds.length) {
+        throw validationError('Invalid terrain_ids: every terrain must belong to the club');
+      }
+    }
+
+    const existing = await models.matchmaking_request.findOne({
+      where: { id_utilisateur: data.id_utilisateur, date: data.date, status: STATUS.SEARCHING }
+    });
+    if (existing) {
+      const error = new Error('Vous recherchez déjà un match pour ce jour.');
+      error.statusCode = 409;
+      error.code = 'ALREADY_SEARCHING';
+      throw error;
+    }
+
+    const request = await models.matchmaking_request.create({
+      id_utilisateur: data.id_utilisateur,
+      id_club: clubId,
+      date: data.date,
+      window_start: data.window_start,
+      window_end: data.window_end,
+      terrain_ids: terrainIds,
+      ...levels,
+      status: STATUS.SEARCHING,
+      date_creation: new Date(),
+      date_modif: new Date()
+    });
+
+    console.log(`[MatchmakingService] User ${data.id_utilisateur} queued for ${data.date} ${data.window_start}-${data.window_end} (club ${clubId})`);
+
+    // The new player may complete a group right away: in the background, the
+    // player is notified if a match is booked (bookGroup re-checks the requests)
+    runMatcher().catch(err => console.error('[MatchmakingService] Matcher error:', err.message));
+
+    return await models.matchmaking_request.findByPk(request.id);
+  };
+
+  // ════════════════════════════════════════════════════════════════════════════
+  // CANCEL: Leave the queue
+  // ════════════════════════════════════════════════════════════════════════════
+  const cancel = async (requestId, userId) => {
+    const request = await models.matchmaking_request.findByPk(requestId);
+    if (!request || Number(request.id_utilisateur) !== Number(userId)) {
+      throw new Error('Matchmaking request not found');
+    }
+
+    if (Number(request.status) !== STATUS.SEARCHING) {
+      const error = new Error('Cette demande n\'est plus en recherche.');
+      error.statusCode = 409;
+      throw error;
+    }
+
+    await request.update({ status: STATUS.CANCELLED, date_modif: new Date() });
+    return request;
+  };
+
+  // ════════════════════════════════════════════════════════════════════════════
+  // READ OPERATIONS
+  // ════════════════════════════════════════════════════════════════════════════
+  const findByUserId = async (userId) => {
+    return await models.matchmaking_request.findAll({
+      where: { id_utilisateur: userId },
+      order: [['date', 'DESC'], ['id', 'DESC']],
+      limit: 50
+    });
+  };
+
+  return {
+    submit,
+    cancel,
+    findByUserId,
+    runMatcher,
+    expireRequests,
+  };
+}
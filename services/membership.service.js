@@ -4,6 +4,10 @@
  * ════════════════════════════════════════════════════════════════════════════════
  */
 
+import { DEFAULT_CLUB_ID } from '../utils/club.js';
+import { toDateOfDay } from '../utils/matchTime.js';
+import { DEFAULT_TIMEZONE } from '../utils/timezone.js';
+
 export default function MembershipService(models) {
     const { membership, utilisateur } = models;
 
@@ -120,9 +124,7 @@ export default function MembershipService(models) {
     const hasUsedDailyLimitedBenefit = async (userId, dateStr) => {
         try {
             // Normalize date to string YYYY-MM-DD
-            const checkDate = dateStr instanceof Date
-                ? dateStr.toISOString().split('T')[0]
-                : dateStr;
+            const checkDate = toDateOfDay(dateStr);
 
             // Find all reservations for this user on this date
             // We need to check both created reservations and participations
@@ -234,9 +236,9 @@ export default function MembershipService(models) {
      * Purchase a membership
      * Deducts credits and creates/updates membership
      */
-    const purchaseMembership = async (userId, type, paymentMethod) => {
+    const purchaseMembership = async (userId, type, paymentMethod, clubId = DEFAULT_CLUB_ID) => {
         try {
-            console.log(`[MembershipService] Processing purchase: User ${userId}, Type ${type}, Method ${paymentMethod}`);
+            console.log(`[MembershipService] Processing purchase: User ${userId}, Club ${clubId}, Type ${type}, Method ${paymentMethod}`);
 
             // Define Prices (Server-side validation)
             const PRICES = {
@@ -251,6 +253,12 @@ export default function MembershipService(models) {
                 throw new Error('Invalid membership type for purchase');
             }
 
+            // Memberships are sold per club
+            const club = await models.club.findByPk(clubId);
+            if (!club) {
+                throw new Error('Club not found');
+            }
+
             // JOIN TRANSACTION to prevent race conditions or partial updates (money lost)
             const t = await models.sequelize.transaction();
 
@@ -307,9 +315,9 @@ export default function MembershipService(models) {
                 // CRITICAL: Must specify conflictFields to use the correct unique constraint
                 const [resultMembership, created] = await membership.upsert({
                     id_user: parseInt(userId),
-                    id_club: 1, // Default club
+                    id_club: parseInt(clubId),
                     typemmbership: parseInt(type),
-                    dateend: endDate.toISOString().split('T')[0], // YYYY-MM-DD
+                    dateend: toDateOfDay(endDate, club.timezone || DEFAULT_TIMEZONE), // YYYY-MM-DD in the club's zone
                     updated_at: now
                 }, {
                     transaction: t,
@@ -357,7 +365,7 @@ export default function MembershipService(models) {
             // Create membership
             const newMembership = await membership.create({
                 id_user,
-                id_club: id_club || 1,
+                id_club: id_club || DEFAULT_CLUB_ID,
                 dateend,
                 typemmbership
             });
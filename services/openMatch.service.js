@@ -0,0 +1,274 @@
+import { Op } from 'sequelize';
+import { getMatchWindow, toDateOfDay } from '../utils/matchTime.js';
+import { getTimezoneForTerrain } from '../utils/club.js';
+import { addDays, toZonedISOString } from '../utils/timezone.js';
+import { MATCH_MODES } from '../utils/openMatchRules.js';
+
+/**
+ * ════════════════════════════════════════════════════════════════════════════════
+ * OPEN MATCH SERVICE - Find open matches (typer = 2) a player can join
+ * ════════════════════════════════════════════════════════════════════════════════
+ *
+ * - Every filter runs in SQL: date range, terrain / club, level range
+ *   (reservation.min / max vs the caller's note), gender restriction of the
+ *   match and gender of the players already in, match mode, free positions
+ *   (participant.team 0..3) and price per player.
+ * - Results are sorted by kick-off, or by how close the caller's note is to
+ *   the middle of the match level range ("fit"), and paginated.
+ * - Matches the caller created or already joined are left out.
+ *
+ * ════════════════════════════════════════════════════════════════════════════════
+ */
+
+const MAX_PLAYERS = 4;
+const DEFAULT_DAYS = 14;
+const MAX_DAYS = 60;
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 50;
+const SORTS = ['start', 'fit'];
+
+const isDateString = (value) => /^\d{4}-\d{2}-\d{2}$/.test(String(value ?? ''));
+
+const validationError = (message) => {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+};
+
+export default function OpenMatchService(models) {
+
+  // ════════════════════════════════════════════════════════════════════════════
+  // VALIDATION: Query string -> normalized filters
+  // ════════════════════════════════════════════════════════════════════════════
+  const parseFilters = (query) => {
+    const from = query.from ?? toDateOfDay(new Date());
+    if (!isDateString(from)) throw validationError('Invalid from (YYYY-MM-DD)');
+
+    const to = query.to ?? addDays(from, DEFAULT_DAYS);
+    if (!isDateString(to) || to < from) throw validationError('Invalid to (YYYY-MM-DD, after from)');
+    if (to > addDays(from, MAX_DAYS)) throw validationError(`Invalid date range (${MAX_DAYS} days max)`);
+
+    const optionalNumber = (name) => {
+      if (query[name] === undefined || query[name] === '') return null;
+      const value = Number(query[name]);
+      if (!Number.isFinite(value)) throw validationError(`Invalid ${name}`);
+      return value;
+    };
+
+    const ratingWindow = optionalNumber('ratingWindow') ?? 0;
+    if (ratingWindow < 0) throw validationError('Invalid ratingWindow (>= 0)');
+
+    const teams = query.team === undefined || query.team === ''
+      ? []
+      : String(query.team).split(',').map(Number);
+    if (teams.some(team => !Number.isInteger(team) || team < 0 || team > 3)) {
+      throw validationError('Invalid team (0..3, comma separated)');
+    }
+
+    const mode = query.mode ?? null;
+    if (mode !== null && !MATCH_MODES.includes(mode)) {
+      throw validationError(`Invalid mode (${MATCH_MODES.join(', ')})`);
+    }
+
+    const sort = query.sort ?? 'start';
+    if (!SORTS.includes(sort)) throw validationError(`Invalid sort (${SORTS.join(', ')})`);
+
+    const page = optionalNumber('page') ?? 1;
+    const limit = optionalNumber('limit') ?? DEFAULT_LIMIT;
+    if (!Number.isInteger(page) || page < 1) throw validationError('Invalid page');
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+      throw validationError(`Invalid limit (1..${MAX_LIMIT})`);
+    }
+
+    return {
+      from,
+      to,
+      terrainId: optionalNumber('terrainId'),
+      clubId: optionalNumber('clubId'),
+      ratingWindow,
+      gender: optionalNumber('gender'),
+      mode,
+      teams,
+      minPrice: optionalNumber('minPrice'),
+      maxPrice: optionalNumber('maxPrice'),
+      sort,
+      page,
+      limit
+    };
+  };
+
+  // ════════════════════════════════════════════════════════════════════════════
+  // QUERY: Ids of the matching reservations for one page, with the total
+  // ════════════════════════════════════════════════════════════════════════════
+  const findPage = async (user, note, filters) => {
+    const conditions = [];
+    const replacements = {
+      userId: user.id,
+      note,
+      from: filters.from,
+      to: filters.to,
+      maxPlayers: MAX_PLAYERS,
+      limit: filters.limit,
+      offset: (filters.page - 1) * filters.limit
+    };
+
+    if (filters.terrainId !== null) {
+      conditions.push('r.id_terrain = :terrainId');
+      replacements.terrainId = filters.terrainId;
+    }
+
+    if (filters.clubId !== null) {
+      conditions.push('te.id_club = :clubId');
+      replacements.clubId = filters.clubId;
+    }
+
+    // Caller's note inside [min - window, max + window]; no bound = no constraint
+    conditions.push('(r.min IS NULL OR r.min <= :note + :ratingWindow)');
+    conditions.push('(r.max IS NULL OR r.max >= :note - :ratingWindow)');
+    replacements.ratingWindow = filters.ratingWindow;
+
+    // Matches restricted to another gender cannot be joined
+    if (user.gender === null || user.gender === undefined) {
+      conditions.push('r.gender_restriction IS NULL');
+    } else {
+      conditions.push('(r.gender_restriction IS NULL OR r.gender_restriction = :callerGender)');
+      replacements.callerGender = Number(user.gender);
+    }
+
+    if (filters.mode !== null) {
+      conditions.push('r.match_mode = :mode');
+      replacements.mode = filters.mode;
+    }
+
+    if (filters.gender !== null) {
+      conditions.push(`NOT EXISTS (
+        SELECT 1 FROM participant pg
+        JOIN utilisateur ug ON ug.id = pg.id_utilisateur
+        WHERE pg.id_reservation = r.id AND ug.gender IS DISTINCT FROM :gender
+      )`);
+      replacements.gender = filters.gender;
+    }
+
+    if (filters.teams.length > 0) {
+      conditions.push(`NOT EXISTS (
+        SELECT 1 FROM participant pt
+        WHERE pt.id_reservation = r.id AND pt.team IN (:teams)
+      )`);
+      replacements.teams = filters.teams;
+    }
+
+    if (filters.minPrice !== null) {
+      conditions.push('COALESCE(r.prix_unitaire, ph.price) >= :minPrice');
+      replacements.minPrice = filters.minPrice;
+    }
+
+    if (filters.maxPrice !== null) {
+      conditions.push('COALESCE(r.prix_unitaire, ph.price) <= :maxPrice');
+      replacements.maxPrice = filters.maxPrice;
+    }
+
+    const orderBy = filters.sort === 'fit'
+      ? 'fit_gap ASC, r.date ASC, ph.start_time::time ASC, r.id ASC'
+      : 'r.date ASC, ph.start_time::time ASC, r.id ASC';
+
+    return await models.sequelize.query(`
+      SELECT r.id,
+             players.count AS players,
+             ABS(:note - (COALESCE(r.min, :note) + COALESCE(r.max, :note)) / 2.0) AS fit_gap,
+             COUNT(*) OVER () AS total
+      FROM reservation r
+      JOIN plage_horaire ph ON ph.id = r.id_plage_horaire
+      JOIN terrain te ON te.id = r.id_terrain
+      CROSS JOIN LATERAL (
+        SELECT COUNT(*)::int AS count FROM participant p WHERE p.id_reservation = r.id
+      ) players
+      WHERE r.typer = 2
+        AND COALESCE(r."isCancel", 0) = 0
+        AND r.date BETWEEN :from AND :to
+        AND players.count < :maxPlayers
+        AND r.id_utilisateur <> :userId
+        AND NOT EXISTS (
+          SELECT 1 FROM participant pm
+          WHERE pm.id_reservation = r.id AND pm.id_utilisateur = :userId
+        )
+        ${conditions.map(condition => `AND ${condition}`).join('\n        ')}
+      ORDER BY ${orderBy}
+      LIMIT :limit OFFSET :offset
+    `, {
+      replacements,
+      type: models.sequelize.QueryTypes.SELECT
+    });
+  };
+
+  // ════════════════════════════════════════════════════════════════════════════
+  // MAIN: Search open matches for the caller
+  // ════════════════════════════════════════════════════════════════════════════
+  const search = async (userId, query = {}) => {
+    const filters = parseFilters(query);
+
+    const user = await models.utilisateur.findByPk(userId, { attributes: ['id', 'note', 'gender'] });
+    if (!user) throw new Error('User not found');
+    const note = Number(user.note ?? 0);
+
+    const rows = await findPage(user, note, filters);
+    const total = rows.length > 0 ? Number(rows[0].total) : 0;
+    const ids = rows.map(row => row.id);
+
+    const reservations = ids.length === 0 ? [] : await models.reservation.findAll({
+      where: { id: { [Op.in]: ids } },
+      include: [
+        { model: models.terrain, as: 'terrain' },
+        { model: models.plage_horaire, as: 'plage_horaire' },
+        {
+          model: models.participant,
+          as: 'participants',
+          include: [{ model: models.utilisateur, as: 'utilisateur', attributes: ['id', 'nom', 'prenom', 'note', 'gender'] }]
+        }
+      ]
+    });
+
+    const byId = new Map(reservations.map(r => [String(r.id), r]));
+    const zones = new Map();
+    const results = [];
+
+    for (const row of rows) {
+      const reservation = byId.get(String(row.id));
+      if (!reservation) continue;
+
+      if (!zones.has(reservation.id_terrain)) {
+        zones.set(reservation.id_terrain, await getTimezoneForTerrain(models, reservation.id_terrain));
+      }
+      const timeZone = zones.get(reservation.id_terrain);
+      const window = getMatchWindow(reservation.date, reservation.plage_horaire, timeZone);
+
+      const takenTeams = (reservation.participants ?? [])
+        .map(p => p.team)
+        .filter(team => team !== null && team !== undefined)
+        .map(Number);
+
+      results.push({
+        ...reservation.toJSON(),
+        start_at: window ? toZonedISOString(window.start, timeZone) : null,
+        end_at: window ? toZonedISOString(window.end, timeZone) : null,
+        players: Number(row.players),
+        spots_remaining: MAX_PLAYERS - Number(row.players),
+        free_teams: [0, 1, 2, 3].filter(team => !takenTeams.includes(team)),
+        fit_gap: Math.round(Number(row.fit_gap) * 100) / 100
+      });
+    }
+
+    return {
+      page: filters.page,
+      limit: filters.limit,
+      total,
+      totalPages: Math.ceil(total / filters.limit),
+      sort: filters.sort,
+      note,
+      results
+    };
+  };
+
+  return {
+    search,
+  };
+}
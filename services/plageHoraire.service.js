@@ -9,6 +9,8 @@
 // ════════════════════════════════════════════════════════════════════════════════
 
 import { Op, Sequelize } from 'sequelize';
+import { getTimezoneForTerrain } from '../utils/club.js';
+import { getZonedDayRange, toZonedISOString, toZonedTime } from '../utils/timezone.js';
 
 export const createPlageHoraire = async (data, models) => {
   try {
@@ -50,7 +52,7 @@ export const getAllPlageHoraires = async (models, filters = {}) => {
       includeOptions.push({
         model: models.terrain,
         as: 'terrain',
-        attributes: ['id', 'name', 'type']
+        attributes: ['id', 'name', 'type', 'id_club']
       });
     }
 
@@ -60,7 +62,7 @@ export const getAllPlageHoraires = async (models, filters = {}) => {
       order: [['start_time', 'ASC']]
     });
 
-    return formatTimeResults(results);
+    return await formatTimeResults(results, models);
   } catch (error) {
     console.error('Service error', error);
     throw error;
@@ -75,7 +77,7 @@ export const getPlageHoraireById = async (id, models) => {
       includeOptions.push({
         model: models.terrain,
         as: 'terrain',
-        attributes: ['id', 'name', 'type']
+        attributes: ['id', 'name', 'type', 'id_club']
       });
     }
 
@@ -108,15 +110,16 @@ export const getPlageHorairesByTerrain = async (terrain_id, models, additionalFi
       
       console.log(`🔍 Filtering by date: ${dateStr}`);
       
-      // Create date range for the entire day
-      const startOfDay = new Date(dateStr + 'T00:00:00');
-      const endOfDay = new Date(dateStr + 'T23:59:59');
+      // The day is the club's calendar day, not the server's
+      const timeZone = await getTimezoneForTerrain(models, terrain_id);
+      const { start: startOfDay, end: endOfDay } = getZonedDayRange(dateStr, timeZone);
       
-      console.log(`   📅 Start of day: ${startOfDay.toISOString()}`);
-      console.log(`   📅 End of day: ${endOfDay.toISOString()}`);
+      console.log(`   📅 Start of day: ${startOfDay.toISOString()} (${timeZone})`);
+      console.log(`   📅 End of day: ${endOfDay.toISOString()} (${timeZone})`);
       
       whereClause.start_time = {
-        [Op.between]: [startOfDay, endOfDay]
+        [Op.gte]: startOfDay,
+        [Op.lt]: endOfDay
       };
     }
 
@@ -126,7 +129,7 @@ export const getPlageHorairesByTerrain = async (terrain_id, models, additionalFi
       includeOptions.push({
         model: models.terrain,
         as: 'terrain',
-        attributes: ['id', 'name', 'type']
+        attributes: ['id', 'name', 'type', 'id_club']
       });
     }
 
@@ -140,7 +143,10 @@ export const getPlageHorairesByTerrain = async (terrain_id, models, additionalFi
 
     console.log(`📋 Found ${results.length} slots matching the criteria`);
 
-    return formatTimeResults(results);
+    // Hide slots of a closed terrain (tournament, weather, maintenance)
+    const openSlots = await excludeClosedSlots(terrain_id, results, models);
+
+    return await formatTimeResults(openSlots, models);
   } catch (error) {
     console.error('Service error:', error);
     throw error;
@@ -148,30 +154,62 @@ export const getPlageHorairesByTerrain = async (terrain_id, models, additionalFi
 };
 
 // ════════════════════════════════════════════════════════════════════════════════
-// Format timestamp to time-only string (HH:MM) for API response
+// Remove slots overlapping an active terrain_closure
 // ════════════════════════════════════════════════════════════════════════════════
-function formatTimeResults(results) {
-  return results.map(plage => {
+async function excludeClosedSlots(terrain_id, slots, models) {
+  if (!models.terrain_closure || slots.length === 0) return slots;
+
+  const closures = await models.terrain_closure.findAll({
+    where: {
+      id_terrain: terrain_id,
+      active: true,
+      end_at: { [Op.gt]: slots[0].start_time },
+      start_at: { [Op.lt]: slots[slots.length - 1].end_time }
+    }
+  });
+
+  if (closures.length === 0) return slots;
+
+  return slots.filter(slot => !closures.some(c =>
+    new Date(slot.start_time) < new Date(c.end_at) && new Date(slot.end_time) > new Date(c.start_at)
+  ));
+}
+
+// ════════════════════════════════════════════════════════════════════════════════
+// Format timestamp to time-only string (HH:MM) for API response, in the club's
+// timezone; start_at / end_at carry the full ISO 8601 value with its offset
+// ════════════════════════════════════════════════════════════════════════════════
+async function formatTimeResults(results, models) {
+  const zones = new Map();
+  const formatted = [];
+
+  for (const plage of results) {
     const plageData = plage.toJSON();
-    
+
+    if (!zones.has(plageData.terrain_id)) {
+      zones.set(plageData.terrain_id, await getTimezoneForTerrain(models, plageData.terrain_id));
+    }
+    const timeZone = zones.get(plageData.terrain_id);
+    plageData.timezone = timeZone;
+
     // Format start_time to HH:MM
     if (plageData.start_time) {
       const startTime = new Date(plageData.start_time);
-      const startHours = startTime.getHours().toString().padStart(2, '0');
-      const startMinutes = startTime.getMinutes().toString().padStart(2, '0');
-      plageData.start_time = `${startHours}:${startMinutes}`;
+      plageData.start_at = toZonedISOString(startTime, timeZone);
+      plageData.start_time = toZonedTime(startTime, timeZone).slice(0, 5);
     }
-    
+
     // Format end_time to HH:MM
     if (plageData.end_time) {
       const endTime = new Date(plageData.end_time);
-      const endHours = endTime.getHours().toString().padStart(2, '0');
-      const endMinutes = endTime.getMinutes().toString().padStart(2, '0');
-      plageData.end_time = `${endHours}:${endMinutes}`;
+      plageData.end_at = toZonedISOString(endTime, timeZone);
+      plageData.end_time = toZonedTime(endTime, timeZone).slice(0, 5);
     }
-    
-    return plageData;
-  });
+
+    formatted.push(plageData);
+  }
+
+  return formatted;
 }
 
 export const updatePlageHoraire = async (id, data, models) => {
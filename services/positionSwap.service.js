@@ -0,0 +1,366 @@
+import { addNotification } from '../utils/notificationBus.js';
+import { Op } from 'sequelize';
+import { getMatchStart } from '../utils/matchTime.js';
+import { getTimezoneForTerrain } from '../utils/club.js';
+
+/**
+ * ════════════════════════════════════════════════════════════════════════════════
+ * POSITION SWAP SERVICE - Change position (participant.team) inside a match
+ * ════════════════════════════════════════════════════════════════════════════════
+ *
+ * Status: 0 = pending, 1 = accepted, 2 = declined, 3 = expired, 4 = cancelled
+ *
+ * - A participant moves straight to a free position (not held by an
+ *   invitation), or asks another participant to swap; the swap happens when
+ *   the other one accepts.
+ * - Only participant.team changes: no refund, no charge, credit_transaction
+ *   history untouched.
+ * - uniq_participant_reservation_team ignores NULL, so a swap parks the
+ *   requester on NULL first, inside one transaction.
+ * - Positions are frozen once the match has started, is cancelled or has a
+ *   score.
+ *
+ * ════════════════════════════════════════════════════════════════════════════════
+ */
+
+const STATUS = {
+  PENDING: 0,
+  ACCEPTED: 1,
+  DECLINED: 2,
+  EXPIRED: 3,
+  CANCELLED: 4
+};
+
+const REQUEST_HOURS = Number(process.env.SWAP_REQUEST_HOURS || 24);
+
+const serviceError = (message, statusCode, code) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  if (code) error.code = code;
+  return error;
+};
+
+export default function PositionSwapService(models) {
+
+  // ════════════════════════════════════════════════════════════════════════════
+  // UTILITY: Lock the match and check positions can still change
+  // ════════════════════════════════════════════════════════════════════════════
+  const lockEditableReservation = async (reservationId, t) => {
+    const reservation = await models.reservation.findByPk(reservationId, {
+      include: [{ model: models.plage_horaire, as: 'plage_horaire' }],
+      transaction: t,
+      lock: { level: t.LOCK.UPDATE, of: models.reservation }
+    });
+    if (!reservation) throw new Error('Reservation not found');
+
+    if (Number(reservation.isCancel) === 1) {
+      throw serviceError('Ce match est annulé.', 409, 'MATCH_CANCELLED');
+    }
+    if (reservation.score_status !== null && reservation.score_status !== undefined) {
+      throw serviceError('Les positions ne peuvent plus être modifiées après la saisie du score.', 409, 'SCORE_SUBMITTED');
+    }
+
+    const timeZone = await getTimezoneForTerrain(models, reservation.id_terrain, t);
+    const kickoff = reservation.plage_horaire
+      ? getMatchStart(reservation.date, reservation.plage_horaire.start_time, timeZone)
+      : null;
+    if (kickoff && kickoff <= new Date()) {
+      throw serviceError('Ce match a déjà commencé.', 409, 'MATCH_STARTED');
+    }
+
+    return { reservation, kickoff };
+  };
+
+  const findParticipantOf = async (reservationId, userId, t) => {
+    const participant = await models.participant.findOne({
+      where: { id_reservation: reservationId, id_utilisateur: userId },
+      transaction: t,
+      lock: t.LOCK.UPDATE
+    });
+    if (!participant) throw new Error('Participant not found');
+    return participant;
+  };
+
+  // Requests involving a participant whose position just changed are void
+  const cancelPendingFor = async (participantIds, t) => {
+    await models.position_swap_request.update({
+      status: STATUS.CANCELLED,
+      date_modif: new Date()
+    }, {
+      where: {
+        status: STATUS.PENDING,
+        [Op.or]: [
+          { id_requester: { [Op.in]: participantIds } },
+          { id_target: { [Op.in]: participantIds } }
+        ]
+      },
+      transaction: t
+    });
+  };
+
+  // ════════════════════════════════════════════════════════════════════════════
+  // MOVE: Take a free position
+  // ════════════════════════════════════════════════════════════════════════════
+  const move = async (reservationId, userId, team) => {
+    const teamIndex = Number(team);
+    if (!Number.isInteger(teamIndex) || teamIndex < 0 || teamIndex > 3) {
+      throw serviceError('Invalid team index. Must be 0,1,2, or 3', 400, 'VALIDATION_ERROR');
+    }
+
+    const t = await models.sequelize.transaction();
+    try {
+      await lockEditableReservation(reservationId, t);
+      const participant = await findParticipantOf(reservationId, userId, t);
+
+      if (Number(participant.team) === teamIndex) {
+        await t.commit();
+        return participant;
+      }
+
+      const occupant = await models.participant.findOne({
+        where: { id_reservation: reservationId, team: teamIndex },
+        transaction: t,
+        lock: t.LOCK.UPDATE
+      });
+      if (occupant) {
+        throw serviceError(`La position ${teamIndex + 1} est déjà prise. Demandez un échange à ce joueur.`, 409, 'SLOT_TAKEN');
+      }
+
+      const held = models.match_invitation
+        ? await models.match_invitation.findOne({
+          where: {
+            id_reservation: reservationId,
+            team: teamIndex,
+            status: 0,
+            expires_at: { [Op.gt]: new Date() }
+          },
+          transaction: t
+        })
+        : null;
+      if (held) {
+        throw serviceError(`La position ${teamIndex + 1} est réservée pour un joueur invité.`, 409, 'SLOT_HELD');
+      }
+
+      const previousTeam = participant.team;
+      await participant.update({ team: teamIndex }, { transaction: t });
+      await cancelPendingFor([participant.id], t);
+
+      await t.commit();
+      console.log(`[PositionSwapService] User ${userId} moved from position ${previousTeam} to ${teamIndex} in reservation ${reservationId}`);
+      return participant;
+
+    } catch (err) {
+      await t.rollback();
+      if (err.name === 'SequelizeUniqueConstraintError' || err.original?.code === '23505') {
+        throw serviceError('Cette position vient d\'être prise par un autre joueur.', 409, 'SLOT_TAKEN');
+      }
+      throw err;
+    }
+  };
+
+  // ════════════════════════════════════════════════════════════════════════════
+  // REQUEST: Ask another participant to swap positions
+  // ════════════════════════════════════════════════════════════════════════════
+  const requestSwap = async (reservationId, userId, { id_participant, team } = {}) => {
+    if (!id_participant && (team === undefined || team === null)) {
+      throw serviceError('id_participant or team is required', 400, 'VALIDATION_ERROR');
+    }
+
+    const t = await models.sequelize.transaction();
+    let swapRequest;
+    let target;
+
+    try {
+      const { kickoff } = await lockEditableReservation(reservationId, t);
+      const requester = await findParticipantOf(reservationId, userId, t);
+
+      target = await models.participant.findOne({
+        where: id_participant
+          ? { id: id_participant, id_reservation: reservationId }
+          : { team: Number(team), id_reservation: reservationId },
+        transaction: t
+      });
+      if (!target) throw new Error('Participant not found');
+      if (Number(target.id) === Number(requester.id)) {
+        throw serviceError('Vous ne pouvez pas échanger avec vous-même.', 400, 'VALIDATION_ERROR');
+      }
+
+      const existing = await models.position_swap_request.findOne({
+        where: {
+          status: STATUS.PENDING,
+          expires_at: { [Op.gt]: new Date() },
+          [Op.or]: [
+            { id_requester: requester.id, id_target: target.id },
+            { id_requester: target.id, id_target: requester.id }
+          ]
+        },
+        transaction: t
+      });
+      if (existing) {
+        throw serviceError('Une demande d\'échange est déjà en attente avec ce joueur.', 409, 'ALREADY_REQUESTED');
+      }
+
+      // Stale requests of the pair would block the pending unique index
+      await models.position_swap_request.update({ status: STATUS.EXPIRED, date_modif: new Date() }, {
+        where: { id_requester: requester.id, id_target: target.id, status: STATUS.PENDING },
+        transaction: t
+      });
+
+      let expiresAt = new Date(Date.now() + REQUEST_HOURS * 60 * 60 * 1000);
+      if (kickoff && expiresAt > kickoff) expiresAt = kickoff;
+
+      swapRequest = await models.position_swap_request.create({
+        id_reservation: reservationId,
+        id_requester: requester.id,
+        id_target: target.id,
+        requester_team: requester.team,
+        target_team: target.team,
+        status: STATUS.PENDING,
+        expires_at: expiresAt,
+        date_creation: new Date(),
+        date_modif: new Date()
+      }, { transaction: t });
+
+      await t.commit();
+    } catch (err) {
+      await t.rollback();
+      throw err;
+    }
+
+    console.log(`[PositionSwapService] Swap ${swapRequest.id} requested in reservation ${reservationId}: ${swapRequest.requester_team} <-> ${swapRequest.target_team}`);
+
+    await addNotification({
+      recipient_id: target.id_utilisateur,
+      reservation_id: reservationId,
+      submitter_id: userId,
+      type: 'position_swap_request',
+      message: `Un joueur de votre match propose d'échanger sa position ${swapRequest.requester_team + 1} contre la vôtre (${swapRequest.target_team + 1}).`
+    });
+
+    return swapRequest;
+  };
+
+  // ════════════════════════════════════════════════════════════════════════════
+  // RESPOND: The other participant accepts (swap) or declines
+  // ════════════════════════════════════════════════════════════════════════════
+  const respond = async (requestId, userId, accept) => {
+    const t = await models.sequelize.transaction();
+    let swapRequest;
+    let requester;
+
+    try {
+      swapRequest = await models.position_swap_request.findByPk(requestId, {
+        transaction: t,
+        lock: t.LOCK.UPDATE
+      });
+      if (!swapRequest) throw new Error('Swap request not found');
+
+      // Same lock order as move / requestSwap: reservation, then participants
+      if (accept && Number(swapRequest.status) === STATUS.PENDING) {
+        await lockEditableReservation(swapRequest.id_reservation, t);
+      }
+
+      const target = await models.participant.findByPk(swapRequest.id_target, {
+        transaction: t,
+        lock: t.LOCK.UPDATE
+      });
+      if (!target || Number(target.id_utilisateur) !== Number(userId)) {
+        throw new Error('Swap request not found');
+      }
+
+      if (Number(swapRequest.status) !== STATUS.PENDING) {
+        throw serviceError('Cette demande n\'est plus valable.', 409, 'REQUEST_CLOSED');
+      }
+      if (new Date(swapRequest.expires_at) <= new Date()) {
+        await swapRequest.update({ status: STATUS.EXPIRED, date_modif: new Date() }, { transaction: t });
+        await t.commit();
+        throw serviceError('Cette demande a expiré.', 409, 'REQUEST_EXPIRED');
+      }
+
+      requester = await models.participant.findByPk(swapRequest.id_requester, {
+        transaction: t,
+        lock: t.LOCK.UPDATE
+      });
+
+      if (!accept) {
+        await swapRequest.update({ status: STATUS.DECLINED, date_modif: new Date() }, { transaction: t });
+        await t.commit();
+      } else {
+        // Someone moved since the request: the positions offered are gone
+        if (!requester ||
+          Number(requester.team) !== Number(swapRequest.requester_team) ||
+          Number(target.team) !== Number(swapRequest.target_team)) {
+          await swapRequest.update({ status: STATUS.CANCELLED, date_modif: new Date() }, { transaction: t });
+          await t.commit();
+          throw serviceError('Les positions ont changé depuis la demande.', 409, 'POSITIONS_CHANGED');
+        }
+
+        await requester.update({ team: null }, { transaction: t });
+        await target.update({ team: swapRequest.requester_team }, { transaction: t });
+        await requester.update({ team: swapRequest.target_team }, { transaction: t });
+
+        await swapRequest.update({ status: STATUS.ACCEPTED, date_modif: new Date() }, { transaction: t });
+        await cancelPendingFor([requester.id, target.id], t);
+
+        await t.commit();
+        console.log(`[PositionSwapService] ✅ Swap ${swapRequest.id} done in reservation ${swapRequest.id_reservation}`);
+      }
+    } catch (err) {
+      if (!t.finished) await t.rollback();
+      throw err;
+    }
+
+    if (requester) {
+      await addNotification({
+        recipient_id: requester.id_utilisateur,
+        reservation_id: swapRequest.id_reservation,
+        submitter_id: userId,
+        type: accept ? 'position_swap_accepted' : 'position_swap_declined',
+        message: accept
+          ? `Échange accepté : vous jouez maintenant en position ${swapRequest.target_team + 1}.`
+          : 'Votre demande d\'échange de position a été refusée.'
+      });
+    }
+
+    return swapRequest;
+  };
+
+  // ════════════════════════════════════════════════════════════════════════════
+  // CANCEL: The requester withdraws
+  // ════════════════════════════════════════════════════════════════════════════
+  const cancel = async (requestId, userId) => {
+    const swapRequest = await models.position_swap_request.findByPk(requestId);
+    const requester = swapRequest ? await models.participant.findByPk(swapRequest.id_requester) : null;
+    if (!requester || Number(requester.id_utilisateur) !== Number(userId)) {
+      throw new Error('Swap request not found');
+    }
+    if (Number(swapRequest.status) !== STATUS.PENDING) {
+      throw serviceError('Cette demande n\'est plus valable.', 409, 'REQUEST_CLOSED');
+    }
+
+    await swapRequest.update({ status: STATUS.CANCELLED, date_modif: new Date() });
+    return swapRequest;
+  };
+
+  // ════════════════════════════════════════════════════════════════════════════
+  // READ OPERATIONS (requests past expires_at are treated as expired)
+  // ════════════════════════════════════════════════════════════════════════════
+  const findPendingByReservation = async (reservationId) => {
+    return await models.position_swap_request.findAll({
+      where: {
+        id_reservation: reservationId,
+        status: STATUS.PENDING,
+        expires_at: { [Op.gt]: new Date() }
+      },
+      order: [['id', 'ASC']]
+    });
+  };
+
+  return {
+    move,
+    requestSwap,
+    respond,
+    cancel,
+    findPendingByReservation,
+  };
+}
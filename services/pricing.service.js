@@ -0,0 +1,268 @@
+import { Op } from 'sequelize';
+import { getMatchStart, hoursUntil, toDateOfDay, toTimeOfDay } from '../utils/matchTime.js';
+import { getClubIdForTerrain, getTimezoneForTerrain } from '../utils/club.js';
+import { dayOfWeek } from '../utils/timezone.js';
+
+/**
+ * ════════════════════════════════════════════════════════════════════════════════
+ * PRICING SERVICE - Dynamic price of a slot at booking time
+ * ════════════════════════════════════════════════════════════════════════════════
+ *
+ * - Starts from plage_horaire.price, then applies every active pricing_rule of
+ *   the terrain, and of its club (rules with id_club and no id_terrain),
+ *   whose conditions match, in ascending priority.
+ * - "set" rules replace the running price (weekend / holiday tariffs),
+ *   "percent" rules adjust it (+20% peak hours, -15% last minute...).
+ * - The result is stored on the reservation (prix_unitaire) so joins and
+ *   refunds use the price of the booking, not today's slot price.
+ * - Hours and days of the rules are read in the club's timezone.
+ *
+ * ════════════════════════════════════════════════════════════════════════════════
+ */
+
+const RULE_TYPES = ['weekday', 'weekend', 'peak', 'holiday', 'last_minute', 'early_bird'];
+const ADJUSTMENT_TYPES = ['set', 'percent'];
+
+export default function PricingService(models) {
+
+  // ════════════════════════════════════════════════════════════════════════════
+  // UTILITY: Does a rule apply to this slot/date/booking time?
+  // ════════════════════════════════════════════════════════════════════════════
+  const ruleMatches = (rule, { date, slotTime, leadHours }) => {
+    if (Array.isArray(rule.days_of_week) && rule.days_of_week.length > 0) {
+      if (!rule.days_of_week.map(Number).includes(dayOfWeek(date))) return false;
+    }
+
+    if (rule.start_hour && slotTime && slotTime < toTimeOfDay(rule.start_hour)) return false;
+    if (rule.end_hour && slotTime && slotTime >= toTimeOfDay(rule.end_hour)) return false;
+
+    if (rule.date_from && date < rule.date_from) return false;
+    if (rule.date_to && date > rule.date_to) return false;
+
+    if (rule.min_hours_before !== null && rule.min_hours_before !== undefined) {
+      if (leadHours === null || leadHours < Number(rule.min_hours_before)) return false;
+    }
+    if (rule.max_hours_before !== null && rule.max_hours_before !== undefined) {
+      if (leadHours === null || leadHours > Number(rule.max_hours_before)) return false;
+    }
+
+    return true;
+  };
+
+  // ════════════════════════════════════════════════════════════════════════════
+  // UTILITY: Active rules of a terrain and of its club, in application order
+  // ════════════════════════════════════════════════════════════════════════════
+  const getActiveRules = async (terrainId, t = null) => {
+    if (!terrainId) return [];
+
+    const clubId = await getClubIdForTerrain(models, terrainId, t);
+
+    return await models.pricing_rule.findAll({
+      where: {
+        active: true,
+        [Op.or]: [
+          { id_terrain: terrainId },
+          { id_terrain: null, id_club: clubId }
+        ]
+      },
+      order: [['priority', 'ASC'], ['id', 'ASC']],
+      transaction: t
+    });
+  };
+
+  // ════════════════════════════════════════════════════════════════════════════
+  // MAIN: Price of a slot for a date, booked now
+  // Pass `rules` / `timeZone` to price many slots of the same terrain with one query
+  // ════════════════════════════════════════════════════════════════════════════
+  const computePrice = async (plage, date, { t = null, now = new Date(), rules = null, timeZone = null } = {}) => {
+    const basePrice = Number(plage?.price);
+    if (!Number.isFinite(basePrice) || basePrice < 0) {
+      const error = new Error('Prix du créneau invalide. Veuillez contacter le club.');
+      error.statusCode = 400;
+      throw error;
+    }
+
+    const zone = timeZone ?? await getTimezoneForTerrain(models, plage.terrain_id, t);
+    const dateStr = String(date).split('T')[0];
+    const matchStart = getMatchStart(dateStr, plage.start_time, zone);
+    const context = {
+      date: dateStr,
+      slotTime: toTimeOfDay(plage.start_time, zone),
+      leadHours: matchStart ? hoursUntil(matchStart, now) : null
+    };
+
+    const terrainRules = rules ?? await getActiveRules(plage.terrain_id, t);
+
+    let price = basePrice;
+    const appliedRules = [];
+
+    for (const rule of terrainRules) {
+      if (!ruleMatches(rule, context)) continue;
+
+      const value = Number(rule.adjustment_value);
+      if (rule.adjustment_type === 'set') {
+        price = value;
+      } else {
+        price = price * (1 + value / 100);
+      }
+
+      appliedRules.push({
+        id: rule.id,
+        name: rule.name,
+        rule_type: rule.rule_type,
+        adjustment_type: rule.adjustment_type,
+        adjustment_value: value
+      });
+    }
+
+    price = Math.max(0, Math.round(price));
+
+    return { basePrice, price, appliedRules };
+  };
+
+  // ════════════════════════════════════════════════════════════════════════════
+  // MAIN: Attach the computed price to a list of slots (availability screens)
+  // ════════════════════════════════════════════════════════════════════════════
+  const priceSlots = async (slots, date) => {
+    const contextByTerrain = new Map();
+    const results = [];
+
+    for (const slot of slots) {
+      const data = typeof slot.toJSON === 'function' ? slot.toJSON() : { ...slot };
+
+      if (!contextByTerrain.has(data.terrain_id)) {
+        contextByTerrain.set(data.terrain_id, {
+          rules: await getActiveRules(data.terrain_id),
+          timeZone: await getTimezoneForTerrain(models, data.terrain_id)
+        });
+      }
+      const { rules, timeZone } = contextByTerrain.get(data.terrain_id);
+
+      // Formatted slots carry the date in start_at ('YYYY-MM-DDTHH:mm:ss+01:00')
+      const slotDate = date ?? toDateOfDay(data.start_at ?? data.start_time, timeZone);
+
+      try {
+        const quote = await computePrice(data, slotDate, { rules, timeZone });
+        results.push({
+          ...data,
+          base_price: quote.basePrice,
+          price: quote.price,
+          applied_rules: quote.appliedRules
+        });
+      } catch (err) {
+        // Keep the slot visible with its static price; booking will reject it
+        results.push(data);
+      }
+    }
+
+    return results;
+  };
+
+  // ════════════════════════════════════════════════════════════════════════════
+  // VALIDATION
+  // ════════════════════════════════════════════════════════════════════════════
+  const validateRule = (data, isUpdate = false) => {
+    if (!isUpdate || data.rule_type !== undefined) {
+      if (!RULE_TYPES.includes(data.rule_type)) {
+        throw new Error(`Invalid rule_type (${RULE_TYPES.join(', ')})`);
+      }
+    }
+
+    if (data.adjustment_type !== undefined && !ADJUSTMENT_TYPES.includes(data.adjustment_type)) {
+      throw new Error(`Invalid adjustment_type (${ADJUSTMENT_TYPES.join(', ')})`);
+    }
+
+    if (!isUpdate || data.adjustment_value !== undefined) {
+      const value = Number(data.adjustment_value);
+      if (!Number.isFinite(value)) {
+        throw new Error('adjustment_value is required');
+      }
+      if (data.adjustment_type === 'set' && value < 0) {
+        throw new Error('Invalid adjustment_value: a price cannot be negative');
+      }
+      if (data.adjustment_type !== 'set' && value < -100) {
+        throw new Error('Invalid adjustment_value: percent must be >= -100');
+      }
+    }
+
+    if (data.days_of_week !== undefined && data.days_of_week !== null) {
+      const valid = Array.isArray(data.days_of_week) &&
+        data.days_of_week.every(d => Number.isInteger(Number(d)) && Number(d) >= 0 && Number(d) <= 6);
+      if (!valid) {
+        throw new Error('Invalid days_of_week (array of 0..6, 0 = Sunday)');
+      }
+    }
+  };
+
+  // ════════════════════════════════════════════════════════════════════════════
+  // CRUD (admin)
+  // ════════════════════════════════════════════════════════════════════════════
+  const findByTerrain = async (terrainId) => {
+    return await models.pricing_rule.findAll({
+      where: { id_terrain: terrainId },
+      order: [['priority', 'ASC'], ['id', 'ASC']]
+    });
+  };
+
+  const findByClub = async (clubId) => {
+    return await models.pricing_rule.findAll({
+      where: { id_club: clubId, id_terrain: null },
+      order: [['priority', 'ASC'], ['id', 'ASC']]
+    });
+  };
+
+  // A rule targets either one terrain or every terrain of a club
+  const createRule = async (data) => {
+    if ((!data.id_terrain && !data.id_club) || !data.name) {
+      throw new Error('id_terrain or id_club, and name are required');
+    }
+    if (data.id_terrain && data.id_club) {
+      throw new Error('Invalid scope: set id_terrain or id_club, not both');
+    }
+    validateRule(data);
+
+    return await models.pricing_rule.create({
+      ...data,
+      date_creation: new Date(),
+      date_modif: new Date()
+    });
+  };
+
+  const updateRule = async (id, data) => {
+    const rule = await models.pricing_rule.findByPk(id);
+    if (!rule) throw new Error('Pricing rule not found');
+
+    validateRule({ adjustment_type: rule.adjustment_type, ...data }, true);
+
+    const { id: _id, id_terrain: _terrain, id_club: _club, ...updates } = data;
+    await rule.update({ ...updates, date_modif: new Date() });
+    return rule;
+  };
+
+  const deleteRule = async (id) => {
+    const rule = await models.pricing_rule.findByPk(id);
+    if (!rule) throw new Error('Pricing rule not found');
+    await rule.destroy();
+    return { message: 'Pricing rule deleted successfully' };
+  };
+
+  // ════════════════════════════════════════════════════════════════════════════
+  // QUOTE: Price of one slot (before membership discount)
+  // ════════════════════════════════════════════════════════════════════════════
+  const quote = async (plageHoraireId, date) => {
+    const plage = await models.plage_horaire.findByPk(plageHoraireId);
+    if (!plage) throw new Error('Plage horaire not found');
+    return await computePrice(plage, date);
+  };
+
+  return {
+    computePrice,
+    priceSlots,
+    findByTerrain,
+    findByClub,
+    createRule,
+    updateRule,
+    deleteRule,
+    quote,
+  };
+}
@@ -249,7 +249,27 @@ const calculateNewReliability = (matchData) => {
     return newReliability;
 };
 
+/**
+ * Intermediate values of calculateNewRating (for the rating history)
+ *
+ * @param {Object} matchData - Same input as calculateNewRating
+ * @returns {{X: number, W: number, adjustmentPercentage: number, avgReliability: number, resultFactor: number}}
+ */
+const describeRatingInputs = (matchData) => {
+    const X = ((matchData.playerRating + matchData.teammateRating) - (matchData.adversary1Rating + matchData.adversary2Rating)) / 2;
+    const avgReliability = (matchData.teammateReliability + matchData.adversary1Reliability + matchData.adversary2Reliability) / 3;
+
+    return {
+        X,
+        W: lookupW(X),
+        adjustmentPercentage: getAdjustmentPercentage(matchData.pointsConceded),
+        avgReliability,
+        resultFactor: typeof matchData.resultFactor === 'number' ? matchData.resultFactor : 1
+    };
+};
+
 export default {
     calculateNewRating,
-    calculateNewReliability
+    calculateNewReliability,
+    describeRatingInputs
 };
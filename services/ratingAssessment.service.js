@@ -0,0 +1,196 @@
+import { ASSESSMENT_QUESTIONS, MAX_PROVISIONAL_NOTE, scoreAssessment } from '../utils/levelAssessment.js';
+
+/**
+ * ════════════════════════════════════════════════════════════════════════════════
+ * RATING ASSESSMENT SERVICE - Provisional level of a new player
+ * ════════════════════════════════════════════════════════════════════════════════
+ *
+ * - The player answers the onboarding questionnaire once: the provisional note
+ *   and a low fiability are written to utilisateur, with the answers kept in
+ *   rating_assessment and the change in rating_history (source 'assessment').
+ * - Taking it again needs an admin reset (the rating stays as it is until the
+ *   new answers are submitted).
+ * - A player with rated matches already has an established level: the
+ *   questionnaire is refused unless an admin reset an assessment of theirs.
+ *
+ * ════════════════════════════════════════════════════════════════════════════════
+ */
+
+// rating_assessment.status
+const ASSESSMENT_STATUS = {
+  ACTIVE: 0,
+  RESET: 1
+};
+
+const serviceError = (message, statusCode, code) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  if (code) error.code = code;
+  return error;
+};
+
+export default function RatingAssessmentService(models) {
+
+  const getQuestions = () => ({
+    questions: ASSESSMENT_QUESTIONS.map(({ key, label, options }) => ({
+      key,
+      label,
+      options: options.map(({ value, label: optionLabel }) => ({ value, label: optionLabel }))
+    })),
+    maxProvisionalNote: MAX_PROVISIONAL_NOTE
+  });
+
+  const findActive = async (userId, t = null) => {
+    return await models.rating_assessment.findOne({
+      where: { id_utilisateur: userId, status: ASSESSMENT_STATUS.ACTIVE },
+      transaction: t
+    });
+  };
+
+  // Rated matches and no admin reset: the questionnaire would overwrite a real level.
+  // Confirmed matches count too: those rated before rating_history have no row.
+  const hasEstablishedRating = async (userId, t = null) => {
+    const matches = await models.rating_history.count({
+      where: { id_utilisateur: userId, source: 'match' },
+      transaction: t
+    }) || await models.participant.count({
+      where: { id_utilisateur: userId },
+      include: [{
+        model: models.reservation,
+        as: 'reservation',
+        required: true,
+        attributes: [],
+        where: { score_status: [1, 2], isCancel: 0 }
+      }],
+      transaction: t
+    });
+    if (matches === 0) return false;
+
+    const resets = await models.rating_assessment.count({
+      where: { id_utilisateur: userId, status: ASSESSMENT_STATUS.RESET },
+      transaction: t
+    });
+    return resets === 0;
+  };
+
+  /**
+   * Current assessment of a player and whether they may take it
+   */
+  const findForUser = async (userId) => {
+    const user = await models.utilisateur.findByPk(userId, {
+      attributes: ['id', 'nom', 'prenom', 'note', 'fiability']
+    });
+    if (!user) throw new Error('Utilisateur not found');
+
+    const assessment = await findActive(user.id);
+    const canTake = !assessment && !(await hasEstablishedRating(user.id));
+    return { user, assessment, canTake };
+  };
+
+  // ════════════════════════════════════════════════════════════════════════════
+  // SUBMIT: Answers -> provisional note / fiability
+  // ════════════════════════════════════════════════════════════════════════════
+  const submit = async (userId, answers) => {
+    const result = scoreAssessment(answers);
+
+    const t = await models.sequelize.transaction();
+
+    try {
+      const user = await models.utilisateur.findByPk(userId, {
+        transaction: t,
+        lock: t.LOCK.UPDATE
+      });
+      if (!user) throw new Error('Utilisateur not found');
+
+      if (await findActive(user.id, t)) {
+        throw serviceError('Vous avez déjà évalué votre niveau. Contactez le club pour recommencer.', 409, 'ALREADY_ASSESSED');
+      }
+      if (await hasEstablishedRating(user.id, t)) {
+        throw serviceError('Votre niveau est déjà établi par vos matchs. Contactez le club pour le réévaluer.', 409, 'ALREADY_RATED');
+      }
+
+      const assessment = await models.rating_assessment.create({
+        id_utilisateur: user.id,
+        answers: result.answers,
+        computed_note: result.note,
+        computed_fiability: result.fiability,
+        note_before: user.note,
+        fiability_before: user.fiability,
+        status: ASSESSMENT_STATUS.ACTIVE,
+        date_creation: new Date()
+      }, { transaction: t });
+
+      await models.rating_history.create({
+        id_utilisateur: user.id,
+        id_reservation: null,
+        source: 'assessment',
+        note_before: user.note,
+        note_after: result.note,
+        fiability_before: user.fiability,
+        fiability_after: result.fiability,
+        inputs: { assessmentId: assessment.id, answers: result.answers, points: result.points },
+        date_creation: new Date()
+      }, { transaction: t });
+
+      await user.update({ note: result.note, fiability: result.fiability }, { transaction: t });
+
+      await t.commit();
+      console.log(`[RatingAssessment] User ${user.id}: provisional rating ${result.note} (fiability ${result.fiability}%)`);
+      return assessment;
+
+    } catch (err) {
+      if (!t.finished) await t.rollback();
+
+      if (err.name === 'SequelizeUniqueConstraintError' || err.original?.code === '23505') {
+        throw serviceError('Vous avez déjà évalué votre niveau. Contactez le club pour recommencer.', 409, 'ALREADY_ASSESSED');
+      }
+      throw err;
+    }
+  };
+
+  // ════════════════════════════════════════════════════════════════════════════
+  // ADMIN: Let a player take the questionnaire again
+  // ════════════════════════════════════════════════════════════════════════════
+  // A player rated by matches who never took it gets a reset row holding their
+  // current level (no answers), which lets them take it once.
+  const reset = async (userId, adminId) => {
+    const assessment = await findActive(userId);
+    if (!assessment) {
+      const user = await models.utilisateur.findByPk(userId);
+      if (!user) throw new Error('Utilisateur not found');
+      if (!(await hasEstablishedRating(user.id))) throw new Error('Rating assessment not found');
+
+      const marker = await models.rating_assessment.create({
+        id_utilisateur: user.id,
+        answers: {},
+        computed_note: user.note ?? 0,
+        computed_fiability: user.fiability ?? 0,
+        note_before: user.note,
+        fiability_before: user.fiability,
+        status: ASSESSMENT_STATUS.RESET,
+        id_reset_by: adminId,
+        reset_at: new Date(),
+        date_creation: new Date()
+      });
+
+      console.log(`[RatingAssessment] User ${user.id} (rated by matches) allowed to take the assessment by admin ${adminId}`);
+      return marker;
+    }
+
+    await assessment.update({
+      status: ASSESSMENT_STATUS.RESET,
+      id_reset_by: adminId,
+      reset_at: new Date()
+    });
+
+    console.log(`[RatingAssessment] Assessment ${assessment.id} of user ${userId} reset by admin ${adminId}`);
+    return assessment;
+  };
+
+  return {
+    getQuestions,
+    findForUser,
+    submit,
+    reset,
+  };
+}
@@ -0,0 +1,234 @@
+import { Op } from 'sequelize';
+import { DECAY_SETTINGS, decayLevel, dueDecaySteps, nextDecayAt } from '../utils/ratingDecay.js';
+import { toDateOfDay } from '../utils/matchTime.js';
+
+/**
+ * ════════════════════════════════════════════════════════════════════════════════
+ * RATING DECAY SERVICE - Reliability erosion of inactive players
+ * ════════════════════════════════════════════════════════════════════════════════
+ *
+ * - Inactivity runs from the last rating_history row that is not a decay
+ *   (confirmed match, onboarding assessment), or for a player with no such row
+ *   (last match rated before rating_history existed) from the date of their
+ *   last confirmed match.
+ * - processInactivity() (daily scheduler) applies the steps due since then
+ *   (utils/ratingDecay.js), one rating_history row per step (source 'decay',
+ *   parameters in inputs): the rows after the last activity tell how many
+ *   steps were already applied, so a run never decays a player twice.
+ * - The next rated match starts from the decayed level; recomputeAll() replays
+ *   the decay rows between the matches.
+ *
+ * ════════════════════════════════════════════════════════════════════════════════
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export default function RatingDecayService(models, settings = DECAY_SETTINGS) {
+
+  // Confirmed matches (score confirmed or auto-confirmed) of a player
+  const confirmedMatchInclude = {
+    model: models.reservation,
+    as: 'reservation',
+    required: true,
+    attributes: [],
+    where: { score_status: [1, 2], isCancel: 0 }
+  };
+
+  // Last non-decay row of a player (else last confirmed match) and the decay rows written since
+  const findActivity = async (userId, t = null) => {
+    const last = await models.rating_history.findOne({
+      where: { id_utilisateur: userId, source: { [Op.ne]: 'decay' } },
+      order: [['date_creation', 'DESC'], ['id', 'DESC']],
+      transaction: t
+    });
+
+    let lastActivityAt = last?.date_creation ?? null;
+    if (!lastActivityAt) {
+      const lastMatch = await models.participant.findOne({
+        where: { id_utilisateur: userId },
+        include: [{ ...confirmedMatchInclude, attributes: ['date'] }],
+        order: [[{ model: models.reservation, as: 'reservation' }, 'date', 'DESC']],
+        transaction: t
+      });
+      lastActivityAt = lastMatch?.reservation?.date ? new Date(lastMatch.reservation.date) : null;
+    }
+    if (!lastActivityAt) return { lastActivityAt: null, decaySteps: 0 };
+
+    const decaySteps = await models.rating_history.count({
+      where: {
+        id_utilisateur: userId,
+        source: 'decay',
+        date_creation: { [Op.gte]: lastActivityAt }
+      },
+      transaction: t
+    });
+
+    return { lastActivityAt, decaySteps };
+  };
+
+  /**
+   * Inactivity of a player (rating profile)
+   * @param {number} userId
+   */
+  const describeInactivity = async (userId, now = new Date()) => {
+    const { lastActivityAt, decaySteps } = await findActivity(userId);
+    return {
+      lastActivityAt,
+      inactiveDays: lastActivityAt ? Math.floor((now.getTime() - new Date(lastActivityAt).getTime()) / DAY_MS) : null,
+      decaySteps,
+      nextDecayAt: nextDecayAt(lastActivityAt, decaySteps, settings)
+    };
+  };
+
+  const findMeanNote = async () => {
+    if (settings.mean !== null && settings.mean !== undefined) return settings.mean;
+
+    const mean = await models.utilisateur.aggregate('note', 'avg', {
+      where: { note: { [Op.gt]: 0 } }
+    });
+    return mean === null ? null : Math.round(Number(mean) * 100) / 100;
+  };
+
+  // ════════════════════════════════════════════════════════════════════════════
+  // APPLY: Steps due for one player
+  // ════════════════════════════════════════════════════════════════════════════
+  const decayPlayer = async (userId, mean, now) => {
+    const t = await models.sequelize.transaction();
+
+    try {
+      // Same lock as a rated match: the activity cannot change under us
+      const user = await models.utilisateur.findByPk(userId, {
+        transaction: t,
+        lock: t.LOCK.UPDATE
+      });
+      if (!user) {
+        await t.rollback();
+        return 0;
+      }
+
+      const { lastActivityAt, decaySteps } = await findActivity(user.id, t);
+      const due = dueDecaySteps(lastActivityAt, now, settings);
+      if (due <= decaySteps) {
+        await t.rollback();
+        return 0;
+      }
+
+      const params = {
+        fiabilityLoss: settings.fiabilityLoss,
+        minFiability: settings.minFiability,
+        noteShare: settings.noteShare,
+        mean
+      };
+      const inactiveDays = Math.floor((now.getTime() - new Date(lastActivityAt).getTime()) / DAY_MS);
+
+      let level = { note: user.note, fiability: user.fiability };
+      let written = 0;
+      for (let step = decaySteps + 1; step <= due; step++) {
+        const next = decayLevel(level, params);
+        if (next.note === Number(level.note) && next.fiability === Number(level.fiability)) break;
+
+        await models.rating_history.create({
+          id_utilisateur: user.id,
+          id_reservation: null,
+          source: 'decay',
+          note_before: level.note,
+          note_after: next.note,
+          fiability_before: level.fiability,
+          fiability_after: next.fiability,
+          inputs: { ...params, step, inactiveDays, lastActivityAt },
+          date_creation: now
+        }, { transaction: t });
+
+        level = next;
+        written++;
+      }
+
+      if (written > 0) {
+        await user.update({ note: level.note, fiability: level.fiability }, { transaction: t });
+      }
+
+      await t.commit();
+      if (written > 0) {
+        console.log(`[RatingDecay] User ${user.id}: ${written} step(s) after ${inactiveDays} day(s) inactive -> note ${level.note}, fiability ${level.fiability}%`);
+      }
+      return written;
+
+    } catch (error) {
+      if (!t.finished) await t.rollback();
+      throw error;
+    }
+  };
+
+  // ════════════════════════════════════════════════════════════════════════════
+  // SCHEDULER: Players inactive for at least RATING_DECAY_AFTER_DAYS
+  // ════════════════════════════════════════════════════════════════════════════
+  const processInactivity = async (now = new Date()) => {
+    const inactiveSince = new Date(now.getTime() - settings.afterDays * DAY_MS);
+
+    const candidates = await models.rating_history.findAll({
+      attributes: ['id_utilisateur'],
+      where: { source: { [Op.ne]: 'decay' } },
+      group: ['id_utilisateur'],
+      having: models.sequelize.where(
+        models.sequelize.fn('MAX', models.sequelize.col('date_creation')),
+        { [Op.lte]: inactiveSince }
+      ),
+      raw: true
+    });
+
+    // Players whose last match was rated before rating_history existed
+    // (decayPlayer checks again: a recent history row wins)
+    const legacyCandidates = await models.participant.findAll({
+      attributes: ['id_utilisateur'],
+      where: { id_utilisateur: { [Op.ne]: null } },
+      include: [confirmedMatchInclude],
+      group: ['participant.id_utilisateur'],
+      having: models.sequelize.where(
+        models.sequelize.fn('MAX', models.sequelize.col('reservation.date')),
+        { [Op.lte]: toDateOfDay(inactiveSince) }
+      ),
+      raw: true
+    });
+
+    const candidateIds = [...new Set([...candidates, ...legacyCandidates].map(c => Number(c.id_utilisateur)))];
+    if (candidateIds.length === 0) return { players: 0, steps: 0 };
+
+    // Nothing left to lower: fiability at the floor and no note regression
+    const where = { id: candidateIds };
+    if (!(settings.noteShare > 0)) {
+      where.fiability = { [Op.gt]: settings.minFiability };
+    }
+    const users = await models.utilisateur.findAll({
+      attributes: ['id'],
+      where,
+      order: [['id', 'ASC']]
+    });
+    if (users.length === 0) return { players: 0, steps: 0 };
+
+    const mean = await findMeanNote();
+
+    let players = 0;
+    let steps = 0;
+    for (const user of users) {
+      try {
+        const written = await decayPlayer(user.id, mean, now);
+        if (written > 0) {
+          players++;
+          steps += written;
+        }
+      } catch (error) {
+        console.error(`[RatingDecay] User ${user.id} failed:`, error.message);
+      }
+    }
+
+    if (players > 0) {
+      console.log(`[RatingDecay] ${steps} decay step(s) applied to ${players} inactive player(s)`);
+    }
+    return { players, steps };
+  };
+
+  return {
+    describeInactivity,
+    processInactivity,
+  };
+}
@@ -0,0 +1,146 @@
+import { Op } from 'sequelize';
+
+/**
+ * ════════════════════════════════════════════════════════════════════════════════
+ * RATING HISTORY SERVICE - How each confirmed match moved the players' level
+ * ════════════════════════════════════════════════════════════════════════════════
+ *
+ * rating_history is written when the ratings of a match are applied
+ * (ratingJob.service.js), one row per registered player and match, with note /
+ * fiability before and after and the inputs of the formula (X, W,
+ * resultFactor, opponents...). Other sources: the onboarding assessment and
+ * the inactivity decay steps (id_reservation null).
+ * - Timeline: the changes of one player, newest first, with how long they
+ *   have been inactive
+ * - Breakdown: what each of the four players of a match gained or lost
+ *   (guests are never rated: they appear without a change)
+ *
+ * ════════════════════════════════════════════════════════════════════════════════
+ */
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+
+const delta = (before, after) => {
+  if (before === null || before === undefined || after === null || after === undefined) return null;
+  return Number(after) - Number(before);
+};
+
+const withDeltas = (entry) => ({
+  ...entry.toJSON(),
+  note_delta: delta(entry.note_before, entry.note_after),
+  fiability_delta: delta(entry.fiability_before, entry.fiability_after)
+});
+
+// Timeline cursor: "<date_creation ISO>_<id>" of the last entry of a page
+const toCursor = (entry) => `${new Date(entry.date_creation).toISOString()}_${entry.id}`;
+
+const parseCursor = (value) => {
+  const [date, id] = String(value).split('_');
+  const cursor = { date_creation: new Date(date), id: Number(id) };
+  if (isNaN(cursor.date_creation.getTime()) || !Number.isInteger(cursor.id)) {
+    const error = new Error('Invalid before cursor');
+    error.statusCode = 400;
+    error.code = 'VALIDATION_ERROR';
+    throw error;
+  }
+  return cursor;
+};
+
+export default function RatingHistoryService(models, ratingDecayService) {
+
+  /**
+   * Rating changes of a player, newest first
+   * @param {number} userId
+   * @param {object} [options] - { limit, before } (before: nextBefore of the previous page,
+   *   "<date_creation ISO>_<id>": a recompute gives old rows new ids, so the id alone
+   *   does not follow the date order)
+   */
+  const findTimeline = async (userId, { limit, before } = {}) => {
+    const user = await models.utilisateur.findByPk(userId, {
+      attributes: ['id', 'nom', 'prenom', 'note', 'fiability']
+    });
+    if (!user) throw new Error('Utilisateur not found');
+
+    const size = Math.min(Math.max(Number(limit) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+    const where = { id_utilisateur: user.id };
+    if (before) {
+      const cursor = parseCursor(before);
+      where[Op.or] = [
+        { date_creation: { [Op.lt]: cursor.date_creation } },
+        { date_creation: cursor.date_creation, id: { [Op.lt]: cursor.id } }
+      ];
+    }
+
+    const entries = await models.rating_history.findAll({
+      where,
+      include: [{
+        model: models.reservation,
+        as: 'reservation',
+        attributes: ['id', 'date', 'id_terrain', 'Set1A', 'Set1B', 'Set2A', 'Set2B', 'Set3A', 'Set3B', 'teamwin', 'match_format']
+      }],
+      order: [['date_creation', 'DESC'], ['id', 'DESC']],
+      limit: size
+    });
+
+    return {
+      user,
+      inactivity: await ratingDecayService.describeInactivity(user.id),
+      entries: entries.map(withDeltas),
+      nextBefore: entries.length === size ? toCursor(entries[entries.length - 1]) : null
+    };
+  };
+
+  /**
+   * What each player of a match gained or lost
+   * @param {number} reservationId
+   */
+  const findByReservation = async (reservationId) => {
+    const reservation = await models.reservation.findByPk(reservationId, {
+      include: [{
+        model: models.participant,
+        as: 'participants',
+        include: [{
+          model: models.utilisateur,
+          as: 'utilisateur',
+          attributes: ['id', 'nom', 'prenom', 'note', 'fiability']
+        }]
+      }]
+    });
+    if (!reservation) throw new Error('Reservation not found');
+
+    const entries = await models.rating_history.findAll({
+      where: { id_reservation: reservation.id, source: 'match' },
+      order: [['id', 'ASC']]
+    });
+    const entryByUser = new Map(entries.map(e => [Number(e.id_utilisateur), e]));
+
+    const players = (reservation.participants || [])
+      .slice()
+      .sort((a, b) => Number(a.team ?? 9) - Number(b.team ?? 9))
+      .map(p => {
+        const entry = p.id_utilisateur ? entryByUser.get(Number(p.id_utilisateur)) : null;
+        return {
+          team: p.team,
+          id_utilisateur: p.id_utilisateur,
+          utilisateur: p.utilisateur ?? null,
+          guest_name: p.id_utilisateur ? null : p.guest_name,
+          rated: !!entry,
+          ...(entry ? withDeltas(entry) : {})
+        };
+      });
+
+    return {
+      reservationId: reservation.id,
+      score_status: reservation.score_status,
+      teamwin: reservation.teamwin,
+      match_format: reservation.match_format,
+      players
+    };
+  };
+
+  return {
+    findTimeline,
+    findByReservation,
+  };
+}
@@ -0,0 +1,587 @@
+import { Op } from 'sequelize';
+import ratingService from './rating.service.js';
+import { computeResultFactor, getMatchFormat } from '../utils/matchFormats.js';
+import { decayLevel } from '../utils/ratingDecay.js';
+
+/**
+ * ════════════════════════════════════════════════════════════════════════════════
+ * RATING JOB SERVICE - Apply the ratings of a confirmed match, once
+ * ════════════════════════════════════════════════════════════════════════════════
+ *
+ * - Confirming a score (updateScore, vote, admin decision, auto-confirmation)
+ *   enqueues a rating_job in the same transaction: the job is durable even if
+ *   the process stops before the ratings are applied.
+ * - apply() runs the job in one transaction: the four players are locked,
+ *   updated and their rating_history written together, and the job is marked
+ *   applied. A job that is not pending is ignored (idempotent), so a late
+ *   confirmation or a second run cannot rate a match twice.
+ * - A failed job is retried by the scheduler with a growing delay, then left
+ *   as failed for an admin after RATING_JOB_MAX_ATTEMPTS.
+ * - recomputeAll() replays every confirmed match in playing order from each
+ *   player's level before their first rated match (after a formula change),
+ *   with the inactivity decay steps (ratingDecay.service.js) and onboarding
+ *   assessments in between.
+ *
+ * ════════════════════════════════════════════════════════════════════════════════
+ */
+
+// rating_job.status
+export const RATING_JOB_STATUS = {
+  PENDING: 0,
+  APPLIED: 1,
+  FAILED: 2,  // Gave up after RATING_JOB_MAX_ATTEMPTS
+  SKIPPED: 3  // Nothing to rate (incomplete match, score not confirmed...)
+};
+
+const RATING_JOB_MAX_ATTEMPTS = Number(process.env.RATING_JOB_MAX_ATTEMPTS || 5);
+const RATING_JOB_BATCH = 20;
+
+// Retry after 1, 2, 4... minutes (1 hour max)
+const retryDelayMs = (attempts) => Math.min(2 ** Math.max(attempts - 1, 0), 60) * 60 * 1000;
+
+const matchSets = (r) => [[r.Set1A, r.Set1B], [r.Set2A, r.Set2B], [r.Set3A, r.Set3B]]
+  .filter(([a, b]) => a !== null && a !== undefined && b !== null && b !== undefined)
+  .map(([a, b]) => ({ a: Number(a), b: Number(b) }));
+
+/**
+ * New ratings of the players of a confirmed match (nothing is written)
+ * @param {object} reservation - Score columns, teamwin, match_format, supertiebreak
+ * @param {Array<object>} participants - With their utilisateur (null for guests)
+ * @param {function} [levelOf] - user => { note, fiability } to rate from other
+ *   values than the stored ones (recompute, simulation)
+ * @returns {{skip: string}|{updates: Array<object>}}
+ */
+export const computeMatchRatings = (reservation, participants, levelOf = (user) => user) => {
+  if ((participants || []).length < 4) {
+    return { skip: `fewer than 4 participants (${(participants || []).length})` };
+  }
+
+  // 1. Map participants to teams (0,1 vs 2,3)
+  const pMap = {};
+  participants.forEach(p => {
+    if (p.team !== null && p.team !== undefined) {
+      pMap[p.team] = p;
+    }
+  });
+
+  const a1 = pMap[0];
+  const a2 = pMap[1];
+  const b1 = pMap[2];
+  const b2 = pMap[3];
+
+  if (!a1 || !a2 || !b1 || !b2) {
+    return { skip: `missing team slots (found: ${Object.keys(pMap).join(',')})` };
+  }
+
+  // Guests (no account) are never rated: they count at the average rating
+  // of the registered players, with no reliability
+  const registered = [a1, a2, b1, b2].filter(p => p.utilisateur);
+  if (registered.length < 2) {
+    return { skip: `${registered.length} registered player(s) only` };
+  }
+  const noteOf = (p) => Number(levelOf(p.utilisateur).note) || 0.5;
+  const fiabilityOf = (p) => Number(levelOf(p.utilisateur).fiability) || 50;
+
+  const guestRating = registered.reduce((sum, p) => sum + noteOf(p), 0) / registered.length;
+  const ratingOf = (p) => p.utilisateur ? noteOf(p) : guestRating;
+  const reliabilityOf = (p) => p.utilisateur ? fiabilityOf(p) / 100 : 0;
+
+  const teamARatingSum = ratingOf(a1) + ratingOf(a2);
+  const teamBRatingSum = ratingOf(b1) + ratingOf(b2);
+
+  const winnerTeam = Number(reservation.teamwin);
+  if (winnerTeam !== 1 && winnerTeam !== 2) {
+    return { skip: 'no winner' };
+  }
+  const winnerTeamRatingSum = winnerTeam === 1 ? teamARatingSum : teamBRatingSum;
+  const loserTeamRatingSum = winnerTeam === 1 ? teamBRatingSum : teamARatingSum;
+
+  const sets = matchSets(reservation);
+  const teamAGames = sets.reduce((sum, s) => sum + s.a, 0);
+  const teamBGames = sets.reduce((sum, s) => sum + s.b, 0);
+
+  // Weight of the result depends on the match format (sets lost, length)
+  const resultFactor = computeResultFactor(
+    getMatchFormat(reservation.match_format),
+    sets,
+    Number(reservation.supertiebreak) === 1
+  );
+
+  const players = [a1, a2, b1, b2];
+  const updates = [];
+
+  for (let i = 0; i < 4; i++) {
+    const player = players[i];
+    const user = player.utilisateur;
+    if (!user) continue;
+
+    const isTeamA = i < 2;
+    const teammate = isTeamA ? (i === 0 ? a2 : a1) : (i === 2 ? b2 : b1);
+    const opponents = isTeamA ? [b1, b2] : [a1, a2];
+    const isWinner = (winnerTeam === 1 && isTeamA) || (winnerTeam === 2 && !isTeamA);
+
+    const matchData = {
+      playerRating: ratingOf(player),
+      teammateRating: ratingOf(teammate),
+      adversary1Rating: ratingOf(opponents[0]),
+      adversary2Rating: ratingOf(opponents[1]),
+      pointsConceded: isTeamA ? teamBGames : teamAGames,
+      teammateReliability: reliabilityOf(teammate),
+      adversary1Reliability: reliabilityOf(opponents[0]),
+      adversary2Reliability: reliabilityOf(opponents[1]),
+      winnerTeamRatingSum,
+      loserTeamRatingSum,
+      isWinner,
+      resultFactor
+    };
+
+    const newRating = ratingService.calculateNewRating(matchData);
+
+    // Player's own reliability for the reliability formula
+    matchData.playerReliability = fiabilityOf(player) / 100;
+    const newReliability = Math.round(ratingService.calculateNewReliability(matchData) * 100);
+
+    updates.push({
+      user,
+      team: player.team,
+      isWinner,
+      noteBefore: levelOf(user).note,
+      fiabilityBefore: levelOf(user).fiability,
+      newRating,
+      newReliability,
+      inputs: {
+        ...ratingService.describeRatingInputs(matchData),
+        matchFormat: reservation.match_format,
+        playerRating: matchData.playerRating,
+        pointsConceded: matchData.pointsConceded,
+        teammateRating: matchData.teammateRating,
+        adversary1Rating: matchData.adversary1Rating,
+        adversary2Rating: matchData.adversary2Rating,
+        playerReliability: matchData.playerReliability,
+        teammateReliability: matchData.teammateReliability,
+        adversary1Reliability: matchData.adversary1Reliability,
+        adversary2Reliability: matchData.adversary2Reliability
+      }
+    });
+  }
+
+  return { updates };
+};
+
+const historyRow = (reservationId, update, source, date = new Date()) => ({
+  id_utilisateur: update.user.id,
+  id_reservation: reservationId,
+  source,
+  team: update.team,
+  is_winner: update.isWinner,
+  note_before: update.noteBefore,
+  note_after: update.newRating,
+  fiability_before: update.fiabilityBefore,
+  fiability_after: update.newReliability,
+  inputs: update.inputs,
+  date_creation: date
+});
+
+export default function RatingJobService(models) {
+
+  // ════════════════════════════════════════════════════════════════════════════
+  // ENQUEUE: In the transaction that confirms the score
+  // ════════════════════════════════════════════════════════════════════════════
+  const enqueue = async (reservationId, t) => {
+    const [job] = await models.rating_job.findOrCreate({
+      where: { id_reservation: reservationId },
+      defaults: {
+        id_reservation: reservationId,
+        status: RATING_JOB_STATUS.PENDING,
+        attempts: 0,
+        next_attempt_at: new Date(),
+        date_creation: new Date(),
+        date_modif: new Date()
+      },
+      transaction: t
+    });
+    return job;
+  };
+
+  const recordFailure = async (reservationId, error) => {
+    const job = await models.rating_job.findOne({ where: { id_reservation: reservationId } });
+    if (!job || job.status !== RATING_JOB_STATUS.PENDING) return;
+
+    const attempts = Number(job.attempts ?? 0) + 1;
+    const givesUp = attempts >= RATING_JOB_MAX_ATTEMPTS;
+
+    await job.update({
+      attempts,
+      status: givesUp ? RATING_JOB_STATUS.FAILED : RATING_JOB_STATUS.PENDING,
+      last_error: String(error?.message ?? error).slice(0, 1000),
+      next_attempt_at: new Date(Date.now() + retryDelayMs(attempts)),
+      date_modif: new Date()
+    });
+
+    console.error(`[RatingJob] Reservation ${reservationId}: attempt ${attempts} failed${givesUp ? ' - giving up' : ''}:`, error?.message);
+  };
+
+  // ════════════════════════════════════════════════════════════════════════════
+  // APPLY: Rate the four players of a match, all or nothing
+  // ════════════════════════════════════════════════════════════════════════════
+  const apply = async (reservationId) => {
+    const t = await models.sequelize.transaction();
+
+    try {
+      // A job being applied elsewhere is left alone
+      const job = await models.rating_job.findOne({
+        where: { id_reservation: reservationId },
+        transaction: t,
+        lock: t.LOCK.UPDATE,
+        skipLocked: true
+      });
+
+      if (!job || job.status !== RATING_JOB_STATUS.PENDING) {
+        await t.rollback();
+        return { status: job ? 'done' : 'none' };
+      }
+
+      console.log(`[RatingService] 🏁 Starting rating updates for reservation ${reservationId}`);
+
+      const reservation = await models.reservation.findByPk(reservationId, {
+        include: [{ model: models.participant, as: 'participants' }],
+        transaction: t
+      });
+
+      let skip = null;
+      if (!reservation) skip = 'reservation not found';
+      else if (![1, 2].includes(Number(reservation.score_status))) skip = 'score not confirmed';
+
+      let result = null;
+      if (!skip) {
+        // Lock the players in id order (same order everywhere: no deadlock)
+        const userIds = reservation.participants.map(p => p.id_utilisateur).filter(Boolean);
+        const users = await models.utilisateur.findAll({
+          where: { id: userIds },
+          order: [['id', 'ASC']],
+          transaction: t,
+          lock: t.LOCK.UPDATE
+        });
+        const userById = new Map(users.map(u => [Number(u.id), u]));
+        const participants = reservation.participants.map(p => ({
+          team: p.team,
+          utilisateur: p.id_utilisateur ? userById.get(Number(p.id_utilisateur)) ?? null : null
+        }));
+
+        result = computeMatchRatings(reservation, participants);
+        skip = result.skip ?? null;
+      }
+
+      if (skip) {
+        await job.update({
+          status: RATING_JOB_STATUS.SKIPPED,
+          attempts: Number(job.attempts ?? 0) + 1,
+          last_error: skip,
+          date_modif: new Date()
+        }, { transaction: t });
+        await t.commit();
+        console.warn(`[RatingService] Match ${reservationId}: rating skipped (${skip})`);
+        return { status: 'skipped', reason: skip };
+      }
+
+      for (const update of result.updates) {
+        await update.user.update({
+          note: update.newRating,
+          fiability: update.newReliability
+        }, { transaction: t });
+        await models.rating_history.create(historyRow(reservation.id, update, 'match'), { transaction: t });
+      }
+
+      await job.update({
+        status: RATING_JOB_STATUS.APPLIED,
+        attempts: Number(job.attempts ?? 0) + 1,
+        last_error: null,
+        applied_at: new Date(),
+        date_modif: new Date()
+      }, { transaction: t });
+
+      await t.commit();
+
+      for (const update of result.updates) {
+        console.log(`[RatingService] ✅ User ${update.user.id} (${update.user.nom}) updated: Rating ${update.inputs.playerRating.toFixed(2)} -> ${update.newRating.toFixed(2)}, Reliability ${(update.inputs.playerReliability * 100).toFixed(1)}% -> ${update.newReliability}%`);
+      }
+      return { status: 'applied', players: result.updates.length };
+
+    } catch (error) {
+      if (!t.finished) await t.rollback();
+      await recordFailure(reservationId, error).catch(err => console.error('[RatingJob] Failed to record failure:', err.message));
+      return { status: 'retry', error: error.message };
+    }
+  };
+
+  // ════════════════════════════════════════════════════════════════════════════
+  // JOB: Pending jobs whose retry time has come
+  // ════════════════════════════════════════════════════════════════════════════
+  const processJobs = async () => {
+    const jobs = await models.rating_job.findAll({
+      where: {
+        status: RATING_JOB_STATUS.PENDING,
+        next_attempt_at: { [Op.lte]: new Date() }
+      },
+      order: [['next_attempt_at', 'ASC'], ['id', 'ASC']],
+      limit: RATING_JOB_BATCH
+    });
+
+    let applied = 0;
+    for (const job of jobs) {
+      const result = await apply(job.id_reservation);
+      if (result.status === 'applied') applied++;
+    }
+
+    if (jobs.length > 0) {
+      console.log(`[RatingJob] ${applied}/${jobs.length} pending rating job(s) applied`);
+    }
+    return { count: jobs.length, applied };
+  };
+
+  // ════════════════════════════════════════════════════════════════════════════
+  // ADMIN: Failed jobs and manual retry
+  // ════════════════════════════════════════════════════════════════════════════
+  const findJobs = async ({ status = RATING_JOB_STATUS.FAILED } = {}) => {
+    return await models.rating_job.findAll({
+      where: { status: Number(status) },
+      order: [['id', 'ASC']]
+    });
+  };
+
+  const retry = async (jobId) => {
+    const job = await models.rating_job.findByPk(jobId);
+    if (!job) throw new Error('Rating job not found');
+
+    if (job.status === RATING_JOB_STATUS.APPLIED) {
+      const error = new Error('Les notes de ce match ont déjà été appliquées.');
+      error.statusCode = 409;
+      error.code = 'ALREADY_APPLIED';
+      throw error;
+    }
+
+    await job.update({
+      status: RATING_JOB_STATUS.PENDING,
+      attempts: 0,
+      next_attempt_at: new Date(),
+      date_modif: new Date()
+    });
+    return await apply(job.id_reservation);
+  };
+
+  // ════════════════════════════════════════════════════════════════════════════
+  // ADMIN: Recompute every rating from the confirmed matches, in playing order
+  // ════════════════════════════════════════════════════════════════════════════
+  // Each player starts from their level before their first rated match, decay
+  // step or assessment (or their current level when they have none). Matches
+  // rated before rating_history existed (applied job, no history row) are
+  // already in that starting level: they are not replayed and are reported in
+  // `skipped`. Match history rows are rebuilt; decay rows are replayed with
+  // their stored parameters and assessments set the level again, both at their
+  // date. Jobs of matches with nothing to rate are marked skipped, as apply()
+  // does. dryRun computes the result without writing anything.
+  const recomputeAll = async ({ dryRun = false } = {}) => {
+    const t = await models.sequelize.transaction();
+
+    try {
+      // No job is applied while the history is being rebuilt
+      await models.sequelize.query('LOCK TABLE rating_job IN EXCLUSIVE MODE', { transaction: t });
+
+      const matches = await models.reservation.findAll({
+        where: { score_status: [1, 2], isCancel: 0 },
+        include: [{ model: models.participant, as: 'participants' }],
+        order: [['date', 'ASC'], ['last_score_update', 'ASC'], ['id', 'ASC']],
+        transaction: t
+      });
+
+      const userIds = [...new Set(matches.flatMap(m => m.participants.map(p => p.id_utilisateur).filter(Boolean)).map(Number))];
+      const users = await models.utilisateur.findAll({
+        where: { id: userIds },
+        order: [['id', 'ASC']],
+        transaction: t,
+        lock: t.LOCK.UPDATE
+      });
+      const userById = new Map(users.map(u => [Number(u.id), u]));
+
+      // Level before the first rated match, decay or assessment; rebuilt rows keep their date
+      const entries = await models.rating_history.findAll({
+        where: { source: ['match', 'decay', 'assessment'], id_utilisateur: userIds },
+        order: [['date_creation', 'ASC'], ['id', 'ASC']],
+        transaction: t
+      });
+      const start = new Map();
+      const ratedAt = new Map();
+      const historyMatches = new Set();
+      const events = new Map();
+      for (const entry of entries) {
+        const userId = Number(entry.id_utilisateur);
+        if (!start.has(userId)) {
+          start.set(userId, { note: entry.note_before, fiability: entry.fiability_before });
+        }
+        if (entry.source !== 'match') {
+          if (!events.has(userId)) events.set(userId, []);
+          events.get(userId).push(entry);
+        } else {
+          ratedAt.set(`${entry.id_reservation}:${entry.id_utilisateur}`, entry.date_creation);
+          historyMatches.add(Number(entry.id_reservation));
+        }
+      }
+
+      const level = new Map();
+      const levelOf = (user) => level.get(Number(user.id))
+        ?? start.get(Number(user.id))
+        ?? { note: user.note, fiability: user.fiability };
+
+      // Decay steps and assessments of a player dated before `until` (all of
+      // them without it): a decay lowers the level, an assessment replaces it
+      const replayed = [];
+      const replayEvents = (user, until = null) => {
+        const queue = events.get(Number(user.id)) || [];
+        while (queue.length > 0 && (!until || new Date(queue[0].date_creation) < new Date(until))) {
+          const entry = queue.shift();
+          const before = levelOf(user);
+          const next = entry.source === 'decay'
+            ? decayLevel(before, entry.inputs || {})
+            : { note: entry.note_after, fiability: entry.fiability_after };
+          level.set(Number(user.id), next);
+          replayed.push({
+            entry,
+            values: {
+              note_before: before.note,
+              note_after: next.note,
+              fiability_before: before.fiability,
+              fiability_after: next.fiability
+            }
+          });
+        }
+      };
+
+      const rows = [];
+      const ratedIds = [];
+      const skipped = [];
+      const skippedJobs = [];
+
+      // Pending / failed jobs have no history row yet but were never applied
+      const jobs = await models.rating_job.findAll({
+        where: { id_reservation: matches.map(m => m.id) },
+        attributes: ['id_reservation', 'status'],
+        transaction: t
+      });
+      const jobStatus = new Map(jobs.map(job => [Number(job.id_reservation), Number(job.status)]));
+
+      for (const match of matches) {
+        const status = jobStatus.get(Number(match.id)) ?? RATING_JOB_STATUS.APPLIED;
+        if (!historyMatches.has(Number(match.id)) && status === RATING_JOB_STATUS.APPLIED) {
+          skipped.push({ reservationId: match.id, reason: 'rated before rating_history (no history row)' });
+          continue;
+        }
+
+        const participants = match.participants.map(p => ({
+          team: p.team,
+          utilisateur: p.id_utilisateur ? userById.get(Number(p.id_utilisateur)) ?? null : null
+        }));
+
+        for (const p of participants) {
+          if (p.utilisateur) {
+            replayEvents(p.utilisateur, ratedAt.get(`${match.id}:${p.utilisateur.id}`) ?? match.last_score_update ?? match.date);
+          }
+        }
+
+        const result = computeMatchRatings(match, participants, levelOf);
+        if (result.skip) {
+          skipped.push({ reservationId: match.id, reason: result.skip });
+          skippedJobs.push({ reservationId: match.id, reason: result.skip });
+          continue;
+        }
+
+        for (const update of result.updates) {
+          level.set(Number(update.user.id), { note: update.newRating, fiability: update.newReliability });
+          rows.push(historyRow(match.id, update, 'match',
+            ratedAt.get(`${match.id}:${update.user.id}`) ?? match.last_score_update ?? new Date()));
+        }
+        ratedIds.push(match.id);
+      }
+
+      // Steps and assessments after the last match of each player
+      for (const user of users) {
+        replayEvents(user);
+      }
+      const rated = ratedIds.length;
+      const decays = replayed.filter(({ entry }) => entry.source === 'decay').length;
+
+      const changes = [...level.entries()].map(([userId, next]) => {
+        const user = userById.get(userId);
+        return {
+          id_utilisateur: userId,
+          note_before: user.note,
+          note_after: next.note,
+          fiability_before: user.fiability,
+          fiability_after: next.fiability
+        };
+      });
+
+      const summary = { dryRun, matches: matches.length, rated, skipped, decays, assessments: replayed.length - decays, players: changes.length, changes };
+
+      if (dryRun) {
+        await t.rollback();
+        return summary;
+      }
+
+      await models.rating_history.destroy({ where: { source: 'match' }, transaction: t });
+      if (rows.length > 0) {
+        await models.rating_history.bulkCreate(rows, { transaction: t });
+      }
+      for (const { entry, values } of replayed) {
+        await entry.update(values, { transaction: t });
+      }
+
+      for (const [userId, next] of level.entries()) {
+        await userById.get(userId).update({ note: next.note, fiability: next.fiability }, { transaction: t });
+      }
+
+      // Every replayed match is now accounted for: rated, or skipped with its reason
+      if (ratedIds.length > 0) {
+        await models.rating_job.update({
+          status: RATING_JOB_STATUS.APPLIED,
+          last_error: null,
+          applied_at: new Date(),
+          date_modif: new Date()
+        }, {
+          where: {
+            id_reservation: ratedIds,
+            status: { [Op.ne]: RATING_JOB_STATUS.APPLIED }
+          },
+          transaction: t
+        });
+      }
+      for (const { reservationId, reason } of skippedJobs) {
+        await models.rating_job.update({
+          status: RATING_JOB_STATUS.SKIPPED,
+          last_error: reason,
+          applied_at: null,
+          date_modif: new Date()
+        }, {
+          where: { id_reservation: reservationId },
+          transaction: t
+        });
+      }
+
+      await t.commit();
+      console.log(`[RatingJob] Ratings recomputed: ${rated}/${matches.length} match(es), ${changes.length} player(s)`);
+      return summary;
+
+    } catch (error) {
+      if (!t.finished) await t.rollback();
+      throw error;
+    }
+  };
+
+  return {
+    enqueue,
+    apply,
+    processJobs,
+    findJobs,
+    retry,
+    recomputeAll,
+  };
+}
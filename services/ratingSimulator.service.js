@@ -0,0 +1,131 @@
+import { computeMatchRatings } from './ratingJob.service.js';
+import { getMatchFormat, normalizeMatchFormatSettings, parseScore } from '../utils/matchFormats.js';
+
+/**
+ * ════════════════════════════════════════════════════════════════════════════════
+ * RATING SIMULATOR SERVICE - "What if" for a hypothetical match
+ * ════════════════════════════════════════════════════════════════════════════════
+ *
+ * Runs the same computation as a confirmed match (computeMatchRatings) on four
+ * players and a score, and returns the projected note / fiability of each
+ * player. Nothing is written.
+ * - players[i] plays position i (0,1 = team A, 2,3 = team B), given by
+ *   id_utilisateur (stored level) or by { note, fiability }
+ * - The score is validated against match_format (standard by default)
+ *
+ * ════════════════════════════════════════════════════════════════════════════════
+ */
+
+const validationError = (message) => {
+  const error = new Error(message);
+  error.statusCode = 400;
+  error.code = 'VALIDATION_ERROR';
+  return error;
+};
+
+const isEmpty = (value) => value === undefined || value === null || value === '';
+
+export default function RatingSimulatorService(models) {
+
+  // One position: a registered player, or a level typed in the app
+  const resolvePlayer = async (entry, position) => {
+    if (!entry || typeof entry !== 'object') {
+      throw validationError(`players[${position}] is required`);
+    }
+
+    const userId = entry.id_utilisateur ?? entry.id;
+    if (!isEmpty(userId)) {
+      const user = await models.utilisateur.findByPk(userId, {
+        attributes: ['id', 'nom', 'prenom', 'note', 'fiability']
+      });
+      if (!user) throw new Error('Utilisateur not found');
+      return { team: position, utilisateur: user };
+    }
+
+    const note = Number(entry.note);
+    const fiability = isEmpty(entry.fiability) ? 50 : Number(entry.fiability);
+    if (isEmpty(entry.note) || !Number.isFinite(note) || note < 0 || note > 7) {
+      throw validationError(`players[${position}]: id_utilisateur or a note between 0 and 7 is required`);
+    }
+    if (!Number.isFinite(fiability) || fiability < 0 || fiability > 100) {
+      throw validationError(`players[${position}]: fiability must be between 0 and 100`);
+    }
+
+    return { team: position, utilisateur: { id: null, note, fiability } };
+  };
+
+  /**
+   * Projected ratings for a hypothetical match
+   * @param {object} data - { players: [4 entries], score: { set1, set2, set3?, set3_mode? }, match_format? }
+   */
+  const simulate = async ({ players, score, match_format } = {}) => {
+    if (!Array.isArray(players) || players.length !== 4) {
+      throw validationError('players must list the 4 positions (0,1 = team A, 2,3 = team B)');
+    }
+    if (!score || typeof score !== 'object') {
+      throw validationError('score is required');
+    }
+
+    const format = getMatchFormat(normalizeMatchFormatSettings({ match_format }, { isCreate: true }).match_format);
+    const parsed = parseScore(score, format);
+
+    const participants = [];
+    for (let i = 0; i < 4; i++) {
+      participants.push(await resolvePlayer(players[i], i));
+    }
+
+    const ids = participants.map(p => p.utilisateur.id).filter(Boolean).map(Number);
+    if (new Set(ids).size !== ids.length) {
+      throw validationError('A player cannot take two positions');
+    }
+
+    // Same columns as a confirmed reservation
+    const match = {
+      Set1A: parsed.sets[0]?.a ?? null,
+      Set1B: parsed.sets[0]?.b ?? null,
+      Set2A: parsed.sets[1]?.a ?? null,
+      Set2B: parsed.sets[1]?.b ?? null,
+      Set3A: parsed.sets[2]?.a ?? null,
+      Set3B: parsed.sets[2]?.b ?? null,
+      supertiebreak: parsed.isSuperTieBreak ? 1 : 0,
+      teamwin: parsed.winner,
+      match_format: format.code
+    };
+
+    const result = computeMatchRatings(match, participants);
+    if (result.skip) {
+      throw validationError(`Simulation impossible: ${result.skip}`);
+    }
+
+    const byPosition = new Map(result.updates.map(u => [Number(u.team), u]));
+
+    return {
+      match_format: format.code,
+      score: parsed.sets.map(s => `${s.a}-${s.b}`).join(' / '),
+      teamwin: parsed.winner,
+      resultFactor: result.updates[0]?.inputs.resultFactor ?? null,
+      players: participants.map(p => {
+        const update = byPosition.get(p.team);
+        const user = p.utilisateur;
+        return {
+          position: p.team,
+          id_utilisateur: user.id,
+          nom: user.nom ?? null,
+          prenom: user.prenom ?? null,
+          is_winner: update.isWinner,
+          note_before: user.note,
+          note_after: update.newRating,
+          note_delta: update.newRating - update.inputs.playerRating,
+          fiability_before: user.fiability,
+          fiability_after: update.newReliability,
+          fiability_delta: update.newReliability - Math.round(update.inputs.playerReliability * 100),
+          inputs: update.inputs
+        };
+      })
+    };
+  };
+
+  return {
+    simulate,
+  };
+}
@@ -0,0 +1,448 @@
+import { addNotification } from '../utils/notificationBus.js';
+import { Op } from 'sequelize';
+import { getMatchStart } from '../utils/matchTime.js';
+import { getTimezoneForTerrain } from '../utils/club.js';
+import { checkPlayerEligibility } from '../utils/openMatchRules.js';
+import JoinPaymentService from './joinPayment.service.js';
+
+/**
+ * ════════════════════════════════════════════════════════════════════════════════
+ * REPLACEMENT SERVICE - Leave a match by handing the position to someone else
+ * ════════════════════════════════════════════════════════════════════════════════
+ *
+ * Status: 0 = open, 1 = filled, 2 = cancelled, 3 = expired
+ *
+ * - A participant (not the creator) nominates a replacement or advertises
+ *   their position. They stay in the match until it is filled, so the match
+ *   keeps its etat (a valid match stays valid) and nobody else takes the seat.
+ * - Taking the position is a transfer, in one transaction: the replacement is
+ *   charged like any join (JoinPaymentService), the leaver's participant is
+ *   swapped for theirs, and the leaver is refunded only what the replacement
+ *   actually paid by credit (never more than the leaver paid).
+ * - At cutoff_at (REPLACEMENT_CUTOFF_HOURS before kick-off) an unfilled request
+ *   expires and the regular leave applies (ReservationService.cancel, with the
+ *   cancellation policy); if the policy refuses, the player stays in the match.
+ *
+ * ════════════════════════════════════════════════════════════════════════════════
+ */
+
+const STATUS = {
+  OPEN: 0,
+  FILLED: 1,
+  CANCELLED: 2,
+  EXPIRED: 3
+};
+
+const CUTOFF_HOURS = Number(process.env.REPLACEMENT_CUTOFF_HOURS || 2);
+
+const serviceError = (message, statusCode, code) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  if (code) error.code = code;
+  return error;
+};
+
+export default function ReplacementService(models, reservationService) {
+  const joinPaymentService = JoinPaymentService(models);
+
+  const displayName = (user) => `${user?.prenom ?? ''} ${user?.nom ?? ''}`.trim() || 'Un joueur';
+
+  const requestIncludes = [
+    {
+      model: models.reservation,
+      as: 'reservation',
+      include: [
+        { model: models.terrain, as: 'terrain' },
+        { model: models.plage_horaire, as: 'plage_horaire' }
+      ]
+    },
+    { model: models.utilisateur, as: 'leaver', attributes: ['id', 'nom', 'prenom', 'note'] }
+  ];
+
+  // ════════════════════════════════════════════════════════════════════════════
+  // UTILITY: Lock the match, check it is still playable and compute the cutoff
+  // ════════════════════════════════════════════════════════════════════════════
+  const lockReservation = async (reservationId, t) => {
+    const reservation = await models.reservation.findByPk(reservationId, {
+      include: [{ model: models.plage_horaire, as: 'plage_horaire' }],
+      transaction: t,
+      lock: { level: t.LOCK.UPDATE, of: models.reservation }
+    });
+    if (!reservation) throw new Error('Reservation not found');
+
+    if (Number(reservation.isCancel) === 1) {
+      throw serviceError('Ce match est annulé.', 409, 'MATCH_CANCELLED');
+    }
+
+    const timeZone = await getTimezoneForTerrain(models, reservation.id_terrain, t);
+    const kickoff = reservation.plage_horaire
+      ? getMatchStart(reservation.date, reservation.plage_horaire.start_time, timeZone)
+      : null;
+    if (!kickoff) {
+      throw serviceError('Horaire du match introuvable.', 409, 'MATCH_TIME_UNKNOWN');
+    }
+
+    const cutoff = new Date(kickoff.getTime() - CUTOFF_HOURS * 60 * 60 * 1000);
+    return { reservation, cutoff };
+  };
+
+  // ════════════════════════════════════════════════════════════════════════════
+  // OFFER: Nominate a replacement or advertise the position
+  // ════════════════════════════════════════════════════════════════════════════
+  const offer = async (reservationId, userId, { id_nominee } = {}) => {
+    const nomineeId = id_nominee !== undefined && id_nominee !== null && id_nominee !== ''
+      ? Number(id_nominee)
+      : null;
+    if (nomineeId !== null && (!Number.isInteger(nomineeId) || nomineeId === Number(userId))) {
+      throw serviceError('Invalid id_nominee', 400, 'VALIDATION_ERROR');
+    }
+
+    const t = await models.sequelize.transaction();
+    let request;
+    let reservation;
+
+    try {
+      const locked = await lockReservation(reservationId, t);
+      reservation = locked.reservation;
+
+      if (locked.cutoff <= new Date()) {
+        throw serviceError(`Trop tard pour chercher un remplaçant : moins de ${CUTOFF_HOURS}h avant le match.`, 409, 'REPLACEMENT_CUTOFF_PASSED');
+      }
+
+      const participant = await models.participant.findOne({
+        where: { id_reservation: reservationId, id_utilisateur: userId },
+        transaction: t,
+        lock: t.LOCK.UPDATE
+      });
+      if (!participant) throw new Error('Participant not found');
+      if (participant.est_createur) {
+        throw serviceError('Le créateur ne peut pas se faire remplacer : annulez le match à la place.', 403, 'CREATOR_CANNOT_BE_REPLACED');
+      }
+
+      if (nomineeId !== null) {
+        const nominee = await models.utilisateur.findByPk(nomineeId, { transaction: t });
+        if (!nominee) throw new Error('Utilisateur not found');
+
+        const alreadyIn = await models.participant.findOne({
+          where: { id_reservation: reservationId, id_utilisateur: nomineeId },
+          transaction: t
+        });
+        if (alreadyIn) {
+          throw serviceError('Ce joueur participe déjà au match.', 409, 'ALREADY_JOINED');
+        }
+      }
+
+      const existing = await models.replacement_request.findOne({
+        where: { id_reservation: reservationId, id_leaver: userId, status: STATUS.OPEN },
+        transaction: t,
+        lock: t.LOCK.UPDATE
+      });
+      if (existing) {
+        throw serviceError('Vous cherchez déjà un remplaçant pour ce match.', 409, 'ALREADY_REQUESTED');
+      }
+
+      request = await models.replacement_request.create({
+        id_reservation: reservationId,
+        id_leaver: userId,
+        team: participant.team,
+        id_nominee: nomineeId,
+        status: STATUS.OPEN,
+        cutoff_at: locked.cutoff,
+        date_creation: new Date(),
+        date_modif: new Date()
+      }, { transaction: t });
+
+      await t.commit();
+    } catch (err) {
+      if (!t.finished) await t.rollback();
+      throw err;
+    }
+
+    console.log(`[ReplacementService] Request ${request.id}: user ${userId} looking for a replacement in reservation ${reservationId} (${request.id_nominee ? `nominee ${request.id_nominee}` : 'advertised'}, cutoff ${request.cutoff_at.toISOString()})`);
+
+    if (request.id_nominee) {
+      await addNotification({
+        recipient_id: request.id_nominee,
+        reservation_id: reservation.id,
+        submitter_id: userId,
+        type: 'replacement_nominated',
+        message: `Un joueur vous propose de prendre sa place dans le match du ${reservation.date}.`
+      });
+    }
+
+    return request;
+  };
+
+  // ════════════════════════════════════════════════════════════════════════════
+  // TAKE: The replacement joins in place of the leaver (transfer)
+  // ════════════════════════════════════════════════════════════════════════════
+  const take = async (requestId, userId, { typepaiement } = {}) => {
+    const paymentType = typepaiement !== undefined && typepaiement !== null ? Number(typepaiement) : 1;
+    if (![1, 2].includes(paymentType)) {
+      throw serviceError('Invalid typepaiement (1 = crédit, 2 = sur place)', 400, 'VALIDATION_ERROR');
+    }
+
+    const pending = await models.replacement_request.findByPk(requestId);
+    if (!pending) throw new Error('Replacement request not found');
+
+    const t = await models.sequelize.transaction();
+    let request;
+    let reservation;
+    let replacement;
+    let others = [];
+
+    try {
+      // Same lock order as the other match edits: reservation, then the rest
+      ({ reservation } = await lockReservation(pending.id_reservation, t));
+
+      request = await models.replacement_request.findByPk(requestId, {
+        transaction: t,
+        lock: t.LOCK.UPDATE
+      });
+      if (request.id_nominee && Number(request.id_nominee) !== Number(userId)) {
+        throw new Error('Replacement request not found');
+      }
+      if (Number(request.status) !== STATUS.OPEN) {
+        throw serviceError('Cette place n\'est plus disponible.', 409, 'REQUEST_CLOSED');
+      }
+      if (new Date(request.cutoff_at) <= new Date()) {
+        throw serviceError('Le délai pour remplacer ce joueur est dépassé.', 409, 'REPLACEMENT_CUTOFF_PASSED');
+      }
+
+      replacement = await models.utilisateur.findByPk(userId, { transaction: t });
+      if (!replacement) throw new Error('Utilisateur not found');
+
+      const participants = await models.participant.findAll({
+        where: { id_reservation: reservation.id },
+        transaction: t,
+        lock: t.LOCK.UPDATE
+      });
+      if (participants.some(p => Number(p.id_utilisateur) === Number(userId))) {
+        throw serviceError('Vous avez déjà rejoint ce match', 409, 'ALREADY_JOINED');
+      }
+
+      const leaver = participants.find(p => Number(p.id_utilisateur) === Number(request.id_leaver));
+      if (!leaver) {
+        await request.update({ status: STATUS.CANCELLED, date_modif: new Date() }, { transaction: t });
+        await t.commit();
+        throw serviceError('Ce joueur a déjà quitté le match.', 409, 'REQUEST_CLOSED');
+      }
+      others = participants.filter(p => p.id !== leaver.id);
+
+      // Open matches keep their level / gender constraints for the newcomer
+      if (Number(reservation.typer) === 2) {
+        const ineligibility = checkPlayerEligibility(reservation, replacement);
+        if (ineligibility) {
+          throw serviceError(ineligibility.message, 409, ineligibility.code);
+        }
+      }
+
+      // The leaver may have moved since the request: take their current position
+      const teamIndex = leaver.team;
+      const leaverPaid = -(await joinPaymentService.findNetPaid(request.id_leaver, reservation.id, t));
+
+      const { charged } = await joinPaymentService.chargeJoiningPlayer({
+        reservation,
+        userId,
+        teamIndex,
+        typepaiement: paymentType
+      }, t);
+
+      // Refund the leaver with what the replacement paid, never more than they paid
+      const refund = Math.min(charged, Math.max(leaverPaid, 0));
+      if (refund > 0) {
+        const leaverUser = await models.utilisateur.findByPk(request.id_leaver, {
+          transaction: t,
+          lock: t.LOCK.UPDATE
+        });
+        if (leaverUser) {
+          await leaverUser.update({
+            credit_balance: Number(leaverUser.credit_balance ?? 0) + refund
+          }, { transaction: t });
+
+          await models.credit_transaction.create({
+            id_utilisateur: request.id_leaver,
+            nombre: refund,
+            type: `refund:replacement:R${reservation.id}:U${request.id_leaver}:${Date.now()}`,
+            date_creation: new Date()
+          }, { transaction: t });
+        }
+      }
+
+      await leaver.destroy({ transaction: t });
+      await models.participant.create({
+        id_reservation: reservation.id,
+        id_utilisateur: userId,
+        est_createur: false,
+        statepaiement: 0,
+        typepaiement: paymentType,
+        team: teamIndex
+      }, { transaction: t });
+
+      await request.update({
+        status: STATUS.FILLED,
+        team: teamIndex,
+        id_replacement: userId,
+        amount_charged: charged,
+        amount_refunded: refund,
+        date_modif: new Date()
+      }, { transaction: t });
+
+      // etat is left untouched: the match never dropped below its players
+      await reservation.update({ date_modif: new Date() }, { transaction: t });
+
+      await t.commit();
+      console.log(`[ReplacementService] ✅ Request ${request.id}: user ${userId} replaced user ${request.id_leaver} in reservation ${reservation.id} (charged ${charged}, refunded ${refund})`);
+
+    } catch (err) {
+      if (!t.finished) await t.rollback();
+
+      if (err.name === 'SequelizeUniqueConstraintError' || err.original?.code === '23505') {
+        throw serviceError('Cette place a été prise entre-temps.', 409, 'SLOT_TAKEN');
+      }
+      throw err;
+    }
+
+    const refunded = Number(request.amount_refunded);
+    await addNotification({
+      recipient_id: request.id_leaver,
+      reservation_id: reservation.id,
+      submitter_id: userId,
+      type: 'replacement_found',
+      message: refunded > 0
+        ? `${displayName(replacement)} a pris votre place dans le match du ${reservation.date}. ${refunded} crédits vous ont été remboursés.`
+        : `${displayName(replacement)} a pris votre place dans le match du ${reservation.date}.`
+    });
+
+    for (const p of others) {
+      await addNotification({
+        recipient_id: p.id_utilisateur,
+        reservation_id: reservation.id,
+        submitter_id: userId,
+        type: 'participant_replaced',
+        message: `${displayName(replacement)} remplace un joueur dans votre match (position ${request.team + 1}).`
+      });
+    }
+
+    return request;
+  };
+
+  // ════════════════════════════════════════════════════════════════════════════
+  // CANCEL: The leaver keeps their place after all
+  // ════════════════════════════════════════════════════════════════════════════
+  const cancel = async (requestId, userId) => {
+    const request = await models.replacement_request.findByPk(requestId);
+    if (!request || Number(request.id_leaver) !== Number(userId)) {
+      throw new Error('Replacement request not found');
+    }
+    if (Number(request.status) !== STATUS.OPEN) {
+      throw serviceError('Cette demande n\'est plus valable.', 409, 'REQUEST_CLOSED');
+    }
+
+    await request.update({ status: STATUS.CANCELLED, date_modif: new Date() });
+    return request;
+  };
+
+  // ════════════════════════════════════════════════════════════════════════════
+  // EXPIRY: Unfilled requests past their cutoff become a regular leave (scheduler)
+  // ════════════════════════════════════════════════════════════════════════════
+  const expireRequests = async () => {
+    const due = await models.replacement_request.findAll({
+      where: { status: STATUS.OPEN, cutoff_at: { [Op.lte]: new Date() } },
+      order: [['cutoff_at', 'ASC']]
+    });
+
+    let expired = 0;
+
+    for (const candidate of due) {
+      const [updated] = await models.replacement_request.update({
+        status: STATUS.EXPIRED,
+        date_modif: new Date()
+      }, {
+        where: { id: candidate.id, status: STATUS.OPEN }
+      });
+      if (!updated) continue;
+      expired++;
+
+      const reservation = await models.reservation.findByPk(candidate.id_reservation);
+      if (!reservation || Number(reservation.isCancel) === 1) continue;
+
+      try {
+        await reservationService.cancel(candidate.id_reservation, candidate.id_leaver);
+        console.log(`[ReplacementService] Request ${candidate.id} expired: user ${candidate.id_leaver} left reservation ${candidate.id_reservation}`);
+
+        await addNotification({
+          recipient_id: candidate.id_leaver,
+          reservation_id: candidate.id_reservation,
+          type: 'replacement_expired',
+          message: `Aucun remplaçant trouvé : vous avez quitté le match du ${reservation.date}.`
+        });
+      } catch (err) {
+        if (err.statusCode !== 409) {
+          console.error(`[ReplacementService] Request ${candidate.id}: leave failed:`, err.message);
+          continue;
+        }
+
+        // The cancellation policy refuses the leave: the player is still in
+        console.log(`[ReplacementService] Request ${candidate.id} expired, leave refused: ${err.message}`);
+        await addNotification({
+          recipient_id: candidate.id_leaver,
+          reservation_id: candidate.id_reservation,
+          type: 'replacement_expired',
+          message: `Aucun remplaçant trouvé. ${err.message} Vous restez inscrit au match du ${reservation.date}.`
+        });
+      }
+    }
+
+    if (expired > 0) {
+      console.log(`[ReplacementService] ${expired} replacement request(s) expired`);
+    }
+    return expired;
+  };
+
+  // ════════════════════════════════════════════════════════════════════════════
+  // READ OPERATIONS
+  // ════════════════════════════════════════════════════════════════════════════
+
+  // Positions this user can take: advertised ones and the ones offered to them
+  const findAvailable = async (userId, { date } = {}) => {
+    const reservationWhere = { isCancel: 0 };
+    if (date) reservationWhere.date = date;
+
+    const requests = await models.replacement_request.findAll({
+      where: {
+        status: STATUS.OPEN,
+        cutoff_at: { [Op.gt]: new Date() },
+        id_leaver: { [Op.ne]: userId },
+        [Op.or]: [{ id_nominee: null }, { id_nominee: userId }]
+      },
+      include: requestIncludes.map(include => include.as === 'reservation'
+        ? { ...include, where: reservationWhere }
+        : include),
+      order: [['cutoff_at', 'ASC']]
+    });
+
+    return requests;
+  };
+
+  const findByReservation = async (reservationId) => {
+    return await models.replacement_request.findAll({
+      where: {
+        id_reservation: reservationId,
+        status: STATUS.OPEN,
+        cutoff_at: { [Op.gt]: new Date() }
+      },
+      include: [{ model: models.utilisateur, as: 'leaver', attributes: ['id', 'nom', 'prenom', 'note'] }],
+      order: [['id', 'ASC']]
+    });
+  };
+
+  return {
+    offer,
+    take,
+    cancel,
+    expireRequests,
+    findAvailable,
+    findByReservation,
+  };
+}
@@ -1,6 +1,18 @@
 import { addNotification } from '../utils/notificationBus.js';
 import { generateReservationCoder } from '../utils/codeGenerator.js';
-import ratingService from './rating.service.js';
+import CancellationPolicyService from './cancellationPolicy.service.js';
+import PricingService from './pricing.service.js';
+import RatingJobService from './ratingJob.service.js';
+import { getMatchWindow } from '../utils/matchTime.js';
+import { DEFAULT_CLUB_ID, getTimezoneForTerrain } from '../utils/club.js';
+import { checkPlayerEligibility, hasOpenMatchSettings, normalizeOpenMatchSettings } from '../utils/openMatchRules.js';
+import {
+  getMatchFormat,
+  hasMatchFormatSettings,
+  normalizeMatchFormatSettings,
+  parseScore
+} from '../utils/matchFormats.js';
+import { balanceTeams } from '../utils/teamBalancer.js';
 import { Op } from 'sequelize';
 
 /**
@@ -16,7 +28,21 @@ import { Op } from 'sequelize';
  * ════════════════════════════════════════════════════════════════════════════════
  */
 
+// Score disputes without majority go to the club after this delay
+const SCORE_DISPUTE_HOURS = Number(process.env.SCORE_DISPUTE_HOURS || 48);
+
+// score_submission.status
+const SUBMISSION_STATUS = {
+  PENDING: 0,
+  ACCEPTED: 1,   // Same score as the one retained
+  SUPERSEDED: 2, // Replaced by a newer proposal of its author
+  REJECTED: 3    // Another score was retained
+};
+
 export default function ReservationService(models) {
+  const cancellationPolicyService = CancellationPolicyService(models);
+  const ratingJobService = RatingJobService(models);
+  const pricingService = PricingService(models);
 
   // ════════════════════════════════════════════════════════════════════════════
   // UTILITY: Audit log for credit transactions
@@ -34,6 +60,25 @@ export default function ReservationService(models) {
     }
   };
 
+  // ════════════════════════════════════════════════════════════════════════════
+  // UTILITY: Amount a user actually paid for a reservation (0 if nothing debited)
+  // ════════════════════════════════════════════════════════════════════════════
+  const findPaidAmount = async (userId, reservationId, t) => {
+    const userDebit = await models.credit_transaction.findOne({
+      where: {
+        id_utilisateur: userId,
+        [Op.or]: [
+          { type: `debit:reservation:R${reservationId}:U${userId}:creator` },
+          { type: { [Op.like]: `debit:join:R${reservationId}:U${userId}%` } }
+        ],
+        nombre: { [Op.lt]: 0 }
+      },
+      transaction: t
+    });
+
+    return userDebit ? Math.abs(Number(userDebit.nombre)) : 0;
+  };
+
   // ════════════════════════════════════════════════════════════════════════════
   // UTILITY: Idempotent refund with duplicate prevention
   // ════════════════════════════════════════════════════════════════════════════
@@ -76,6 +121,26 @@ export default function ReservationService(models) {
     return true;
   };
 
+  // ════════════════════════════════════════════════════════════════════════════
+  // UTILITY: Refund the guest shares a player paid for (debit:guest:...)
+  // ════════════════════════════════════════════════════════════════════════════
+  // Guests have no account: whoever paid their share by credit gets it back.
+  // participantId limits the refund to one guest (guest removed from the match).
+  const refundGuestShares = async (reservationId, t, participantId = null) => {
+    const debits = await models.credit_transaction.findAll({
+      where: {
+        type: { [Op.like]: `debit:guest:R${reservationId}:%${participantId ? `:P${participantId}:%` : ''}` },
+        nombre: { [Op.lt]: 0 }
+      },
+      transaction: t
+    });
+
+    for (const debit of debits) {
+      const guestParticipantId = /:P(\d+):/.exec(debit.type)?.[1];
+      await refundUserIdempotent(debit.id_utilisateur, Math.abs(Number(debit.nombre)), reservationId, `G${guestParticipantId}`, t);
+    }
+  };
+
   // ════════════════════════════════════════════════════════════════════════════
   // UTILITY: Cancel ONLY other VALID matches when a new valid match is created
   // PENDING matches are NOT cancelled - they compete for remaining slots
@@ -209,19 +274,22 @@ export default function ReservationService(models) {
           });
 
           if (userDebit) {
+            const paidAmount = Math.abs(Number(userDebit.nombre));
             await refundUserIdempotent(
               userId,
-              reservation.prix_total,
+              paidAmount,
               reservation.id,
               userId === reservation.id_utilisateur ? null : userId,
               t
             );
-            console.log(`[ValidMatch] ✅ Refunded ${reservation.prix_total} to user ${userId}`);
+            console.log(`[ValidMatch] ✅ Refunded ${paidAmount} to user ${userId}`);
           } else {
             console.log(`[ValidMatch] ℹ️  User ${userId} didn't pay - no refund needed`);
           }
         }
 
+        await refundGuestShares(reservation.id, t);
+
         // 5. Remove all participants
         if (participants.length > 0) {
           await models.participant.destroy({
@@ -376,17 +444,20 @@ export default function ReservationService(models) {
             });
 
             if (userDebit) {
+              const paidAmount = Math.abs(Number(userDebit.nombre));
               await refundUserIdempotent(
                 userId,
-                reservation.prix_total,
+                paidAmount,
                 reservation.id,
                 userId === reservation.id_utilisateur ? null : userId,
                 t
               );
-              console.log(`[ExcessCancel] ✅ Refunded ${reservation.prix_total} to user ${userId}`);
+              console.log(`[ExcessCancel] ✅ Refunded ${paidAmount} to user ${userId}`);
             }
           }
 
+          await refundGuestShares(reservation.id, t);
+
           // 5. Remove all participants
           if (participants.length > 0) {
             await models.participant.destroy({
@@ -423,10 +494,53 @@ export default function ReservationService(models) {
     }
   };
 
+  // ════════════════════════════════════════════════════════════════════════════
+  // EVENTS: Notify listeners (waitlist) when a slot may have free capacity again
+  // ════════════════════════════════════════════════════════════════════════════
+  const capacityFreedListeners = [];
+
+  const onCapacityFreed = (listener) => {
+    capacityFreedListeners.push(listener);
+  };
+
+  const emitCapacityFreed = async (plageHoraireId, date) => {
+    for (const listener of capacityFreedListeners) {
+      try {
+        await listener(plageHoraireId, date);
+      } catch (err) {
+        console.error('[ReservationService] Capacity listener error:', err?.message);
+      }
+    }
+  };
+
+  // ════════════════════════════════════════════════════════════════════════════
+  // UTILITY: Active terrain closure overlapping a slot on a given date
+  // ════════════════════════════════════════════════════════════════════════════
+  const findClosureForSlot = async (plage, date, t) => {
+    if (!models.terrain_closure || !plage?.terrain_id) return null;
+
+    const timeZone = await getTimezoneForTerrain(models, plage.terrain_id, t);
+    const window = getMatchWindow(date, plage, timeZone);
+    if (!window) return null;
+    const { start, end } = window;
+
+    return await models.terrain_closure.findOne({
+      where: {
+        id_terrain: plage.terrain_id,
+        active: true,
+        start_at: { [Op.lt]: end },
+        end_at: { [Op.gt]: start }
+      },
+      transaction: t
+    });
+  };
+
   // ════════════════════════════════════════════════════════════════════════════
   // 🔥 FIXED: Check if a slot has available capacity with PROPER LOCKING
+  // options.holdToken: the hold being converted - it does not count against itself
+  // options.userId: the booking player - their own holds do not block them
   // ════════════════════════════════════════════════════════════════════════════
-  const hasAvailableCapacity = async (plageHoraireId, date, t) => {
+  const hasAvailableCapacity = async (plageHoraireId, date, t, options = {}) => {
     // Get the plage_horaire to check its capacity
     const plage = await models.plage_horaire.findByPk(plageHoraireId, {
       transaction: t,
@@ -454,179 +568,51 @@ export default function ReservationService(models) {
     });
 
     const activeReservations = existingReservations.length;
-    const available = activeReservations < capacity;
 
-    console.log(`[Capacity Check] Slot ${plageHoraireId} on ${date}: ${activeReservations}/${capacity} valid reservations - Available: ${available}`);
+    // Active holds (checkout in progress, waitlist offers) reserve a place until they expire
+    const holdWhere = {
+      id_plage_horaire: plageHoraireId,
+      date: date,
+      status: 0,
+      expires_at: { [Op.gt]: new Date() }
+    };
+    if (options.holdToken) {
+      holdWhere.token = { [Op.ne]: options.holdToken };
+    }
+    if (options.userId) {
+      holdWhere.id_utilisateur = { [Op.ne]: options.userId };
+    }
+    const activeHolds = models.slot_hold
+      ? await models.slot_hold.count({ where: holdWhere, transaction: t })
+      : 0;
+
+    const available = activeReservations + activeHolds < capacity;
+
+    console.log(`[Capacity Check] Slot ${plageHoraireId} on ${date}: ${activeReservations}/${capacity} valid reservations, ${activeHolds} active hold(s) - Available: ${available}`);
 
     return available;
   };
 
-  // ════════════════════════════════════════════════════════════════════════════
-  // MAIN: Create Reservation with Smart Capacity & Race Condition Protection
-  // ════════════════════════════════════════════════════════════════════════════
   // ════════════════════════════════════════════════════════════════════════════
   // RATING: Update player ratings after match confirmation
   // ════════════════════════════════════════════════════════════════════════════
+  // The job is enqueued with the confirmation (acceptSubmission); applying it
+  // is idempotent and retried by the scheduler on failure (ratingJob.service.js)
   const updatePlayerRatings = async (reservationId) => {
-    try {
-      console.log(`[RatingService] 🏁 Starting rating updates for reservation ${reservationId}`);
-
-      const reservation = await models.reservation.findByPk(reservationId, {
-        include: [{
-          model: models.participant,
-          as: 'participants',
-          include: [{
-            model: models.utilisateur,
-            as: 'utilisateur'
-          }]
-        }]
-      });
-
-      if (!reservation) {
-        console.error(`[RatingService] Reservation ${reservationId} not found`);
-        return;
-      }
-
-      const participants = reservation.participants || [];
-      if (participants.length < 4) {
-        console.warn(`[RatingService] Match ${reservationId} has fewer than ${participants.length}/4 participants. Rating calculation skipped.`);
-        return;
-      }
-
-      // 1. Map participants to teams (0,1 vs 2,3)
-      const pMap = {};
-      participants.forEach(p => {
-        if (p.team !== null && p.team !== undefined) {
-          pMap[p.team] = p;
-        }
-      });
-
-      const a1 = pMap[0];
-      const a2 = pMap[1];
-      const b1 = pMap[2];
-      const b2 = pMap[3];
-
-      if (!a1 || !a2 || !b1 || !b2) {
-        console.warn(`[RatingService] Missing participants in team slots (found: ${Object.keys(pMap).join(',')}). Rating update aborted.`);
-        return;
-      }
-
-      const ratingA1 = Number(a1.utilisateur?.note) || 0.5;
-      const ratingA2 = Number(a2.utilisateur?.note) || 0.5;
-      const ratingB1 = Number(b1.utilisateur?.note) || 0.5;
-      const ratingB2 = Number(b2.utilisateur?.note) || 0.5;
-
-      const teamARatingSum = ratingA1 + ratingA2;
-      const teamBRatingSum = ratingB1 + ratingB2;
-
-      const winnerTeam = reservation.teamwin;
-
-      let winnerTeamRatingSum = null;
-      let loserTeamRatingSum = null;
-
-      if (winnerTeam === 1) {
-        winnerTeamRatingSum = teamARatingSum;
-        loserTeamRatingSum = teamBRatingSum;
-      } else if (winnerTeam === 2) {
-        winnerTeamRatingSum = teamBRatingSum;
-        loserTeamRatingSum = teamARatingSum;
-      }
-
-      const teamAGames = (reservation.Set1A || 0) + (reservation.Set2A || 0) + (reservation.Set3A || 0);
-      const teamBGames = (reservation.Set1B || 0) + (reservation.Set2B || 0) + (reservation.Set3B || 0);
-
-      const setsForFactor = [];
-
-      setsForFactor.push({
-        a: reservation.Set1A || 0,
-        b: reservation.Set1B || 0
-      });
-
-      setsForFactor.push({
-        a: reservation.Set2A || 0,
-        b: reservation.Set2B || 0
-      });
-
-      if (reservation.Set3A != null || reservation.Set3B != null) {
-        setsForFactor.push({
-          a: reservation.Set3A || 0,
-          b: reservation.Set3B || 0
-        });
-      }
-
-      let winsA = 0;
-      let winsB = 0;
-
-      for (const s of setsForFactor) {
-        if (s.a > s.b) {
-          winsA++;
-        } else if (s.b > s.a) {
-          winsB++;
-        }
-      }
-
-      const isSuperTieBreakMatch = reservation.supertiebreak === 1;
-
-      let resultFactor = 1;
-
-      if ((winsA === 2 && winsB === 0) || (winsB === 2 && winsA === 0)) {
-        resultFactor = 1;
-      } else if ((winsA === 2 && winsB === 1) || (winsB === 2 && winsA === 1)) {
-        resultFactor = isSuperTieBreakMatch ? 0.5 : 0.75;
-      }
-
-      const players = [a1, a2, b1, b2];
-
-      for (let i = 0; i < 4; i++) {
-        const player = players[i];
-        const user = player.utilisateur;
-        if (!user) continue;
-
-        const isTeamA = i < 2;
-        const teammate = isTeamA ? (i === 0 ? a2 : a1) : (i === 2 ? b2 : b1);
-        const opponents = isTeamA ? [b1, b2] : [a1, a2];
-
-        const isWinner = (winnerTeam === 1 && isTeamA) || (winnerTeam === 2 && !isTeamA);
-
-        const matchData = {
-          playerRating: isTeamA ? (i === 0 ? ratingA1 : ratingA2) : (i === 2 ? ratingB1 : ratingB2),
-          teammateRating: isTeamA ? (i === 0 ? ratingA2 : ratingA1) : (i === 2 ? ratingB2 : ratingB1),
-          adversary1Rating: isTeamA ? ratingB1 : ratingA1,
-          adversary2Rating: isTeamA ? ratingB2 : ratingA2,
-          pointsConceded: isTeamA ? teamBGames : teamAGames,
-          teammateReliability: (Number(teammate.utilisateur?.fiability) || 50) / 100,
-          adversary1Reliability: (Number(opponents[0].utilisateur?.fiability) || 50) / 100,
-          adversary2Reliability: (Number(opponents[1].utilisateur?.fiability) || 50) / 100,
-          winnerTeamRatingSum,
-          loserTeamRatingSum,
-          isWinner,
-          resultFactor
-        };
-
-        const newRating = ratingService.calculateNewRating(matchData);
-
-        // Calculate new reliability
-        // Add player's own reliability to matchData for calculation
-        matchData.playerReliability = (Number(user.fiability) || 50) / 100;
-
-        const newReliabilityNormalized = ratingService.calculateNewReliability(matchData);
-        const newReliability = Math.round(newReliabilityNormalized * 100);
-
-        // Update user rating and reliability in DB
-        await user.update({
-          note: newRating,
-          fiability: newReliability
-        });
-        console.log(`[RatingService] ✅ User ${user.id} (${user.nom}) updated: Rating ${matchData.playerRating.toFixed(2)} -> ${newRating.toFixed(2)}, Reliability ${(matchData.playerReliability * 100).toFixed(1)}% -> ${newReliability}%`);
-      }
-
-    } catch (error) {
-      console.error('[RatingService] ❌ Failed to update player ratings:', error);
-    }
+    return await ratingJobService.apply(reservationId);
   };
 
-  const create = async (data) => {
-    const t = await models.sequelize.transaction({
+  // ════════════════════════════════════════════════════════════════════════════
+  // MAIN: Create Reservation with Smart Capacity & Race Condition Protection
+  // ════════════════════════════════════════════════════════════════════════════
+  // options.transaction: run inside a caller-owned transaction (recurring series);
+  // the caller is then responsible for commit/rollback.
+  // options.notify: set to false to skip the per-reservation notifications.
+  // options.creatorTeam: position of the creator (participant.team), 0 by default.
+  const create = async (data, options = {}) => {
+    const externalTransaction = options.transaction || null;
+    const shouldNotify = options.notify !== false;
+    const t = externalTransaction || await models.sequelize.transaction({
       isolationLevel: models.Sequelize.Transaction.ISOLATION_LEVELS.READ_COMMITTED
     });
 
@@ -675,12 +661,51 @@ export default function ReservationService(models) {
         capacity: plage.capacity ?? 1
       });
 
+      // ══════════════════════════════════════════════════════════════════════
+      // STEP 3b: Validate the checkout hold (if the client presents one)
+      // ══════════════════════════════════════════════════════════════════════
+      let hold = null;
+      if (data.hold_token) {
+        hold = await models.slot_hold.findOne({
+          where: { token: data.hold_token },
+          transaction: t,
+          lock: t.LOCK.UPDATE
+        });
+
+        const isValidHold = hold &&
+          Number(hold.status) === 0 &&
+          new Date(hold.expires_at) > new Date() &&
+          Number(hold.id_utilisateur) === Number(data.id_utilisateur) &&
+          Number(hold.id_plage_horaire) === Number(plage.id) &&
+          String(hold.date) === String(data.date);
+
+        if (!isValidHold) {
+          const error = new Error('Votre réservation temporaire a expiré. Veuillez choisir à nouveau le créneau.');
+          error.statusCode = 409;
+          error.code = 'HOLD_EXPIRED';
+          throw error;
+        }
+
+        console.log(`[ReservationService] 🎟️ Converting hold ${hold.id} for slot ${plage.id}`);
+      }
+
+      const capacityOptions = { holdToken: hold?.token, userId: data.id_utilisateur };
+
+      // Closed terrain (tournament, weather, maintenance): nothing can be booked
+      const closure = await findClosureForSlot(plage, data.date, t);
+      if (closure) {
+        const error = new Error(`Ce terrain est fermé sur ce créneau : ${closure.reason}`);
+        error.statusCode = 409;
+        error.code = 'TERRAIN_CLOSED';
+        throw error;
+      }
+
       // ══════════════════════════════════════════════════════════════════════
       // STEP 4: 🔥 FIXED - SMART SLOT REASSIGNMENT (Proper Capacity Handling)
       // ══════════════════════════════════════════════════════════════════════
 
       // Check if the requested slot has available capacity
-      const hasCapacity = await hasAvailableCapacity(plage.id, data.date, t);
+      const hasCapacity = await hasAvailableCapacity(plage.id, data.date, t, capacityOptions);
 
       if (!hasCapacity) {
         console.log(`[ReservationService] ⚠️ Slot ${plage.id} is at capacity. Searching for siblings...`);
@@ -725,7 +750,7 @@ export default function ReservationService(models) {
 
         // Check each sibling for available capacity
         for (const sibling of siblings) {
-          const siblingHasCapacity = await hasAvailableCapacity(sibling.id, data.date, t);
+          const siblingHasCapacity = await hasAvailableCapacity(sibling.id, data.date, t, capacityOptions);
 
           console.log(`[ReservationService] 🔍 Checking sibling ${sibling.id}: hasCapacity=${siblingHasCapacity}`);
 
@@ -749,6 +774,7 @@ export default function ReservationService(models) {
           console.log(`[ReservationService] ❌ All ${siblings.length + 1} slot(s) for this time are at full capacity.`);
           const error = new Error('Tous les créneaux pour cette heure sont complets. Veuillez choisir une autre heure.');
           error.statusCode = 409;
+          error.code = 'SLOT_FULL';
           throw error;
         }
       } else {
@@ -756,30 +782,28 @@ export default function ReservationService(models) {
       }
 
       // ══════════════════════════════════════════════════════════════════════
-      // STEP 5: Validate and normalize price
+      // STEP 5: Compute the price (pricing rules of the terrain, booked now)
       // ══════════════════════════════════════════════════════════════════════
-      const plagePrice = Number(plage?.price);
-      const normalizedPrice = Number.isFinite(plagePrice) && plagePrice > 0
-        ? plagePrice
-        : 1;
+      const pricing = await pricingService.computePrice(plage, data.date, { t });
+      const normalizedPrice = pricing.price;
+
+      if (pricing.appliedRules.length > 0) {
+        console.log(`[ReservationService] 🏷️ Price ${pricing.basePrice} -> ${pricing.price} (rules: ${pricing.appliedRules.map(r => r.name).join(', ')})`);
+      }
 
       const typerVal = Number(data?.typer ?? 0);
 
       // ══════════════════════════════════════════════════════════════════════
       // STEP 6: Validate rating range for open matches
       // ══════════════════════════════════════════════════════════════════════
-      if (typerVal === 2) {
-        const minFloat = Number(data?.min);
-        const maxFloat = Number(data?.max);
-
-        if (!Number.isFinite(minFloat) || !Number.isFinite(maxFloat)) {
-          throw new Error('Rating range (min/max) is required for Match Ouvert');
-        }
+      // Level range, gender restriction, mode and side preference are stored
+      // on the reservation and enforced when players join
+      const openMatchSettings = typerVal === 2
+        ? normalizeOpenMatchSettings(data, { isCreate: true })
+        : {};
 
-        if (minFloat > maxFloat) {
-          throw new Error('Invalid rating range: min must be <= max');
-        }
-      }
+      // Match format (sets, games, timed...) drives score validation later
+      const formatSettings = normalizeMatchFormatSettings(data, { isCreate: true });
 
       // ════════════════════════════════════════════════════════════════════════════════
       // STEP 7: Handle payment and balance deduction (WITH MEMBERSHIP LOGIC)
@@ -820,9 +844,13 @@ export default function ReservationService(models) {
       // Let's implement the daily check locally here to avoid import circles or injection issues,
       // closely mirroring the membership service logic.
 
+      // Memberships are valid in the club owning the terrain only
+      const clubId = Number(terrain.id_club ?? DEFAULT_CLUB_ID);
+
       const membership = await models.membership.findOne({
         where: {
           id_user: data.id_utilisateur,
+          id_club: clubId,
           dateend: { [Op.gte]: new Date() } // Active only
         },
         transaction: t
@@ -944,7 +972,7 @@ export default function ReservationService(models) {
 
       // 🔥 CRITICAL: Re-check capacity one more time RIGHT before creating
       // This prevents race condition where another user books between STEP 4 and now
-      const finalCapacityCheck = await hasAvailableCapacity(plage.id, data.date, t);
+      const finalCapacityCheck = await hasAvailableCapacity(plage.id, data.date, t, capacityOptions);
 
       if (!finalCapacityCheck) {
         console.log(`[ReservationService] ⚠️ RACE CONDITION: Slot ${plage.id} was just filled by another user`);
@@ -976,7 +1004,10 @@ export default function ReservationService(models) {
       // Also set ispayed = 1
       const payload = {
         ...data,
+        ...openMatchSettings,
+        ...formatSettings,
         coder: uniqueCoder, // Override any frontend-provided coder
+        prix_unitaire: normalizedPrice, // Price per player locked at booking time (joins and refunds)
         prix_total: isPayForAll ? totalChargeToDeduct : normalizedPrice, // Store actual unit cost or total? Cancel logic uses this.
         // Wait, if I store totalChargeToDeduct (e.g. 4000), and I join. 
         // Join logic sees "prix_total". 
@@ -1008,22 +1039,26 @@ export default function ReservationService(models) {
           }, { transaction: t });
 
           // Notification: Credit Deduction
+          if (shouldNotify) {
+            await addNotification({
+              recipient_id: data.id_utilisateur,
+              reservation_id: reservation.id,
+              type: 'credit_deduction',
+              message: `Votre réservation a été confirmée. ${totalChargeToDeduct} crédits ont été débités.`
+            });
+          }
+        }
+
+        // Notification: Reservation Confirmation
+        if (shouldNotify) {
           await addNotification({
             recipient_id: data.id_utilisateur,
             reservation_id: reservation.id,
-            type: 'credit_deduction',
-            message: `Votre réservation a été confirmée. ${totalChargeToDeduct} crédits ont été débités.`
+            type: 'reservation_confirmed',
+            message: `Votre réservation pour le ${data.date} a été confirmée avec succès.`
           });
         }
 
-        // Notification: Reservation Confirmation
-        await addNotification({
-          recipient_id: data.id_utilisateur,
-          reservation_id: reservation.id,
-          type: 'reservation_confirmed',
-          message: `Votre réservation pour le ${data.date} a été confirmée avec succès.`
-        });
-
       } catch (insertError) {
         // Handle unique constraint violation
         if (insertError.name === 'SequelizeUniqueConstraintError' ||
@@ -1109,14 +1144,33 @@ export default function ReservationService(models) {
         est_createur: true,
         statepaiement: shouldSkipDeduction ? 0 : 1,
         typepaiement: shouldSkipDeduction ? 2 : 1,
-        team: 0,
+        team: options.creatorTeam ?? 0,
       }, { transaction: t });
 
+      // The hold is now a real reservation
+      if (hold) {
+        await hold.update({ status: 1, id_reservation: reservation.id }, { transaction: t });
+      }
+
+      // Booking made from a waitlist offer: the offer is now consumed
+      if (data.waitlist_entry_id && models.waitlist_entry) {
+        await models.waitlist_entry.update({
+          status: 2,
+          id_reservation: reservation.id,
+          date_modif: new Date()
+        }, {
+          where: { id: data.waitlist_entry_id, id_utilisateur: data.id_utilisateur, status: 1 },
+          transaction: t
+        });
+      }
+
       // ══════════════════════════════════════════════════════════════════════
       // STEP 13: COMMIT - Release all locks
       // ══════════════════════════════════════════════════════════════════════
-      await t.commit();
-      console.log('[ReservationService] Transaction committed successfully');
+      if (!externalTransaction) {
+        await t.commit();
+        console.log('[ReservationService] Transaction committed successfully');
+      }
 
       // Return reservation with all includes
       const finalReservation = await models.reservation.findByPk(reservation.id, {
@@ -1125,14 +1179,17 @@ export default function ReservationService(models) {
           { model: models.utilisateur, as: 'utilisateur' },
           { model: models.plage_horaire, as: 'plage_horaire' },
           { model: models.participant, as: 'participants' },
-        ]
+        ],
+        ...(externalTransaction ? { transaction: t } : {})
       });
 
       return finalReservation;
 
     } catch (err) {
-      await t.rollback();
-      console.error('[ReservationService] Transaction rolled back:', err.message);
+      if (!externalTransaction) {
+        await t.rollback();
+        console.error('[ReservationService] Transaction rolled back:', err.message);
+      }
 
       if (err.name === 'SequelizeDatabaseError' || err.message?.includes('deadlock')) {
         const error = new Error('Ce créneau vient d\'être réservé par un autre joueur. Veuillez rafraîchir.');
@@ -1264,6 +1321,21 @@ export default function ReservationService(models) {
     const reservation = await models.reservation.findByPk(id);
     if (!reservation) throw new Error("Reservation not found");
 
+    if (Number(reservation.typer) === 2 && hasOpenMatchSettings(data)) {
+      data = { ...data, ...(await validateOpenMatchUpdate(reservation, data)) };
+    }
+
+    // The format cannot change under a score already entered
+    if (hasMatchFormatSettings(data)) {
+      if (reservation.score_status !== null && reservation.score_status !== undefined) {
+        const error = new Error('Le format du match ne peut plus être modifié une fois le score saisi.');
+        error.statusCode = 409;
+        error.code = 'SCORE_SUBMITTED';
+        throw error;
+      }
+      data = { ...data, ...normalizeMatchFormatSettings(data) };
+    }
+
     const isStatusUpdateToValid = data.etat === 'valid' && reservation.etat !== 'valid';
     const isOpenMatch = reservation.typer === 2;
 
@@ -1278,16 +1350,131 @@ export default function ReservationService(models) {
     return await findById(id);
   };
 
+  // ════════════════════════════════════════════════════════════════════════════
+  // UTILITY: New open-match constraints must still accept the players already in
+  // ════════════════════════════════════════════════════════════════════════════
+  const validateOpenMatchUpdate = async (reservation, data) => {
+    const settings = normalizeOpenMatchSettings(data, { current: reservation.toJSON() });
+    const next = { ...reservation.toJSON(), ...settings };
+
+    const participants = await models.participant.findAll({
+      where: { id_reservation: reservation.id },
+      include: [{ model: models.utilisateur, as: 'utilisateur', attributes: ['id', 'note', 'gender'] }]
+    });
+
+    const excluded = participants.filter(p =>
+      Number(p.id_utilisateur) !== Number(reservation.id_utilisateur) &&
+      checkPlayerEligibility(next, p.utilisateur)
+    );
+
+    if (excluded.length > 0) {
+      const error = new Error('Ces conditions excluraient des joueurs déjà inscrits au match.');
+      error.statusCode = 409;
+      error.code = 'CONSTRAINT_EXCLUDES_PLAYERS';
+      error.players = excluded.map(p => Number(p.id_utilisateur));
+      throw error;
+    }
+
+    return settings;
+  };
+
   const remove = async (id) => {
     const reservation = await models.reservation.findByPk(id);
     if (!reservation) throw new Error("Reservation not found");
     return await reservation.destroy();
   };
 
+  // ════════════════════════════════════════════════════════════════════════════
+  // CANCEL BY CLUB: Full refund for everyone who paid, no cancellation window
+  // Used for terrain closures. Runs inside the caller's transaction and returns
+  // the players to notify once it is committed.
+  // ════════════════════════════════════════════════════════════════════════════
+  const cancelByClub = async (id, t) => {
+    const reservation = await models.reservation.findByPk(id, {
+      transaction: t,
+      lock: t.LOCK.UPDATE
+    });
+
+    if (!reservation || Number(reservation.isCancel ?? 0) === 1) {
+      return { reservation, recipients: [] };
+    }
+
+    const participants = await models.participant.findAll({
+      where: { id_reservation: id },
+      transaction: t,
+      lock: t.LOCK.UPDATE
+    });
+
+    const recipients = new Set([Number(reservation.id_utilisateur)]);
+    participants.filter(p => p.id_utilisateur).forEach(p => recipients.add(Number(p.id_utilisateur)));
+
+    // Same refund type as a cancellation by the creator (counted by joinPayment)
+    for (const userId of recipients) {
+      const paidAmount = await findPaidAmount(userId, reservation.id, t);
+      if (paidAmount <= 0) continue;
+
+      const alreadyRefunded = await models.credit_transaction.findOne({
+        where: { id_utilisateur: userId, type: `refund:cancel:R${id}` },
+        transaction: t
+      });
+      if (alreadyRefunded) continue;
+
+      const user = await models.utilisateur.findByPk(userId, { transaction: t, lock: t.LOCK.UPDATE });
+      if (user) {
+        await user.update({ credit_balance: Number(user.credit_balance ?? 0) + paidAmount }, { transaction: t });
+        await logCreditTransaction(userId, paidAmount, `refund:cancel:R${id}`, t);
+      }
+    }
+    await refundGuestShares(reservation.id, t);
+
+    await reservation.update({ isCancel: 1, etat: 3, date_modif: new Date() }, { transaction: t });
+    await models.participant.destroy({ where: { id_reservation: id }, transaction: t });
+    await models.reservation_utilisateur.destroy({ where: { id_reservation: id }, transaction: t });
+    await closeReplacementRequests({ id_reservation: id }, t);
+
+    console.log(`[CancelService] 🏟️ Reservation ${id} cancelled by the club (${recipients.size} player(s) refunded if paid)`);
+
+    return { reservation, recipients: [...recipients] };
+  };
+
+  // ════════════════════════════════════════════════════════════════════════════
+  // CANCELLATION QUOTE: Policy outcome without cancelling (for the app dialog)
+  // ════════════════════════════════════════════════════════════════════════════
+  const getCancellationQuote = async (id, userId) => {
+    const reservation = await models.reservation.findByPk(id);
+    if (!reservation) {
+      throw new Error('Reservation not found');
+    }
+
+    const plage = reservation.id_plage_horaire
+      ? await models.plage_horaire.findByPk(reservation.id_plage_horaire)
+      : null;
+
+    const policy = await cancellationPolicyService.evaluate(reservation, plage, userId);
+
+    // Same lookup as the refund itself
+    const paidAmount = await findPaidAmount(userId, reservation.id);
+
+    return {
+      ...policy,
+      paidAmount,
+      refundAmount: policy.allowed ? Math.round(paidAmount * policy.refundPercent) / 100 : 0
+    };
+  };
+
   // ════════════════════════════════════════════════════════════════════════════
   // CANCEL OPERATION (with proper locking)
   // ════════════════════════════════════════════════════════════════════════════
 
+  // Players gone from the match no longer look for a replacement
+  const closeReplacementRequests = async (where, t) => {
+    if (!models.replacement_request) return;
+    await models.replacement_request.update({ status: 2, date_modif: new Date() }, {
+      where: { ...where, status: 0 },
+      transaction: t
+    });
+  };
+
   const cancel = async (id, cancellingUserId) => {
     const t = await models.sequelize.transaction();
 
@@ -1308,18 +1495,6 @@ export default function ReservationService(models) {
         return reservation;
       }
 
-      // 24-Hour Policy Check
-      const now = new Date();
-      const matchStartTime = reservation.date;
-      if (matchStartTime && now < matchStartTime) {
-        const hoursUntilMatch = Math.floor((matchStartTime - now) / (1000 * 60 * 60));
-        if (hoursUntilMatch <= 24) {
-          const error = new Error('Annulation non autorisée : moins de 24 heures avant le match.');
-          error.statusCode = 409;
-          throw error;
-        }
-      }
-
       const plage = reservation.id_plage_horaire
         ? await models.plage_horaire.findByPk(reservation.id_plage_horaire, {
           transaction: t,
@@ -1327,6 +1502,17 @@ export default function ReservationService(models) {
         })
         : null;
 
+      // Cancellation window: real match start vs the canceller's membership tier
+      const policy = await cancellationPolicyService.evaluate(reservation, plage, cancellingUserId, t);
+      if (!policy.allowed) {
+        const error = new Error(policy.reason);
+        error.statusCode = 409;
+        error.code = 'CANCELLATION_WINDOW';
+        throw error;
+      }
+
+      console.log(`[CancelService] Policy: ${policy.hoursUntilMatch?.toFixed(1)}h before match, window ${policy.windowHours}h, refund ${policy.refundPercent}%`);
+
       const participants = await models.participant.findAll({
         where: { id_reservation: id },
         transaction: t,
@@ -1338,12 +1524,14 @@ export default function ReservationService(models) {
         Number(creatorParticipant.id_utilisateur) === Number(cancellingUserId);
 
       const slotPrice = (() => {
-        const p = Number(plage?.price ?? reservation.prix_total ?? 0);
+        const p = Number(reservation.prix_unitaire ?? plage?.price ?? reservation.prix_total ?? 0);
         return Number.isFinite(p) && p > 0 ? p : 0;
       })();
 
-      // Refund helper
-      const refundUser = async (userId, amount) => {
+      // Refund helper (the canceller gets the policy share, everyone else is refunded in full)
+      const refundUser = async (userId, paidAmount) => {
+        const percent = Number(userId) === Number(cancellingUserId) ? policy.refundPercent : 100;
+        const amount = Math.round(paidAmount * percent) / 100;
         if (!Number.isFinite(amount) || amount <= 0) return;
         const user = await models.utilisateur.findByPk(userId, { transaction: t, lock: t.LOCK.UPDATE });
         if (user) {
@@ -1378,6 +1566,8 @@ export default function ReservationService(models) {
           }
         }
 
+        await refundGuestShares(reservation.id, t);
+
         await reservation.update({ isCancel: 1, etat: 3, date_modif: new Date() }, { transaction: t });
 
         // Notify others
@@ -1393,6 +1583,7 @@ export default function ReservationService(models) {
         }
 
         await models.participant.destroy({ where: { id_reservation: id }, transaction: t });
+        await closeReplacementRequests({ id_reservation: id }, t);
 
         // 🔥 FIXED: Re-enable slot if it now has capacity
         if (plage) {
@@ -1430,6 +1621,7 @@ export default function ReservationService(models) {
         }
 
         await models.participant.destroy({ where: { id_reservation: id, id_utilisateur: cancellingUserId }, transaction: t });
+        await closeReplacementRequests({ id_reservation: id, id_leaver: cancellingUserId }, t);
 
         // ✅ Check remaining participants count after deletion
         const remainingParticipants = await models.participant.count({
@@ -1489,6 +1681,11 @@ export default function ReservationService(models) {
       }
 
       await t.commit();
+
+      if (reservation.id_plage_horaire) {
+        await emitCapacityFreed(reservation.id_plage_horaire, reservation.date);
+      }
+
       return await models.reservation.findByPk(id, { include: [{ model: models.terrain, as: 'terrain' }] });
 
     } catch (err) {
@@ -1530,24 +1727,35 @@ export default function ReservationService(models) {
       }
 
       const slotPriceOf = (r) => {
-        const p = Number(r?.plage_horaire?.price ?? r?.prix_total ?? 0);
+        const p = Number(r?.prix_unitaire ?? r?.plage_horaire?.price ?? r?.prix_total ?? 0);
         return Number.isFinite(p) && p > 0 ? p : 0;
       };
 
+      const freedSlots = new Map();
+
       for (const r of reservations) {
         if (Number(r?.etat ?? -1) === 0 && r.participants?.length > 0) {
           const slotPrice = slotPriceOf(r);
           for (const p of r.participants) {
-            if (Number(p.statepaiement) === 1) {
-              await refundUserIdempotent(p.id_utilisateur, slotPrice, r.id, p.id, t);
+            if (Number(p.statepaiement) === 1 && p.id_utilisateur) {
+              // Refund what was actually debited; fall back to the booking price
+              const paidAmount = await findPaidAmount(p.id_utilisateur, r.id, t);
+              await refundUserIdempotent(p.id_utilisateur, paidAmount || slotPrice, r.id, p.id, t);
             }
           }
+          await refundGuestShares(r.id, t);
           await models.participant.destroy({ where: { id_reservation: r.id }, transaction: t });
           await models.reservation_utilisateur.destroy({ where: { id_reservation: r.id }, transaction: t });
+          freedSlots.set(`${r.id_plage_horaire}:${r.date}`, { plageHoraireId: r.id_plage_horaire, date: r.date });
         }
       }
 
       await t.commit();
+
+      for (const { plageHoraireId, date } of freedSlots.values()) {
+        await emitCapacityFreed(plageHoraireId, date);
+      }
+
       return { processedSlots: bySlot.size };
 
     } catch (err) {
@@ -1557,68 +1765,265 @@ export default function ReservationService(models) {
   };
 
   // ════════════════════════════════════════════════════════════════════════════
-  // SCORE LOGIC: Validate a single Set
+  // TEAMS: Balanced split of a full match (participant.team 0,1 vs 2,3)
   // ════════════════════════════════════════════════════════════════════════════
-  const validateSet = (setIndex, a, b, isSuperTieBreak) => {
-    const scoreA = Number(a);
-    const scoreB = Number(b);
+  const loadTeamSuggestion = async (reservationId, t = null) => {
+    const reservation = await models.reservation.findByPk(reservationId, {
+      transaction: t,
+      ...(t ? { lock: t.LOCK.UPDATE } : {})
+    });
+    if (!reservation) throw new Error('Reservation not found');
+
+    const participants = await models.participant.findAll({
+      where: { id_reservation: reservationId },
+      include: [{
+        model: models.utilisateur,
+        as: 'utilisateur',
+        required: true,
+        attributes: ['id', 'nom', 'prenom', 'note', 'fiability', 'positionsurlecourt', 'mainprefere']
+      }],
+      order: [['team', 'ASC'], ['id', 'ASC']],
+      transaction: t,
+      ...(t ? { lock: t.LOCK.UPDATE } : {})
+    });
 
-    if (!Number.isFinite(scoreA) || !Number.isFinite(scoreB) || scoreA < 0 || scoreB < 0) {
-      throw new Error(`Invalid score values for Set ${setIndex + 1}`);
+    if (participants.length !== 4) {
+      const error = new Error('Les équipes ne peuvent être proposées que pour un match complet (4 joueurs).');
+      error.statusCode = 409;
+      error.code = 'MATCH_NOT_FULL';
+      throw error;
     }
 
-    const diff = Math.abs(scoreA - scoreB);
-    const max = Math.max(scoreA, scoreB);
-    const min = Math.min(scoreA, scoreB);
-
-    // Set 3: Super Tie-Break Mode
-    if (setIndex === 2 && isSuperTieBreak) {
-      // Must reach at least 10, diff >= 2
-      // Valid: 10-8, 11-9, 12-10
-      // Invalid: 10-9, 9-9
-      if (max < 10) return false;
-      if (diff < 2) return false;
-      return true;
-    }
+    const suggestion = balanceTeams(participants.map(p => ({
+      ...p.utilisateur.toJSON(),
+      id: p.id_utilisateur
+    })));
+
+    const describe = (positionOf) => participants.map(p => ({
+      id_participant: p.id,
+      id_utilisateur: p.id_utilisateur,
+      nom: p.utilisateur?.nom,
+      prenom: p.utilisateur?.prenom,
+      note: p.utilisateur?.note,
+      team: positionOf(p)
+    })).sort((x, y) => x.team - y.team);
+
+    const current = describe(p => p.team);
+    const proposed = describe(p => suggestion.positions[p.id_utilisateur]);
+    const teamSum = (players, positions) => players
+      .filter(p => positions.includes(p.team))
+      .reduce((sum, p) => sum + Number(p.note ?? 0), 0);
+
+    return {
+      reservation,
+      participants,
+      suggestion,
+      result: {
+        reservationId: reservation.id,
+        current: {
+          players: current,
+          ratingGap: Math.abs(teamSum(current, [0, 1]) - teamSum(current, [2, 3]))
+        },
+        proposed: {
+          players: proposed,
+          ratingA: suggestion.ratingA,
+          ratingB: suggestion.ratingB,
+          ratingGap: suggestion.ratingGap,
+          adjustedGap: Math.round(suggestion.adjustedGap * 100) / 100,
+          sideConflicts: suggestion.sideConflicts
+        },
+        changed: participants.some(p => Number(p.team) !== suggestion.positions[p.id_utilisateur])
+      }
+    };
+  };
 
-    // Normal Set (Set 1, 2, or 3-Normal)
-    // Valid outcomes:
-    // 6-0 to 6-4 (max=6, diff>=2)
-    // 7-5 (max=7, min=5)
-    // 7-6 (max=7, min=6) - Tie-break
-    // Any other 7-x is invalid (e.g. 7-4 means it should have ended at 6-4)
-    // 8+ games is invalid
+  const suggestTeams = async (reservationId) => {
+    const { result } = await loadTeamSuggestion(reservationId);
+    return result;
+  };
 
-    if (max > 7) return false; // No set goes beyond 7 games
+  // Only the creator can re-draw the teams, before any score is submitted
+  const applyTeamSuggestion = async (reservationId, userId) => {
+    const t = await models.sequelize.transaction();
+    try {
+      const { reservation, participants, suggestion, result } = await loadTeamSuggestion(reservationId, t);
 
-    if (max === 6) {
-      // Must win by 2 (6-0 ... 6-4)
-      return diff >= 2;
-    }
+      if (Number(reservation.id_utilisateur) !== Number(userId)) {
+        const error = new Error('Seul le créateur du match peut modifier les équipes.');
+        error.statusCode = 403;
+        throw error;
+      }
+      if (Number(reservation.isCancel) === 1) {
+        const error = new Error('Ce match est annulé.');
+        error.statusCode = 409;
+        throw error;
+      }
+      if (reservation.score_status !== null && reservation.score_status !== undefined) {
+        const error = new Error('Les équipes ne peuvent plus être modifiées après la saisie du score.');
+        error.statusCode = 409;
+        error.code = 'SCORE_SUBMITTED';
+        throw error;
+      }
 
-    if (max === 7) {
-      // Must be 7-5 or 7-6
-      return min === 5 || min === 6;
-    }
+      if (result.changed) {
+        // uniq_participant_reservation_team is checked row by row and ignores NULL:
+        // free every position first, then give the new ones
+        await models.participant.update(
+          { team: null },
+          { where: { id_reservation: reservation.id }, transaction: t }
+        );
 
-    return false; // Less than 6 games played (e.g. 5-5 is invalid final score)
+        // By primary key: the loaded instances still hold the old team, so
+        // instance.update() would skip the players who keep their position
+        for (const participant of participants) {
+          await models.participant.update(
+            { team: suggestion.positions[participant.id_utilisateur] },
+            { where: { id: participant.id }, transaction: t }
+          );
+        }
+
+        // Every player, including those who keep their side, has a position again
+        const unassigned = await models.participant.count({
+          where: { id_reservation: reservation.id, team: null },
+          transaction: t
+        });
+        if (unassigned > 0) {
+          throw new Error(`Team rebalance left ${unassigned} participant(s) without a position`);
+        }
+      }
+
+      await t.commit();
+      console.log(`[ReservationService] 🤝 Teams of reservation ${reservation.id} ${result.changed ? 'rebalanced' : 'already balanced'} (gap ${suggestion.ratingGap.toFixed(1)})`);
+
+      if (result.changed) {
+        for (const participant of participants) {
+          if (Number(participant.id_utilisateur) === Number(userId)) continue;
+          await addNotification({
+            recipient_id: participant.id_utilisateur,
+            reservation_id: reservation.id,
+            submitter_id: userId,
+            type: 'teams_updated',
+            message: `Les équipes de votre match du ${reservation.date} ont été rééquilibrées par l'organisateur.`
+          });
+        }
+      }
+
+      return {
+        reservationId: reservation.id,
+        applied: result.changed,
+        previous: result.current,
+        teams: result.proposed
+      };
+
+    } catch (err) {
+      await t.rollback();
+      throw err;
+    }
   };
 
   // ════════════════════════════════════════════════════════════════════════════
-  // SCORE LOGIC: Determine Winner (First to 2 sets)
+  // SCORE LOGIC: Score helpers (parsing: parseScore in utils/matchFormats.js)
   // ════════════════════════════════════════════════════════════════════════════
-  const determineWinner = (sets) => {
-    let winsA = 0;
-    let winsB = 0;
+  // Same shape from a reservation (proposal in force) or a score_submission
+  const reservationScore = (r) => ({
+    sets: [[r.Set1A, r.Set1B], [r.Set2A, r.Set2B], [r.Set3A, r.Set3B]]
+      .filter(([a, b]) => a !== null && a !== undefined && b !== null && b !== undefined)
+      .map(([a, b]) => ({ a: Number(a), b: Number(b) })),
+    isSuperTieBreak: Number(r.supertiebreak) === 1,
+    winner: Number(r.teamwin)
+  });
+
+  const submissionScore = (s) => reservationScore({
+    Set1A: s.set1_a, Set1B: s.set1_b,
+    Set2A: s.set2_a, Set2B: s.set2_b,
+    Set3A: s.set3_a, Set3B: s.set3_b,
+    supertiebreak: s.supertiebreak,
+    teamwin: s.teamwin
+  });
+
+  // Two proposals are the same when every set and the winner match
+  const scoreKey = (score) => `${score.sets.map(s => `${s.a}-${s.b}`).join(',')}|${score.winner}`;
+  const formatScore = (score) => score.sets.map(s => `${s.a}-${s.b}`).join(' / ');
+
+  const scoreError = (message, statusCode, code) => {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    error.code = code;
+    return error;
+  };
+
+  // Every proposal is kept: the reservation columns only hold the one in force
+  const recordSubmission = async (reservationId, submitterId, score, source, t) => {
+    return await models.score_submission.create({
+      id_reservation: reservationId,
+      id_submitter: submitterId ?? null,
+      source,
+      set1_a: score.sets[0].a,
+      set1_b: score.sets[0].b,
+      set2_a: score.sets[1] ? score.sets[1].a : null,
+      set2_b: score.sets[1] ? score.sets[1].b : null,
+      set3_a: score.sets[2] ? score.sets[2].a : null,
+      set3_b: score.sets[2] ? score.sets[2].b : null,
+      supertiebreak: score.isSuperTieBreak ? 1 : 0,
+      teamwin: score.winner,
+      status: SUBMISSION_STATUS.PENDING,
+      date_creation: new Date()
+    }, { transaction: t });
+  };
+
+  // Pending proposals of a match (all of them are compared, not only the last)
+  const findPendingSubmissions = async (reservationId, t, where = {}) => {
+    return await models.score_submission.findAll({
+      where: { id_reservation: reservationId, status: SUBMISSION_STATUS.PENDING, ...where },
+      order: [['id', 'ASC']],
+      transaction: t
+    });
+  };
 
-    for (const s of sets) {
-      if (s.a > s.b) winsA++;
-      else if (s.b > s.a) winsB++; // Draw impossible in valid set
+  const writeScore = async (reservation, score, status, submitterId, t, acceptedSubmissionId = null) => {
+    await reservation.update({
+      Set1A: score.sets[0].a,
+      Set1B: score.sets[0].b,
+      Set2A: score.sets[1] ? score.sets[1].a : null,
+      Set2B: score.sets[1] ? score.sets[1].b : null,
+      Set3A: score.sets[2] ? score.sets[2].a : null,
+      Set3B: score.sets[2] ? score.sets[2].b : null,
+      supertiebreak: score.isSuperTieBreak ? 1 : 0,
+      score_status: status,
+      teamwin: score.winner,
+      last_score_submitter: submitterId,
+      last_score_update: new Date(),
+      id_score_submission: acceptedSubmissionId
+    }, { transaction: t });
+  };
 
-      if (winsA === 2) return 1; // Team A = 1
-      if (winsB === 2) return 2; // Team B = 2
+  // Retain `accepted`: pending proposals with the same score are accepted with
+  // it, the others rejected; the reservation points at `accepted`
+  const acceptSubmission = async (reservation, accepted, status, t) => {
+    const score = submissionScore(accepted);
+    const key = scoreKey(score);
+
+    const pending = await findPendingSubmissions(reservation.id, t);
+    const agreeing = pending.filter(s => scoreKey(submissionScore(s)) === key).map(s => s.id);
+    const others = pending.filter(s => !agreeing.includes(s.id)).map(s => s.id);
+
+    await models.score_submission.update(
+      { status: SUBMISSION_STATUS.ACCEPTED },
+      { where: { id: [...new Set([...agreeing, accepted.id])] }, transaction: t }
+    );
+    if (others.length > 0) {
+      await models.score_submission.update(
+        { status: SUBMISSION_STATUS.REJECTED },
+        { where: { id: others }, transaction: t }
+      );
+    }
+
+    await writeScore(reservation, score, status, accepted.id_submitter, t, accepted.id);
+
+    // Confirmed: the ratings are due (applied after commit or by the scheduler)
+    if (status === 1 || status === 2) {
+      await ratingJobService.enqueue(reservation.id, t);
     }
-    return null; // Match not finished or draw (shouldn't happen in padel)
   };
 
   // ════════════════════════════════════════════════════════════════════════════
@@ -1626,6 +2031,8 @@ export default function ReservationService(models) {
   // ════════════════════════════════════════════════════════════════════════════
   const updateScore = async (reservationId, scoreData, submitterId) => {
     const t = await models.sequelize.transaction();
+    let newStatus;
+    let dispute = null;
     try {
       const reservation = await models.reservation.findByPk(reservationId, {
         transaction: t,
@@ -1639,89 +2046,71 @@ export default function ReservationService(models) {
         throw new Error('Score is already confirmed and cannot be modified.');
       }
 
-      const { set1, set2, set3, set3_mode } = scoreData;
-      const isSuperTieBreak = set3_mode === 'SUPER_TIE_BREAK';
-
-      // 2. Validate Sets
-      const sets = [];
-
-      // Set 1
-      if (!validateSet(0, set1.a, set1.b, false)) {
-        throw new Error('Invalid score for Set 1 (Must be 6-x, 7-5, or 7-6)');
-      }
-      sets.push({ a: set1.a, b: set1.b });
-
-      // Set 2
-      if (!validateSet(1, set2.a, set2.b, false)) {
-        throw new Error('Invalid score for Set 2');
+      if (reservation.score_status === 4) {
+        throw scoreError('Score contesté : la décision revient maintenant au club.', 409, 'DISPUTE_ESCALATED');
       }
-      sets.push({ a: set2.a, b: set2.b });
-
-      // Determine interim state to see if Set 3 is needed
-      let tempWinner = determineWinner(sets);
 
-      // Set 3 (Only if 1-1 split)
-      if (!tempWinner) {
-        if (!set3) throw new Error('Set 3 score is required for a 1-1 match');
-
-        if (!validateSet(2, set3.a, set3.b, isSuperTieBreak)) {
-          throw new Error(isSuperTieBreak
-            ? 'Invalid Super Tie-Break score (Must be >=10 pts, diff >=2)'
-            : 'Invalid score for Set 3'
-          );
+      // 2. Validate Sets
+      const score = parseScore(scoreData, getMatchFormat(reservation.match_format));
+
+      // Every proposal is kept (score_submission), whatever happens next
+      const submission = await recordSubmission(reservation.id, submitterId, score, 'player', t);
+
+      // 3. Compare with the pending proposals
+      newStatus = 0; // 0 = PENDING
+
+      if (reservation.score_status === 3) {
+        // Dispute open: a new proposal counts as the submitter's vote
+        await castVote(reservation.id, submitterId, submission.id, t);
+        dispute = await settleDispute(reservation, t);
+        newStatus = reservation.score_status;
+      } else if (reservation.score_status === 0 && Number(reservation.last_score_submitter) !== Number(submitterId)) {
+        // Someone else submitted before: compare with every pending proposal of the others
+        const others = (await findPendingSubmissions(reservation.id, t, { id: { [Op.ne]: submission.id } }))
+          .filter(s => Number(s.id_submitter) !== Number(submitterId));
+        if (others.length === 0) {
+          // Score entered before the history existed
+          others.push(await recordSubmission(reservation.id, reservation.last_score_submitter, reservationScore(reservation), 'player', t));
         }
-        sets.push({ a: set3.a, b: set3.b });
-        tempWinner = determineWinner(sets);
-      }
-
-      if (!tempWinner) {
-        throw new Error('Match must have a winner (Best of 3)');
-      }
+        const matching = others.find(s => scoreKey(submissionScore(s)) === scoreKey(score));
 
-      // 3. Compare with Existing (if PENDING)
-      let newStatus = 0; // 0 = PENDING
-      let confirmedAt = null;
-
-      if (reservation.score_status === 0 && reservation.last_score_submitter !== submitterId) {
-        // Someone else submitted before. Compare scores.
-        const sameScore =
-          reservation.Set1A === set1.a && reservation.Set1B === set1.b &&
-          reservation.Set2A === set2.a && reservation.Set2B === set2.b &&
-          (sets.length < 3 || (reservation.Set3A === set3.a && reservation.Set3B === set3.b)) &&
-          reservation.teamwin === tempWinner;
-
-        if (sameScore) {
+        if (matching) {
           newStatus = 1; // 1 = CONFIRMED
-          confirmedAt = new Date();
+          await acceptSubmission(reservation, matching, newStatus, t);
         } else {
-          newStatus = 3; // 3 = CONFLICT
-        }
-      }
-
-      // 4. Update DB
-      await reservation.update({
-        Set1A: set1.a,
-        Set1B: set1.b,
-        Set2A: set2.a,
-        Set2B: set2.b,
-        Set3A: sets[2] ? sets[2].a : null,
-        Set3B: sets[2] ? sets[2].b : null,
-        supertiebreak: isSuperTieBreak ? 1 : 0,
-        score_status: newStatus,
-        teamwin: tempWinner,
-        last_score_submitter: submitterId,
-        last_score_update: confirmedAt || new Date()
-      }, { transaction: t });
+          // 3 = CONFLICT: the proposal in force stays, each author votes for their own
+          const previous = others.filter(s => Number(s.id_submitter) === Number(reservation.last_score_submitter)).pop()
+            ?? others[others.length - 1];
 
+          await castVote(reservation.id, reservation.last_score_submitter, previous.id, t);
+          await castVote(reservation.id, submitterId, submission.id, t);
+          await reservation.update({ score_status: 3, last_score_update: new Date() }, { transaction: t });
 
+          dispute = await settleDispute(reservation, t);
+          newStatus = reservation.score_status;
+        }
+      } else {
+        // First proposal, or its author correcting it: their older ones are superseded
+        await models.score_submission.update({ status: SUBMISSION_STATUS.SUPERSEDED }, {
+          where: {
+            id_reservation: reservation.id,
+            id_submitter: submitterId,
+            status: SUBMISSION_STATUS.PENDING,
+            id: { [Op.ne]: submission.id }
+          },
+          transaction: t
+        });
+        await writeScore(reservation, score, newStatus, submitterId, t);
+      }
 
       await t.commit();
 
       // Trigger rating calculation if match is confirmed
-      if (newStatus === 1) {
+      if (newStatus === 1 && !dispute) {
         // Run in background to not block response
         updatePlayerRatings(reservationId).catch(err => console.error('[RatingService] Background update error:', err));
       }
+      await afterDispute(reservationId, dispute);
 
       // ─────────────────────────────────────────────────────────────────────────────
       // NOTIFICATIONS
@@ -1743,7 +2132,7 @@ export default function ReservationService(models) {
           .filter(u => u && u.id != submitterId && u.fcm_token);
 
         const tokens = recipients.map(u => u.fcm_token);
-        const submitterName = participants.find(p => p.utilisateur.id == submitterId)?.utilisateur.nom || 'A player';
+        const submitterName = participants.find(p => p.utilisateur?.id == submitterId)?.utilisateur.nom || 'A player';
 
         if (tokens.length > 0) {
           const notificationService = (await import('./notification.service.js')).default;
@@ -1783,39 +2172,367 @@ export default function ReservationService(models) {
       return reservation;
 
     } catch (error) {
-      await t.rollback();
+      if (!t.finished) await t.rollback();
       throw error;
     }
   };
 
+  // ════════════════════════════════════════════════════════════════════════════
+  // SCORE DISPUTE: Players vote on the competing submissions (score_status = 3)
+  // ════════════════════════════════════════════════════════════════════════════
+  // Registered players only (guests do not vote). A score backed by a strict
+  // majority of them is confirmed; a dispute without majority once everyone
+  // voted, or still open after SCORE_DISPUTE_HOURS, goes to the club
+  // (score_status = 4) where an admin imposes the final score.
+  const castVote = async (reservationId, userId, submissionId, t) => {
+    const existing = await models.score_vote.findOne({
+      where: { id_reservation: reservationId, id_utilisateur: userId },
+      transaction: t,
+      lock: t.LOCK.UPDATE
+    });
+
+    if (existing) {
+      await existing.update({ id_submission: submissionId, date_modif: new Date() }, { transaction: t });
+      return existing;
+    }
+
+    return await models.score_vote.create({
+      id_reservation: reservationId,
+      id_utilisateur: userId,
+      id_submission: submissionId,
+      date_creation: new Date(),
+      date_modif: new Date()
+    }, { transaction: t });
+  };
+
+  // Votes grouped by score (identical submissions count as one option)
+  const tallyVotes = async (reservationId, t = null) => {
+    const [participants, submissions, votes] = await Promise.all([
+      models.participant.findAll({ where: { id_reservation: reservationId }, transaction: t }),
+      models.score_submission.findAll({
+        where: { id_reservation: reservationId, status: { [Op.ne]: SUBMISSION_STATUS.SUPERSEDED } },
+        order: [['id', 'ASC']],
+        transaction: t
+      }),
+      models.score_vote.findAll({ where: { id_reservation: reservationId }, transaction: t })
+    ]);
+
+    const voters = new Set(participants.filter(p => p.id_utilisateur).map(p => Number(p.id_utilisateur)));
+    const submissionById = new Map(submissions.map(s => [Number(s.id), s]));
+
+    const options = new Map();
+    for (const submission of submissions) {
+      const score = submissionScore(submission);
+      const key = scoreKey(score);
+      if (!options.has(key)) {
+        options.set(key, { submission, score: formatScore(score), teamwin: score.winner, submissionIds: [], voters: [] });
+      }
+      options.get(key).submissionIds.push(submission.id);
+    }
+
+    let counted = 0;
+    for (const vote of votes) {
+      const submission = submissionById.get(Number(vote.id_submission));
+      if (!submission || !voters.has(Number(vote.id_utilisateur))) continue;
+      options.get(scoreKey(submissionScore(submission))).voters.push(Number(vote.id_utilisateur));
+      counted++;
+    }
+
+    const ranked = [...options.values()].sort((x, y) => y.voters.length - x.voters.length);
+
+    return {
+      options: ranked,
+      submissions,
+      eligibleVoters: voters.size,
+      votesCast: counted,
+      majority: Math.floor(voters.size / 2) + 1
+    };
+  };
+
+  // Confirm the majority score, escalate a dead end, or leave the vote open
+  const settleDispute = async (reservation, t) => {
+    const tally = await tallyVotes(reservation.id, t);
+    const leader = tally.options[0];
+
+    if (leader && leader.voters.length >= tally.majority) {
+      await acceptSubmission(reservation, leader.submission, 1, t);
+      console.log(`[ScoreDispute] Reservation ${reservation.id}: ${leader.score} confirmed by ${leader.voters.length}/${tally.eligibleVoters} votes`);
+      return { outcome: 'resolved', score: leader.score };
+    }
+
+    if (tally.votesCast >= tally.eligibleVoters) {
+      await reservation.update({ score_status: 4, last_score_update: new Date() }, { transaction: t });
+      console.log(`[ScoreDispute] Reservation ${reservation.id}: no majority after ${tally.votesCast} vote(s) - escalated to the club`);
+      return { outcome: 'escalated' };
+    }
+
+    return { outcome: 'open', votesCast: tally.votesCast, majority: tally.majority };
+  };
+
+  const notifyDisputeOutcome = async (reservationId, outcome, message) => {
+    const participants = await models.participant.findAll({ where: { id_reservation: reservationId } });
+    for (const p of participants) {
+      await addNotification({
+        recipient_id: p.id_utilisateur,
+        reservation_id: reservationId,
+        type: outcome === 'resolved' ? 'score_dispute_resolved' : 'score_dispute_escalated',
+        message
+      });
+    }
+  };
+
+  // After commit: ratings and notifications for a settled dispute
+  const afterDispute = async (reservationId, dispute) => {
+    if (!dispute || dispute.outcome === 'open') return;
+
+    if (dispute.outcome === 'resolved') {
+      updatePlayerRatings(reservationId).catch(err => console.error('[RatingService] Background update error:', err));
+      await notifyDisputeOutcome(reservationId, 'resolved', `Litige réglé par vote : le score ${dispute.score} est retenu.`);
+    } else {
+      await notifyDisputeOutcome(reservationId, 'escalated', 'Aucune majorité sur le score : le litige a été transmis au club.');
+    }
+  };
+
+  /**
+   * Vote for one of the submissions of a disputed match
+   * @param {number} reservationId
+   * @param {number} userId - Registered participant
+   * @param {number} submissionId - score_submission of this match
+   */
+  const voteScore = async (reservationId, userId, submissionId) => {
+    const t = await models.sequelize.transaction();
+    let dispute;
+
+    try {
+      const reservation = await models.reservation.findByPk(reservationId, {
+        transaction: t,
+        lock: t.LOCK.UPDATE
+      });
+      if (!reservation) throw new Error('Reservation not found');
+
+      if (Number(reservation.score_status) !== 3) {
+        throw scoreError('Aucun litige de score en cours pour ce match.', 409, 'NO_DISPUTE');
+      }
+
+      const participant = await models.participant.findOne({
+        where: { id_reservation: reservation.id, id_utilisateur: userId },
+        transaction: t
+      });
+      if (!participant) {
+        throw scoreError('Seuls les joueurs du match peuvent voter.', 403, 'NOT_PARTICIPANT');
+      }
+
+      const submission = await models.score_submission.findOne({
+        where: {
+          id: submissionId,
+          id_reservation: reservation.id,
+          status: { [Op.ne]: SUBMISSION_STATUS.SUPERSEDED }
+        },
+        transaction: t
+      });
+      if (!submission) throw new Error('Score submission not found');
+
+      await castVote(reservation.id, userId, submission.id, t);
+      dispute = await settleDispute(reservation, t);
+
+      await t.commit();
+    } catch (err) {
+      if (!t.finished) await t.rollback();
+      throw err;
+    }
+
+    await afterDispute(reservationId, dispute);
+    return { reservationId: Number(reservationId), ...dispute, ...(await tallyVotes(reservationId)) };
+  };
+
+  /**
+   * Submissions, votes and status of a match score
+   */
+  const getScoreDispute = async (reservationId) => {
+    const reservation = await models.reservation.findByPk(reservationId);
+    if (!reservation) throw new Error('Reservation not found');
+
+    return {
+      reservationId: reservation.id,
+      score_status: reservation.score_status,
+      disputeSince: [3, 4].includes(Number(reservation.score_status)) ? reservation.last_score_update : null,
+      ...(await tallyVotes(reservation.id))
+    };
+  };
+
+  /**
+   * Every score proposed for a match, oldest first, with the accepted one
+   */
+  const findScoreSubmissions = async (reservationId) => {
+    const reservation = await models.reservation.findByPk(reservationId);
+    if (!reservation) throw new Error('Reservation not found');
+
+    const [submissions, votes] = await Promise.all([
+      models.score_submission.findAll({
+        where: { id_reservation: reservation.id },
+        include: [{
+          model: models.utilisateur,
+          as: 'submitter',
+          attributes: ['id', 'nom', 'prenom']
+        }],
+        order: [['id', 'ASC']]
+      }),
+      models.score_vote.findAll({ where: { id_reservation: reservation.id } })
+    ]);
+
+    return {
+      reservationId: reservation.id,
+      score_status: reservation.score_status,
+      id_score_submission: reservation.id_score_submission,
+      submissions: submissions.map(submission => ({
+        ...submission.toJSON(),
+        score: formatScore(submissionScore(submission)),
+        accepted: Number(submission.id) === Number(reservation.id_score_submission),
+        votes: votes.filter(v => Number(v.id_submission) === Number(submission.id)).length
+      }))
+    };
+  };
+
+  // ════════════════════════════════════════════════════════════════════════════
+  // JOB: Escalate disputes left without majority
+  // ════════════════════════════════════════════════════════════════════════════
+  const escalateScoreDisputes = async () => {
+    const deadline = new Date(Date.now() - SCORE_DISPUTE_HOURS * 60 * 60 * 1000);
+
+    const [count, escalated] = await models.reservation.update({
+      score_status: 4,
+      last_score_update: new Date()
+    }, {
+      where: { score_status: 3, last_score_update: { [Op.lt]: deadline } },
+      returning: true
+    });
+
+    for (const r of escalated || []) {
+      await notifyDisputeOutcome(r.id, 'escalated', 'Le litige sur le score n\'a pas été tranché par vote : il a été transmis au club.');
+    }
+
+    if (count > 0) {
+      console.log(`[ScoreDispute] ${count} dispute(s) escalated to the club`);
+    }
+    return { count };
+  };
+
+  // ════════════════════════════════════════════════════════════════════════════
+  // ADMIN: Escalated disputes queue and final decision
+  // ════════════════════════════════════════════════════════════════════════════
+  const findEscalatedDisputes = async ({ clubId } = {}) => {
+    const reservations = await models.reservation.findAll({
+      where: { score_status: 4, isCancel: 0 },
+      include: [
+        {
+          model: models.terrain,
+          as: 'terrain',
+          ...(clubId ? { where: { id_club: clubId }, required: true } : {})
+        },
+        { model: models.plage_horaire, as: 'plage_horaire' }
+      ],
+      order: [['last_score_update', 'ASC']]
+    });
+
+    const queue = [];
+    for (const reservation of reservations) {
+      queue.push({
+        reservation,
+        escalatedAt: reservation.last_score_update,
+        ...(await tallyVotes(reservation.id))
+      });
+    }
+    return queue;
+  };
+
+  /**
+   * Impose the final score of a disputed match (admin)
+   * @param {object} decision - { submission_id } to uphold a submission, or a
+   *   full score { set1, set2, set3, set3_mode }
+   */
+  const resolveScoreDispute = async (reservationId, adminId, decision = {}) => {
+    const t = await models.sequelize.transaction();
+    let score;
+
+    try {
+      const reservation = await models.reservation.findByPk(reservationId, {
+        transaction: t,
+        lock: t.LOCK.UPDATE
+      });
+      if (!reservation) throw new Error('Reservation not found');
+
+      if (![3, 4].includes(Number(reservation.score_status))) {
+        throw scoreError('Aucun litige de score en cours pour ce match.', 409, 'NO_DISPUTE');
+      }
+
+      if (decision.submission_id) {
+        const submission = await models.score_submission.findOne({
+          where: { id: decision.submission_id, id_reservation: reservation.id },
+          transaction: t
+        });
+        if (!submission) throw new Error('Score submission not found');
+        score = submissionScore(submission);
+      } else {
+        score = parseScore(decision, getMatchFormat(reservation.match_format));
+      }
+
+      // The decision itself is part of the history
+      const decided = await recordSubmission(reservation.id, adminId, score, 'admin', t);
+      await acceptSubmission(reservation, decided, 1, t);
+
+      await t.commit();
+      console.log(`[ScoreDispute] Reservation ${reservation.id}: score ${formatScore(score)} imposed by admin ${adminId}`);
+    } catch (err) {
+      if (!t.finished) await t.rollback();
+      throw err;
+    }
+
+    updatePlayerRatings(reservationId).catch(err => console.error('[RatingService] Background update error:', err));
+    await notifyDisputeOutcome(reservationId, 'resolved', `Le club a tranché le litige : le score ${formatScore(score)} est retenu.`);
+
+    return await getScoreDispute(reservationId);
+  };
+
   // ════════════════════════════════════════════════════════════════════════════
   // JOB: Finalize Pending Scores (> 24h)
   // ════════════════════════════════════════════════════════════════════════════
   const finalizePendingScores = async () => {
     const t = await models.sequelize.transaction();
     try {
-      const yesterday = new Date(new Date() - 24 * 60 * 60 * 1000);
+      // Deadline is an absolute instant (24h after the last submission),
+      // whatever the club's or the server's timezone
+      const yesterday = new Date(Date.now() - 24 * 60 * 60 * 1000);
 
       const pendingReservations = await models.reservation.findAll({
         where: {
           score_status: 0, // 0 = PENDING
-          updatedAt: { [Op.lt]: yesterday } // Assuming updatedAt tracks submission time
+          last_score_update: { [Op.lt]: yesterday } // Set on every score submission
         },
         transaction: t,
         lock: t.LOCK.UPDATE
       });
 
       for (const r of pendingReservations) {
-        await r.update({
-          score_status: 2, // 2 = CONFIRMED_AUTO
-          last_score_update: new Date()
-        }, { transaction: t });
+        // The proposal in force is the last pending one of its author
+        const inForce = (await findPendingSubmissions(r.id, t, { id_submitter: r.last_score_submitter })).pop();
 
-        // Trigger rating calculation for each confirmed reservation
-        updatePlayerRatings(r.id).catch(err => console.error('[RatingService] Background update error (auto):', err));
+        if (inForce) {
+          await acceptSubmission(r, inForce, 2, t); // 2 = CONFIRMED_AUTO
+        } else {
+          await r.update({
+            score_status: 2, // 2 = CONFIRMED_AUTO
+            last_score_update: new Date()
+          }, { transaction: t });
+          await ratingJobService.enqueue(r.id, t);
+        }
       }
 
       await t.commit();
+
+      // Trigger rating calculation for each confirmed reservation
+      for (const r of pendingReservations) {
+        updatePlayerRatings(r.id).catch(err => console.error('[RatingService] Background update error (auto):', err));
+      }
       return { count: pendingReservations.length };
     } catch (error) {
       await t.rollback();
@@ -1833,9 +2550,24 @@ export default function ReservationService(models) {
     findByDate,
     findAvailableByDate,
     cancel,
+    getCancellationQuote,
+    cancelByClub,
+    findClosureForSlot,
     processStatusRefunds,
     cancelExcessPendingReservations,
+    hasAvailableCapacity,
+    onCapacityFreed,
+    emitCapacityFreed,
     updateScore,
     finalizePendingScores,
+    suggestTeams,
+    applyTeamSuggestion,
+    refundGuestShares,
+    voteScore,
+    getScoreDispute,
+    findScoreSubmissions,
+    escalateScoreDisputes,
+    findEscalatedDisputes,
+    resolveScoreDispute,
   };
 }
@@ -0,0 +1,287 @@
+import { addNotification } from '../utils/notificationBus.js';
+import { Op } from 'sequelize';
+import { toDateOfDay } from '../utils/matchTime.js';
+import { getTimezoneForTerrain } from '../utils/club.js';
+import { addDays } from '../utils/timezone.js';
+
+/**
+ * ════════════════════════════════════════════════════════════════════════════════
+ * RESERVATION SERIES SERVICE - Recurring weekly bookings ("abonnement de créneau")
+ * ════════════════════════════════════════════════════════════════════════════════
+ *
+ * - Every occurrence is booked through ReservationService.create inside ONE
+ *   transaction: either all bookable dates are reserved, or none.
+ * - Dates whose slot is missing or already at capacity are skipped and reported
+ *   as conflicts instead of failing the whole series.
+ * - Cancellation goes through ReservationService.cancel so the usual refund
+ *   rules apply to each occurrence.
+ *
+ * ════════════════════════════════════════════════════════════════════════════════
+ */
+
+const MAX_OCCURRENCES = 52;
+
+const FREQUENCIES = {
+  weekly: 1,
+  biweekly: 2
+};
+
+// Date helpers working on 'YYYY-MM-DD' strings (calendar math, no server timezone drift)
+const toDateOnly = (value) => {
+  if (!value) return null;
+  if (value instanceof Date) return toDateOfDay(value);
+  const str = String(value).trim();
+  return /^\d{4}-\d{2}-\d{2}$/.test(str) ? str : null;
+};
+
+export default function ReservationSeriesService(models, reservationService) {
+
+  // ════════════════════════════════════════════════════════════════════════════
+  // UTILITY: Build the list of occurrence dates
+  // ════════════════════════════════════════════════════════════════════════════
+  const buildOccurrenceDates = ({ startDate, intervalWeeks, endDate, occurrences }) => {
+    const dates = [];
+    const step = 7 * intervalWeeks;
+    let current = startDate;
+
+    while (dates.length < MAX_OCCURRENCES) {
+      if (endDate && current > endDate) break;
+      if (occurrences && dates.length >= occurrences) break;
+      dates.push(current);
+      current = addDays(current, step);
+    }
+
+    return dates;
+  };
+
+  // ════════════════════════════════════════════════════════════════════════════
+  // UTILITY: Find the slots matching the reference slot hours on a given date
+  // start_time/end_time are full timestamps, so each day has its own rows
+  // ════════════════════════════════════════════════════════════════════════════
+  const findSlotsForDate = async (referenceSlotId, date, t) => {
+    return await models.sequelize.query(`
+      SELECT ph.id FROM plage_horaire ph
+      JOIN plage_horaire ref ON ref.id = :referenceSlotId
+      WHERE ph.terrain_id = ref.terrain_id
+        AND CAST(ph.start_time AS date) = CAST(:date AS date)
+        AND CAST(ph.start_time AS time) = CAST(ref.start_time AS time)
+        AND CAST(ph.end_time AS time) = CAST(ref.end_time AS time)
+      ORDER BY ph.id ASC
+    `, {
+      replacements: { referenceSlotId, date },
+      transaction: t,
+      type: models.sequelize.QueryTypes.SELECT
+    });
+  };
+
+  // ════════════════════════════════════════════════════════════════════════════
+  // MAIN: Create a series and book every available occurrence
+  // ════════════════════════════════════════════════════════════════════════════
+  const createSeries = async (data) => {
+    const intervalWeeks = FREQUENCIES[data.frequency ?? 'weekly'];
+    if (!intervalWeeks) {
+      throw new Error('Invalid frequency (weekly or biweekly)');
+    }
+
+    const startDate = toDateOnly(data.start_date ?? data.date);
+    if (!startDate) {
+      throw new Error('start_date is required (YYYY-MM-DD)');
+    }
+
+    const endDate = toDateOnly(data.end_date);
+    const occurrences = data.occurrences !== undefined && data.occurrences !== null
+      ? Number(data.occurrences)
+      : null;
+
+    if (!endDate && !occurrences) {
+      throw new Error('end_date or occurrences is required');
+    }
+    if (occurrences !== null && (!Number.isInteger(occurrences) || occurrences < 1 || occurrences > MAX_OCCURRENCES)) {
+      throw new Error(`Invalid occurrences (1..${MAX_OCCURRENCES})`);
+    }
+    if (endDate && endDate < startDate) {
+      throw new Error('Invalid date range: end_date must be >= start_date');
+    }
+
+    const dates = buildOccurrenceDates({ startDate, intervalWeeks, endDate, occurrences });
+
+    const t = await models.sequelize.transaction({
+      isolationLevel: models.Sequelize.Transaction.ISOLATION_LEVELS.READ_COMMITTED
+    });
+
+    try {
+      console.log('[SeriesService] Creating series', {
+        userId: data.id_utilisateur,
+        referenceSlotId: data.id_plage_horaire,
+        dates
+      });
+
+      const referenceSlot = await models.plage_horaire.findByPk(data.id_plage_horaire, { transaction: t });
+      if (!referenceSlot) {
+        throw new Error('Plage horaire not found');
+      }
+
+      const series = await models.reservation_series.create({
+        id_utilisateur: data.id_utilisateur,
+        id_terrain: data.id_terrain ?? referenceSlot.terrain_id,
+        id_plage_horaire: referenceSlot.id,
+        interval_weeks: intervalWeeks,
+        start_date: startDate,
+        end_date: endDate,
+        occurrences,
+        typer: data.typer ?? 1,
+        isCancel: 0,
+        date_creation: new Date(),
+        date_modif: new Date()
+      }, { transaction: t });
+
+      const reservations = [];
+      const conflicts = [];
+
+      for (const date of dates) {
+        const candidates = await findSlotsForDate(referenceSlot.id, date, t);
+
+        if (candidates.length === 0) {
+          conflicts.push({ date, reason: 'NO_SLOT' });
+          continue;
+        }
+
+        let freeSlotId = null;
+        for (const candidate of candidates) {
+          if (await reservationService.hasAvailableCapacity(candidate.id, date, t)) {
+            freeSlotId = candidate.id;
+            break;
+          }
+        }
+
+        if (!freeSlotId) {
+          conflicts.push({ date, reason: 'FULL' });
+          continue;
+        }
+
+        const reservation = await reservationService.create({
+          ...data,
+          id_terrain: series.id_terrain,
+          id_plage_horaire: freeSlotId,
+          date,
+          id_series: series.id
+        }, { transaction: t, notify: false });
+
+        reservations.push(reservation);
+      }
+
+      if (reservations.length === 0) {
+        const error = new Error('Aucune date de la série n\'est disponible.');
+        error.statusCode = 409;
+        error.conflicts = conflicts;
+        throw error;
+      }
+
+      await t.commit();
+      console.log(`[SeriesService] ✅ Series ${series.id} created: ${reservations.length} booked, ${conflicts.length} conflict(s)`);
+
+      await addNotification({
+        recipient_id: data.id_utilisateur,
+        reservation_id: reservations[0].id,
+        type: 'reservation_confirmed',
+        message: `Votre abonnement de créneau a été confirmé : ${reservations.length} réservation(s)` +
+          (conflicts.length > 0 ? `, ${conflicts.length} date(s) indisponible(s).` : '.')
+      });
+
+      return { series, reservations, conflicts };
+
+    } catch (err) {
+      await t.rollback();
+      console.error('[SeriesService] Transaction rolled back:', err.message);
+      throw err;
+    }
+  };
+
+  // ════════════════════════════════════════════════════════════════════════════
+  // READ OPERATIONS
+  // ════════════════════════════════════════════════════════════════════════════
+  const findById = async (id) => {
+    return await models.reservation_series.findByPk(id, {
+      include: [{
+        model: models.reservation,
+        as: 'occurrences',
+        include: [{ model: models.plage_horaire, as: 'plage_horaire' }]
+      }],
+      order: [[{ model: models.reservation, as: 'occurrences' }, 'date', 'ASC']]
+    });
+  };
+
+  const findByUserId = async (userId) => {
+    return await models.reservation_series.findAll({
+      where: { id_utilisateur: userId },
+      include: [{ model: models.reservation, as: 'occurrences' }],
+      order: [['date_creation', 'DESC']]
+    });
+  };
+
+  // ════════════════════════════════════════════════════════════════════════════
+  // CANCEL: A single occurrence (same rules as a regular cancellation)
+  // ════════════════════════════════════════════════════════════════════════════
+  const cancelOccurrence = async (seriesId, reservationId, cancellingUserId) => {
+    const reservation = await models.reservation.findByPk(reservationId);
+    if (!reservation || Number(reservation.id_series) !== Number(seriesId)) {
+      throw new Error('Reservation not found');
+    }
+
+    return await reservationService.cancel(reservationId, cancellingUserId);
+  };
+
+  // ════════════════════════════════════════════════════════════════════════════
+  // CANCEL: Every remaining (today or later) occurrence of the series
+  // ════════════════════════════════════════════════════════════════════════════
+  const cancelSeries = async (seriesId, cancellingUserId) => {
+    const series = await models.reservation_series.findByPk(seriesId);
+    if (!series) {
+      throw new Error('Series not found');
+    }
+    if (Number(series.id_utilisateur) !== Number(cancellingUserId)) {
+      const error = new Error('Only the creator can cancel the whole series');
+      error.statusCode = 403;
+      throw error;
+    }
+
+    const today = toDateOfDay(new Date(), await getTimezoneForTerrain(models, series.id_terrain));
+    const remaining = await models.reservation.findAll({
+      where: {
+        id_series: seriesId,
+        isCancel: 0,
+        date: { [Op.gte]: today }
+      },
+      order: [['date', 'ASC']]
+    });
+
+    const cancelled = [];
+    const failed = [];
+
+    // Each occurrence is cancelled in its own transaction so one occurrence
+    // inside the cancellation window does not block the others.
+    for (const reservation of remaining) {
+      try {
+        await reservationService.cancel(reservation.id, cancellingUserId);
+        cancelled.push({ reservationId: reservation.id, date: reservation.date });
+      } catch (err) {
+        console.warn(`[SeriesService] Could not cancel occurrence ${reservation.id}:`, err.message);
+        failed.push({ reservationId: reservation.id, date: reservation.date, error: err.message });
+      }
+    }
+
+    if (failed.length === 0) {
+      await series.update({ isCancel: 1, date_modif: new Date() });
+    }
+
+    return { seriesId: series.id, cancelled, failed };
+  };
+
+  return {
+    createSeries,
+    findById,
+    findByUserId,
+    cancelOccurrence,
+    cancelSeries,
+  };
+}
@@ -0,0 +1,189 @@
+import { Op } from 'sequelize';
+import { generateHoldToken } from '../utils/codeGenerator.js';
+
+/**
+ * ════════════════════════════════════════════════════════════════════════════════
+ * SLOT HOLD SERVICE - Reserve capacity for a few minutes during checkout
+ * ════════════════════════════════════════════════════════════════════════════════
+ *
+ * Status: 0 = active, 1 = converted, 2 = released, 3 = expired
+ *
+ * - An active hold is counted by hasAvailableCapacity, so nobody else can take
+ *   the place between slot selection and payment.
+ * - ReservationService.create converts the hold when its token is presented.
+ * - A user keeps at most one active checkout hold: taking a new one releases
+ *   the others. Holds backing a waitlist offer are kept until the offer ends.
+ * - Unused holds expire after SLOT_HOLD_MINUTES and free the place again.
+ *
+ * ════════════════════════════════════════════════════════════════════════════════
+ */
+
+const STATUS = {
+  ACTIVE: 0,
+  CONVERTED: 1,
+  RELEASED: 2,
+  EXPIRED: 3
+};
+
+const HOLD_MINUTES = Number(process.env.SLOT_HOLD_MINUTES || 5);
+
+export default function SlotHoldService(models, reservationService) {
+
+  // ════════════════════════════════════════════════════════════════════════════
+  // CREATE: Hold a place on (plage_horaire, date) for the current user
+  // ════════════════════════════════════════════════════════════════════════════
+  const createHold = async ({ id_utilisateur, id_plage_horaire, date }) => {
+    if (!id_utilisateur || !id_plage_horaire || !date) {
+      throw new Error('id_utilisateur, id_plage_horaire and date are required');
+    }
+
+    const t = await models.sequelize.transaction();
+    const released = [];
+
+    try {
+      // Same lock as ReservationService.create: holds and bookings are serialized per slot
+      const plage = await models.plage_horaire.findByPk(id_plage_horaire, {
+        transaction: t,
+        lock: t.LOCK.UPDATE
+      });
+
+      if (!plage) {
+        throw new Error('Plage horaire not found');
+      }
+
+      // Holds of pending waitlist offers (waitlist_entry.status 1 = offered)
+      const offers = models.waitlist_entry
+        ? await models.waitlist_entry.findAll({
+          attributes: ['hold_token'],
+          where: { id_utilisateur, status: 1, hold_token: { [Op.ne]: null } },
+          transaction: t
+        })
+        : [];
+      const offerTokens = offers.map(offer => offer.hold_token);
+
+      // One active checkout hold per user: picking another slot gives the previous one back
+      const previousHolds = await models.slot_hold.findAll({
+        where: {
+          id_utilisateur,
+          status: STATUS.ACTIVE,
+          expires_at: { [Op.gt]: new Date() },
+          ...(offerTokens.length > 0 ? { token: { [Op.notIn]: offerTokens } } : {})
+        },
+        transaction: t,
+        lock: t.LOCK.UPDATE
+      });
+
+      for (const previous of previousHolds) {
+        await previous.update({ status: STATUS.RELEASED }, { transaction: t });
+        released.push(previous);
+      }
+
+      const closure = await reservationService.findClosureForSlot(plage, date, t);
+      if (closure) {
+        const error = new Error(`Ce terrain est fermé sur ce créneau : ${closure.reason}`);
+        error.statusCode = 409;
+        error.code = 'TERRAIN_CLOSED';
+        throw error;
+      }
+
+      const hasCapacity = await reservationService.hasAvailableCapacity(plage.id, date, t);
+      if (!hasCapacity) {
+        const error = new Error('Ce créneau est complet.');
+        error.statusCode = 409;
+        error.code = 'SLOT_FULL';
+        throw error;
+      }
+
+      const hold = await models.slot_hold.create({
+        token: generateHoldToken(),
+        id_utilisateur,
+        id_plage_horaire: plage.id,
+        date,
+        expires_at: new Date(Date.now() + HOLD_MINUTES * 60 * 1000),
+        status: STATUS.ACTIVE,
+        date_creation: new Date()
+      }, { transaction: t });
+
+      await t.commit();
+      console.log(`[SlotHoldService] ✅ Hold ${hold.id} on slot ${plage.id} (${date}) for user ${id_utilisateur} until ${hold.expires_at.toISOString()}`);
+
+      for (const previous of released) {
+        await reservationService.emitCapacityFreed(previous.id_plage_horaire, previous.date);
+      }
+
+      return hold;
+
+    } catch (err) {
+      await t.rollback();
+      console.error('[SlotHoldService] Failed to create hold:', err.message);
+      throw err;
+    }
+  };
+
+  // ════════════════════════════════════════════════════════════════════════════
+  // READ: A hold belongs to its user only
+  // ════════════════════════════════════════════════════════════════════════════
+  const getHold = async (token, userId) => {
+    const hold = await models.slot_hold.findOne({
+      where: { token },
+      include: [{ model: models.plage_horaire, as: 'plage_horaire' }]
+    });
+
+    if (!hold || Number(hold.id_utilisateur) !== Number(userId)) {
+      throw new Error('Hold not found');
+    }
+
+    return hold;
+  };
+
+  // ════════════════════════════════════════════════════════════════════════════
+  // RELEASE: User left checkout without paying
+  // ════════════════════════════════════════════════════════════════════════════
+  const releaseHold = async (token, userId) => {
+    const hold = await models.slot_hold.findOne({ where: { token } });
+    if (!hold || Number(hold.id_utilisateur) !== Number(userId)) {
+      throw new Error('Hold not found');
+    }
+
+    if (Number(hold.status) !== STATUS.ACTIVE) {
+      return hold;
+    }
+
+    await hold.update({ status: STATUS.RELEASED });
+    console.log(`[SlotHoldService] Hold ${hold.id} released by user ${userId}`);
+
+    await reservationService.emitCapacityFreed(hold.id_plage_horaire, hold.date);
+    return hold;
+  };
+
+  // ════════════════════════════════════════════════════════════════════════════
+  // JOB: Expire holds that were not converted in time
+  // ════════════════════════════════════════════════════════════════════════════
+  const expireHolds = async () => {
+    const expired = await models.slot_hold.findAll({
+      where: {
+        status: STATUS.ACTIVE,
+        expires_at: { [Op.lte]: new Date() }
+      }
+    });
+
+    const slots = new Map();
+    for (const hold of expired) {
+      await hold.update({ status: STATUS.EXPIRED });
+      slots.set(`${hold.id_plage_horaire}:${hold.date}`, { plageHoraireId: hold.id_plage_horaire, date: hold.date });
+    }
+
+    for (const { plageHoraireId, date } of slots.values()) {
+      await reservationService.emitCapacityFreed(plageHoraireId, date);
+    }
+
+    return { expired: expired.length };
+  };
+
+  return {
+    createHold,
+    getHold,
+    releaseHold,
+    expireHolds,
+  };
+}
@@ -1,9 +1,11 @@
+import { DEFAULT_CLUB_ID } from '../utils/club.js';
+
 export default (models) => {
   const { terrain } = models;
 
   return {
     createTerrain: async (data) => {
-      return await terrain.create(data);
+      return await terrain.create({ ...data, id_club: data.id_club ?? DEFAULT_CLUB_ID });
     },
 
     getAllTerrains: async () => {
@@ -0,0 +1,156 @@
+import { addNotification } from '../utils/notificationBus.js';
+import { getMatchWindow, toDateOfDay } from '../utils/matchTime.js';
+import { getTimezoneForTerrain } from '../utils/club.js';
+import { addDays } from '../utils/timezone.js';
+import { Op } from 'sequelize';
+
+/**
+ * ════════════════════════════════════════════════════════════════════════════════
+ * TERRAIN CLOSURE SERVICE - Tournaments, weather, maintenance blackouts
+ * ════════════════════════════════════════════════════════════════════════════════
+ *
+ * - A closure covers a terrain over [start_at, end_at).
+ * - Slots overlapping an active closure are hidden from availability queries
+ *   and rejected by ReservationService.create / slot holds.
+ * - Reservations already booked in the window are cancelled by the club:
+ *   everyone who paid is refunded in full and notified with the reason.
+ *
+ * ════════════════════════════════════════════════════════════════════════════════
+ */
+
+export default function TerrainClosureService(models, reservationService) {
+
+  // ════════════════════════════════════════════════════════════════════════════
+  // UTILITY: Reservations of the terrain whose match overlaps the window
+  // ════════════════════════════════════════════════════════════════════════════
+  const findAffectedReservations = async (closure, t) => {
+    const startAt = new Date(closure.start_at);
+    const endAt = new Date(closure.end_at);
+    const timeZone = await getTimezoneForTerrain(models, closure.id_terrain, t);
+
+    // A slot ending after midnight belongs to the previous reservation date
+    const fromDate = addDays(toDateOfDay(startAt, timeZone), -1);
+
+    const candidates = await models.reservation.findAll({
+      where: {
+        id_terrain: closure.id_terrain,
+        isCancel: 0,
+        date: { [Op.between]: [fromDate, toDateOfDay(endAt, timeZone)] }
+      },
+      include: [{ model: models.plage_horaire, as: 'plage_horaire' }],
+      transaction: t
+    });
+
+    return candidates.filter((reservation) => {
+      const plage = reservation.plage_horaire;
+      if (!plage) return false;
+
+      const window = getMatchWindow(reservation.date, plage, timeZone);
+      if (!window) return false;
+
+      return window.start < endAt && window.end > startAt;
+    });
+  };
+
+  // ════════════════════════════════════════════════════════════════════════════
+  // CREATE: Close a terrain and cancel what was booked in the window
+  // ════════════════════════════════════════════════════════════════════════════
+  const createClosure = async ({ id_terrain, start_at, end_at, reason, created_by }) => {
+    if (!id_terrain || !start_at || !end_at || !reason) {
+      throw new Error('id_terrain, start_at, end_at and reason are required');
+    }
+
+    const startAt = new Date(start_at);
+    const endAt = new Date(end_at);
+    if (isNaN(startAt.getTime()) || isNaN(endAt.getTime()) || endAt <= startAt) {
+      throw new Error('Invalid closure range: end_at must be after start_at');
+    }
+
+    const terrain = await models.terrain.findByPk(id_terrain);
+    if (!terrain) {
+      throw new Error('Terrain not found');
+    }
+
+    const t = await models.sequelize.transaction();
+    const toNotify = [];
+
+    try {
+      const closure = await models.terrain_closure.create({
+        id_terrain,
+        start_at: startAt,
+        end_at: endAt,
+        reason,
+        created_by: created_by ?? null,
+        active: true,
+        date_creation: new Date(),
+        date_modif: new Date()
+      }, { transaction: t });
+
+      const affected = await findAffectedReservations(closure, t);
+
+      for (const reservation of affected) {
+        const { recipients } = await reservationService.cancelByClub(reservation.id, t);
+        toNotify.push({ reservation, recipients });
+      }
+
+      await t.commit();
+      console.log(`[ClosureService] ✅ Terrain ${id_terrain} closed (${reason}): ${affected.length} reservation(s) cancelled`);
+
+      for (const { reservation, recipients } of toNotify) {
+        for (const userId of recipients) {
+          await addNotification({
+            recipient_id: userId,
+            reservation_id: reservation.id,
+            type: 'reservation_cancelled',
+            message: `Votre réservation du ${reservation.date} a été annulée : le terrain est fermé (${reason}). Vous avez été intégralement remboursé.`
+          });
+        }
+      }
+
+      return {
+        closure,
+        cancelledReservations: toNotify.map(({ reservation }) => reservation.id)
+      };
+
+    } catch (err) {
+      await t.rollback();
+      console.error('[ClosureService] Failed to create closure:', err.message);
+      throw err;
+    }
+  };
+
+  // ════════════════════════════════════════════════════════════════════════════
+  // READ OPERATIONS
+  // ════════════════════════════════════════════════════════════════════════════
+  const findByTerrain = async (terrainId, { includePast = false } = {}) => {
+    const where = { id_terrain: terrainId, active: true };
+    if (!includePast) {
+      where.end_at = { [Op.gt]: new Date() };
+    }
+
+    return await models.terrain_closure.findAll({
+      where,
+      order: [['start_at', 'ASC']]
+    });
+  };
+
+  // ════════════════════════════════════════════════════════════════════════════
+  // LIFT: Re-open the terrain (cancelled reservations are not restored)
+  // ════════════════════════════════════════════════════════════════════════════
+  const liftClosure = async (id) => {
+    const closure = await models.terrain_closure.findByPk(id);
+    if (!closure) {
+      throw new Error('Closure not found');
+    }
+
+    await closure.update({ active: false, date_modif: new Date() });
+    console.log(`[ClosureService] Closure ${id} lifted for terrain ${closure.id_terrain}`);
+    return closure;
+  };
+
+  return {
+    createClosure,
+    findByTerrain,
+    liftClosure,
+  };
+}
@@ -0,0 +1,239 @@
+import { toDateOfDay, toTimeOfDay } from '../utils/matchTime.js';
+import { getTimezoneForTerrain } from '../utils/club.js';
+import { addDays, dayOfWeek, zonedTimeToInstant } from '../utils/timezone.js';
+
+/**
+ * ════════════════════════════════════════════════════════════════════════════════
+ * TERRAIN SCHEDULE SERVICE - Generate daily plage_horaire rows from a template
+ * ════════════════════════════════════════════════════════════════════════════════
+ *
+ * - One template per terrain: opening hours, slot duration, price, capacity,
+ *   closed days.
+ * - The generator materializes slots for the next N days. A slot is identified
+ *   by (terrain_id, start_time, end_time): existing ones are never duplicated.
+ * - Existing slots are left as they are, unless `sync` is requested; even then
+ *   slots that already have reservations are never touched.
+ * - Opening hours are wall-clock times of the club (club.timezone).
+ *
+ * ════════════════════════════════════════════════════════════════════════════════
+ */
+
+const MAX_DAYS_AHEAD = 90;
+
+// "HH:mm[:ss]" -> minutes since midnight
+const toMinutes = (time) => {
+  const [h, m] = toTimeOfDay(time).split(':').map(Number);
+  return h * 60 + m;
+};
+
+// minutes since midnight -> "HH:mm" (past 24:00 for slots after midnight)
+const fromMinutes = (minutes) => `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+
+export default function TerrainScheduleService(models) {
+
+  // ════════════════════════════════════════════════════════════════════════════
+  // READ / WRITE: Template of a terrain
+  // ════════════════════════════════════════════════════════════════════════════
+  const getSchedule = async (terrainId) => {
+    return await models.terrain_schedule.findOne({ where: { id_terrain: terrainId } });
+  };
+
+  const upsertSchedule = async (terrainId, data) => {
+    const terrain = await models.terrain.findByPk(terrainId);
+    if (!terrain) {
+      throw new Error('Terrain not found');
+    }
+
+    const existing = await getSchedule(terrainId);
+    const merged = { ...(existing ? existing.toJSON() : {}), ...data };
+
+    if (!toTimeOfDay(merged.open_time) || !toTimeOfDay(merged.close_time)) {
+      throw new Error('open_time and close_time are required (HH:mm)');
+    }
+
+    const duration = Number(merged.slot_duration_minutes ?? 90);
+    if (!Number.isInteger(duration) || duration <= 0) {
+      throw new Error('Invalid slot_duration_minutes');
+    }
+
+    const price = Number(merged.default_price);
+    if (!Number.isFinite(price) || price < 0) {
+      throw new Error('Invalid default_price');
+    }
+
+    const capacity = Number(merged.capacity ?? 1);
+    if (!Number.isInteger(capacity) || capacity < 1) {
+      throw new Error('Invalid capacity');
+    }
+
+    const daysAhead = Number(merged.days_ahead ?? 14);
+    if (!Number.isInteger(daysAhead) || daysAhead < 1 || daysAhead > MAX_DAYS_AHEAD) {
+      throw new Error(`Invalid days_ahead (1..${MAX_DAYS_AHEAD})`);
+    }
+
+    if (merged.closed_days !== undefined && merged.closed_days !== null) {
+      const valid = Array.isArray(merged.closed_days) &&
+        merged.closed_days.every(d => Number.isInteger(Number(d)) && Number(d) >= 0 && Number(d) <= 6);
+      if (!valid) {
+        throw new Error('Invalid closed_days (array of 0..6, 0 = Sunday)');
+      }
+    }
+
+    const values = {
+      open_time: toTimeOfDay(merged.open_time),
+      close_time: toTimeOfDay(merged.close_time),
+      slot_duration_minutes: duration,
+      default_price: price,
+      capacity,
+      closed_days: merged.closed_days ?? null,
+      days_ahead: daysAhead,
+      active: merged.active ?? true,
+      date_modif: new Date()
+    };
+
+    if (existing) {
+      await existing.update(values);
+      console.log(`[ScheduleService] Updated schedule for terrain ${terrainId}`);
+      return existing;
+    }
+
+    const created = await models.terrain_schedule.create({
+      ...values,
+      id_terrain: terrainId,
+      date_creation: new Date()
+    });
+    console.log(`[ScheduleService] Created schedule for terrain ${terrainId}`);
+    return created;
+  };
+
+  // ════════════════════════════════════════════════════════════════════════════
+  // UTILITY: Slot boundaries of one day according to the template
+  // ════════════════════════════════════════════════════════════════════════════
+  const buildDaySlots = (schedule, dateStr, timeZone) => {
+    if ((schedule.closed_days ?? []).map(Number).includes(dayOfWeek(dateStr))) {
+      return [];
+    }
+
+    const duration = Number(schedule.slot_duration_minutes);
+    const openMinutes = toMinutes(schedule.open_time);
+    let closeMinutes = toMinutes(schedule.close_time);
+    if (closeMinutes <= openMinutes) closeMinutes += 24 * 60;
+
+    const slots = [];
+    for (let m = openMinutes; m + duration <= closeMinutes; m += duration) {
+      const start = zonedTimeToInstant(dateStr, fromMinutes(m), timeZone);
+      const end = zonedTimeToInstant(dateStr, fromMinutes(m + duration), timeZone);
+      slots.push({ start, end });
+    }
+    return slots;
+  };
+
+  // ════════════════════════════════════════════════════════════════════════════
+  // MAIN: Generate slots for one terrain, `days` days from today
+  // options.sync: align price/capacity of existing slots without reservations
+  // ════════════════════════════════════════════════════════════════════════════
+  const generateSlots = async (terrainId, options = {}) => {
+    const schedule = await getSchedule(terrainId);
+    if (!schedule) {
+      throw new Error('Schedule not found');
+    }
+
+    const days = Number(options.days ?? schedule.days_ahead);
+    if (!Number.isInteger(days) || days < 1 || days > MAX_DAYS_AHEAD) {
+      throw new Error(`Invalid days (1..${MAX_DAYS_AHEAD})`);
+    }
+
+    const timeZone = await getTimezoneForTerrain(models, terrainId);
+    const today = toDateOfDay(new Date(), timeZone);
+    const summary = { terrainId: Number(terrainId), created: 0, updated: 0, skipped: 0 };
+
+    const t = await models.sequelize.transaction();
+
+    try {
+      for (let i = 0; i < days; i++) {
+        const dateStr = addDays(today, i);
+
+        for (const { start, end } of buildDaySlots(schedule, dateStr, timeZone)) {
+          const existing = await models.plage_horaire.findOne({
+            where: { terrain_id: terrainId, start_time: start, end_time: end },
+            transaction: t,
+            lock: t.LOCK.UPDATE
+          });
+
+          if (!existing) {
+            await models.plage_horaire.create({
+              terrain_id: terrainId,
+              start_time: start,
+              end_time: end,
+              price: schedule.default_price,
+              capacity: schedule.capacity,
+              disponible: true,
+              type: null
+            }, { transaction: t });
+            summary.created++;
+            continue;
+          }
+
+          const needsSync = options.sync &&
+            (Number(existing.price) !== Number(schedule.default_price) ||
+              Number(existing.capacity) !== Number(schedule.capacity));
+
+          if (!needsSync) {
+            summary.skipped++;
+            continue;
+          }
+
+          const reservationCount = await models.reservation.count({
+            where: { id_plage_horaire: existing.id, isCancel: 0 },
+            transaction: t
+          });
+
+          if (reservationCount > 0) {
+            summary.skipped++;
+            continue;
+          }
+
+          await existing.update({
+            price: schedule.default_price,
+            capacity: schedule.capacity
+          }, { transaction: t });
+          summary.updated++;
+        }
+      }
+
+      await t.commit();
+      console.log(`[ScheduleService] ✅ Terrain ${terrainId}: ${summary.created} created, ${summary.updated} updated, ${summary.skipped} unchanged`);
+      return summary;
+
+    } catch (err) {
+      await t.rollback();
+      console.error(`[ScheduleService] Generation failed for terrain ${terrainId}:`, err.message);
+      throw err;
+    }
+  };
+
+  // ════════════════════════════════════════════════════════════════════════════
+  // JOB: Keep every active template generated `days_ahead` days ahead
+  // ════════════════════════════════════════════════════════════════════════════
+  const generateAll = async () => {
+    const schedules = await models.terrain_schedule.findAll({ where: { active: true } });
+    const results = [];
+
+    for (const schedule of schedules) {
+      try {
+        results.push(await generateSlots(schedule.id_terrain));
+      } catch (err) {
+        results.push({ terrainId: Number(schedule.id_terrain), error: err.message });
+      }
+    }
+
+    return results;
+  };
+
+  return {
+    getSchedule,
+    upsertSchedule,
+    generateSlots,
+    generateAll,
+  };
+}
@@ -0,0 +1,303 @@
+import { addNotification } from '../utils/notificationBus.js';
+import { Op } from 'sequelize';
+import { generateHoldToken } from '../utils/codeGenerator.js';
+
+/**
+ * ════════════════════════════════════════════════════════════════════════════════
+ * WAITLIST SERVICE - Queue for full slots with automatic promotion
+ * ════════════════════════════════════════════════════════════════════════════════
+ *
+ * Status: 0 = waiting, 1 = offered, 2 = booked, 3 = expired, 4 = cancelled
+ *
+ * - When capacity frees up (cancel / processStatusRefunds), the first waiting
+ *   player is OFFERED the slot for WAITLIST_OFFER_MINUTES.
+ * - An offer is backed by a slot_hold (counted by hasAvailableCapacity), so
+ *   nobody else can take the place while it is pending.
+ * - Expired offers pass automatically to the next player in line.
+ *
+ * ════════════════════════════════════════════════════════════════════════════════
+ */
+
+const STATUS = {
+  WAITING: 0,
+  OFFERED: 1,
+  BOOKED: 2,
+  EXPIRED: 3,
+  CANCELLED: 4
+};
+
+const OFFER_MINUTES = Number(process.env.WAITLIST_OFFER_MINUTES || 15);
+
+export default function WaitlistService(models, reservationService) {
+
+  // ════════════════════════════════════════════════════════════════════════════
+  // UTILITY: Position of an entry in its queue (1-based)
+  // ════════════════════════════════════════════════════════════════════════════
+  const getPosition = async (entry) => {
+    if (Number(entry.status) !== STATUS.WAITING) return null;
+
+    const ahead = await models.waitlist_entry.count({
+      where: {
+        id_plage_horaire: entry.id_plage_horaire,
+        date: entry.date,
+        status: STATUS.WAITING,
+        id: { [Op.lt]: entry.id }
+      }
+    });
+    return ahead + 1;
+  };
+
+  // ════════════════════════════════════════════════════════════════════════════
+  // JOIN: Queue up for a (terrain, plage_horaire, date)
+  // ════════════════════════════════════════════════════════════════════════════
+  const join = async ({ id_utilisateur, id_plage_horaire, date }) => {
+    if (!id_utilisateur || !id_plage_horaire || !date) {
+      throw new Error('id_utilisateur, id_plage_horaire and date are required');
+    }
+
+    const plage = await models.plage_horaire.findByPk(id_plage_horaire);
+    if (!plage) {
+      throw new Error('Plage horaire not found');
+    }
+
+    const existing = await models.waitlist_entry.findOne({
+      where: {
+        id_utilisateur,
+        id_plage_horaire,
+        date,
+        status: { [Op.in]: [STATUS.WAITING, STATUS.OFFERED] }
+      }
+    });
+
+    if (existing) {
+      const error = new Error('Vous êtes déjà sur la liste d\'attente pour ce créneau.');
+      error.statusCode = 409;
+      throw error;
+    }
+
+    const entry = await models.waitlist_entry.create({
+      id_utilisateur,
+      id_terrain: plage.terrain_id,
+      id_plage_horaire,
+      date,
+      status: STATUS.WAITING,
+      date_creation: new Date(),
+      date_modif: new Date()
+    });
+
+    console.log(`[WaitlistService] User ${id_utilisateur} joined waitlist for slot ${id_plage_horaire} on ${date}`);
+
+    // The slot may already have room (e.g. a cancellation raced the join)
+    await offerNext(id_plage_horaire, date);
+
+    const refreshed = await models.waitlist_entry.findByPk(entry.id);
+    return { ...refreshed.toJSON(), position: await getPosition(refreshed) };
+  };
+
+  // ════════════════════════════════════════════════════════════════════════════
+  // LEAVE: Remove a player from the queue (or decline an offer)
+  // ════════════════════════════════════════════════════════════════════════════
+  const leave = async (entryId, userId) => {
+    const entry = await models.waitlist_entry.findByPk(entryId);
+    if (!entry || Number(entry.id_utilisateur) !== Number(userId)) {
+      throw new Error('Waitlist entry not found');
+    }
+
+    const wasOffered = Number(entry.status) === STATUS.OFFERED;
+    if (![STATUS.WAITING, STATUS.OFFERED].includes(Number(entry.status))) {
+      return entry;
+    }
+
+    await entry.update({ status: STATUS.CANCELLED, date_modif: new Date() });
+
+    if (wasOffered) {
+      await releaseOfferHold(entry, 2);
+      await offerNext(entry.id_plage_horaire, entry.date);
+    }
+
+    return entry;
+  };
+
+  // ════════════════════════════════════════════════════════════════════════════
+  // UTILITY: Close the hold behind an offer (2 = released, 3 = expired)
+  // ════════════════════════════════════════════════════════════════════════════
+  const releaseOfferHold = async (entry, holdStatus) => {
+    if (!entry.hold_token) return;
+
+    await models.slot_hold.update(
+      { status: holdStatus },
+      { where: { token: entry.hold_token, status: 0 } }
+    );
+  };
+
+  // ════════════════════════════════════════════════════════════════════════════
+  // READ OPERATIONS
+  // ════════════════════════════════════════════════════════════════════════════
+  const findByUserId = async (userId) => {
+    const entries = await models.waitlist_entry.findAll({
+      where: {
+        id_utilisateur: userId,
+        status: { [Op.in]: [STATUS.WAITING, STATUS.OFFERED] }
+      },
+      include: [{ model: models.plage_horaire, as: 'plage_horaire' }],
+      order: [['date', 'ASC'], ['id', 'ASC']]
+    });
+
+    const results = [];
+    for (const entry of entries) {
+      results.push({ ...entry.toJSON(), position: await getPosition(entry) });
+    }
+    return results;
+  };
+
+  const getQueue = async (plageHoraireId, date) => {
+    return await models.waitlist_entry.findAll({
+      where: {
+        id_plage_horaire: plageHoraireId,
+        date,
+        status: { [Op.in]: [STATUS.WAITING, STATUS.OFFERED] }
+      },
+      include: [{
+        model: models.utilisateur,
+        as: 'utilisateur',
+        attributes: ['id', 'nom', 'prenom', 'image_url']
+      }],
+      order: [['id', 'ASC']]
+    });
+  };
+
+  // ════════════════════════════════════════════════════════════════════════════
+  // PROMOTION: Offer free capacity to the next players in line
+  // ════════════════════════════════════════════════════════════════════════════
+  const offerNext = async (plageHoraireId, date) => {
+    const t = await models.sequelize.transaction();
+    const offered = [];
+
+    try {
+      while (true) {
+        const next = await models.waitlist_entry.findOne({
+          where: {
+            id_plage_horaire: plageHoraireId,
+            date,
+            status: STATUS.WAITING
+          },
+          order: [['id', 'ASC']],
+          transaction: t,
+          lock: t.LOCK.UPDATE
+        });
+
+        if (!next) break;
+
+        const hasCapacity = await reservationService.hasAvailableCapacity(plageHoraireId, date, t);
+        if (!hasCapacity) break;
+
+        const expiresAt = new Date(Date.now() + OFFER_MINUTES * 60 * 1000);
+        const hold = await models.slot_hold.create({
+          token: generateHoldToken(),
+          id_utilisateur: next.id_utilisateur,
+          id_plage_horaire: plageHoraireId,
+          date,
+          expires_at: expiresAt,
+          status: 0,
+          date_creation: new Date()
+        }, { transaction: t });
+
+        await next.update({
+          status: STATUS.OFFERED,
+          offer_expires_at: expiresAt,
+          hold_token: hold.token,
+          date_modif: new Date()
+        }, { transaction: t });
+
+        offered.push(next);
+      }
+
+      await t.commit();
+    } catch (err) {
+      await t.rollback();
+      console.error('[WaitlistService] Failed to promote waitlist:', err.message);
+      throw err;
+    }
+
+    for (const entry of offered) {
+      console.log(`[WaitlistService] ✅ Slot ${plageHoraireId} on ${date} offered to user ${entry.id_utilisateur} until ${entry.offer_expires_at.toISOString()}`);
+      await addNotification({
+        recipient_id: entry.id_utilisateur,
+        type: 'waitlist_offer',
+        message: `Une place s'est libérée pour votre créneau du ${date}. Confirmez dans les ${OFFER_MINUTES} minutes pour la réserver.`
+      });
+    }
+
+    return offered;
+  };
+
+  // ════════════════════════════════════════════════════════════════════════════
+  // CONFIRM: Turn an offer into a real reservation
+  // ════════════════════════════════════════════════════════════════════════════
+  const confirm = async (entryId, userId, bookingData = {}) => {
+    const entry = await models.waitlist_entry.findByPk(entryId);
+    if (!entry || Number(entry.id_utilisateur) !== Number(userId)) {
+      throw new Error('Waitlist entry not found');
+    }
+
+    const isActiveOffer = Number(entry.status) === STATUS.OFFERED &&
+      entry.offer_expires_at && new Date(entry.offer_expires_at) > new Date();
+
+    if (!isActiveOffer) {
+      const error = new Error('Cette offre a expiré ou n\'est plus disponible.');
+      error.statusCode = 409;
+      throw error;
+    }
+
+    return await reservationService.create({
+      ...bookingData,
+      id_utilisateur: entry.id_utilisateur,
+      id_terrain: entry.id_terrain,
+      id_plage_horaire: entry.id_plage_horaire,
+      date: entry.date,
+      hold_token: entry.hold_token,
+      waitlist_entry_id: entry.id
+    });
+  };
+
+  // ════════════════════════════════════════════════════════════════════════════
+  // JOB: Expire offers that were not confirmed in time, then promote the next
+  // ════════════════════════════════════════════════════════════════════════════
+  const expireOffers = async () => {
+    const expired = await models.waitlist_entry.findAll({
+      where: {
+        status: STATUS.OFFERED,
+        offer_expires_at: { [Op.lte]: new Date() }
+      }
+    });
+
+    const slots = new Map();
+    for (const entry of expired) {
+      await entry.update({ status: STATUS.EXPIRED, date_modif: new Date() });
+      await releaseOfferHold(entry, 3);
+      slots.set(`${entry.id_plage_horaire}:${entry.date}`, { plageHoraireId: entry.id_plage_horaire, date: entry.date });
+
+      await addNotification({
+        recipient_id: entry.id_utilisateur,
+        type: 'waitlist_expired',
+        message: `Votre offre pour le créneau du ${entry.date} a expiré et a été proposée au joueur suivant.`
+      });
+    }
+
+    for (const { plageHoraireId, date } of slots.values()) {
+      await offerNext(plageHoraireId, date);
+    }
+
+    return { expired: expired.length };
+  };
+
+  return {
+    join,
+    leave,
+    findByUserId,
+    getQueue,
+    offerNext,
+    confirm,
+    expireOffers,
+  };
+}
@@ -0,0 +1,61 @@
+/**
+ * ════════════════════════════════════════════════════════════════════════════════
+ * CLUB UTILITIES
+ * Terrains belong to a club; memberships, policies and pricing are club-scoped.
+ * ════════════════════════════════════════════════════════════════════════════════
+ */
+
+import { DEFAULT_TIMEZONE } from './timezone.js';
+
+// Club of terrains created before the multi-club model (see migrations/create_club_table.sql)
+export const DEFAULT_CLUB_ID = 1;
+
+/**
+ * Resolve the club owning a terrain
+ * @param {object} models - Sequelize models
+ * @param {number} terrainId - Terrain ID
+ * @param {object} [t] - Optional transaction
+ * @returns {Promise<number>}
+ */
+export const getClubIdForTerrain = async (models, terrainId, t = null) => {
+    if (!terrainId) return DEFAULT_CLUB_ID;
+
+    const terrain = await models.terrain.findByPk(terrainId, {
+        attributes: ['id', 'id_club'],
+        transaction: t
+    });
+
+    return Number(terrain?.id_club ?? DEFAULT_CLUB_ID);
+};
+
+/**
+ * IANA time zone of a club (DEFAULT_TIMEZONE when unknown)
+ * @param {object} models - Sequelize models
+ * @param {number} clubId - Club ID
+ * @param {object} [t] - Optional transaction
+ * @returns {Promise<string>}
+ */
+export const getClubTimezone = async (models, clubId, t = null) => {
+    if (!clubId || !models.club) return DEFAULT_TIMEZONE;
+
+    const club = await models.club.findByPk(clubId, {
+        attributes: ['id', 'timezone'],
+        transaction: t
+    });
+
+    return club?.timezone || DEFAULT_TIMEZONE;
+};
+
+/**
+ * IANA time zone of the club owning a terrain
+ * @param {object} models - Sequelize models
+ * @param {number} terrainId - Terrain ID
+ * @param {object} [t] - Optional transaction
+ * @returns {Promise<string>}
+ */
+export const getTimezoneForTerrain = async (models, terrainId, t = null) => {
+    if (!terrainId) return DEFAULT_TIMEZONE;
+
+    const clubId = await getClubIdForTerrain(models, terrainId, t);
+    return await getClubTimezone(models, clubId, t);
+};
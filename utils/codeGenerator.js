@@ -1,3 +1,4 @@
+import crypto from 'crypto';
 
 /**
  * Utility to generate unique codes for reservations and matches
@@ -51,3 +52,8 @@ export const generateReservationCoder = () => {
   
   return result;
 };
+
+/**
+ * Generates an opaque token for temporary slot holds.
+ */
+export const generateHoldToken = () => crypto.randomUUID();
@@ -0,0 +1,102 @@
+/**
+ * ════════════════════════════════════════════════════════════════════════════════
+ * LEVEL ASSESSMENT
+ * Onboarding questionnaire giving a new player a provisional rating
+ * (utilisateur.note) instead of the default 0: experience, frequency, other
+ * racket sports, technique and competition. Each answer is worth a number of
+ * rating points added to the minimum level; a questionnaire cannot place a
+ * player above MAX_PROVISIONAL_NOTE, matches do the rest.
+ * ════════════════════════════════════════════════════════════════════════════════
+ */
+
+export const MIN_NOTE = 0.5;
+export const MAX_PROVISIONAL_NOTE = 5.5;
+
+// Low: the first matches move a provisional rating a lot
+export const ASSESSMENT_FIABILITY = Number(process.env.RATING_ASSESSMENT_FIABILITY || 20);
+
+export const ASSESSMENT_QUESTIONS = [
+    {
+        key: 'experience',
+        label: 'Depuis combien de temps jouez-vous au padel ?',
+        options: [
+            { value: 'never', label: 'Jamais joué', points: 0 },
+            { value: 'lt_6_months', label: 'Moins de 6 mois', points: 0.3 },
+            { value: '6_24_months', label: 'Entre 6 mois et 2 ans', points: 0.8 },
+            { value: '2_5_years', label: 'Entre 2 et 5 ans', points: 1.3 },
+            { value: 'gt_5_years', label: 'Plus de 5 ans', points: 1.7 }
+        ]
+    },
+    {
+        key: 'frequency',
+        label: 'À quelle fréquence jouez-vous ?',
+        options: [
+            { value: 'occasional', label: 'Moins d\'une fois par mois', points: 0 },
+            { value: 'monthly', label: 'Quelques fois par mois', points: 0.2 },
+            { value: 'weekly', label: 'Une fois par semaine', points: 0.5 },
+            { value: 'several_weekly', label: 'Plusieurs fois par semaine', points: 0.8 }
+        ]
+    },
+    {
+        key: 'racket_sports',
+        label: 'Pratiquez-vous un autre sport de raquette (tennis, squash...) ?',
+        options: [
+            { value: 'none', label: 'Non', points: 0 },
+            { value: 'casual', label: 'En loisir', points: 0.2 },
+            { value: 'competitive', label: 'En compétition', points: 0.5 }
+        ]
+    },
+    {
+        key: 'technique',
+        label: 'Où en est votre jeu ?',
+        options: [
+            { value: 'beginner', label: 'J\'apprends les coups de base', points: 0 },
+            { value: 'rallies', label: 'Je tiens l\'échange', points: 0.4 },
+            { value: 'walls', label: 'Je joue avec les vitres', points: 0.9 },
+            { value: 'volley_smash', label: 'Je monte au filet (volée, bandeja)', points: 1.4 },
+            { value: 'advanced', label: 'Víbora, smash par 3 / par 4', points: 2 }
+        ]
+    },
+    {
+        key: 'competition',
+        label: 'Avez-vous un classement ou joué des tournois ?',
+        options: [
+            { value: 'none', label: 'Non', points: 0 },
+            { value: 'club_tournaments', label: 'Tournois de club', points: 0.3 },
+            { value: 'regional', label: 'Classé, niveau régional', points: 0.7 },
+            { value: 'national', label: 'Classé, niveau national', points: 1.2 }
+        ]
+    }
+];
+
+const validationError = (message) => {
+    const error = new Error(message);
+    error.statusCode = 400;
+    error.code = 'VALIDATION_ERROR';
+    return error;
+};
+
+/**
+ * Provisional rating from the answers
+ * @param {object} answers - { [question.key]: option.value } (every question)
+ * @returns {{note: number, fiability: number, answers: object, points: object}}
+ */
+export const scoreAssessment = (answers = {}) => {
+    const normalized = {};
+    const points = {};
+
+    for (const question of ASSESSMENT_QUESTIONS) {
+        const value = answers?.[question.key];
+        const option = question.options.find(o => o.value === value);
+        if (!option) {
+            throw validationError(`Invalid answer for ${question.key} (${question.options.map(o => o.value).join(', ')})`);
+        }
+        normalized[question.key] = option.value;
+        points[question.key] = option.points;
+    }
+
+    const total = Object.values(points).reduce((sum, p) => sum + p, 0);
+    const note = Math.round(Math.min(MIN_NOTE + total, MAX_PROVISIONAL_NOTE) * 100) / 100;
+
+    return { note, fiability: ASSESSMENT_FIABILITY, answers: normalized, points };
+};
@@ -0,0 +1,250 @@
+/**
+ * ════════════════════════════════════════════════════════════════════════════════
+ * MATCH FORMATS
+ * How a match is played (reservation.match_format): number of sets, games per
+ * set and tie-break, or a timed match where the games won at the end count.
+ * Drives score validation, the winner and the weight of the result in the
+ * rating update. Golden point (reservation.golden_point) changes how games are
+ * played, not the set scores: it is stored for display only.
+ * ════════════════════════════════════════════════════════════════════════════════
+ */
+
+// set.games: games to win a set (by 2); set.tiebreakAt: both teams on this
+// score play a tie-break. weight: a short match says less about the level.
+export const MATCH_FORMATS = {
+    standard: {
+        label: '2 sets gagnants (6 jeux)',
+        setsToWin: 2,
+        set: { games: 6, tiebreakAt: 6 },
+        superTieBreak: true,
+        weight: 1
+    },
+    one_set: {
+        label: '1 set (6 jeux)',
+        setsToWin: 1,
+        set: { games: 6, tiebreakAt: 6 },
+        superTieBreak: false,
+        weight: 0.6
+    },
+    pro_set_9: {
+        label: 'Pro set à 9 jeux',
+        setsToWin: 1,
+        set: { games: 9, tiebreakAt: 8 },
+        superTieBreak: false,
+        weight: 0.8
+    },
+    short_sets_4: {
+        label: '2 sets gagnants (4 jeux)',
+        setsToWin: 2,
+        set: { games: 4, tiebreakAt: 4 },
+        superTieBreak: true,
+        weight: 0.75
+    },
+    timed_90: {
+        label: 'Match chronométré (90 min)',
+        setsToWin: 1,
+        timed: true,
+        minutes: 90,
+        superTieBreak: false,
+        weight: 0.8
+    }
+};
+
+export const DEFAULT_MATCH_FORMAT = 'standard';
+
+const FORMAT_FIELDS = ['match_format', 'golden_point'];
+
+const validationError = (message) => {
+    const error = new Error(message);
+    error.statusCode = 400;
+    error.code = 'VALIDATION_ERROR';
+    return error;
+};
+
+/**
+ * Format definition of a reservation (unknown / empty = standard)
+ * @param {string} [code] - reservation.match_format
+ * @returns {object} MATCH_FORMATS entry, with its code
+ */
+export const getMatchFormat = (code) => {
+    const key = MATCH_FORMATS[code] ? code : DEFAULT_MATCH_FORMAT;
+    return { code: key, ...MATCH_FORMATS[key] };
+};
+
+/**
+ * Formats offered to the clients
+ * @returns {Array<object>}
+ */
+export const listMatchFormats = () => Object.keys(MATCH_FORMATS).map(code => {
+    const { label, setsToWin, set, timed, minutes, superTieBreak } = getMatchFormat(code);
+    return { code, label, setsToWin, set: set ?? null, timed: !!timed, minutes: minutes ?? null, superTieBreak };
+});
+
+/**
+ * Does the payload touch the match format?
+ * @param {object} data
+ * @returns {boolean}
+ */
+export const hasMatchFormatSettings = (data) => FORMAT_FIELDS.some(field => data[field] !== undefined);
+
+/**
+ * Validate and normalize match_format / golden_point of a create / update payload
+ * @param {object} data - Request payload
+ * @param {object} [options]
+ * @param {boolean} [options.isCreate] - Defaults are applied on create
+ * @returns {object} Normalized values to store
+ */
+export const normalizeMatchFormatSettings = (data, { isCreate = false } = {}) => {
+    const values = {};
+
+    if (data.match_format !== undefined && data.match_format !== null && data.match_format !== '') {
+        if (!MATCH_FORMATS[data.match_format]) {
+            throw validationError(`Invalid match_format (${Object.keys(MATCH_FORMATS).join(', ')})`);
+        }
+        values.match_format = data.match_format;
+    } else if (isCreate || data.match_format !== undefined) {
+        values.match_format = DEFAULT_MATCH_FORMAT;
+    }
+
+    if (data.golden_point !== undefined) {
+        const flag = data.golden_point;
+        if (![true, false, 1, 0, '1', '0', 'true', 'false', null].includes(flag)) {
+            throw validationError('Invalid golden_point: use true or false');
+        }
+        values.golden_point = [true, 1, '1', 'true'].includes(flag) ? 1 : 0;
+    } else if (isCreate) {
+        values.golden_point = 0;
+    }
+
+    return values;
+};
+
+/**
+ * Is this a valid final score for a set of the format?
+ * @param {object} format - getMatchFormat()
+ * @param {number} setIndex - 0-based
+ * @param {number} a - Games (or super tie-break points) of team A
+ * @param {number} b - Games (or points) of team B
+ * @param {boolean} isSuperTieBreak - Deciding set played as a super tie-break
+ * @returns {boolean}
+ */
+export const validateSet = (format, setIndex, a, b, isSuperTieBreak) => {
+    const scoreA = Number(a);
+    const scoreB = Number(b);
+
+    if (!Number.isFinite(scoreA) || !Number.isFinite(scoreB) || scoreA < 0 || scoreB < 0) {
+        throw new Error(`Invalid score values for Set ${setIndex + 1}`);
+    }
+
+    const maxSets = format.setsToWin * 2 - 1;
+    if (setIndex >= maxSets) return false;
+
+    const diff = Math.abs(scoreA - scoreB);
+    const max = Math.max(scoreA, scoreB);
+    const min = Math.min(scoreA, scoreB);
+
+    // Timed: games won when time is up, a tie has to be played off
+    if (format.timed) return diff > 0;
+
+    // Deciding set played as a super tie-break: at least 10 points, diff >= 2
+    if (isSuperTieBreak && format.superTieBreak && setIndex === maxSets - 1) {
+        return max >= 10 && diff >= 2;
+    }
+
+    // e.g. games 6 / tie-break at 6: 6-0 ... 6-4, 7-5, 7-6
+    const { games, tiebreakAt } = format.set;
+    if (max === tiebreakAt + 1 && min === tiebreakAt) return true; // Tie-break
+    if (max === games) return diff >= 2;
+    if (max > games && max <= tiebreakAt + 1) return diff === 2;
+
+    return false;
+};
+
+/**
+ * Winning team once a team has the sets it needs
+ * @param {object} format - getMatchFormat()
+ * @param {Array<{a: number, b: number}>} sets
+ * @returns {1|2|null} 1 = team A, 2 = team B, null = not finished
+ */
+export const determineWinner = (format, sets) => {
+    let winsA = 0;
+    let winsB = 0;
+
+    for (const s of sets) {
+        if (s.a > s.b) winsA++;
+        else if (s.b > s.a) winsB++; // Draw impossible in valid set
+
+        if (winsA === format.setsToWin) return 1; // Team A = 1
+        if (winsB === format.setsToWin) return 2; // Team B = 2
+    }
+    return null;
+};
+
+/**
+ * Validate a submitted score against the format
+ * Sets are read until a team has the sets it needs; messages contain
+ * "Invalid" / "required" (400 in the controllers).
+ * @param {object} scoreData - { set1: {a, b}, set2, set3, set3_mode }
+ * @param {object} [format] - getMatchFormat(), standard by default
+ * @returns {{sets: Array<{a: number, b: number}>, isSuperTieBreak: boolean, winner: 1|2}}
+ */
+export const parseScore = (scoreData = {}, format = getMatchFormat()) => {
+    const submitted = [scoreData.set1, scoreData.set2, scoreData.set3];
+    const maxSets = format.setsToWin * 2 - 1;
+    const isSuperTieBreak = scoreData.set3_mode === 'SUPER_TIE_BREAK' && format.superTieBreak;
+
+    const sets = [];
+    let winner = null;
+
+    for (let i = 0; i < maxSets && !winner; i++) {
+        const set = submitted[i];
+        if (!set) {
+            throw new Error(i < format.setsToWin
+                ? `Set ${i + 1} score is required`
+                : `Set ${i + 1} score is required for a ${i / 2}-${i / 2} match`
+            );
+        }
+
+        const decidingSuperTieBreak = isSuperTieBreak && i === maxSets - 1;
+        if (!validateSet(format, i, set.a, set.b, decidingSuperTieBreak)) {
+            throw new Error(decidingSuperTieBreak
+                ? 'Invalid Super Tie-Break score (Must be >=10 pts, diff >=2)'
+                : `Invalid score for Set ${i + 1} (${format.label})`
+            );
+        }
+        sets.push({ a: Number(set.a), b: Number(set.b) });
+        winner = determineWinner(format, sets);
+    }
+
+    if (!winner) {
+        throw new Error(`Invalid score: the match must have a winner (${format.label})`);
+    }
+
+    return { sets, isSuperTieBreak: isSuperTieBreak && sets.length === maxSets, winner };
+};
+
+/**
+ * Weight of the result in the rating update (resultFactor)
+ * A tight result counts less than a clear one (set lost by the winner,
+ * super tie-break, or a one-set match won by less than 3 games), and
+ * shorter formats count less than the standard match.
+ * @param {object} format - getMatchFormat()
+ * @param {Array<{a: number, b: number}>} sets
+ * @param {boolean} isSuperTieBreak
+ * @returns {number}
+ */
+export const computeResultFactor = (format, sets, isSuperTieBreak) => {
+    let closeness = 1;
+
+    if (format.setsToWin > 1) {
+        const winsA = sets.filter(s => s.a > s.b).length;
+        const winsB = sets.filter(s => s.b > s.a).length;
+        if (Math.min(winsA, winsB) > 0) {
+            closeness = isSuperTieBreak ? 0.5 : 0.75;
+        }
+    } else if (sets.length > 0) {
+        closeness = Math.abs(sets[0].a - sets[0].b) >= 3 ? 1 : 0.75;
+    }
+
+    return Math.round(closeness * format.weight * 100) / 100;
+};
@@ -0,0 +1,92 @@
+/**
+ * ════════════════════════════════════════════════════════════════════════════════
+ * MATCH TIME UTILITIES
+ * reservation.date is a DATEONLY and plage_horaire.start_time carries the hour,
+ * so the real kick-off time needs both - read as wall-clock time of the club.
+ * ════════════════════════════════════════════════════════════════════════════════
+ */
+
+import { DEFAULT_TIMEZONE, addDays, toZonedDate, toZonedTime, zonedTimeToInstant } from './timezone.js';
+
+/**
+ * Extract "HH:mm:ss" from a plage_horaire start/end value
+ * (a full timestamp in the database, a TIME string in older rows)
+ * @param {Date|string} value
+ * @param {string} [timeZone] - Club zone, used when value is a Date
+ * @returns {string|null}
+ */
+export const toTimeOfDay = (value, timeZone = DEFAULT_TIMEZONE) => {
+    if (!value) return null;
+
+    if (value instanceof Date) {
+        if (isNaN(value.getTime())) return null;
+        return toZonedTime(value, timeZone);
+    }
+
+    const match = String(value).match(/(\d{2}):(\d{2})(?::(\d{2}))?/);
+    if (!match) return null;
+    return `${match[1]}:${match[2]}:${match[3] ?? '00'}`;
+};
+
+/**
+ * Extract "YYYY-MM-DD" from a plage_horaire start/end timestamp
+ * @param {Date|string} value
+ * @param {string} [timeZone] - Club zone, used when value is a Date
+ * @returns {string|null}
+ */
+export const toDateOfDay = (value, timeZone = DEFAULT_TIMEZONE) => {
+    if (!value) return null;
+
+    if (value instanceof Date) {
+        if (isNaN(value.getTime())) return null;
+        return toZonedDate(value, timeZone);
+    }
+
+    const match = String(value).match(/^(\d{4}-\d{2}-\d{2})/);
+    return match ? match[1] : null;
+};
+
+/**
+ * Combine the reservation date with the slot start hour
+ * @param {Date|string} reservationDate - DATEONLY ('YYYY-MM-DD')
+ * @param {Date|string} slotStartTime - plage_horaire.start_time
+ * @param {string} [timeZone] - Club zone
+ * @returns {Date|null}
+ */
+export const getMatchStart = (reservationDate, slotStartTime, timeZone = DEFAULT_TIMEZONE) => {
+    const dateStr = toDateOfDay(reservationDate, timeZone);
+    if (!dateStr) return null;
+
+    const time = toTimeOfDay(slotStartTime, timeZone) ?? '00:00:00';
+    return zonedTimeToInstant(dateStr, time, timeZone);
+};
+
+/**
+ * Start and end instants of a match; a slot ending at or before its start
+ * hour ends the next day (23:00 - 00:30)
+ * @param {Date|string} reservationDate - DATEONLY ('YYYY-MM-DD')
+ * @param {object} plage - plage_horaire ({ start_time, end_time })
+ * @param {string} [timeZone] - Club zone
+ * @returns {{start: Date, end: Date}|null}
+ */
+export const getMatchWindow = (reservationDate, plage, timeZone = DEFAULT_TIMEZONE) => {
+    const start = getMatchStart(reservationDate, plage?.start_time, timeZone);
+    let end = getMatchStart(reservationDate, plage?.end_time, timeZone);
+    if (!start || !end) return null;
+
+    if (end <= start) {
+        end = getMatchStart(addDays(toDateOfDay(reservationDate, timeZone), 1), plage.end_time, timeZone);
+    }
+
+    return { start, end };
+};
+
+/**
+ * Hours between now and a given instant (negative once it is past)
+ * @param {Date} instant
+ * @param {Date} [now]
+ * @returns {number}
+ */
+export const hoursUntil = (instant, now = new Date()) => {
+    return (instant.getTime() - now.getTime()) / (1000 * 60 * 60);
+};
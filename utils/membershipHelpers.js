@@ -6,6 +6,9 @@
  */
 
 import MembershipService from '../services/membership.service.js';
+import { getMatchStart, hoursUntil, toDateOfDay } from './matchTime.js';
+import { addDays } from './timezone.js';
+import { getClubTimezone } from './club.js';
 
 export default function createMembershipHelpers(models) {
     const membershipService = MembershipService(models);
@@ -13,7 +16,7 @@ export default function createMembershipHelpers(models) {
     /**
      * Get available date range for user based on membership
      * @param {number} userId - User ID
-     * @param {number} clubId - Club/Terrain ID
+     * @param {number} clubId - Club ID
      * @returns {Promise<{days: number, endDate: Date}>}
      */
     const getAvailableDateRange = async (userId, clubId) => {
@@ -25,10 +28,17 @@ export default function createMembershipHelpers(models) {
             const endDate = new Date(today);
             endDate.setDate(endDate.getDate() + days);
 
+            // Bookable calendar days are the club's days
+            const timeZone = await getClubTimezone(models, clubId);
+            const firstDay = toDateOfDay(today, timeZone);
+
             return {
                 days,
                 startDate: today,
                 endDate,
+                firstDay,
+                lastDay: addDays(firstDay, days),
+                timezone: timeZone,
                 membershipType: membershipData.type
             };
         } catch (error) {
@@ -44,7 +54,7 @@ export default function createMembershipHelpers(models) {
     /**
      * Check if user can create an open match
      * @param {number} userId - User ID
-     * @param {number} clubId - Club/Terrain ID
+     * @param {number} clubId - Club ID
      * @returns {Promise<{canCreate: boolean, membershipType: number, reason: string}>}
      */
     const canCreateOpenMatch = async (userId, clubId) => {
@@ -71,7 +81,7 @@ export default function createMembershipHelpers(models) {
     /**
      * Validate cancellation timing based on membership rules
      * @param {number} userId - User ID
-     * @param {number} clubId - Club/Terrain ID
+     * @param {number} clubId - Club ID
      * @param {Date} matchDate - Date of the match
      * @param {string} matchTime - Time of the match (HH:mm)
      * @returns {Promise<{canCancel: boolean, hoursRequired: number, hoursRemaining: number, reason: string}>}
@@ -81,14 +91,10 @@ export default function createMembershipHelpers(models) {
             const membershipData = await membershipService.checkMembershipExpiry(userId, clubId);
             const requiredHours = membershipData.rules.cancellationHours;
 
-            // Parse match date and time
-            const [hours, minutes] = matchTime.split(':').map(Number);
-            const matchDateTime = new Date(matchDate);
-            matchDateTime.setHours(hours || 0, minutes || 0, 0, 0);
-
-            // Calculate hours until match
-            const now = new Date();
-            const hoursUntilMatch = (matchDateTime - now) / (1000 * 60 * 60);
+            // Match start = date + slot hour in the club's zone (same computation as the cancel path)
+            const timeZone = await getClubTimezone(models, clubId);
+            const matchDateTime = getMatchStart(matchDate, matchTime, timeZone);
+            const hoursUntilMatch = matchDateTime ? hoursUntil(matchDateTime) : 0;
 
             const canCancel = hoursUntilMatch >= requiredHours;
 
@@ -116,7 +122,7 @@ export default function createMembershipHelpers(models) {
     /**
      * Apply membership pricing to a reservation
      * @param {number} userId - User ID
-     * @param {number} clubId - Club/Terrain ID
+     * @param {number} clubId - Club ID
      * @param {number} originalPrice - Original price before membership discount
      * @returns {Promise<{finalPrice: number, discount: number, originalPrice: number, membershipType: number, isFree: boolean}>}
      */
@@ -10,6 +10,9 @@ export function setNotificationModels(models) {
 }
 
 export async function addNotification({ recipient_id, reservation_id, submitter_id, type, message }) {
+  // Guest participants have no account: nothing to deliver
+  if (recipient_id === null || recipient_id === undefined) return null;
+
   // If we have models and notification table exists, save to DB
   if (_models && _models.notification) {
     try {
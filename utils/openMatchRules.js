@@ -0,0 +1,126 @@
+/**
+ * ════════════════════════════════════════════════════════════════════════════════
+ * OPEN MATCH RULES
+ * Constraints an open match (typer = 2) puts on the players who join it:
+ * level range (min / max vs utilisateur.note), gender restriction, and the
+ * informational match mode and creator's side preference.
+ * ════════════════════════════════════════════════════════════════════════════════
+ */
+
+export const MATCH_MODES = ['competitive', 'friendly'];
+export const SIDE_PREFERENCES = ['left', 'right'];
+export const DEFAULT_MATCH_MODE = 'competitive';
+
+const CONSTRAINT_FIELDS = ['min', 'max', 'gender_restriction', 'match_mode', 'side_preference'];
+
+const validationError = (message) => {
+    const error = new Error(message);
+    error.statusCode = 400;
+    error.code = 'VALIDATION_ERROR';
+    return error;
+};
+
+const isEmpty = (value) => value === undefined || value === null || value === '';
+
+/**
+ * Validate and normalize the open-match fields of a create / update payload.
+ * Only fields present in `data` are returned, except on create where the
+ * level range is required and the mode gets its default.
+ * @param {object} data - Request payload
+ * @param {object} [options]
+ * @param {boolean} [options.isCreate] - Creation of an open match
+ * @param {object} [options.current] - Current values (update)
+ * @returns {object} Normalized values to store
+ */
+export const normalizeOpenMatchSettings = (data, { isCreate = false, current = {} } = {}) => {
+    const values = {};
+
+    for (const field of ['min', 'max']) {
+        if (data[field] === undefined) continue;
+        if (isEmpty(data[field])) {
+            values[field] = null;
+            continue;
+        }
+        const value = Number(data[field]);
+        if (!Number.isFinite(value) || value < 0) {
+            throw validationError(`Invalid ${field}: a level must be a positive number`);
+        }
+        values[field] = value;
+    }
+
+    const min = values.min !== undefined ? values.min : current.min;
+    const max = values.max !== undefined ? values.max : current.max;
+
+    if (isCreate && (isEmpty(min) || isEmpty(max))) {
+        throw validationError('Rating range (min/max) is required for Match Ouvert');
+    }
+    if (!isEmpty(min) && !isEmpty(max) && Number(min) > Number(max)) {
+        throw validationError('Invalid rating range: min must be <= max');
+    }
+
+    if (data.gender_restriction !== undefined) {
+        if (isEmpty(data.gender_restriction)) {
+            values.gender_restriction = null;
+        } else {
+            const gender = Number(data.gender_restriction);
+            if (!Number.isInteger(gender)) {
+                throw validationError('Invalid gender_restriction: use a utilisateur.gender value or null for mixed');
+            }
+            values.gender_restriction = gender;
+        }
+    }
+
+    if (data.match_mode !== undefined) {
+        if (!MATCH_MODES.includes(data.match_mode)) {
+            throw validationError(`Invalid match_mode (${MATCH_MODES.join(', ')})`);
+        }
+        values.match_mode = data.match_mode;
+    } else if (isCreate) {
+        values.match_mode = DEFAULT_MATCH_MODE;
+    }
+
+    if (data.side_preference !== undefined) {
+        if (!isEmpty(data.side_preference) && !SIDE_PREFERENCES.includes(data.side_preference)) {
+            throw validationError(`Invalid side_preference (${SIDE_PREFERENCES.join(', ')} or null)`);
+        }
+        values.side_preference = isEmpty(data.side_preference) ? null : data.side_preference;
+    }
+
+    return values;
+};
+
+/**
+ * Does the payload touch an open-match constraint?
+ * @param {object} data
+ * @returns {boolean}
+ */
+export const hasOpenMatchSettings = (data) => CONSTRAINT_FIELDS.some(field => data[field] !== undefined);
+
+/**
+ * Can this player take part in the match?
+ * @param {object} match - Reservation (or its constraint values)
+ * @param {object} user - utilisateur ({ note, gender })
+ * @returns {{code: string, message: string}|null} null when eligible
+ */
+export const checkPlayerEligibility = (match, user) => {
+    const note = Number(user?.note ?? 0);
+    const min = isEmpty(match.min) ? null : Number(match.min);
+    const max = isEmpty(match.max) ? null : Number(match.max);
+
+    if ((min !== null && note < min) || (max !== null && note > max)) {
+        const range = `[${min !== null ? min.toFixed(1) : '-'} .. ${max !== null ? max.toFixed(1) : '-'}]`;
+        return {
+            code: 'LEVEL_OUT_OF_RANGE',
+            message: `Votre niveau ${note.toFixed(1)} est en dehors de la plage requise ${range} pour ce match.`
+        };
+    }
+
+    if (!isEmpty(match.gender_restriction) && Number(user?.gender) !== Number(match.gender_restriction)) {
+        return {
+            code: 'GENDER_RESTRICTED',
+            message: 'Ce match est réservé à un autre genre de joueurs.'
+        };
+    }
+
+    return null;
+};
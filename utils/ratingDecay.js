@@ -0,0 +1,77 @@
+/**
+ * ════════════════════════════════════════════════════════════════════════════════
+ * RATING DECAY
+ * Inactive players: utilisateur.fiability only moves when a match is rated, so
+ * a player away for a year would keep weighing on opponents' updates as if
+ * their level were certain. After RATING_DECAY_AFTER_DAYS without a rated
+ * match, then every RATING_DECAY_EVERY_DAYS, one decay step lowers fiability
+ * (never below RATING_DECAY_MIN_FIABILITY) and, when RATING_DECAY_NOTE_SHARE
+ * is set, moves the note that share of the way toward the mean.
+ * ════════════════════════════════════════════════════════════════════════════════
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const numberFromEnv = (name, fallback) => {
+    const value = process.env[name];
+    return value === undefined || value === '' ? fallback : Number(value);
+};
+
+export const DECAY_SETTINGS = {
+    afterDays: numberFromEnv('RATING_DECAY_AFTER_DAYS', 90),
+    everyDays: numberFromEnv('RATING_DECAY_EVERY_DAYS', 60),
+    fiabilityLoss: numberFromEnv('RATING_DECAY_FIABILITY', 10),
+    minFiability: numberFromEnv('RATING_DECAY_MIN_FIABILITY', 20),
+    // 0 = fiability only; 0.1 = 10% of the gap to the mean per step
+    noteShare: numberFromEnv('RATING_DECAY_NOTE_SHARE', 0),
+    // Fixed mean; otherwise the average note of rated players at each run
+    mean: numberFromEnv('RATING_DECAY_MEAN', null)
+};
+
+/**
+ * Number of decay steps due after a period without rated match
+ * @param {Date|string} lastActivityAt - Last rated match (or assessment)
+ * @param {Date} [now]
+ * @param {object} [settings]
+ * @returns {number}
+ */
+export const dueDecaySteps = (lastActivityAt, now = new Date(), settings = DECAY_SETTINGS) => {
+    if (!lastActivityAt) return 0;
+    const inactiveDays = (now.getTime() - new Date(lastActivityAt).getTime()) / DAY_MS;
+    if (inactiveDays < settings.afterDays) return 0;
+    if (!(settings.everyDays > 0)) return 1;
+    return 1 + Math.floor((inactiveDays - settings.afterDays) / settings.everyDays);
+};
+
+/**
+ * When the next decay step is due (null if it does not depend on time)
+ */
+export const nextDecayAt = (lastActivityAt, appliedSteps, settings = DECAY_SETTINGS) => {
+    if (!lastActivityAt) return null;
+    if (appliedSteps > 0 && !(settings.everyDays > 0)) return null;
+    const days = settings.afterDays + appliedSteps * (settings.everyDays || 0);
+    return new Date(new Date(lastActivityAt).getTime() + days * DAY_MS);
+};
+
+/**
+ * Level after one decay step
+ * @param {{note: number, fiability: number}} level
+ * @param {object} params - { fiabilityLoss, minFiability, noteShare, mean } (stored
+ *   in rating_history.inputs so that a recompute replays the same step)
+ * @returns {{note: number, fiability: number}}
+ */
+export const decayLevel = (level, { fiabilityLoss, minFiability, noteShare, mean }) => {
+    const fiability = Number(level.fiability) || 0;
+    const note = Number(level.note) || 0;
+
+    // A fiability already under the floor is never raised
+    const nextFiability = fiability <= minFiability
+        ? fiability
+        : Math.max(minFiability, Math.round(fiability - fiabilityLoss));
+
+    const nextNote = noteShare > 0 && mean !== null && mean !== undefined && note > 0
+        ? Math.round((note + (Number(mean) - note) * noteShare) * 100) / 100
+        : note;
+
+    return { note: nextNote, fiability: nextFiability };
+};
@@ -79,4 +79,44 @@ export const sendVerificationEmail = async (to, token) => {
   await transporter.sendMail(mailOptions);
 };
 
+export const sendMatchInvitationEmail = async (to, { inviterName, date, time, code, expiresAt }) => {
+  const mailOptions = {
+    from: '"Padel Mindset" <no-reply@padel-mindset.com>',
+    to,
+    subject: `${inviterName} vous invite à un match de padel`,
+    html: `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <meta charset="utf-8">
+      </head>
+      <body style="margin: 0; padding: 0; font-family: 'Helvetica Neue', Helvetica, Arial, sans-serif; background-color: #f4f4f4;">
+        <div style="max-width: 600px; margin: 0 auto; background-color: #ffffff; border-radius: 16px; overflow: hidden;">
+          <div style="background-color: #12281E; padding: 40px 20px; text-align: center;">
+            <h1 style="color: #ffffff; margin: 0; font-size: 28px;">PADEL MINDSET</h1>
+          </div>
+          <div style="height: 4px; background-color: #CFE202;"></div>
+          <div style="padding: 40px 30px; text-align: center; color: #333333;">
+            <h2 style="color: #12281E;">Invitation à un match</h2>
+            <p style="font-size: 16px; line-height: 1.6; color: #555555;">
+              <strong>${inviterName}</strong> vous a réservé une place pour un match privé le <strong>${date}</strong> à <strong>${time}</strong>.
+            </p>
+            <p style="font-size: 16px; line-height: 1.6; color: #555555;">
+              Créez votre compte Padel Mindset avec cette adresse email pour accepter ou refuser l'invitation, ou retrouvez le match avec le code :
+            </p>
+            <h1 style="color: #12281E; font-size: 32px; letter-spacing: 4px;">${code}</h1>
+            <p style="font-size: 14px; color: #888888;">⚠️ Votre place est réservée jusqu'au ${expiresAt}.</p>
+          </div>
+          <div style="background-color: #f8f9fa; padding: 20px; text-align: center; font-size: 12px; color: #999999;">
+            <p>© ${new Date().getFullYear()} Padel Mindset. Tous droits réservés.</p>
+          </div>
+        </div>
+      </body>
+      </html>
+    `,
+  };
+
+  await transporter.sendMail(mailOptions);
+};
+
 export default transporter;
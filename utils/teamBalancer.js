@@ -0,0 +1,139 @@
+/**
+ * ════════════════════════════════════════════════════════════════════════════════
+ * TEAM BALANCER
+ * Split four players into two teams of two and give everyone a position
+ * (participant.team): 0, 1 = team A and 2, 3 = team B; 0 / 2 play on the left
+ * (revers) side, 1 / 3 on the right (drive) side.
+ * The rating of a player with a low fiability says less about their real
+ * level: it is pulled toward the average of the four before comparing teams.
+ * ════════════════════════════════════════════════════════════════════════════════
+ */
+
+export const TEAM_A_POSITIONS = [0, 1];
+export const TEAM_B_POSITIONS = [2, 3];
+export const LEFT_POSITIONS = [0, 2];
+
+// utilisateur.positionsurlecourt: 1 = gauche, 2 = droite, anything else = indifferent
+const SIDE_BY_POSITION_PREFERENCE = { 1: 'left', 2: 'right' };
+
+// Cost of a team whose two players want the same side, in rating points
+const SIDE_CONFLICT_PENALTY = 0.5;
+// Bonus of a left-hander / right-hander pair (forehands both in the middle)
+const MIXED_HANDS_BONUS = 0.1;
+
+/**
+ * Side a player wants to play
+ * @param {object} player - utilisateur ({ positionsurlecourt })
+ * @returns {'left'|'right'|null}
+ */
+export const preferredSide = (player) => SIDE_BY_POSITION_PREFERENCE[Number(player?.positionsurlecourt)] ?? null;
+
+/**
+ * Strong hand of a player from utilisateur.mainprefere
+ * @param {object} player
+ * @returns {'left'|'right'|null}
+ */
+export const strongHand = (player) => {
+    const hand = String(player?.mainprefere ?? '').trim().toLowerCase();
+    if (['gauche', 'left', 'g', 'l'].includes(hand)) return 'left';
+    if (['droite', 'right', 'd', 'r'].includes(hand)) return 'right';
+    return null;
+};
+
+/**
+ * Rating used for balancing (utilisateur.note)
+ * @param {object} player
+ * @returns {number}
+ */
+export const playerRating = (player) => {
+    const note = Number(player?.note);
+    return Number.isFinite(note) ? note : 0;
+};
+
+/**
+ * Reliability of a rating, 0..1 (utilisateur.fiability is stored 0-100;
+ * unknown = 50, as in updatePlayerRatings)
+ * @param {object} player
+ * @returns {number}
+ */
+export const playerReliability = (player) => {
+    const fiability = Number(player?.fiability) || 50;
+    return Math.min(Math.max(fiability / 100, 0), 1);
+};
+
+// Put the two players of a team on their sides: [leftPlayer, rightPlayer] and the conflicts left
+const placeTeam = ([p1, p2]) => {
+    const side1 = preferredSide(p1);
+    const side2 = preferredSide(p2);
+
+    const swapped = side1 === 'right' || side2 === 'left';
+    const conflict = side1 !== null && side1 === side2;
+
+    return {
+        players: swapped && !conflict ? [p2, p1] : [p1, p2],
+        conflict
+    };
+};
+
+/**
+ * Best split of four players into two teams
+ * @param {Array<object>} players - Four utilisateur-like objects with an `id`
+ * @returns {{
+ *   teamA: Array<object>, teamB: Array<object>,
+ *   positions: Object<string, number>,
+ *   ratingA: number, ratingB: number, ratingGap: number,
+ *   adjustedGap: number, sideConflicts: number, cost: number
+ * }}
+ */
+export const balanceTeams = (players) => {
+    if (!Array.isArray(players) || players.length !== 4) {
+        throw new Error('balanceTeams needs exactly 4 players');
+    }
+
+    // Rating pulled toward the average of the four by (1 - reliability)
+    const average = players.reduce((sum, p) => sum + playerRating(p), 0) / players.length;
+    const adjusted = new Map(players.map(p => [
+        p,
+        average + (playerRating(p) - average) * playerReliability(p)
+    ]));
+
+    const [a, b, c, d] = players;
+    const pairings = [
+        [[a, b], [c, d]],
+        [[a, c], [b, d]],
+        [[a, d], [b, c]]
+    ];
+
+    let best = null;
+
+    for (const [pairA, pairB] of pairings) {
+        const teamA = placeTeam(pairA);
+        const teamB = placeTeam(pairB);
+
+        const ratingA = playerRating(pairA[0]) + playerRating(pairA[1]);
+        const ratingB = playerRating(pairB[0]) + playerRating(pairB[1]);
+        const ratingGap = Math.abs(ratingA - ratingB);
+        const adjustedGap = Math.abs(
+            adjusted.get(pairA[0]) + adjusted.get(pairA[1]) - adjusted.get(pairB[0]) - adjusted.get(pairB[1])
+        );
+        const sideConflicts = Number(teamA.conflict) + Number(teamB.conflict);
+
+        const mixedHands = [pairA, pairB].filter(([x, y]) => {
+            const hx = strongHand(x);
+            const hy = strongHand(y);
+            return hx !== null && hy !== null && hx !== hy;
+        }).length;
+
+        const cost = adjustedGap + sideConflicts * SIDE_CONFLICT_PENALTY - mixedHands * MIXED_HANDS_BONUS;
+
+        if (!best || cost < best.cost) {
+            best = { teamA: teamA.players, teamB: teamB.players, ratingA, ratingB, ratingGap, adjustedGap, sideConflicts, cost };
+        }
+    }
+
+    const positions = {};
+    best.teamA.forEach((player, i) => { positions[player.id] = TEAM_A_POSITIONS[i]; });
+    best.teamB.forEach((player, i) => { positions[player.id] = TEAM_B_POSITIONS[i]; });
+
+    return { ...best, positions };
+};
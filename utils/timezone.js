@@ -0,0 +1,202 @@
+/**
+ * ════════════════════════════════════════════════════════════════════════════════
+ * TIMEZONE UTILITIES
+ * Slot hours, reservation dates and match kick-offs are wall-clock times of the
+ * club (club.timezone). Conversions go through Intl so the result does not
+ * depend on the timezone of the server process.
+ * ════════════════════════════════════════════════════════════════════════════════
+ */
+
+// Zone of clubs without one (and of the historical single club)
+export const DEFAULT_TIMEZONE = process.env.DEFAULT_CLUB_TIMEZONE || 'Africa/Algiers';
+
+// Fixed offset used to write/read TIMESTAMP (without time zone) columns.
+// Existing rows were written by Sequelize with timezone '+01:00'.
+export const DB_TIMEZONE = process.env.DB_TIMEZONE || '+01:00';
+
+const PG_TIMESTAMP_OID = 1114;
+const WEEKDAYS = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+const pad = (n) => String(n).padStart(2, '0');
+
+const formatters = new Map();
+const getFormatter = (timeZone) => {
+    if (!formatters.has(timeZone)) {
+        formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+            timeZone,
+            hourCycle: 'h23',
+            weekday: 'short',
+            year: 'numeric',
+            month: '2-digit',
+            day: '2-digit',
+            hour: '2-digit',
+            minute: '2-digit',
+            second: '2-digit'
+        }));
+    }
+    return formatters.get(timeZone);
+};
+
+/**
+ * Check an IANA zone name ("Europe/Paris")
+ * @param {string} timeZone
+ * @returns {boolean}
+ */
+export const isValidTimeZone = (timeZone) => {
+    if (!timeZone) return false;
+    try {
+        getFormatter(timeZone);
+        return true;
+    } catch (err) {
+        return false;
+    }
+};
+
+/**
+ * Wall-clock components of an instant in a zone
+ * @param {Date} instant
+ * @param {string} [timeZone]
+ * @returns {{year: number, month: number, day: number, hour: number, minute: number, second: number, weekday: number}}
+ */
+export const getZonedParts = (instant, timeZone = DEFAULT_TIMEZONE) => {
+    const parts = {};
+    for (const { type, value } of getFormatter(timeZone).formatToParts(instant)) {
+        parts[type] = value;
+    }
+
+    return {
+        year: Number(parts.year),
+        month: Number(parts.month),
+        day: Number(parts.day),
+        hour: Number(parts.hour),
+        minute: Number(parts.minute),
+        second: Number(parts.second),
+        weekday: WEEKDAYS[parts.weekday]
+    };
+};
+
+/**
+ * Offset of a zone at a given instant, in minutes (+60 for UTC+1)
+ * @param {Date} instant
+ * @param {string} [timeZone]
+ * @returns {number}
+ */
+export const getTimezoneOffset = (instant, timeZone = DEFAULT_TIMEZONE) => {
+    const p = getZonedParts(instant, timeZone);
+    const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+    const truncated = Math.floor(instant.getTime() / 1000) * 1000;
+    return Math.round((asUtc - truncated) / 60000);
+};
+
+/**
+ * Instant of a wall-clock time in a zone.
+ * Hours past 24 roll over to the next day ("24:30" = 00:30 the day after).
+ * @param {string} dateStr - 'YYYY-MM-DD'
+ * @param {string} [timeStr] - 'HH:mm[:ss]'
+ * @param {string} [timeZone]
+ * @returns {Date|null}
+ */
+export const zonedTimeToInstant = (dateStr, timeStr = '00:00:00', timeZone = DEFAULT_TIMEZONE) => {
+    const [year, month, day] = String(dateStr).split('-').map(Number);
+    const [hour, minute, second = 0] = String(timeStr).split(':').map(Number);
+    if ([year, month, day, hour, minute, second].some(n => !Number.isFinite(n))) return null;
+
+    const wallAsUtc = Date.UTC(year, month - 1, day, hour, minute, second);
+
+    // Two passes: the offset of the guess may differ around a DST change
+    const offset = getTimezoneOffset(new Date(wallAsUtc), timeZone);
+    const instant = new Date(wallAsUtc - offset * 60000);
+    const correctedOffset = getTimezoneOffset(instant, timeZone);
+
+    return correctedOffset === offset ? instant : new Date(wallAsUtc - correctedOffset * 60000);
+};
+
+/**
+ * 'YYYY-MM-DD' of an instant in a zone
+ * @param {Date} instant
+ * @param {string} [timeZone]
+ * @returns {string}
+ */
+export const toZonedDate = (instant, timeZone = DEFAULT_TIMEZONE) => {
+    const p = getZonedParts(instant, timeZone);
+    return `${p.year}-${pad(p.month)}-${pad(p.day)}`;
+};
+
+/**
+ * 'HH:mm:ss' of an instant in a zone
+ * @param {Date} instant
+ * @param {string} [timeZone]
+ * @returns {string}
+ */
+export const toZonedTime = (instant, timeZone = DEFAULT_TIMEZONE) => {
+    const p = getZonedParts(instant, timeZone);
+    return `${pad(p.hour)}:${pad(p.minute)}:${pad(p.second)}`;
+};
+
+/**
+ * ISO 8601 string with the zone offset: '2026-03-14T18:30:00+01:00'
+ * @param {Date} instant
+ * @param {string} [timeZone]
+ * @returns {string|null}
+ */
+export const toZonedISOString = (instant, timeZone = DEFAULT_TIMEZONE) => {
+    if (!(instant instanceof Date) || isNaN(instant.getTime())) return null;
+
+    const offset = getTimezoneOffset(instant, timeZone);
+    const sign = offset < 0 ? '-' : '+';
+    const abs = Math.abs(offset);
+
+    return `${toZonedDate(instant, timeZone)}T${toZonedTime(instant, timeZone)}${sign}${pad(Math.floor(abs / 60))}:${pad(abs % 60)}`;
+};
+
+/**
+ * [start, end) instants of a calendar day in a zone
+ * @param {string} dateStr - 'YYYY-MM-DD'
+ * @param {string} [timeZone]
+ * @returns {{start: Date, end: Date}}
+ */
+export const getZonedDayRange = (dateStr, timeZone = DEFAULT_TIMEZONE) => {
+    return {
+        start: zonedTimeToInstant(dateStr, '00:00:00', timeZone),
+        end: zonedTimeToInstant(addDays(dateStr, 1), '00:00:00', timeZone)
+    };
+};
+
+/**
+ * Calendar arithmetic on 'YYYY-MM-DD' strings
+ * @param {string} dateStr
+ * @param {number} days
+ * @returns {string}
+ */
+export const addDays = (dateStr, days) => {
+    const d = new Date(`${String(dateStr).split('T')[0]}T00:00:00Z`);
+    d.setUTCDate(d.getUTCDate() + days);
+    return d.toISOString().split('T')[0];
+};
+
+/**
+ * Day of week of a calendar date: 0 (Sunday) .. 6 (Saturday)
+ * @param {string} dateStr - 'YYYY-MM-DD'
+ * @returns {number}
+ */
+export const dayOfWeek = (dateStr) => new Date(`${String(dateStr).split('T')[0]}T00:00:00Z`).getUTCDay();
+
+/**
+ * Parse a TIMESTAMP (without time zone) value as written by Sequelize (DB_TIMEZONE)
+ * instead of the server's local zone
+ * @param {string} value - '2026-01-03 08:00:00[.sss]'
+ * @returns {Date|string}
+ */
+export const parseStoredTimestamp = (value) => {
+    if (value === 'infinity' || value === '-infinity') return value;
+
+    const parsed = new Date(`${value.replace(' ', 'T')}${DB_TIMEZONE}`);
+    return isNaN(parsed.getTime()) ? value : parsed;
+};
+
+/**
+ * Register parseStoredTimestamp on the pg driver (call before the first query)
+ * @param {object} pgTypes - `pg.types`
+ */
+export const registerTimestampParser = (pgTypes) => {
+    pgTypes.setTypeParser(PG_TIMESTAMP_OID, parseStoredTimestamp);
+};